@@ -59,8 +59,9 @@ const searchAsteroid = async (req, res) => {
     }
 
     // Estimate diameter from absolute magnitude if not directly available
+    // (not meaningful for comets, whose brightness is dominated by the coma)
     let diameterKm = asteroidData.diameter;
-    if (!diameterKm && asteroidData.absoluteMagnitude) {
+    if (!diameterKm && asteroidData.absoluteMagnitude && asteroidData.kind !== 'comet') {
       // Approximation: D = 1329 * 10^(-H/5) / sqrt(albedo)
       // Assuming average albedo of 0.14 for asteroids
       const H = asteroidData.absoluteMagnitude;
@@ -70,6 +71,7 @@ const searchAsteroid = async (req, res) => {
     res.json({
       name: asteroidData.name,
       designation: asteroidData.designation,
+      kind: asteroidData.kind,
       hazardous: asteroidData.isPHA || false,
       isNEO: asteroidData.isNEO || false,
       diameterKm: diameterKm ? parseFloat(diameterKm.toFixed(3)) : null,
@@ -78,14 +80,13 @@ const searchAsteroid = async (req, res) => {
       closeApproachDate: closestApproach?.date?.toISOString().split('T')[0] || null,
       distanceKm: closestApproach?.distanceKm ? Math.round(closestApproach.distanceKm) : null,
       distanceAU: closestApproach?.distanceAU ? parseFloat(closestApproach.distanceAU.toFixed(4)) : null,
-      velocityKph: closestApproach?.velocity?.relative
-        ? Math.round(Math.sqrt(
-          closestApproach.velocity.relative.vx ** 2 +
-          closestApproach.velocity.relative.vy ** 2 +
-          closestApproach.velocity.relative.vz ** 2
-        ) * 149597870.7 / 24) // AU/day to km/h
+      velocityKph: closestApproach?.relativeVelocityKmS
+        ? Math.round(closestApproach.relativeVelocityKmS * 3600) // km/s to km/h
         : null,
-      orbitalElements: asteroidData.orbitalElements
+      orbitalElements: asteroidData.orbitalElements,
+      moidAU: Number.isFinite(asteroidData.moid) ? parseFloat(asteroidData.moid.toFixed(6)) : null,
+      cometMagnitude: asteroidData.cometMagnitude,
+      nonGravitational: asteroidData.nonGravitational
     });
   } catch (err) {
     console.error('Search error:', err.message);
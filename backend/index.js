@@ -8,6 +8,11 @@ const router = require('./routes/authRoutes.js');
 const cors = require("cors");
 const asteroidRouter = require('./routes/asteroidRouter.js');
 const ephemerisRouter = require('./routes/ephemerisRouter.js');
+const observabilityRouter = require('./routes/observabilityRouter.js');
+const riskRouter = require('./routes/riskRouter.js');
+const orbitRouter = require('./routes/orbitRouter.js');
+const observationRouter = require('./routes/observationRouter.js');
+const { registerRiskJobSocket, resumeRiskJobs } = require('./services/riskJob.service');
 
 
 const app = express();
@@ -30,6 +35,10 @@ app.use(express.json());
 app.use('/api/auth', router);
 app.use('/api/asteroids', asteroidRouter);
 app.use('/api/ephemeris', ephemerisRouter);
+app.use('/api/observability', observabilityRouter);
+app.use('/api/risk', riskRouter);
+app.use('/api/orbits', orbitRouter);
+app.use('/api/observations', observationRouter);
 
 const alertRoutes = require("./routes/alertRoutes");
 
@@ -58,7 +67,9 @@ io.on("connection", (socket) => {
     });
 });
 
-connectToDB();
+registerRiskJobSocket(io);
+
+connectToDB().then(resumeRiskJobs);
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
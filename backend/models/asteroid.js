@@ -4,6 +4,7 @@ const asteroidSchema = new mongoose.Schema({
   nasaId: { type: String, required: true, unique: true, index: true },
   spkId: { type: String, index: true },  // SPK-ID for SBDB lookups
   name: String,
+  kind: { type: String, enum: ['asteroid', 'comet'], default: 'asteroid', index: true },
 
   diameterMetersMax: Number,
   velocityKph: Number,
@@ -22,13 +23,45 @@ const asteroidSchema = new mongoose.Schema({
     longitudeAscNode: Number,   // Ω - Longitude of ascending node (degrees)
     argPerihelion: Number,      // ω - Argument of perihelion (degrees)
     meanAnomaly: Number,        // M - Mean anomaly at epoch (degrees)
-    epoch: Number               // Epoch as Julian Date
+    epoch: Number,              // Epoch as Julian Date
+    perihelionDistance: Number, // q - Perihelion distance (AU), for parabolic/hyperbolic orbits
+    timeOfPerihelion: Number    // Tp - Time of perihelion passage (Julian Date)
   },
 
   // Additional orbital parameters
   orbitClass: String,           // Orbit classification (Apollo, Aten, Amor, etc.)
   absoluteMagnitude: Number,    // H - Absolute magnitude
   isPHA: { type: Boolean, default: false }, // Potentially Hazardous Asteroid
+  moid: { type: Number, index: true },  // Earth Minimum Orbit Intersection Distance (AU)
+
+  // Comet magnitude parameters: m = M + 5 log10(Δ) + K log10(r)
+  cometMagnitude: {
+    M1: Number,                 // Total (nucleus + coma) absolute magnitude
+    K1: Number,                 // Total magnitude slope parameter
+    M2: Number,                 // Nuclear absolute magnitude
+    K2: Number                  // Nuclear magnitude slope parameter
+  },
+
+  // Non-gravitational force model (Marsden et al. 1973), g(r) = ALN (r/R0)^-NM (1 + (r/R0)^NN)^-NK
+  nonGravitational: {
+    A1: Number,                 // Radial acceleration (AU/day²)
+    A2: Number,                 // Transverse acceleration (AU/day²)
+    A3: Number,                 // Normal acceleration (AU/day²)
+    DT: Number,                 // Perihelion asymmetry delay (days)
+    ALN: Number,
+    NM: Number,
+    NN: Number,
+    NK: Number,
+    R0: Number                  // Normalizing distance (AU)
+  },
+
+  // Orbit solution covariance from SBDB, in cometary elements at its own epoch
+  covariance: {
+    epoch: Number,              // Julian Date (TDB)
+    labels: { type: [String], default: undefined },    // Element names in matrix order: e, q, tp, om, w, i[, A1, ...]
+    elements: { type: [Number], default: undefined },  // Nominal values at the covariance epoch
+    matrix: { type: [[Number]], default: undefined }   // Covariance (AU, days, degrees)
+  },
 
   sourceTimestamp: Number,
   cachedAt: { type: Date, default: Date.now }
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Objects whose orbits were fitted here from submitted astrometry rather than taken from SBDB
+const hypotheticalObjectSchema = new mongoose.Schema({
+  designation: { type: String, required: true, unique: true, index: true },  // "HYP-…"
+  name: String,
+
+  // Same structure as Asteroid.orbitalElements, referred to the ecliptic of J2000
+  orbitalElements: {
+    semiMajorAxis: Number,
+    eccentricity: Number,
+    inclination: Number,
+    longitudeAscNode: Number,
+    argPerihelion: Number,
+    meanAnomaly: Number,
+    epoch: Number,
+    perihelionDistance: Number,
+    timeOfPerihelion: Number
+  },
+
+  absoluteMagnitude: Number,    // Estimated from the reported magnitudes, if any
+  moid: Number,                 // Earth MOID (AU)
+
+  fit: {
+    method: String,             // Preliminary orbit method (gauss)
+    rms: Number,                // Weighted RMS of the residuals (arcsec)
+    iterations: Number,
+    converged: Boolean,
+    observationCount: Number,
+    arcDays: Number
+  },
+
+  // Submitted astrometry with the residuals of the fitted orbit
+  observations: [{
+    _id: false,
+    julianDate: Number,         // UTC
+    ra: Number,                 // degrees, J2000
+    dec: Number,                // degrees, J2000
+    observatory: mongoose.Schema.Types.Mixed,  // MPC code or {latitude, longitude, elevation}
+    sigma: Number,              // arcsec
+    magnitude: Number,
+    residualRa: Number,         // O−C, RA·cos(Dec) (arcsec)
+    residualDec: Number         // O−C (arcsec)
+  }]
+}, { timestamps: true });
+
+module.exports = mongoose.model("HypotheticalObject", hypotheticalObjectSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Optical astrometry imported from MPC 80-column or ADES files
+const observationSchema = new mongoose.Schema({
+  asteroidId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Asteroid",
+    default: null,
+    index: true,
+  },
+
+  designation: { type: String, required: true, index: true },  // permID, else provID, else trkSub
+  permID: String,               // Permanent number, e.g. "433" or "1P"
+  provID: String,               // Provisional designation, e.g. "2024 YR4"
+  trkSub: String,               // Observer-assigned temporary designation
+
+  observatory: { type: String, required: true },  // MPC observatory code (ADES stn)
+  time: { type: Date, required: true },           // Observation time (UTC)
+  ra: { type: Number, required: true },           // J2000 right ascension (degrees)
+  dec: { type: Number, required: true },          // J2000 declination (degrees)
+  rmsRA: Number,                // RA·cos(Dec) uncertainty (arcsec)
+  rmsDec: Number,               // Dec uncertainty (arcsec)
+
+  magnitude: Number,
+  rmsMag: Number,
+  band: String,
+
+  mode: String,                 // ADES mode (CCD, CMO, PHO, ...)
+  astCat: String,               // ADES astrometric catalogue (Gaia3, UCAC4, ...)
+  discovery: { type: Boolean, default: false },
+  notes: String,
+  remarks: String,
+
+  source: { type: String, enum: ['mpc80', 'ades-xml', 'ades-psv'] },
+}, {
+  timestamps: true,
+});
+
+// The same object seen by the same station at the same instant is one observation
+observationSchema.index({ designation: 1, observatory: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model("Observation", observationSchema);
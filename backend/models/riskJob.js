@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Risk assessments run in the background (see riskJob.service)
+const riskJobSchema = new mongoose.Schema({
+  type: { type: String, enum: ['assess', 'batch'], required: true },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true,
+  },
+
+  // assess: {designation, encounterDate, numSimulations, seed, samplingMode, lovOptions}
+  // batch:  {asteroids, seed}
+  params: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  progress: { type: Number, default: 0 },       // Percent
+  total: { type: Number, default: 1 },          // Assessments to run
+  completed: { type: Number, default: 0 },      // Assessments finished
+
+  // Batch assessments as they finish, by position in params.asteroids;
+  // kept across a restart so a resumed batch only runs the rest
+  partialResults: [{
+    _id: false,
+    index: Number,
+    assessment: mongoose.Schema.Types.Mixed,
+  }],
+
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+
+  cancelRequested: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },       // Runs started, including resumes after a restart
+  startedAt: Date,
+  finishedAt: Date,
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+module.exports = mongoose.model("RiskJob", riskJobSchema);
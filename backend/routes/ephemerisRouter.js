@@ -7,16 +7,114 @@
 const express = require('express');
 const router = express.Router();
 const ephemerisService = require('../services/ephemeris.service');
+const { calculatePorkchop, DEFAULT_STEPS } = require('../services/missionDesign.service');
+const { CLOSE_APPROACH_BODIES } = require('../utils/closeApproach');
+const { EPHEMERIS_FORMATS } = require('../utils/ephemerisFormats');
+const { dateToJulianDate } = require('../utils/keplerianElements');
+
+const MAX_EXPORT_STEPS = 20000;
+const MAX_TRAJECTORY_STEPS = 5000;
+const MAX_PORKCHOP_STEPS = 150;
+const MAX_INTEGRATION_YEARS = 20;   // Longest N-body run a request may ask for
+
+/**
+ * Validate the frame, plane and timescale options shared by the ephemeris endpoints
+ * frame: ecliptic (heliocentric, default), equatorial (heliocentric ICRF),
+ *        geocentric or barycentric (ICRF axes unless plane=ecliptic)
+ * timescale: UTC (default), TT or TDB - dates are read and reported in it
+ *
+ * @returns {Object} {options} or {error}
+ */
+function parseOutputOptions({ frame, plane, timescale }) {
+    try {
+        ephemerisService.resolveOutputOptions({ frame, plane, timescale });
+        return { options: { frame, plane, timescale } };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Read the startDate and endDate query parameters
+ * startDate defaults to now, endDate to defaultDays after startDate.
+ *
+ * @returns {Object} {range: {start, end}} or {error}
+ */
+function parseDateRange({ startDate, endDate }, defaultDays) {
+    const start = startDate ? new Date(startDate) : new Date();
+    const end = endDate ? new Date(endDate) : new Date(start.getTime() + defaultDays * 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime())) return { error: 'startDate must be a valid date' };
+    if (isNaN(end.getTime())) return { error: 'endDate must be a valid date' };
+    return { range: { start, end } };
+}
+
+/**
+ * Check that an N-body run over a date range stays within MAX_INTEGRATION_YEARS
+ * The integration starts at the element epoch, so the years between the
+ * epoch and the range count as well as the range itself.
+ *
+ * @returns {string|null} Error message, or null if the range may be integrated
+ */
+function checkIntegrationRange(orbitalElements, { start, end }) {
+    const epoch = orbitalElements.epoch ?? orbitalElements.timeOfPerihelion;
+    const julianDates = [epoch, dateToJulianDate(start), dateToJulianDate(end)];
+    const years = (Math.max(...julianDates) - Math.min(...julianDates)) / 365.25;
+
+    return years > MAX_INTEGRATION_YEARS
+        ? `The N-body integration from the orbit epoch through startDate and endDate may cover at most ${MAX_INTEGRATION_YEARS} years`
+        : null;
+}
+
+/**
+ * Fetch an object and propagate its trajectory for the trajectory and export endpoints
+ * Query: perturbations
+ *
+ * @returns {Object} {asteroidData, trajectory, propagation}, or {error} if an
+ *          N-body run over the range would be too long
+ */
+async function loadTrajectory(designation, range, query, options, steps) {
+    const { perturbations = false } = query;
+
+    const asteroidData = await ephemerisService.fetchAsteroidElements(designation);
+
+    if (perturbations === 'true') {
+        const error = checkIntegrationRange(asteroidData.orbitalElements, range);
+        if (error) return { error };
+    }
+
+    const trajectory = ephemerisService.propagateTrajectory(
+        asteroidData.orbitalElements,
+        range.start,
+        range.end,
+        steps,
+        perturbations === 'true',
+        asteroidData.nonGravitational,
+        options
+    );
+
+    return {
+        asteroidData,
+        trajectory,
+        propagation: perturbations === 'true' ? 'n-body' : 'two-body'
+    };
+}
 
 /**
  * GET /api/ephemeris/position/:designation
  * Calculate current position of a specific asteroid
+ * Query: date, includeVelocity, frame, plane, timescale
  */
 router.get('/position/:designation', async (req, res) => {
     try {
         const { designation } = req.params;
         const { date, includeVelocity } = req.query;
 
+        const { options, error } = parseOutputOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
         // Fetch orbital elements from NASA SBDB
         const asteroidData = await ephemerisService.fetchAsteroidElements(designation);
 
@@ -25,7 +123,8 @@ router.get('/position/:designation', async (req, res) => {
         const position = ephemerisService.calculatePosition(
             asteroidData.orbitalElements,
             targetDate,
-            includeVelocity === 'true'
+            includeVelocity === 'true',
+            options
         );
 
         res.json({
@@ -48,28 +147,50 @@ router.get('/position/:designation', async (req, res) => {
 /**
  * GET /api/ephemeris/trajectory/:designation
  * Get trajectory points for an asteroid over a time range
+ * perturbations=true integrates the orbit under the Sun, planets and Moon,
+ * including the object's non-gravitational (A1/A2/A3) terms if it has any
+ * Query: startDate, endDate (default one year on), steps (default 100, max 5000),
+ *        perturbations, frame, plane, timescale
+ * An N-body run may cover at most MAX_INTEGRATION_YEARS from the element epoch.
  */
 router.get('/trajectory/:designation', async (req, res) => {
     try {
         const { designation } = req.params;
-        const { startDate, endDate, steps = 100, perturbations = false } = req.query;
+        const { steps = 100 } = req.query;
 
-        const asteroidData = await ephemerisService.fetchAsteroidElements(designation);
+        const stepCount = Number(steps);
+        if (!Number.isInteger(stepCount) || stepCount < 2) {
+            return res.status(400).json({ error: 'steps must be an integer of at least 2' });
+        }
 
-        const start = startDate ? new Date(startDate) : new Date();
-        const end = endDate ? new Date(endDate) : new Date(start.getTime() + 365 * 24 * 60 * 60 * 1000);
+        const { options, error } = parseOutputOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        const trajectory = ephemerisService.propagateTrajectory(
-            asteroidData.orbitalElements,
-            start,
-            end,
-            parseInt(steps),
-            perturbations === 'true'
+        const { range, error: rangeError } = parseDateRange(req.query, 365);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const loaded = await loadTrajectory(
+            designation,
+            range,
+            req.query,
+            options,
+            Math.min(stepCount, MAX_TRAJECTORY_STEPS)
         );
+        if (loaded.error) {
+            return res.status(400).json({ error: loaded.error });
+        }
+        const { asteroidData, trajectory, propagation } = loaded;
 
         res.json({
             asteroid: asteroidData.name,
+            ...ephemerisService.resolveOutputOptions(options),
             orbitalElements: asteroidData.orbitalElements,
+            nonGravitational: asteroidData.nonGravitational,
+            propagation,
             trajectory
         });
     } catch (error) {
@@ -78,30 +199,132 @@ router.get('/trajectory/:designation', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/ephemeris/export/:designation
+ * Download a propagated trajectory as a file
+ * format: oem (CCSDS OEM, km and km/s), horizons (Horizons-style vector table),
+ *         csv or jsonl (AU and AU/day)
+ * Query: format (default oem), plus the trajectory query (startDate, endDate, steps
+ *        up to 20000, perturbations, frame, plane, timescale)
+ * As for the trajectory, an N-body export may cover at most MAX_INTEGRATION_YEARS
+ * from the element epoch.
+ */
+router.get('/export/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const { format = 'oem', steps = 100 } = req.query;
+
+        const writer = EPHEMERIS_FORMATS[format];
+        if (!writer) {
+            return res.status(400).json({
+                error: `format must be one of: ${Object.keys(EPHEMERIS_FORMATS).join(', ')}`
+            });
+        }
+
+        const { options, error } = parseOutputOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { range, error: rangeError } = parseDateRange(req.query, 365);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const loaded = await loadTrajectory(
+            designation,
+            range,
+            req.query,
+            options,
+            Math.min(Math.max(parseInt(steps) || 100, 2), MAX_EXPORT_STEPS)
+        );
+        if (loaded.error) {
+            return res.status(400).json({ error: loaded.error });
+        }
+        const { asteroidData, trajectory, propagation } = loaded;
+
+        const content = writer.write({
+            object: { designation: asteroidData.designation, name: asteroidData.name },
+            trajectory,
+            ...ephemerisService.resolveOutputOptions(options),
+            propagation,
+            solution: asteroidData.solution,
+            orbitalElements: asteroidData.orbitalElements,
+            generatedAt: new Date()
+        });
+
+        // attachment() sets the type from the extension, so the explicit type goes last
+        res.attachment(`${asteroidData.designation.replace(/[^\w-]+/g, '_')}.${writer.extension}`)
+            .type(writer.contentType)
+            .send(content);
+    } catch (error) {
+        console.error('Error exporting ephemeris:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /api/ephemeris/closest-approach/:designation
- * Find closest approach to Earth within a date range
+ * Find every close approach to Earth, the Moon, Mars and Venus within a date range
+ * Query: startDate, endDate (default ten years on), bodies (comma-separated),
+ *        maxDistance (AU, default 0.05)
+ * The search integrates the orbit, so it may cover at most MAX_INTEGRATION_YEARS
+ * from the element epoch.
  */
 router.get('/closest-approach/:designation', async (req, res) => {
     try {
         const { designation } = req.params;
-        const { startDate, endDate } = req.query;
+        const { bodies, maxDistance } = req.query;
+
+        const bodyList = bodies
+            ? bodies.split(',').map(body => body.trim().toLowerCase())
+            : CLOSE_APPROACH_BODIES;
+        const unsupported = bodyList.filter(body => !CLOSE_APPROACH_BODIES.includes(body));
+        if (unsupported.length > 0) {
+            return res.status(400).json({
+                error: `Unsupported bodies: ${unsupported.join(', ')} (use ${CLOSE_APPROACH_BODIES.join(', ')})`
+            });
+        }
+
+        const distanceLimit = maxDistance !== undefined ? parseFloat(maxDistance) : 0.05;
+        if (isNaN(distanceLimit) || distanceLimit <= 0) {
+            return res.status(400).json({ error: 'maxDistance must be a positive number (AU)' });
+        }
+
+        const { range, error: rangeError } = parseDateRange(req.query, 10 * 365);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+        const { start, end } = range;
 
         const asteroidData = await ephemerisService.fetchAsteroidElements(designation);
 
-        const start = startDate ? new Date(startDate) : new Date();
-        const end = endDate ? new Date(endDate) : new Date(start.getTime() + 10 * 365 * 24 * 60 * 60 * 1000);
+        const integrationError = checkIntegrationRange(asteroidData.orbitalElements, range);
+        if (integrationError) {
+            return res.status(400).json({ error: integrationError });
+        }
 
-        const closestApproach = ephemerisService.findClosestApproach(
+        const approaches = ephemerisService.findCloseApproaches(
             asteroidData.orbitalElements,
             start,
-            end
+            end,
+            { bodies: bodyList, maxDistance: distanceLimit, nonGravitational: asteroidData.nonGravitational }
+        );
+
+        const closestApproach = approaches.reduce(
+            (closest, approach) => (!closest || approach.distanceAU < closest.distanceAU ? approach : closest),
+            null
         );
 
         res.json({
             asteroid: asteroidData.name,
             isPHA: asteroidData.isPHA,
-            closestApproach
+            range: { start, end },
+            bodies: bodyList,
+            maxDistanceAU: distanceLimit,
+            count: approaches.length,
+            closestApproach,
+            approaches
         });
     } catch (error) {
         console.error('Error finding closest approach:', error);
@@ -109,19 +332,134 @@ router.get('/closest-approach/:designation', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/ephemeris/porkchop/:designation
+ * Porkchop plot for a ballistic transfer from Earth: launch C3 and arrival v∞
+ * over a grid of departure and arrival dates, from a Lambert solution per cell
+ * Query: departureStart (default now), departureEnd (default two years on),
+ *        arrivalStart, arrivalEnd (default a year after departureEnd),
+ *        steps per axis (default 60, max 150), minTimeOfFlight (days, default 30)
+ */
+router.get('/porkchop/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const { steps, minTimeOfFlight } = req.query;
+
+        const dates = {};
+        for (const name of ['departureStart', 'departureEnd', 'arrivalStart', 'arrivalEnd']) {
+            if (req.query[name] === undefined) continue;
+            const date = new Date(req.query[name]);
+            if (isNaN(date.getTime())) {
+                return res.status(400).json({ error: `${name} must be a valid date` });
+            }
+            dates[name] = date;
+        }
+
+        const timeOfFlight = minTimeOfFlight !== undefined ? parseFloat(minTimeOfFlight) : undefined;
+        if (timeOfFlight !== undefined && (isNaN(timeOfFlight) || timeOfFlight <= 0)) {
+            return res.status(400).json({ error: 'minTimeOfFlight must be a positive number of days' });
+        }
+
+        const asteroidData = await ephemerisService.fetchAsteroidElements(designation);
+
+        const porkchop = calculatePorkchop(asteroidData.orbitalElements, {
+            ...dates,
+            steps: Math.min(Math.max(parseInt(steps) || DEFAULT_STEPS, 2), MAX_PORKCHOP_STEPS),
+            minTimeOfFlight: timeOfFlight
+        });
+
+        res.json({
+            asteroid: asteroidData.name,
+            designation,
+            ...porkchop
+        });
+    } catch (error) {
+        console.error('Error computing porkchop plot:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/ephemeris/observe/:designation
+ * Topocentric ephemeris for a ground observer: RA/Dec, alt/az, phase angle,
+ * solar elongation and apparent V magnitude
+ * Query: lat, lon (east positive), elevation (m), startDate, endDate, steps
+ */
+router.get('/observe/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const { lat, lon, elevation = 0, startDate, endDate, steps = 25 } = req.query;
+
+        const observer = {
+            latitude: parseFloat(lat),
+            longitude: parseFloat(lon),
+            elevation: parseFloat(elevation) || 0
+        };
+
+        if (isNaN(observer.latitude) || isNaN(observer.longitude) ||
+            Math.abs(observer.latitude) > 90 || Math.abs(observer.longitude) > 360) {
+            return res.status(400).json({ error: 'Valid lat and lon query parameters are required' });
+        }
+
+        const asteroidData = await ephemerisService.fetchAsteroidElements(designation);
+
+        const start = startDate ? new Date(startDate) : new Date();
+        const end = endDate ? new Date(endDate) : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+        const observations = ephemerisService.calculateObservations(
+            asteroidData,
+            observer,
+            start,
+            end,
+            Math.min(Math.max(parseInt(steps) || 25, 1), 1000)
+        );
+
+        res.json({
+            asteroid: {
+                designation: asteroidData.designation,
+                name: asteroidData.name,
+                absoluteMagnitude: asteroidData.absoluteMagnitude,
+                slopeParameter: asteroidData.slopeParameter
+            },
+            observer,
+            frame: 'RA/Dec astrometric J2000; alt/az geometric, equator of date',
+            observations
+        });
+    } catch (error) {
+        console.error('Error calculating observations:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /api/ephemeris/neo-catalog
  * Fetch all NEOs with orbital elements (for batch visualization)
+ * Query: limit, phaOnly, kind (asteroid | comet | all),
+ *        moidMax (only objects with an Earth MOID at or below this, in AU)
  */
 router.get('/neo-catalog', async (req, res) => {
     try {
-        const { limit = 1000, phaOnly = false } = req.query;
+        const { limit = 1000, phaOnly = false, kind = 'asteroid', moidMax } = req.query;
 
-        const catalog = await ephemerisService.fetchNEOCatalog({
+        if (!['asteroid', 'comet', 'all'].includes(kind)) {
+            return res.status(400).json({ error: 'kind must be asteroid, comet or all' });
+        }
+
+        const maxMoid = moidMax !== undefined ? parseFloat(moidMax) : null;
+        if (maxMoid !== null && (isNaN(maxMoid) || maxMoid < 0)) {
+            return res.status(400).json({ error: 'moidMax must be a non-negative number (AU)' });
+        }
+
+        let catalog = await ephemerisService.fetchNEOCatalog({
             limit: parseInt(limit),
-            phaOnly: phaOnly === 'true'
+            phaOnly: phaOnly === 'true',
+            kind
         });
 
+        if (maxMoid !== null) {
+            catalog = catalog.filter(neo => neo.moid !== null && neo.moid <= maxMoid);
+        }
+
         res.json({
             count: catalog.length,
             asteroids: catalog
@@ -135,15 +473,27 @@ router.get('/neo-catalog', async (req, res) => {
 /**
  * POST /api/ephemeris/batch-positions
  * Calculate positions for multiple asteroids at a specific time
- * Body: { asteroids: [...], date: "ISO date string" }
+ * Body: { asteroids: [...], date: "ISO date string", frame, plane, timescale }
+ * Positions are geocentric ecliptic unless a frame is given
  */
 router.post('/batch-positions', async (req, res) => {
     try {
         const { asteroids, date } = req.body;
         const targetDate = date ? new Date(date) : new Date();
 
+        const { options, error } = parseOutputOptions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Earth-relative ecliptic positions (the visualization scale) unless a frame is requested
+        const batchOptions = options.frame
+            ? options
+            : { ...options, frame: 'geocentric', plane: options.plane || 'ecliptic' };
+        const output = ephemerisService.resolveOutputOptions(batchOptions);
+
         // Calculate positions as Float32Array (base64 encoded for efficiency)
-        const positions = ephemerisService.calculateBatchPositions(asteroids, targetDate);
+        const positions = ephemerisService.calculateBatchPositions(asteroids, targetDate, batchOptions);
 
         // Convert to base64 for JSON transport
         const buffer = Buffer.from(positions.buffer);
@@ -152,6 +502,8 @@ router.post('/batch-positions', async (req, res) => {
         res.json({
             count: asteroids.length,
             date: targetDate.toISOString(),
+            timescale: output.timescale,
+            frame: output.frame,
             positionsBase64: base64,
             format: 'Float32Array, packed xyz triplets'
         });
@@ -163,14 +515,20 @@ router.post('/batch-positions', async (req, res) => {
 
 /**
  * GET /api/ephemeris/celestial-bodies
- * Get positions of Sun, Earth, Moon at a specific time
+ * Get positions of the Sun, Moon and all eight planets at a specific time
+ * Query: date, frame, plane, timescale
  */
 router.get('/celestial-bodies', (req, res) => {
     try {
         const { date } = req.query;
         const targetDate = date ? new Date(date) : new Date();
 
-        const bodies = ephemerisService.getCelestialBodies(targetDate);
+        const { options, error } = parseOutputOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const bodies = ephemerisService.getCelestialBodies(targetDate, options);
 
         res.json(bodies);
     } catch (error) {
@@ -0,0 +1,112 @@
+/**
+ * Observability Routes
+ *
+ * API endpoints for planning ground-based observations of asteroids.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/authMiddleware');
+const ephemerisService = require('../services/ephemeris.service');
+const observabilityService = require('../services/observability.service');
+
+/**
+ * Read observer location from query parameters
+ * @returns {Object|null} Observer, or null if lat/lon are invalid
+ */
+function parseObserver({ lat, lon, elevation }) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return null;
+    }
+
+    return { latitude, longitude, elevation: parseFloat(elevation) || 0 };
+}
+
+/**
+ * Read planner options (date, nights, constraints) from query parameters
+ */
+function parsePlanOptions({ date, nights, minAltitude, maxSunAltitude, minMoonSeparation, magnitudeLimit }) {
+    const constraints = {};
+    const numeric = { minAltitude, maxSunAltitude, minMoonSeparation, magnitudeLimit };
+
+    for (const [key, value] of Object.entries(numeric)) {
+        if (value !== undefined && !isNaN(parseFloat(value))) {
+            constraints[key] = parseFloat(value);
+        }
+    }
+
+    return {
+        date: date ? new Date(date) : new Date(),
+        nights: Math.min(Math.max(parseInt(nights) || 7, 1), 14),
+        constraints
+    };
+}
+
+/**
+ * GET /api/observability/watchlist
+ * Observability tonight and this week for every asteroid on the user's watchlist
+ * Query: lat, lon, elevation, date, nights, minAltitude, maxSunAltitude,
+ *        minMoonSeparation, magnitudeLimit
+ */
+router.get('/watchlist', protect, async (req, res) => {
+    try {
+        const observer = parseObserver(req.query);
+        if (!observer) {
+            return res.status(400).json({ error: 'Valid lat and lon query parameters are required' });
+        }
+
+        const options = parsePlanOptions(req.query);
+        const asteroids = await observabilityService.planWatchlistObservability(
+            req.userinfo.userID,
+            observer,
+            options
+        );
+
+        res.json({
+            observer,
+            constraints: { ...observabilityService.DEFAULT_CONSTRAINTS, ...options.constraints },
+            count: asteroids.length,
+            asteroids
+        });
+    } catch (error) {
+        console.error('Error planning watchlist observability:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/observability/:designation
+ * Observing windows for a single asteroid tonight and this week
+ * Query: same as /watchlist
+ */
+router.get('/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+
+        const observer = parseObserver(req.query);
+        if (!observer) {
+            return res.status(400).json({ error: 'Valid lat and lon query parameters are required' });
+        }
+
+        const asteroidData = await ephemerisService.fetchAsteroidElements(designation);
+        const plan = observabilityService.planObservability(asteroidData, observer, parsePlanOptions(req.query));
+
+        res.json({
+            asteroid: {
+                designation: asteroidData.designation,
+                name: asteroidData.name,
+                absoluteMagnitude: asteroidData.absoluteMagnitude
+            },
+            observer,
+            ...plan
+        });
+    } catch (error) {
+        console.error('Error planning observability:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Observation Routes
+ *
+ * Import and export of astrometric observations in the MPC 80-column and
+ * ADES (XML / PSV) formats. Imported observations are stored in the
+ * Observation collection and linked to catalog asteroids where possible.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    parseObservations,
+    importObservations,
+    listObservations,
+    exportObservations,
+    OBSERVATION_FORMATS
+} = require('../services/observation.service');
+
+const MAX_UPLOAD_SIZE = '10mb';
+const MAX_LIST_LIMIT = 5000;
+
+/**
+ * POST /api/observations/import
+ * Import an observation file
+ * Body: the file itself (text/plain, application/xml or text/psv), with ?format=
+ *       or JSON { data, format }; format is mpc80 | ades-xml | ades-psv (detected if omitted)
+ */
+router.post(
+    '/import',
+    express.text({ type: ['text/plain', 'text/psv', 'application/xml', 'text/xml'], limit: MAX_UPLOAD_SIZE }),
+    async (req, res) => {
+        try {
+            const raw = typeof req.body === 'string';
+            const data = raw ? req.body : req.body?.data;
+            const format = raw ? req.query.format : (req.body?.format ?? req.query.format);
+
+            if (typeof data !== 'string' || !data.trim()) {
+                return res.status(400).json({ error: 'Request must include the observation file contents' });
+            }
+            if (format && !OBSERVATION_FORMATS.includes(format)) {
+                return res.status(400).json({ error: `format must be one of: ${OBSERVATION_FORMATS.join(', ')}` });
+            }
+
+            let parsed;
+            try {
+                parsed = parseObservations(data, format || undefined);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            const result = await importObservations(parsed);
+            res.status(result.imported > 0 ? 201 : 200).json(result);
+        } catch (error) {
+            console.error('Observation import error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+);
+
+/**
+ * GET /api/observations
+ * List stored observations
+ * Query: designation, asteroidId, observatory, limit (default 500)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { designation, asteroidId, observatory, limit } = req.query;
+
+        if (!designation && !asteroidId) {
+            return res.status(400).json({ error: 'designation or asteroidId is required' });
+        }
+
+        const observations = await listObservations({
+            designation,
+            asteroidId,
+            observatory,
+            limit: Math.min(Math.max(parseInt(limit) || 500, 1), MAX_LIST_LIMIT)
+        });
+
+        res.json({
+            count: observations.length,
+            observations
+        });
+    } catch (error) {
+        console.error('Error listing observations:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/observations/export/:designation
+ * Download the stored observations of an object for submission
+ * Query: format (mpc80 | ades-xml | ades-psv, default ades-xml),
+ *        submitter, observers, measurers (comma separated) for the ADES obsContext
+ */
+router.get('/export/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const { format = 'ades-xml', submitter, observers, measurers } = req.query;
+
+        if (!OBSERVATION_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `format must be one of: ${OBSERVATION_FORMATS.join(', ')}` });
+        }
+
+        const list = (value) => (value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : undefined);
+
+        const file = await exportObservations(designation, format, {
+            submitter,
+            observers: list(observers),
+            measurers: list(measurers)
+        });
+
+        if (!file) {
+            return res.status(404).json({ error: `No observations stored for ${designation}` });
+        }
+
+        // attachment() sets the type from the extension, so the explicit type goes last
+        res.attachment(`${designation.replace(/[^\w-]+/g, '_')}.${file.extension}`)
+            .type(file.contentType)
+            .send(file.content);
+    } catch (error) {
+        console.error('Observation export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
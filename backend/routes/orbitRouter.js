@@ -0,0 +1,113 @@
+/**
+ * Orbit Determination Routes
+ *
+ * Fit orbits to submitted astrometry and manage the resulting hypothetical
+ * objects. Stored objects get a HYP- designation that the ephemeris and
+ * risk endpoints accept like any SBDB designation.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { determineOrbit } = require('../utils/orbitDetermination');
+const {
+    buildHypotheticalObject,
+    saveHypotheticalObject,
+    listHypotheticalObjects,
+    getHypotheticalObject,
+    deleteHypotheticalObject,
+    toAsteroidData
+} = require('../services/orbitDetermination.service');
+
+const MAX_OBSERVATIONS = 2000;
+
+/**
+ * POST /api/orbits/determine
+ * Preliminary orbit (Gauss) and least-squares differential correction
+ * Body: { observations: [{ time, ra, dec, observatory, sigma, magnitude }], name, save (default true) }
+ *       time is UTC (ISO string, or julianDate instead), ra/dec are J2000 degrees,
+ *       observatory is an MPC code or { latitude, longitude, elevation }
+ */
+router.post('/determine', async (req, res) => {
+    try {
+        const { observations, name, save = true } = req.body;
+
+        if (!Array.isArray(observations)) {
+            return res.status(400).json({ error: 'Request must include an array of observations' });
+        }
+        if (observations.length > MAX_OBSERVATIONS) {
+            return res.status(400).json({ error: `At most ${MAX_OBSERVATIONS} observations can be fitted at once` });
+        }
+
+        let solution;
+        try {
+            solution = determineOrbit(observations);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const record = buildHypotheticalObject({ name, observations, solution });
+        const object = save === false ? toAsteroidData(record) : await saveHypotheticalObject(record);
+
+        res.status(save === false ? 200 : 201).json({
+            saved: save !== false,
+            object,
+            residuals: solution.residuals
+        });
+    } catch (error) {
+        console.error('Orbit determination error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/orbits
+ * List stored hypothetical objects
+ */
+router.get('/', async (req, res) => {
+    try {
+        const objects = await listHypotheticalObjects();
+        res.json({
+            count: objects.length,
+            objects
+        });
+    } catch (error) {
+        console.error('Error listing hypothetical objects:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * GET /api/orbits/:designation
+ * A stored hypothetical object with its observations and residuals
+ */
+router.get('/:designation', async (req, res) => {
+    try {
+        const object = await getHypotheticalObject(req.params.designation);
+        if (!object) {
+            return res.status(404).json({ error: `No hypothetical object found for ${req.params.designation}` });
+        }
+        res.json(object);
+    } catch (error) {
+        console.error('Error fetching hypothetical object:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/orbits/:designation
+ * Remove a stored hypothetical object
+ */
+router.delete('/:designation', async (req, res) => {
+    try {
+        const deleted = await deleteHypotheticalObject(req.params.designation);
+        if (!deleted) {
+            return res.status(404).json({ error: `No hypothetical object found for ${req.params.designation}` });
+        }
+        res.json({ deleted: true, designation: req.params.designation });
+    } catch (error) {
+        console.error('Error deleting hypothetical object:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+module.exports = router;
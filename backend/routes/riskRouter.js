@@ -9,30 +9,112 @@ const express = require('express');
 const router = express.Router();
 const { assessRisk, batchAssessRisk, calculateRiskScore } = require('../utils/riskEngine');
 const { getAllScaleLevels } = require('../utils/torinoScale');
-const { fetchAsteroidElements } = require('../services/ephemeris.service');
+const { PALERMO_BANDS } = require('../utils/palermoScale');
+const { calculateImpactEffects, TARGET_TYPES } = require('../utils/impactEffects');
+const { analyzeBPlane } = require('../utils/bPlane');
+const { findKeyholes } = require('../utils/keyholeAnalysis');
+const { calculateImpactCorridor } = require('../utils/impactCorridor');
+const { planDeflection, DEFLECTION_DIRECTIONS } = require('../services/deflection.service');
+const { fetchAsteroidElements, resolveEncounterDate } = require('../services/ephemeris.service');
+const { isValidSeed, MAX_SEED } = require('../utils/random');
+
+const {
+    createRiskJob,
+    getRiskJob,
+    cancelRiskJob
+} = require('../services/riskJob.service');
+
+const SAMPLING_MODES = ['monte-carlo', 'lov'];
+const MAX_SIMULATIONS = 100000;
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Assessment options from query or body parameters
+ * @returns {Object} {options} or {error}
+ */
+function parseAssessOptions({ encounterDate, simulations = 5000, seed, mode = 'monte-carlo', lovPoints, sigmaMax }) {
+    if (!SAMPLING_MODES.includes(mode)) {
+        return { error: `mode must be one of: ${SAMPLING_MODES.join(', ')}` };
+    }
+    if (seed !== undefined && !isValidSeed(Number(seed))) {
+        return { error: `seed must be an integer from 0 to ${MAX_SEED}` };
+    }
+    if (encounterDate && isNaN(new Date(encounterDate).getTime())) {
+        return { error: 'encounterDate must be a valid date' };
+    }
+
+    return {
+        options: {
+            encounterDate: encounterDate || null,
+            numSimulations: Math.min(Math.max(parseInt(simulations) || 5000, 1), MAX_SIMULATIONS),
+            seed: seed !== undefined ? Number(seed) : undefined,
+            samplingMode: mode,
+            lovOptions: {
+                numPoints: lovPoints ? Math.min(Math.max(parseInt(lovPoints) || 1001, 11), 5001) : undefined,
+                sigmaMax: sigmaMax ? Math.min(Math.max(parseFloat(sigmaMax) || 5, 1), 10) : undefined
+            }
+        }
+    };
+}
+
+/**
+ * Error for a date parameter that is given but does not parse
+ * @returns {string|null} Error message, or null if the date is absent or valid
+ */
+function checkDate(name, value) {
+    return value && isNaN(new Date(value).getTime()) ? `${name} must be a valid date` : null;
+}
+
+/**
+ * Read an integer query parameter that must lie in [min, max]
+ * @returns {Object} {value} (fallback if absent) or {error}
+ */
+function parseIntegerOption(name, value, fallback, min, max) {
+    if (value === undefined) return { value: fallback };
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        return { error: `${name} must be an integer from ${min} to ${max}` };
+    }
+    return { value: number };
+}
 
 /**
  * GET /api/risk/assess/:designation
  * Comprehensive risk assessment for a specific asteroid
+ * Query: encounterDate, simulations (default 5000, max 100000),
+ *        seed (0 to 2^32-1; rerun an earlier assessment with its seed and simulations),
+ *        mode (monte-carlo | lov, default monte-carlo),
+ *        lovPoints (default 1001, max 5001) and sigmaMax (default 5, max 10) for the LOV mode
+ * Long runs are better submitted as a job (POST /api/risk/jobs).
  */
 router.get('/assess/:designation', async (req, res) => {
     try {
         const { designation } = req.params;
-        const { encounterDate, simulations = 5000 } = req.query;
+        const { options, error } = parseAssessOptions(req.query);
+
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
 
         // Fetch asteroid data
         const asteroidData = await fetchAsteroidElements(designation);
 
-        // Calculate encounter date (default: closest known approach or 1 year from now)
-        const encounterDateObj = encounterDate
-            ? new Date(encounterDate)
-            : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+        // Calculate encounter date (default: 1 year from now, or for the LOV
+        // search the closest approach in the next 10 years)
+        const encounterDateObj = await resolveEncounterDate(asteroidData.orbitalElements, options);
+        if (!encounterDateObj) {
+            return res.status(404).json({
+                success: false,
+                error: 'No Earth encounter found in the next 10 years'
+            });
+        }
 
         // Run risk assessment
         const assessment = await assessRisk({
+            ...options,
             asteroid: asteroidData,
-            encounterDate: encounterDateObj,
-            numSimulations: parseInt(simulations)
+            encounterDate: encounterDateObj
         });
 
         res.json({
@@ -49,6 +131,271 @@ router.get('/assess/:designation', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/risk/b-plane/:designation
+ * B-plane (ξ, ζ) coordinates of an Earth encounter for the nominal orbit and
+ * the Monte Carlo sample cloud, with the gravitationally focused Earth radius
+ * Query: encounterDate (default: closest approach in the next 10 years),
+ *        simulations (default 1000, max 5000), windowDays (default 10)
+ */
+router.get('/b-plane/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const { encounterDate, simulations = 1000, windowDays = 10 } = req.query;
+
+        const dateError = checkDate('encounterDate', encounterDate);
+        if (dateError) {
+            return res.status(400).json({ success: false, error: dateError });
+        }
+
+        const asteroidData = await fetchAsteroidElements(designation);
+
+        const encounterDateObj = await resolveEncounterDate(asteroidData.orbitalElements, { encounterDate });
+        if (!encounterDateObj) {
+            return res.status(404).json({
+                success: false,
+                error: 'No Earth encounter found in the next 10 years'
+            });
+        }
+
+        const bPlane = await analyzeBPlane({
+            orbitalElements: asteroidData.orbitalElements,
+            covariance: asteroidData.covariance,
+            encounterDate: encounterDateObj,
+            numSimulations: Math.min(Math.max(parseInt(simulations) || 1000, 1), 5000),
+            windowDays: Math.min(Math.max(parseFloat(windowDays) || 10, 1), 60)
+        });
+
+        res.json({
+            success: true,
+            designation,
+            name: asteroidData.name,
+            bPlane
+        });
+    } catch (error) {
+        console.error('B-plane analysis error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/risk/keyholes/:designation
+ * Resonant-return keyhole report for an Earth encounter: keyhole locations on
+ * the b-plane, their widths and the dates of the follow-on impacts they lead to
+ * Query: encounterDate (default: closest approach in the next 10 years),
+ *        years (1 to 30, default 10), scanPoints (10 to 1000, default 200),
+ *        zetaRange (scan half-width in km), simulations (1 to 5000, default 500)
+ */
+router.get('/keyholes/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const { encounterDate, zetaRange } = req.query;
+
+        const dateError = checkDate('encounterDate', encounterDate);
+        if (dateError) {
+            return res.status(400).json({ success: false, error: dateError });
+        }
+
+        const counts = {
+            years: parseIntegerOption('years', req.query.years, 10, 1, 30),
+            scanPoints: parseIntegerOption('scanPoints', req.query.scanPoints, 200, 10, 1000),
+            numSimulations: parseIntegerOption('simulations', req.query.simulations, 500, 1, 5000)
+        };
+        const countError = Object.values(counts).find(count => count.error)?.error;
+        if (countError) {
+            return res.status(400).json({ success: false, error: countError });
+        }
+
+        let scanHalfWidth = null;
+        if (zetaRange !== undefined) {
+            scanHalfWidth = parseFloat(zetaRange);
+            if (!Number.isFinite(scanHalfWidth) || scanHalfWidth <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'zetaRange must be a positive number of km'
+                });
+            }
+        }
+
+        const asteroidData = await fetchAsteroidElements(designation);
+
+        const encounterDateObj = await resolveEncounterDate(asteroidData.orbitalElements, { encounterDate });
+        if (!encounterDateObj) {
+            return res.status(404).json({
+                success: false,
+                error: 'No Earth encounter found in the next 10 years'
+            });
+        }
+
+        const report = await findKeyholes({
+            orbitalElements: asteroidData.orbitalElements,
+            covariance: asteroidData.covariance,
+            encounterDate: encounterDateObj,
+            years: counts.years.value,
+            scanPoints: counts.scanPoints.value,
+            zetaRange: scanHalfWidth,
+            numSimulations: counts.numSimulations.value
+        });
+
+        res.json({
+            success: true,
+            designation,
+            name: asteroidData.name,
+            report
+        });
+    } catch (error) {
+        console.error('Keyhole analysis error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/risk/impact-corridor/:designation
+ * Ground impact points of the virtual impactors of an Earth encounter and the
+ * risk corridor through them, as a GeoJSON FeatureCollection
+ * Query: encounterDate (default: closest approach in the next 10 years),
+ *        simulations (default 2000, max 5000), windowDays (default 10), seed,
+ *        download (any value: send the bare FeatureCollection as a .geojson file)
+ */
+router.get('/impact-corridor/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const { encounterDate, simulations = 2000, windowDays = 10, seed, download } = req.query;
+
+        const dateError = checkDate('encounterDate', encounterDate);
+        if (dateError) {
+            return res.status(400).json({ success: false, error: dateError });
+        }
+        if (seed !== undefined && !isValidSeed(Number(seed))) {
+            return res.status(400).json({
+                success: false,
+                error: `seed must be an integer from 0 to ${MAX_SEED}`
+            });
+        }
+
+        const asteroidData = await fetchAsteroidElements(designation);
+
+        const encounterDateObj = await resolveEncounterDate(asteroidData.orbitalElements, { encounterDate });
+        if (!encounterDateObj) {
+            return res.status(404).json({
+                success: false,
+                error: 'No Earth encounter found in the next 10 years'
+            });
+        }
+
+        const corridor = await calculateImpactCorridor({
+            orbitalElements: asteroidData.orbitalElements,
+            covariance: asteroidData.covariance,
+            encounterDate: encounterDateObj,
+            numSimulations: Math.min(Math.max(parseInt(simulations) || 2000, 1), 5000),
+            windowDays: Math.min(Math.max(parseFloat(windowDays) || 10, 1), 60),
+            seed: seed !== undefined ? Number(seed) : undefined
+        });
+
+        if (download !== undefined) {
+            // attachment() sets the type from the extension, so the explicit type goes last
+            return res.attachment(`${designation.replace(/[^\w-]+/g, '_')}_impact_corridor.geojson`)
+                .type('application/geo+json')
+                .send(JSON.stringify(corridor));
+        }
+
+        res.json({
+            success: true,
+            designation,
+            name: asteroidData.name,
+            corridor
+        });
+    } catch (error) {
+        console.error('Impact corridor error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/risk/deflection/:designation
+ * Kinetic impactor what-if: the Δv from a spacecraft impact and how it changes
+ * the miss distance, b-plane position and impact probability at an encounter
+ * Query: deflectionDate (default now), encounterDate (default: closest approach
+ *        in the 10 years after the deflection), impactorMass (kg), impactorVelocity
+ *        (km/s) and beta (default DART: 580 kg, 6.14 km/s, 3.61), direction
+ *        (retrograde | prograde | radial-out | radial-in | normal | anti-normal),
+ *        asteroidMass (kg) or density (kg/m³, default 2400),
+ *        simulations (default 2000, max 10000), seed
+ */
+router.get('/deflection/:designation', async (req, res) => {
+    try {
+        const { designation } = req.params;
+        const {
+            deflectionDate,
+            encounterDate,
+            direction = 'retrograde',
+            simulations = 2000,
+            seed
+        } = req.query;
+
+        if (!DEFLECTION_DIRECTIONS.includes(direction)) {
+            return res.status(400).json({
+                success: false,
+                error: `direction must be one of: ${DEFLECTION_DIRECTIONS.join(', ')}`
+            });
+        }
+        for (const [name, value] of [['deflectionDate', deflectionDate], ['encounterDate', encounterDate]]) {
+            if (value && isNaN(new Date(value).getTime())) {
+                return res.status(400).json({ success: false, error: `${name} must be a valid date` });
+            }
+        }
+        if (seed !== undefined && !isValidSeed(Number(seed))) {
+            return res.status(400).json({
+                success: false,
+                error: `seed must be an integer from 0 to ${MAX_SEED}`
+            });
+        }
+
+        const physical = {};
+        for (const name of ['impactorMass', 'impactorVelocity', 'beta', 'asteroidMass', 'density']) {
+            if (req.query[name] === undefined) continue;
+            const value = parseFloat(req.query[name]);
+            if (!Number.isFinite(value) || value <= 0) {
+                return res.status(400).json({ success: false, error: `${name} must be a positive number` });
+            }
+            physical[name] = value;
+        }
+        if (physical.beta !== undefined && physical.beta < 1) {
+            return res.status(400).json({ success: false, error: 'beta must be at least 1' });
+        }
+
+        const plan = await planDeflection({
+            designation,
+            ...physical,
+            direction,
+            deflectionDate: deflectionDate ? new Date(deflectionDate) : undefined,
+            encounterDate: encounterDate ? new Date(encounterDate) : undefined,
+            numSimulations: Math.min(Math.max(parseInt(simulations) || 2000, 1), 10000),
+            seed: seed !== undefined ? Number(seed) : undefined
+        });
+
+        res.json({
+            success: true,
+            plan
+        });
+    } catch (error) {
+        console.error('Deflection planning error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * POST /api/risk/batch
  * Batch risk assessment for multiple asteroids
@@ -65,7 +412,7 @@ router.post('/batch', async (req, res) => {
         }
 
         // Limit batch size
-        const limitedAsteroids = asteroids.slice(0, 100);
+        const limitedAsteroids = asteroids.slice(0, MAX_BATCH_SIZE);
 
         const assessments = await batchAssessRisk(limitedAsteroids);
 
@@ -83,6 +430,123 @@ router.post('/batch', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/risk/jobs
+ * Start a risk assessment in the background
+ * Body: { type: 'assess', designation, ...the /assess query parameters }
+ *    or { type: 'batch', asteroids: [...] } (up to 100, as for /batch)
+ * Responds 202 with the job; follow it with GET /api/risk/jobs/:jobId or
+ * the risk_job:* socket.io events after emitting risk_job:subscribe <jobId>
+ */
+router.post('/jobs', async (req, res) => {
+    try {
+        const { type = 'assess', designation, asteroids, ...rest } = req.body ?? {};
+        let job;
+
+        if (type === 'assess') {
+            if (!designation) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'designation is required'
+                });
+            }
+
+            const { options, error } = parseAssessOptions(rest);
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            job = await createRiskJob('assess', { designation: String(designation), ...options });
+        } else if (type === 'batch') {
+            if (!Array.isArray(asteroids) || asteroids.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Request must include an array of asteroids'
+                });
+            }
+
+            job = await createRiskJob('batch', { asteroids: asteroids.slice(0, MAX_BATCH_SIZE) });
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: 'type must be assess or batch'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        console.error('Risk job creation error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/risk/jobs/:jobId
+ * Status, progress and (when finished) results of a risk job
+ */
+router.get('/jobs/:jobId', async (req, res) => {
+    try {
+        const job = await getRiskJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/risk/jobs/:jobId/cancel
+ * Cancel a queued or running risk job
+ */
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+    try {
+        const job = await cancelRiskJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+        if (job.status !== 'cancelled') {
+            return res.status(409).json({
+                success: false,
+                error: `Job already ${job.status}`,
+                job
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/risk/quick
  * Quick risk score calculation (no Monte Carlo)
@@ -118,6 +582,63 @@ router.get('/quick', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/risk/impact-effects
+ * Airburst or crater, air blast, thermal and seismic effects of an impact
+ * Query: diameter (m), velocity (km/s at entry), density (kg/m³, default 3000),
+ *        angle (degrees above horizontal, default 45),
+ *        target (sedimentary | crystalline | water, default sedimentary),
+ *        waterDepth (m, default 3700; water target only)
+ */
+router.get('/impact-effects', (req, res) => {
+    try {
+        const { diameter, velocity, density = 3000, angle = 45, target = 'sedimentary', waterDepth = 3700 } = req.query;
+        const params = {
+            diameter: parseFloat(diameter),
+            velocity: parseFloat(velocity),
+            density: parseFloat(density),
+            angle: parseFloat(angle),
+            targetType: target,
+            waterDepth: parseFloat(waterDepth)
+        };
+
+        if (!(params.diameter > 0) || !(params.velocity > 0) || !(params.density > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'diameter, velocity and density must be positive numbers'
+            });
+        }
+        if (!(params.angle > 0 && params.angle <= 90)) {
+            return res.status(400).json({
+                success: false,
+                error: 'angle must be between 0 and 90 degrees'
+            });
+        }
+        if (!TARGET_TYPES[target]) {
+            return res.status(400).json({
+                success: false,
+                error: `target must be one of: ${Object.keys(TARGET_TYPES).join(', ')}`
+            });
+        }
+        if (target === 'water' && !(params.waterDepth >= 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'waterDepth must be a non-negative number of meters'
+            });
+        }
+
+        res.json({
+            success: true,
+            effects: calculateImpactEffects(params)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/risk/torino-scale
  * Get Torino Scale reference information
@@ -129,6 +650,22 @@ router.get('/torino-scale', (req, res) => {
     });
 });
 
+/**
+ * GET /api/risk/palermo-scale
+ * Get Palermo Scale reference information
+ */
+router.get('/palermo-scale', (req, res) => {
+    res.json({
+        success: true,
+        formula: 'PS = log10(p / (fB * T)), fB = 0.03 * E^(-0.8) per year (E in megatons TNT, T in years)',
+        bands: PALERMO_BANDS.map(({ min, zone, description }) => ({
+            min: Number.isFinite(min) ? min : null,
+            zone,
+            description
+        }))
+    });
+});
+
 /**
  * GET /api/risk/stats
  * Get risk assessment statistics
@@ -0,0 +1,105 @@
+/**
+ * Catalog import / export from the command line
+ *
+ * Loads an MPCORB.DAT or SBDB CSV file (optionally gzipped) into the
+ * Asteroid collection, or writes the collection out in either format.
+ * Needs only MONGO_URI, so it works without access to the NASA APIs.
+ *
+ *   node scripts/catalog.js import <file> [--format mpcorb|sbdb-csv] [--neo-only]
+ *   node scripts/catalog.js export <file> [--format mpcorb|sbdb-csv] [--kind asteroid|comet] [--pha-only]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const connectToDB = require('../database/db');
+const { importCatalog, exportCatalog, CATALOG_FORMATS } = require('../services/dataIngestion.service');
+
+const USAGE = [
+    'Usage:',
+    '  node scripts/catalog.js import <file> [--format mpcorb|sbdb-csv] [--neo-only]',
+    '  node scripts/catalog.js export <file> [--format mpcorb|sbdb-csv] [--kind asteroid|comet] [--pha-only]'
+].join('\n');
+
+/**
+ * Split argv into positional arguments and --options
+ */
+function parseArguments(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let k = 0; k < argv.length; k++) {
+        const arg = argv[k];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+        } else if (['--format', '--kind'].includes(arg)) {
+            options[arg.slice(2)] = argv[++k];
+        } else {
+            options[arg.slice(2)] = true;
+        }
+    }
+
+    return { positional, options };
+}
+
+/**
+ * Format implied by a file name, e.g. NEA.txt.gz → mpcorb, sbdb_query_results.csv → sbdb-csv
+ */
+function formatFromFileName(file) {
+    const name = file.replace(/\.gz$/, '');
+    if (name.endsWith('.csv')) return 'sbdb-csv';
+    if (name.endsWith('.dat') || name.endsWith('.txt')) return 'mpcorb';
+    return undefined;
+}
+
+async function main() {
+    const { positional: [command, file], options } = parseArguments(process.argv.slice(2));
+
+    if (!['import', 'export'].includes(command) || !file) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const format = options.format ?? formatFromFileName(file);
+    if (format && !CATALOG_FORMATS.includes(format)) {
+        console.error(`Unknown format ${format} (use ${CATALOG_FORMATS.join(', ')})`);
+        process.exit(1);
+    }
+
+    await connectToDB();
+
+    if (command === 'import') {
+        let input = fs.createReadStream(file);
+        if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+
+        const result = await importCatalog(input, { format, neoOnly: Boolean(options['neo-only']) });
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        const sink = fs.createWriteStream(file);
+        let output = sink;
+        if (file.endsWith('.gz')) {
+            output = zlib.createGzip();
+            output.pipe(sink);
+        }
+
+        const result = await exportCatalog(output, {
+            format: format ?? 'sbdb-csv',
+            kind: options.kind,
+            phaOnly: Boolean(options['pha-only'])
+        });
+
+        output.end();
+        await new Promise((resolve, reject) => sink.on('finish', resolve).on('error', reject));
+        console.log(`Exported ${result.exported} objects as ${result.format} (${result.skipped} skipped)`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Catalog command failed:', error.message);
+    process.exit(1);
+});
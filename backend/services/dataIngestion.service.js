@@ -2,13 +2,27 @@
  * Data Ingestion Service
  * 
  * Automated pipeline for syncing asteroid data from NASA APIs
- * into MongoDB with Redis caching layer.
+ * into MongoDB with Redis caching layer. Catalog files (MPCORB.DAT or SBDB
+ * CSV) can also be streamed in from disk for offline deployments.
  */
 
 const axios = require('axios');
+const readline = require('readline');
+const { once } = require('events');
 const Asteroid = require('../models/asteroid');
 const redisClient = require('../utils/redisClient');
-const { fetchNEOCatalog, fetchAsteroidElements } = require('./ephemeris.service');
+const { fetchNEOCatalog, fetchAsteroidElements, parseSbdbRecord } = require('./ephemeris.service');
+const { calculateEarthMOID } = require('../utils/moid');
+const {
+    createMPCORBReader,
+    formatMPCORBLine,
+    createSbdbCsvReader,
+    sbdbKind,
+    formatSbdbCsvLine,
+    MPCORB_HEADER,
+    SBDB_CSV_COLUMNS,
+    SBDB_CLASSES
+} = require('../utils/catalogFormats');
 
 // NASA APIs
 const NASA_NEO_API = 'https://api.nasa.gov/neo/rest/v1';
@@ -20,7 +34,9 @@ const CONFIG = {
     MAX_RETRIES: 3,            // Max retries for failed API calls
     RETRY_DELAY: 2000,         // Delay between retries (ms)
     RATE_LIMIT_DELAY: 100,     // Delay between API calls (ms)
-    FULL_SYNC_LIMIT: 10000     // Max asteroids for full sync
+    FULL_SYNC_LIMIT: 10000,    // Max asteroids for full sync
+    IMPORT_BATCH_SIZE: 1000,   // Catalog file records per bulk write
+    MAX_REPORTED_ERRORS: 100   // Skipped lines listed in an import report
 };
 
 // Ingestion stats
@@ -151,7 +167,7 @@ async function fullNEOSync({ limit = CONFIG.FULL_SYNC_LIMIT, phaOnly = false } =
 
     try {
         // Fetch from SBDB
-        const catalog = await fetchNEOCatalog({ limit, phaOnly });
+        const catalog = await fetchNEOCatalog({ limit, phaOnly, kind: 'all' });
         console.log(`Fetched ${catalog.length} NEOs from SBDB`);
 
         let created = 0;
@@ -168,9 +184,13 @@ async function fullNEOSync({ limit = CONFIG.FULL_SYNC_LIMIT, phaOnly = false } =
                     if (existing) {
                         // Update orbital elements
                         existing.orbitalElements = neo.orbitalElements;
+                        existing.kind = neo.kind;
                         existing.isPHA = neo.isPHA;
                         existing.absoluteMagnitude = neo.absoluteMagnitude;
+                        existing.moid = neo.moid;
                         if (neo.diameter) existing.diameter = neo.diameter;
+                        if (neo.cometMagnitude) existing.cometMagnitude = neo.cometMagnitude;
+                        if (neo.nonGravitational) existing.nonGravitational = neo.nonGravitational;
                         await existing.save();
                         updated++;
                     } else {
@@ -178,12 +198,16 @@ async function fullNEOSync({ limit = CONFIG.FULL_SYNC_LIMIT, phaOnly = false } =
                         await Asteroid.create({
                             name: neo.name,
                             spkId: neo.spkId,
+                            kind: neo.kind,
                             isHazardous: neo.isPHA,
                             isPHA: neo.isPHA,
                             absoluteMagnitude: neo.absoluteMagnitude,
                             diameter: neo.diameter,
                             orbitalElements: neo.orbitalElements,
-                            orbitClass: 'NEO'
+                            moid: neo.moid,
+                            cometMagnitude: neo.cometMagnitude,
+                            nonGravitational: neo.nonGravitational,
+                            orbitClass: neo.kind === 'comet' ? 'Comet' : 'NEO'
                         });
                         created++;
                     }
@@ -223,6 +247,246 @@ async function fullNEOSync({ limit = CONFIG.FULL_SYNC_LIMIT, phaOnly = false } =
     }
 }
 
+/**
+ * Read SBDB CSV rows as catalog objects
+ */
+function createSbdbCatalogReader() {
+    const readRow = createSbdbCsvReader();
+
+    return (line) => {
+        const row = readRow(line);
+        if (!row) return null;
+
+        const record = parseSbdbRecord(row, sbdbKind(row));
+        if (!record) throw new Error('missing orbital elements');
+
+        const { semiMajorAxis: a, eccentricity: e, perihelionDistance } = record.orbitalElements;
+        return {
+            ...record,
+            // Without a neo column, fall back to the perihelion distance
+            isNEO: row.neo ? record.isNEO : (perihelionDistance ?? a * (1 - e)) < 1.3,
+            orbitClass: SBDB_CLASSES[row.class] ?? null
+        };
+    };
+}
+
+// Catalog file formats: line reader factory for import, header and line writer for export
+const CATALOG_FORMATS = {
+    'mpcorb': {
+        createReader: createMPCORBReader,
+        header: MPCORB_HEADER,
+        write: formatMPCORBLine,
+        query: { kind: 'asteroid' }
+    },
+    'sbdb-csv': {
+        createReader: createSbdbCatalogReader,
+        header: [SBDB_CSV_COLUMNS.join(',')],
+        write: formatSbdbCsvLine,
+        query: {}
+    }
+};
+
+/**
+ * Guess a catalog file's format from its first non-blank line
+ */
+function detectCatalogFormat(line) {
+    return /(^|,)"?(spkid|full_name|pdes)"?(,|$)/.test(line) ? 'sbdb-csv' : 'mpcorb';
+}
+
+/**
+ * Bulk write operation storing one catalog record
+ * Records are matched on SPK-ID (numbered and SBDB objects) or, failing that,
+ * on name; names already in the collection are kept.
+ */
+function catalogUpsert(record) {
+    const { spkId, name, kind, isPHA, orbitalElements, orbitClass } = record;
+
+    let moid = record.moid ?? null;
+    if (moid === null) {
+        try {
+            moid = calculateEarthMOID(orbitalElements);
+        } catch (error) {
+            moid = null;
+        }
+    }
+
+    const $set = { kind, isPHA, absoluteMagnitude: record.absoluteMagnitude, orbitalElements, moid };
+    const $setOnInsert = { nasaId: spkId ?? name, name, isHazardous: isPHA };
+
+    if (spkId) $set.spkId = spkId;
+    if (record.diameter) $set.diameterMetersMax = record.diameter * 1000;
+    if (record.cometMagnitude) $set.cometMagnitude = record.cometMagnitude;
+    if (record.nonGravitational) $set.nonGravitational = record.nonGravitational;
+    if (orbitClass) {
+        $set.orbitClass = orbitClass;
+    } else {
+        $setOnInsert.orbitClass = kind === 'comet' ? 'Comet' : 'NEO';
+    }
+
+    return {
+        updateOne: {
+            // NeoWs ids are SPK-IDs, so records created from the feed match too
+            filter: spkId ? { $or: [{ spkId }, { nasaId: spkId }] } : { name },
+            update: { $set, $setOnInsert },
+            upsert: true
+        }
+    };
+}
+
+/**
+ * Import an MPCORB or SBDB CSV catalog file
+ * The file is read line by line and written in batches, so the full NEO
+ * catalog loads without holding it in memory.
+ * 
+ * @param {Readable} input - File contents (already decompressed)
+ * @param {Object} options - {format: 'mpcorb' | 'sbdb-csv' (detected if omitted), neoOnly}
+ * @returns {Object} {status, format, read, created, updated, filtered, skipped, errors}
+ */
+async function importCatalog(input, { format, neoOnly = false } = {}) {
+    if (format && !CATALOG_FORMATS[format]) {
+        throw new Error(`Unknown catalog format: ${format} (use ${Object.keys(CATALOG_FORMATS).join(', ')})`);
+    }
+    if (ingestionStats.isRunning) {
+        console.log('Sync already in progress, skipping...');
+        return { status: 'skipped', reason: 'already_running' };
+    }
+
+    ingestionStats.isRunning = true;
+    ingestionStats.asteroidsProcessed = 0;
+    ingestionStats.errors = [];
+
+    const totals = { read: 0, created: 0, updated: 0, filtered: 0, skipped: 0 };
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        const operations = batch.map(catalogUpsert);
+        batch = [];
+
+        let result;
+        try {
+            result = await Asteroid.bulkWrite(operations, { ordered: false });
+        } catch (error) {
+            // Unordered writes carry on past failed records; note them and keep the rest
+            if (!error.writeErrors) throw error;
+            result = error.result;
+            for (const writeError of [].concat(error.writeErrors)) {
+                totals.skipped++;
+                if (ingestionStats.errors.length < CONFIG.MAX_REPORTED_ERRORS) {
+                    ingestionStats.errors.push({ error: writeError.errmsg ?? writeError.message });
+                }
+            }
+        }
+
+        totals.created += result.upsertedCount;
+        totals.updated += result.matchedCount;
+        ingestionStats.asteroidsProcessed += operations.length;
+        console.log(`Imported ${ingestionStats.asteroidsProcessed} catalog records`);
+    };
+
+    try {
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        let read = null;
+        let lineNumber = 0;
+
+        for await (const line of lines) {
+            lineNumber++;
+
+            if (!read) {
+                if (!line.trim()) continue;
+                format = format ?? detectCatalogFormat(line);
+                read = CATALOG_FORMATS[format].createReader();
+                console.log(`Importing ${format} catalog (NEOs only: ${neoOnly})...`);
+            }
+
+            let record;
+            try {
+                record = read(line);
+            } catch (error) {
+                totals.skipped++;
+                if (ingestionStats.errors.length < CONFIG.MAX_REPORTED_ERRORS) {
+                    ingestionStats.errors.push({ line: lineNumber, error: error.message });
+                }
+                continue;
+            }
+
+            if (!record) continue;
+            totals.read++;
+
+            if (neoOnly && !record.isNEO) {
+                totals.filtered++;
+                continue;
+            }
+
+            batch.push(record);
+            if (batch.length >= CONFIG.IMPORT_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        // Clear catalog cache to force refresh
+        await redisClient.delPattern('neo:catalog:*');
+
+        ingestionStats.lastFullSync = new Date();
+
+        console.log(`Catalog import complete: ${totals.created} created, ${totals.updated} updated, ${totals.skipped} skipped`);
+
+        return {
+            status: 'complete',
+            format: format ?? null,
+            ...totals,
+            errors: ingestionStats.errors
+        };
+    } catch (error) {
+        console.error('Catalog import failed:', error.message);
+        throw error;
+    } finally {
+        ingestionStats.isRunning = false;
+    }
+}
+
+/**
+ * Write the Asteroid collection as an MPCORB or SBDB CSV catalog file
+ * MPCORB files only hold asteroids on elliptic orbits; other objects are skipped.
+ * 
+ * @param {Writable} output - Destination stream (left open)
+ * @param {Object} options - {format: 'mpcorb' | 'sbdb-csv', kind, phaOnly}
+ * @returns {Object} {format, exported, skipped}
+ */
+async function exportCatalog(output, { format = 'sbdb-csv', kind, phaOnly = false } = {}) {
+    const handler = CATALOG_FORMATS[format];
+    if (!handler) {
+        throw new Error(`Unknown catalog format: ${format} (use ${Object.keys(CATALOG_FORMATS).join(', ')})`);
+    }
+
+    const query = { ...handler.query, 'orbitalElements.eccentricity': { $ne: null } };
+    if (kind) query.kind = kind;
+    if (phaOnly) query.isPHA = true;
+
+    // Respect backpressure so large exports don't buffer in memory
+    const write = async (text) => {
+        if (!output.write(text)) await once(output, 'drain');
+    };
+
+    await write(handler.header.join('\n') + '\n');
+
+    let exported = 0;
+    let skipped = 0;
+
+    for await (const asteroid of Asteroid.find(query).lean().cursor()) {
+        let line;
+        try {
+            line = handler.write(asteroid);
+        } catch (error) {
+            skipped++;
+            continue;
+        }
+        await write(line + '\n');
+        exported++;
+    }
+
+    return { format, exported, skipped };
+}
+
 /**
  * Fetch detailed elements for a specific asteroid and cache
  * @param {string} designation - Asteroid designation
@@ -246,8 +510,13 @@ async function fetchAndCacheAsteroid(designation) {
         {
             $set: {
                 orbitalElements: elements.orbitalElements,
+                kind: elements.kind,
                 isPHA: elements.isPHA,
-                absoluteMagnitude: elements.absoluteMagnitude
+                absoluteMagnitude: elements.absoluteMagnitude,
+                moid: elements.moid,
+                cometMagnitude: elements.cometMagnitude,
+                nonGravitational: elements.nonGravitational,
+                covariance: elements.covariance
             }
         },
         { upsert: false }
@@ -284,7 +553,10 @@ module.exports = {
     fetchCloseApproaches,
     syncCloseApproaches,
     fullNEOSync,
+    importCatalog,
+    exportCatalog,
     fetchAndCacheAsteroid,
     getStats,
-    clearCaches
+    clearCaches,
+    CATALOG_FORMATS: Object.keys(CATALOG_FORMATS)
 };
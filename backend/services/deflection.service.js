@@ -0,0 +1,332 @@
+/**
+ * Deflection Service - Kinetic Impactor What-If Scenarios
+ *
+ * A spacecraft of mass m striking the asteroid at relative speed U changes
+ * its velocity by
+ *
+ *   Δv = β m U / M
+ *
+ * where M is the asteroid's mass and β the momentum enhancement factor
+ * (1 for a perfectly inelastic hit; ejecta thrown back off the surface push
+ * it higher, to about 3.6 for DART at Dimorphos). The Δv is applied to the
+ * heliocentric state on the deflection date, and the deflected orbit is
+ * compared with the nominal one at the target Earth encounter: the miss
+ * distance, the b-plane shift and the Monte Carlo impact probability.
+ *
+ * Both orbits are two-body, like the Monte Carlo simulator, so the change
+ * is due to the deflection alone.
+ */
+
+const {
+    fetchAsteroidElements,
+    propagateTrajectory,
+    findClosestApproach
+} = require('./ephemeris.service');
+const {
+    elementsToStateVector,
+    stateVectorToElements,
+    dateToJulianDate,
+    julianDateToDate,
+    convertTimescale,
+    AU_TO_KM,
+    GM_SUN,
+    SECONDS_PER_DAY
+} = require('../utils/keplerianElements');
+const { getBodyState, getBodyProperties } = require('../utils/closeApproach');
+const { calculateBPlane, focusedRadius } = require('../utils/bPlane');
+const { runSimulationInPool } = require('../utils/simulationPool');
+const { randomSeed, isValidSeed, MAX_SEED } = require('../utils/random');
+const { estimateDiameter } = require('../utils/riskEngine');
+
+// DART at Dimorphos (Cheng et al. 2023)
+const DART_IMPACTOR = {
+    impactorMass: 580,          // kg at impact
+    impactorVelocity: 6.14,     // km/s relative to the target
+    beta: 3.61
+};
+
+const DEFAULT_DENSITY = 2400;   // kg/m³, Dimorphos bulk density
+const DEFAULT_SIMULATIONS = 2000;
+const ENCOUNTER_WINDOW_DAYS = 30;      // Search half-width for the deflected encounter
+const TRAJECTORY_DAYS = 3;              // Distance history half-width around the encounter
+const TRAJECTORY_STEPS = 241;
+const MS_PER_DAY = SECONDS_PER_DAY * 1000;
+
+// Push directions, in the asteroid's heliocentric orbital frame
+const DEFLECTION_DIRECTIONS = ['retrograde', 'prograde', 'radial-out', 'radial-in', 'normal', 'anti-normal'];
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+});
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const unit = (a) => scale(a, 1 / Math.sqrt(dot(a, a)));
+
+/**
+ * Unit vector of a push direction at a heliocentric state
+ *
+ * @param {Object} state - {x, y, z, vx, vy, vz}
+ * @param {string} direction - One of DEFLECTION_DIRECTIONS
+ * @returns {Object} Unit vector {x, y, z}
+ */
+function directionVector(state, direction) {
+    const r = unit({ x: state.x, y: state.y, z: state.z });
+    const v = unit({ x: state.vx, y: state.vy, z: state.vz });
+    const h = unit(cross(r, v));
+
+    switch (direction) {
+        case 'prograde': return v;
+        case 'retrograde': return scale(v, -1);
+        case 'radial-out': return r;
+        case 'radial-in': return scale(r, -1);
+        case 'normal': return h;
+        case 'anti-normal': return scale(h, -1);
+        default:
+            throw new Error(`direction must be one of: ${DEFLECTION_DIRECTIONS.join(', ')}`);
+    }
+}
+
+/**
+ * Velocity change from a kinetic impactor
+ *
+ * @param {Object} params - {impactorMass (kg), impactorVelocity (km/s), beta, asteroidMass (kg)}
+ * @returns {number} Δv in m/s
+ */
+function kineticImpactorDeltaV({ impactorMass, impactorVelocity, beta, asteroidMass }) {
+    return beta * impactorMass * impactorVelocity * 1000 / asteroidMass;
+}
+
+/**
+ * Orbital elements after an instantaneous Δv
+ *
+ * @param {Object} orbitalElements - Elements before the deflection
+ * @param {number} jd - Julian Date of the deflection
+ * @param {Object} deltaV - Velocity change {x, y, z} in m/s
+ * @returns {Object} Osculating elements with epoch jd
+ */
+function applyDeltaV(orbitalElements, jd, deltaV) {
+    const state = elementsToStateVector(orbitalElements, jd);
+    const toAuPerDay = SECONDS_PER_DAY / (AU_TO_KM * 1000);
+
+    return stateVectorToElements({
+        ...state,
+        vx: state.vx + deltaV.x * toAuPerDay,
+        vy: state.vy + deltaV.y * toAuPerDay,
+        vz: state.vz + deltaV.z * toAuPerDay
+    }, jd);
+}
+
+/**
+ * Move an SBDB covariance onto the deflected orbit
+ * The covariance keeps its shape; its nominal cometary elements are shifted by
+ * the change the deflection makes to the orbit at the covariance epoch.
+ *
+ * @returns {Object} Covariance {epoch, labels, elements, matrix}
+ */
+function shiftCovariance(covariance, nominalElements, deflectedElements) {
+    const before = stateVectorToElements(elementsToStateVector(nominalElements, covariance.epoch), covariance.epoch);
+    const after = stateVectorToElements(elementsToStateVector(deflectedElements, covariance.epoch), covariance.epoch);
+    // tp is the last perihelion before the epoch, so on an ellipse it can jump by a period
+    const period = before.semiMajorAxis > 0 ? 2 * Math.PI * Math.sqrt(before.semiMajorAxis ** 3 / GM_SUN) : Infinity;
+    const wrap = (delta, range) => (Number.isFinite(range) ? delta - range * Math.round(delta / range) : delta);
+
+    const change = {
+        e: after.eccentricity - before.eccentricity,
+        q: after.perihelionDistance - before.perihelionDistance,
+        tp: wrap(after.timeOfPerihelion - before.timeOfPerihelion, period),
+        om: wrap(after.longitudeAscNode - before.longitudeAscNode, 360),
+        w: wrap(after.argPerihelion - before.argPerihelion, 360),
+        i: after.inclination - before.inclination
+    };
+
+    return {
+        ...covariance,
+        elements: covariance.elements.map((value, k) => value + (change[covariance.labels[k]] ?? 0))
+    };
+}
+
+/**
+ * Earth encounter of an orbit near a date, with its b-plane coordinates
+ *
+ * @returns {Object|null} {date, julianDate, distanceKm, xi, zeta, b, vInfinityKmS, impact}
+ */
+function encounterNear(orbitalElements, date, windowDays) {
+    const approach = findClosestApproach(
+        orbitalElements,
+        new Date(date.getTime() - windowDays * MS_PER_DAY),
+        new Date(date.getTime() + windowDays * MS_PER_DAY),
+        { perturbations: false }
+    );
+    if (approach.rangeLimit) return null;
+
+    const { gm, radiusKm } = getBodyProperties('earth');
+    const { xi, zeta, b, U } = calculateBPlane(approach, getBodyState('earth', approach.julianDate));
+
+    return {
+        date: approach.date,
+        julianDate: approach.julianDate,
+        distanceKm: approach.distanceKm,
+        xi,
+        zeta,
+        b,
+        vInfinityKmS: U,
+        impact: b < focusedRadius(radiusKm, gm, U)
+    };
+}
+
+/**
+ * Plan a kinetic impactor deflection and compare the encounter before and after
+ *
+ * @param {Object} options - Scenario
+ * @param {string} options.designation - Asteroid designation
+ * @param {Date} options.encounterDate - Target Earth encounter (default: closest approach in the 10 years after the deflection)
+ * @param {Date} options.deflectionDate - Date of the impact (default: now)
+ * @param {number} options.impactorMass - Spacecraft mass at impact, kg (default DART)
+ * @param {number} options.impactorVelocity - Impact speed relative to the asteroid, km/s (default DART)
+ * @param {number} options.beta - Momentum enhancement factor (default DART)
+ * @param {string} options.direction - Push direction, one of DEFLECTION_DIRECTIONS (default retrograde)
+ * @param {number} options.asteroidMass - Asteroid mass, kg (default: from the diameter and density)
+ * @param {number} options.density - Bulk density for the mass estimate, kg/m³ (default 2400)
+ * @param {number} options.numSimulations - Monte Carlo samples per orbit (default 2000)
+ * @param {number} options.seed - Monte Carlo seed, shared by both orbits (optional)
+ * @returns {Promise<Object>} Deflection, orbit change, encounters, impact probabilities and the
+ *          Earth distance of both orbits in the days around the encounter
+ */
+async function planDeflection({
+    designation,
+    encounterDate,
+    deflectionDate = new Date(),
+    impactorMass = DART_IMPACTOR.impactorMass,
+    impactorVelocity = DART_IMPACTOR.impactorVelocity,
+    beta = DART_IMPACTOR.beta,
+    direction = 'retrograde',
+    asteroidMass,
+    density = DEFAULT_DENSITY,
+    numSimulations = DEFAULT_SIMULATIONS,
+    seed = randomSeed()
+}) {
+    if (!isValidSeed(seed)) {
+        throw new Error(`Seed must be an integer from 0 to ${MAX_SEED}`);
+    }
+
+    const asteroid = await fetchAsteroidElements(designation);
+    const { orbitalElements, covariance } = asteroid;
+
+    // Target encounter
+    let target = encounterDate;
+    if (!target) {
+        const closest = findClosestApproach(
+            orbitalElements,
+            deflectionDate,
+            new Date(deflectionDate.getTime() + 10 * 365.25 * MS_PER_DAY),
+            { perturbations: false }
+        );
+        if (closest.rangeLimit) {
+            throw new Error('No Earth encounter found in the 10 years after the deflection');
+        }
+        target = closest.date;
+    }
+    if (deflectionDate >= target) {
+        throw new Error('The deflection must come before the encounter');
+    }
+
+    // Δv
+    const diameterKm = asteroid.diameter || estimateDiameter(asteroid.absoluteMagnitude);
+    const mass = asteroidMass || density * (Math.PI / 6) * (diameterKm * 1000) ** 3;
+    const deltaVMs = kineticImpactorDeltaV({ impactorMass, impactorVelocity, beta, asteroidMass: mass });
+
+    const deflectionJD = convertTimescale(dateToJulianDate(deflectionDate), 'UTC', 'TDB');
+    const push = directionVector(elementsToStateVector(orbitalElements, deflectionJD), direction);
+    const deflectedElements = applyDeltaV(orbitalElements, deflectionJD, scale(push, deltaVMs));
+    const before = stateVectorToElements(elementsToStateVector(orbitalElements, deflectionJD), deflectionJD);
+    const periodDays = (a) => 2 * Math.PI * Math.sqrt(a ** 3 / GM_SUN);
+
+    // Encounters
+    const nominal = encounterNear(orbitalElements, target, ENCOUNTER_WINDOW_DAYS);
+    if (!nominal) {
+        throw new Error(`No Earth encounter within ${ENCOUNTER_WINDOW_DAYS} days of ${target.toISOString()}`);
+    }
+    const deflected = encounterNear(deflectedElements, nominal.date, ENCOUNTER_WINDOW_DAYS);
+    if (!deflected) {
+        throw new Error('The deflected orbit no longer has an encounter near the target date');
+    }
+
+    // Impact probability, with the same random numbers for both orbits
+    const simulation = { numSimulations, seed };
+    const [ipBefore, ipAfter] = await Promise.all([
+        runSimulationInPool({
+            ...simulation,
+            orbitalElements,
+            covariance,
+            encounterDate: nominal.date
+        }),
+        runSimulationInPool({
+            ...simulation,
+            orbitalElements: deflectedElements,
+            covariance: covariance ? shiftCovariance(covariance, orbitalElements, deflectedElements) : null,
+            encounterDate: deflected.date
+        })
+    ]);
+
+    // Earth distance of both orbits through the encounter
+    const trajectoryStart = new Date(nominal.date.getTime() - TRAJECTORY_DAYS * MS_PER_DAY);
+    const trajectoryEnd = new Date(nominal.date.getTime() + TRAJECTORY_DAYS * MS_PER_DAY);
+    const nominalPath = propagateTrajectory(orbitalElements, trajectoryStart, trajectoryEnd, TRAJECTORY_STEPS);
+    const deflectedPath = propagateTrajectory(deflectedElements, trajectoryStart, trajectoryEnd, TRAJECTORY_STEPS);
+
+    return {
+        designation: asteroid.designation,
+        name: asteroid.name,
+        deflection: {
+            date: julianDateToDate(convertTimescale(deflectionJD, 'TDB', 'UTC')),
+            direction,
+            impactorMassKg: impactorMass,
+            impactorVelocityKmS: impactorVelocity,
+            beta,
+            asteroidDiameterKm: diameterKm,
+            asteroidMassKg: mass,
+            asteroidMassEstimated: !asteroidMass,
+            deltaVMs,
+            leadTimeDays: nominal.julianDate - deflectionJD
+        },
+        orbitChange: {
+            semiMajorAxis: { before: before.semiMajorAxis, after: deflectedElements.semiMajorAxis },
+            eccentricity: { before: before.eccentricity, after: deflectedElements.eccentricity },
+            inclination: { before: before.inclination, after: deflectedElements.inclination },
+            periodChangeSeconds: before.semiMajorAxis && deflectedElements.semiMajorAxis
+                ? (periodDays(deflectedElements.semiMajorAxis) - periodDays(before.semiMajorAxis)) * SECONDS_PER_DAY
+                : null
+        },
+        encounter: {
+            nominal,
+            deflected,
+            timeShiftSeconds: (deflected.julianDate - nominal.julianDate) * SECONDS_PER_DAY,
+            missDistanceChangeKm: deflected.distanceKm - nominal.distanceKm,
+            zetaShiftKm: deflected.zeta - nominal.zeta,
+            earthRadiusKm: getBodyProperties('earth').radiusKm
+        },
+        impactProbability: {
+            before: ipBefore.impactProbability,
+            after: ipAfter.impactProbability,
+            samples: ipBefore.sampleCount,
+            uncertaintyModel: ipBefore.uncertaintyModel,
+            seed: ipBefore.seed,
+            engineVersion: ipBefore.engineVersion
+        },
+        trajectory: nominalPath.map((point, k) => ({
+            date: point.date,
+            nominalDistanceKm: point.distanceKm,
+            deflectedDistanceKm: deflectedPath[k].distanceKm
+        }))
+    };
+}
+
+module.exports = {
+    planDeflection,
+    kineticImpactorDeltaV,
+    applyDeltaV,
+    DART_IMPACTOR,
+    DEFLECTION_DIRECTIONS
+};
@@ -9,33 +9,235 @@ const axios = require('axios');
 const {
     keplerToCartesian,
     calculateVelocity,
+    elementsToStateVector,
     dateToJulianDate,
     julianDateToDate,
-    getEarthElements,
+    convertTimescale,
+    resolveReferenceFrame,
+    toReferenceFrame,
     getMoonPosition,
-    getJupiterElements,
-    calculatePerturbation,
     AU_TO_KM,
-    JUPITER_MASS_RATIO,
-    EARTH_MASS_RATIO,
-    MOON_MASS_RATIO
+    DEG_TO_RAD,
+    TIMESCALES
 } = require('../utils/keplerianElements');
+const {
+    getPlanetPosition,
+    getPlanetVelocity,
+    getAllPlanetPositions,
+    getBarycenterState
+} = require('../utils/planetaryEphemeris');
+const {
+    eclipticToEquatorial,
+    greenwichMeanSiderealTime,
+    precessEquatorial,
+    observerGeocentricPosition,
+    vectorToRaDec,
+    equatorialToHorizontal,
+    angleBetween,
+    apparentMagnitude,
+    cometApparentMagnitude,
+    formatRightAscension,
+    formatDeclination,
+    SPEED_OF_LIGHT_AU_DAY
+} = require('../utils/observerGeometry');
+const { integrate, propagateStates } = require('../utils/nBodyIntegrator');
+const { calculateEarthMOID } = require('../utils/moid');
+const {
+    findCloseApproaches: searchCloseApproaches,
+    approachAt,
+    DEFAULT_OPTIONS: CLOSE_APPROACH_DEFAULTS
+} = require('../utils/closeApproach');
+const { isHypotheticalDesignation, getHypotheticalObject } = require('./orbitDetermination.service');
+const { runTasks } = require('../utils/simulationPool');
 
 // NASA Small-Body Database API
 const SBDB_API_URL = 'https://ssd-api.jpl.nasa.gov/sbdb.api';
 const SBDB_QUERY_URL = 'https://ssd-api.jpl.nasa.gov/sbdb_query.api';
+const ENCOUNTER_SEARCH_YEARS = 10;      // Look-ahead for a default encounter date
+
+/**
+ * Read a named numeric value from an SBDB field list
+ * SBDB returns orbital elements and physical parameters as arrays of
+ * {name, value, sigma}; keyed objects are accepted as well.
+ * 
+ * @param {Array|Object} fields - SBDB field list
+ * @param {string} name - Field name (e.g. "a", "H")
+ * @returns {number|null} Parsed value or null if missing
+ */
+function readSbdbValue(fields, name) {
+    if (!fields) return null;
+
+    const raw = Array.isArray(fields)
+        ? fields.find(field => field.name === name)?.value
+        : fields[name];
+
+    const value = parseFloat(raw);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Read the comet magnitude parameters (M1/K1 total, M2/K2 nuclear)
+ * 
+ * @param {Array|Object} fields - SBDB physical parameter list or query row
+ * @returns {Object|null} {M1, K1, M2, K2} or null if none are present
+ */
+function readCometMagnitude(fields) {
+    const magnitude = {
+        M1: readSbdbValue(fields, 'M1'),
+        K1: readSbdbValue(fields, 'K1'),
+        M2: readSbdbValue(fields, 'M2'),
+        K2: readSbdbValue(fields, 'K2')
+    };
+    return Object.values(magnitude).some(value => value !== null) ? magnitude : null;
+}
+
+/**
+ * Read non-gravitational model parameters (A1, A2, A3, DT and g(r) constants)
+ * 
+ * @param {Array|Object} fields - SBDB orbit model_pars list or query row
+ * @returns {Object|null} Parameters, or null if the orbit has no non-gravitational terms
+ */
+function readNonGravitational(fields) {
+    const A1 = readSbdbValue(fields, 'A1');
+    const A2 = readSbdbValue(fields, 'A2');
+    const A3 = readSbdbValue(fields, 'A3');
+
+    if (A1 === null && A2 === null && A3 === null) return null;
+
+    const parameters = { A1: A1 ?? 0, A2: A2 ?? 0, A3: A3 ?? 0, DT: readSbdbValue(fields, 'DT') ?? 0 };
+
+    // Model constants are only present when they differ from the Marsden defaults
+    for (const name of ['ALN', 'NM', 'NN', 'NK', 'R0']) {
+        const value = readSbdbValue(fields, name);
+        if (value !== null) parameters[name] = value;
+    }
+
+    return parameters;
+}
+
+// SBDB covariance labels that differ from its element names
+const COVARIANCE_LABELS = { node: 'om', peri: 'w' };
+
+/**
+ * Read the orbit covariance matrix returned with cov=mat
+ * SBDB gives it in cometary elements (e, q, tp, node, peri, i, then any
+ * non-gravitational parameters) at its own epoch, with the nominal values
+ * at that epoch alongside.
+ * 
+ * @param {Object} covariance - SBDB orbit.covariance
+ * @returns {Object|null} {epoch, labels, elements, matrix}, labels as element names
+ *          (e, q, tp, om, w, i, ...); null if missing or malformed
+ */
+function readCovariance(covariance) {
+    if (!covariance?.labels || !Array.isArray(covariance.data)) return null;
+
+    const labels = covariance.labels.map(label => COVARIANCE_LABELS[label] ?? label);
+    const elements = covariance.labels.map((label, k) =>
+        readSbdbValue(covariance.elements, labels[k]) ?? readSbdbValue(covariance.elements, label)
+    );
+    const matrix = covariance.data.map(row => row.map(value => parseFloat(value)));
+    const epoch = parseFloat(covariance.epoch);
+
+    const square = matrix.length === labels.length && matrix.every(row => row.length === labels.length);
+    if (!square || isNaN(epoch) || elements.includes(null) || matrix.flat().some(isNaN)) return null;
+
+    return { epoch, labels, elements, matrix };
+}
+
+/**
+ * Earth MOID of a set of orbital elements
+ * 
+ * @param {Object} orbitalElements - Keplerian orbital elements
+ * @returns {number|null} MOID in AU, or null if the elements are incomplete
+ */
+function computeEarthMOID(orbitalElements) {
+    try {
+        return calculateEarthMOID(orbitalElements);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert an SBDB query row (field name → value) to a catalog object
+ * Used for live sbdb_query.api results and for SBDB CSV dumps read from disk.
+ * 
+ * @param {Object} row - Field name → value (spkid, full_name, a, e, i, om, w, ma, epoch, q, tp, ...)
+ * @param {string} kind - 'asteroid' or 'comet'
+ * @returns {Object|null} Catalog object, or null if critical elements are missing
+ */
+function parseSbdbRecord(row, kind = 'asteroid') {
+    const getValue = (name) => row[name] ?? null;
+    const isComet = kind === 'comet';
+
+    const a = parseFloat(getValue('a'));
+    const e = parseFloat(getValue('e'));
+    const i = parseFloat(getValue('i'));
+    const om = parseFloat(getValue('om'));
+    const w = parseFloat(getValue('w'));
+    const ma = parseFloat(getValue('ma'));
+    const epoch = parseFloat(getValue('epoch'));
+    const q = parseFloat(getValue('q'));
+    const tp = parseFloat(getValue('tp'));
+
+    // Skip if missing critical orbital elements (a or q/Tp for parabolic orbits)
+    if (isNaN(e) || isNaN(epoch) || (isNaN(a) && (isNaN(q) || isNaN(tp)))) {
+        return null;
+    }
+
+    const orbitalElements = {
+        semiMajorAxis: isNaN(a) ? null : a,
+        eccentricity: e,
+        inclination: i || 0,
+        longitudeAscNode: om || 0,
+        argPerihelion: w || 0,
+        meanAnomaly: ma || 0,
+        epoch,
+        perihelionDistance: isNaN(q) ? null : q,
+        timeOfPerihelion: isNaN(tp) ? null : tp
+    };
+
+    return {
+        spkId: getValue('spkid'),
+        name: getValue('full_name')?.trim() || `SPK${getValue('spkid')}`,
+        kind,
+        isNEO: getValue('neo') === 'Y',
+        isPHA: getValue('pha') === 'Y',
+        absoluteMagnitude: parseFloat(getValue('H')) || null,
+        diameter: parseFloat(getValue('diameter')) || null,
+        ...(isComet && {
+            cometMagnitude: readCometMagnitude(row),
+            nonGravitational: readNonGravitational(row)
+        }),
+        orbitalElements,
+        // Dumps may carry SBDB's own MOID; live queries don't ask for it
+        moid: readSbdbValue(row, 'moid') ?? computeEarthMOID(orbitalElements)
+    };
+}
 
 /**
  * Fetch orbital elements for a specific asteroid from NASA SBDB
+ * HYP- designations are looked up among the locally fitted objects instead.
  * 
  * @param {string} designation - Asteroid designation (e.g., "99942" for Apophis)
  * @returns {Object} Orbital elements and metadata
  */
 async function fetchAsteroidElements(designation) {
+    // Objects fitted from submitted astrometry are stored locally
+    if (isHypotheticalDesignation(designation)) {
+        const object = await getHypotheticalObject(designation);
+        if (!object) {
+            throw new Error(`No hypothetical object found for ${designation}`);
+        }
+        return object;
+    }
+
     try {
         const response = await axios.get(SBDB_API_URL, {
             params: {
-                sstr: designation
+                sstr: designation,
+                'phys-par': 1,
+                cov: 'mat'
             },
             timeout: 10000
         });
@@ -46,26 +248,41 @@ async function fetchAsteroidElements(designation) {
             throw new Error(`No orbital data found for ${designation}`);
         }
 
-        // Elements come as an object with named keys in default format
         const elements = data.orbit.elements;
+        const physical = data.phys_par;
+
+        const orbitalElements = {
+            semiMajorAxis: readSbdbValue(elements, 'a'),        // AU
+            eccentricity: readSbdbValue(elements, 'e'),
+            inclination: readSbdbValue(elements, 'i'),          // degrees
+            longitudeAscNode: readSbdbValue(elements, 'om'),    // degrees (Ω)
+            argPerihelion: readSbdbValue(elements, 'w'),        // degrees (ω)
+            meanAnomaly: readSbdbValue(elements, 'ma'),         // degrees
+            epoch: parseFloat(data.orbit.epoch) || null,         // Julian Date
+            perihelionDistance: readSbdbValue(elements, 'q'),   // AU
+            timeOfPerihelion: readSbdbValue(elements, 'tp')     // Julian Date (TDB)
+        };
 
         return {
             designation: data.object?.des || designation,
             name: data.object?.fullname || designation,
-            orbitalElements: {
-                semiMajorAxis: parseFloat(elements.a) || null,      // AU
-                eccentricity: parseFloat(elements.e) || null,
-                inclination: parseFloat(elements.i) || null,         // degrees
-                longitudeAscNode: parseFloat(elements.om) || null,   // degrees (Ω)
-                argPerihelion: parseFloat(elements.w) || null,       // degrees (ω)
-                meanAnomaly: parseFloat(elements.ma) || null,        // degrees
-                epoch: parseFloat(data.orbit.epoch) || null          // Julian Date
-            },
+            kind: data.object?.kind?.startsWith('c') ? 'comet' : 'asteroid',
+            orbitalElements,
+            moid: computeEarthMOID(orbitalElements),
             orbitClass: data.object?.orbit_class?.name,
             isNEO: data.object?.neo === true || data.object?.neo === 'Y',
             isPHA: data.object?.pha === true || data.object?.pha === 'Y',
-            absoluteMagnitude: data.object?.h ? parseFloat(data.object.h) : null,
-            diameter: data.object?.diameter ? parseFloat(data.object.diameter) : null
+            absoluteMagnitude: readSbdbValue(physical, 'H') ?? readSbdbValue(data.object, 'h'),
+            slopeParameter: readSbdbValue(physical, 'G'),
+            diameter: readSbdbValue(physical, 'diameter') ?? readSbdbValue(data.object, 'diameter'),
+            cometMagnitude: readCometMagnitude(physical),
+            nonGravitational: readNonGravitational(data.orbit.model_pars),
+            covariance: readCovariance(data.orbit.covariance),
+            solution: {
+                source: 'JPL SBDB',
+                id: data.orbit.orbit_id ? `JPL#${data.orbit.orbit_id}` : null,
+                date: data.orbit.soln_date || null
+            }
         };
     } catch (error) {
         console.error(`Error fetching orbital elements for ${designation}:`, error.message);
@@ -77,20 +294,33 @@ async function fetchAsteroidElements(designation) {
  * Fetch all NEOs from NASA SBDB (paginated)
  * 
  * @param {Object} options - Query options
- * @param {number} options.limit - Maximum results to return
+ * @param {number} options.limit - Maximum results to return (per kind)
  * @param {boolean} options.phaOnly - Only potentially hazardous asteroids
- * @returns {Array} Array of asteroid objects with orbital elements
+ * @param {string} options.kind - 'asteroid', 'comet' or 'all'
+ * @returns {Array} Array of small-body objects with orbital elements and Earth MOID (AU)
  */
-async function fetchNEOCatalog({ limit = 1000, phaOnly = false } = {}) {
+async function fetchNEOCatalog({ limit = 1000, phaOnly = false, kind = 'asteroid' } = {}) {
+    if (kind === 'all') {
+        const [asteroids, comets] = await Promise.all([
+            fetchNEOCatalog({ limit, phaOnly, kind: 'asteroid' }),
+            phaOnly ? [] : fetchNEOCatalog({ limit, kind: 'comet' })
+        ]);
+        return [...asteroids, ...comets];
+    }
+
+    const isComet = kind === 'comet';
+
     try {
         // Query for NEOs with orbital elements
         // Using sb-group=neo for Near-Earth Objects or sb-group=pha for Potentially Hazardous
-        const fields = 'spkid,full_name,neo,pha,H,diameter,a,e,i,om,w,ma,epoch';
+        const fields = isComet
+            ? 'spkid,full_name,kind,neo,pha,M1,K1,M2,K2,A1,A2,A3,DT,a,e,i,om,w,ma,epoch,q,tp'
+            : 'spkid,full_name,kind,neo,pha,H,diameter,a,e,i,om,w,ma,epoch,q,tp';
 
         const params = {
             fields,
-            'sb-kind': 'a',     // asteroids only
-            'sb-group': phaOnly ? 'pha' : 'neo',  // NEOs or PHAs
+            'sb-kind': isComet ? 'c' : 'a',
+            'sb-group': phaOnly && !isComet ? 'pha' : 'neo',  // NEOs or PHAs
             'full-prec': true,
             limit: Math.min(limit, 10000) // API limit
         };
@@ -109,70 +339,103 @@ async function fetchNEOCatalog({ limit = 1000, phaOnly = false } = {}) {
             return [];
         }
 
-        console.log(`Received ${data.length} asteroids from NASA SBDB`);
+        console.log(`Received ${data.length} ${isComet ? 'comets' : 'asteroids'} from NASA SBDB`);
 
-        const fieldIndex = (name) => fieldNames.indexOf(name);
+        return data
+            .map(row => parseSbdbRecord(
+                Object.fromEntries(fieldNames.map((name, idx) => [name, row[idx]])),
+                isComet ? 'comet' : 'asteroid'
+            ))
+            .filter(Boolean);
+    } catch (error) {
+        console.error('Error fetching NEO catalog:', error.response?.data || error.message);
+        throw error;
+    }
+}
 
-        return data.map(row => {
-            const getValue = (name) => {
-                const idx = fieldIndex(name);
-                return idx >= 0 ? row[idx] : null;
-            };
+/**
+ * Resolve the frame and time scale options of an ephemeris request
+ * 
+ * @param {Object} options - {frame, plane, timescale}
+ * @returns {Object} {frame (resolved), timescale}
+ */
+function resolveOutputOptions({ frame = 'ecliptic', plane, timescale = 'UTC' } = {}) {
+    const scale = String(timescale).toUpperCase();
+    if (!TIMESCALES.includes(scale)) {
+        throw new Error(`Unknown time scale: ${timescale} (use ${TIMESCALES.join(', ')})`);
+    }
 
-            const a = parseFloat(getValue('a'));
-            const e = parseFloat(getValue('e'));
-            const i = parseFloat(getValue('i'));
-            const om = parseFloat(getValue('om'));
-            const w = parseFloat(getValue('w'));
-            const ma = parseFloat(getValue('ma'));
-            const epoch = parseFloat(getValue('epoch'));
+    return {
+        frame: resolveReferenceFrame(frame, plane),
+        timescale: scale
+    };
+}
 
-            // Skip if missing critical orbital elements
-            if (isNaN(a) || isNaN(e) || isNaN(epoch)) {
-                return null;
-            }
+/**
+ * Convert a requested date to the TDB Julian Date the ephemerides run on
+ * Dates are read as clock times in the requested time scale; Julian Dates
+ * passed as numbers are taken to be TDB already.
+ * 
+ * @param {Date|number} targetDate - JavaScript Date or Julian Date (TDB)
+ * @param {string} timescale - Time scale of the date (UTC, TT or TDB)
+ * @returns {number} Julian Date (TDB)
+ */
+function toDynamicalTime(targetDate, timescale = 'UTC') {
+    if (typeof targetDate === 'number') return targetDate;
+    return convertTimescale(dateToJulianDate(targetDate), timescale, 'TDB');
+}
 
-            return {
-                spkId: getValue('spkid'),
-                name: getValue('full_name')?.trim() || `SPK${getValue('spkid')}`,
-                isNEO: getValue('neo') === 'Y',
-                isPHA: getValue('pha') === 'Y',
-                absoluteMagnitude: parseFloat(getValue('H')) || null,
-                diameter: parseFloat(getValue('diameter')) || null,
-                orbitalElements: {
-                    semiMajorAxis: a,
-                    eccentricity: e,
-                    inclination: i || 0,
-                    longitudeAscNode: om || 0,
-                    argPerihelion: w || 0,
-                    meanAnomaly: ma || 0,
-                    epoch
-                }
-            };
-        }).filter(Boolean);
-    } catch (error) {
-        console.error('Error fetching NEO catalog:', error.response?.data || error.message);
-        throw error;
+/**
+ * Heliocentric ecliptic state of an output frame's origin
+ * 
+ * @param {Object} frame - Resolved frame
+ * @param {number} jd - Julian Date (TDB)
+ * @returns {Object} State {x, y, z, vx, vy, vz}
+ */
+function frameOriginState(frame, jd) {
+    if (frame.origin === 'earth') {
+        return { ...getPlanetPosition('earth', jd), ...getPlanetVelocity('earth', jd) };
     }
+    if (frame.origin === 'ssb') {
+        return getBarycenterState(jd);
+    }
+    return { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0 };
 }
 
 /**
  * Calculate asteroid position at a specific date/time
  * 
  * @param {Object} orbitalElements - Keplerian orbital elements
- * @param {Date|number} targetDate - JavaScript Date or Julian Date
+ * @param {Date|number} targetDate - JavaScript Date or Julian Date (TDB)
  * @param {boolean} includeVelocity - Whether to calculate velocity vector
- * @returns {Object} Position (and optionally velocity) in heliocentric and Earth-relative frames
+ * @param {Object} options - Output {frame, plane, timescale} (default: heliocentric ecliptic, UTC)
+ * @returns {Object} Position (and optionally velocity) in heliocentric and Earth-relative frames,
+ *          plus the state vector in the requested frame
  */
-function calculatePosition(orbitalElements, targetDate, includeVelocity = false) {
-    const jd = typeof targetDate === 'number' ? targetDate : dateToJulianDate(targetDate);
+function calculatePosition(orbitalElements, targetDate, includeVelocity = false, options = {}) {
+    const output = resolveOutputOptions(options);
+    const jd = toDynamicalTime(targetDate, output.timescale);
 
-    // Heliocentric position
+    // Heliocentric position (and velocity if requested)
     const helioPos = keplerToCartesian(orbitalElements, jd);
+    const helioVel = includeVelocity ? calculateVelocity(orbitalElements, jd) : null;
+
+    return buildPositionRecord(jd, helioPos, helioVel, output);
+}
 
+/**
+ * Build a position record from a heliocentric state
+ * Shared by the two-body and N-body code paths so both return the same shape.
+ * 
+ * @param {number} jd - Julian Date (TDB)
+ * @param {Object} helioPos - Heliocentric position {x, y, z} in AU
+ * @param {Object|null} helioVel - Heliocentric velocity {vx, vy, vz} in AU/day (optional)
+ * @param {Object} output - Resolved {frame, timescale} from resolveOutputOptions
+ * @returns {Object} Position in heliocentric and Earth-relative frames
+ */
+function buildPositionRecord(jd, helioPos, helioVel = null, output = resolveOutputOptions()) {
     // Earth position for relative calculations
-    const earthElements = getEarthElements();
-    const earthPos = keplerToCartesian(earthElements, jd);
+    const earthPos = getPlanetPosition('earth', jd);
 
     // Earth-relative position
     const relativePos = {
@@ -186,19 +449,23 @@ function calculatePosition(orbitalElements, targetDate, includeVelocity = false)
         relativePos.x ** 2 + relativePos.y ** 2 + relativePos.z ** 2
     );
     const distanceKm = distanceAU * AU_TO_KM;
+    const julianDate = convertTimescale(jd, 'TDB', output.timescale);
 
     const result = {
-        julianDate: jd,
-        date: julianDateToDate(jd),
+        julianDate,
+        julianDateTDB: jd,
+        timescale: output.timescale,
+        date: julianDateToDate(julianDate),
+        frame: output.frame,
+        state: toReferenceFrame({ ...helioPos, ...helioVel }, frameOriginState(output.frame, jd), output.frame),
         heliocentric: helioPos,
         geocentric: relativePos,
         distanceAU,
         distanceKm
     };
 
-    if (includeVelocity) {
-        const helioVel = calculateVelocity(orbitalElements, jd);
-        const earthVel = calculateVelocity(earthElements, jd);
+    if (helioVel) {
+        const earthVel = getPlanetVelocity('earth', jd);
 
         result.velocity = {
             heliocentric: helioVel,
@@ -226,15 +493,16 @@ function calculatePosition(orbitalElements, targetDate, includeVelocity = false)
  * Optimized for rendering 30,000+ asteroids
  * 
  * @param {Array} asteroids - Array of asteroid objects with orbital elements
- * @param {Date|number} targetDate - JavaScript Date or Julian Date
+ * @param {Date|number} targetDate - JavaScript Date or Julian Date (TDB)
+ * @param {Object} options - Output {frame, plane, timescale} (default: heliocentric ecliptic, UTC)
  * @returns {Float32Array} Packed position data [x1,y1,z1, x2,y2,z2, ...]
  */
-function calculateBatchPositions(asteroids, targetDate) {
-    const jd = typeof targetDate === 'number' ? targetDate : dateToJulianDate(targetDate);
+function calculateBatchPositions(asteroids, targetDate, options = {}) {
+    const output = resolveOutputOptions(options);
+    const jd = toDynamicalTime(targetDate, output.timescale);
 
-    // Pre-calculate Earth position
-    const earthElements = getEarthElements();
-    const earthPos = keplerToCartesian(earthElements, jd);
+    // Pre-calculate the frame origin
+    const origin = frameOriginState(output.frame, jd);
 
     // Packed array for GPU upload optimization
     const positions = new Float32Array(asteroids.length * 3);
@@ -244,12 +512,11 @@ function calculateBatchPositions(asteroids, targetDate) {
         if (!asteroid.orbitalElements) continue;
 
         try {
-            const pos = keplerToCartesian(asteroid.orbitalElements, jd);
+            const pos = toReferenceFrame(keplerToCartesian(asteroid.orbitalElements, jd), origin, output.frame);
 
-            // Store Earth-relative positions (better for visualization scale)
-            positions[i * 3] = pos.x - earthPos.x;
-            positions[i * 3 + 1] = pos.y - earthPos.y;
-            positions[i * 3 + 2] = pos.z - earthPos.z;
+            positions[i * 3] = pos.x;
+            positions[i * 3 + 1] = pos.y;
+            positions[i * 3 + 2] = pos.z;
         } catch (error) {
             // Default to origin if calculation fails
             positions[i * 3] = 0;
@@ -264,147 +531,396 @@ function calculateBatchPositions(asteroids, targetDate) {
 /**
  * Propagate asteroid trajectory over a time range
  * 
+ * With perturbations enabled the state vector at the element epoch is
+ * numerically integrated under the Sun, planets and Moon; otherwise each
+ * point is an independent two-body (Keplerian) solution.
+ * 
  * @param {Object} orbitalElements - Orbital elements
  * @param {Date} startDate - Start of trajectory
  * @param {Date} endDate - End of trajectory
  * @param {number} steps - Number of points in trajectory
- * @param {boolean} applyPerturbations - Apply N-body corrections
+ * @param {boolean} applyPerturbations - Integrate with N-body perturbations
+ * @param {Object} nonGravitational - Optional A1/A2/A3 parameters (N-body only)
+ * @param {Object} options - Output {frame, plane, timescale}; start and end are read in this time scale
  * @returns {Array} Array of position objects along trajectory
  */
-function propagateTrajectory(orbitalElements, startDate, endDate, steps = 100, applyPerturbations = false) {
-    const startJD = dateToJulianDate(startDate);
-    const endJD = dateToJulianDate(endDate);
+function propagateTrajectory(orbitalElements, startDate, endDate, steps = 100, applyPerturbations = false, nonGravitational = null, options = {}) {
+    const output = resolveOutputOptions(options);
+    const startJD = toDynamicalTime(startDate, output.timescale);
+    const endJD = toDynamicalTime(endDate, output.timescale);
     const dt = (endJD - startJD) / (steps - 1);
 
-    const trajectory = [];
-
+    const sampleJDs = [];
     for (let i = 0; i < steps; i++) {
-        const jd = startJD + i * dt;
-        const position = calculatePosition(orbitalElements, jd, true);
-
-        if (applyPerturbations) {
-            // Apply N-body perturbations from Jupiter and Moon
-            const jupiterElements = getJupiterElements();
-            const jupiterPos = keplerToCartesian(jupiterElements, jd);
-            const moonOffset = getMoonPosition(jd);
-            const earthPos = keplerToCartesian(getEarthElements(), jd);
-
-            const moonPos = {
-                x: earthPos.x + moonOffset.x,
-                y: earthPos.y + moonOffset.y,
-                z: earthPos.z + moonOffset.z
-            };
-
-            // Calculate perturbations (simplified - actual integration would be more complex)
-            const jupiterPert = calculatePerturbation(position.heliocentric, jupiterPos, JUPITER_MASS_RATIO);
-            const moonPert = calculatePerturbation(position.heliocentric, moonPos, MOON_MASS_RATIO);
-
-            position.perturbations = {
-                jupiter: jupiterPert,
-                moon: moonPert,
-                total: {
-                    ax: jupiterPert.ax + moonPert.ax,
-                    ay: jupiterPert.ay + moonPert.ay,
-                    az: jupiterPert.az + moonPert.az
-                }
-            };
-        }
+        sampleJDs.push(startJD + i * dt);
+    }
 
-        trajectory.push(position);
+    if (!applyPerturbations) {
+        return sampleJDs.map(jd => calculatePosition(orbitalElements, jd, true, options));
     }
 
-    return trajectory;
+    // Osculating state at the element epoch is the initial condition
+    const epoch = orbitalElements.epoch ?? orbitalElements.timeOfPerihelion;
+    const initialState = elementsToStateVector(orbitalElements, epoch);
+    const { states } = propagateStates(initialState, epoch, sampleJDs, { nonGravitational });
+
+    return states.map(({ julianDate, state }) => buildPositionRecord(
+        julianDate,
+        { x: state.x, y: state.y, z: state.z },
+        { vx: state.vx, vy: state.vy, vz: state.vz },
+        output
+    ));
 }
 
 /**
- * Find closest approach between an asteroid and Earth within a date range
+ * Perturbed state of an object as a function of time, for the close-approach search
+ * The orbit is integrated once onto the search grid of closeApproach; other
+ * times (root refinement) are integrated from the grid point before them.
+ * 
+ * @param {Object} orbitalElements - Osculating elements at their epoch
+ * @param {Object} nonGravitational - Optional A1/A2/A3 parameters
+ * @param {number} startJD - Start of search range (TDB)
+ * @param {number} endJD - End of search range (TDB)
+ * @param {number} stepDays - Search grid spacing
+ * @returns {Function} f(jd) → heliocentric {x, y, z, vx, vy, vz}
+ */
+function perturbedStateFunction(orbitalElements, nonGravitational, startJD, endJD, stepDays) {
+    // Same grid as closeApproach.findCloseApproaches, so its samples hit the cache
+    const steps = Math.max(1, Math.ceil((endJD - startJD) / stepDays));
+    const h = (endJD - startJD) / steps;
+    const gridJDs = Array.from({ length: steps + 1 }, (_, i) => startJD + i * h);
+
+    const epoch = orbitalElements.epoch ?? orbitalElements.timeOfPerihelion;
+    const { states } = propagateStates(
+        elementsToStateVector(orbitalElements, epoch),
+        epoch,
+        gridJDs,
+        { nonGravitational }
+    );
+    const grid = new Map(states.map(({ julianDate, state }) => [julianDate, state]));
+
+    return (jd) => {
+        const cached = grid.get(jd);
+        if (cached) return cached;
+
+        const i = Math.min(Math.max(Math.floor((jd - startJD) / h), 0), steps);
+        return integrate(states[i].state, states[i].julianDate, jd, { nonGravitational }).state;
+    };
+}
+
+/**
+ * Find all close approaches to Earth, the Moon, Mars and Venus within a date range
+ * Every local minimum of the distance below the threshold is returned. The
+ * orbit is integrated under the Sun, planets and Moon (plus any
+ * non-gravitational terms), so encounters decades ahead, and those following
+ * an earlier planetary flyby, are placed correctly.
+ * 
+ * @param {Object} orbitalElements - Orbital elements
+ * @param {Date} startDate - Start of search range (UTC)
+ * @param {Date} endDate - End of search range (UTC)
+ * @param {Object} options - {bodies, maxDistance (AU), stepDays, nonGravitational,
+ *        perturbations (default true; false for two-body propagation)}
+ * @returns {Array} Close approaches sorted by time; julianDate is TDB, date is UTC
+ */
+function findCloseApproaches(orbitalElements, startDate, endDate, options = {}) {
+    const { objectState, startJD, endJD, searchOptions } = closeApproachSearch(orbitalElements, startDate, endDate, options);
+
+    return searchCloseApproaches(objectState, startJD, endJD, searchOptions).map(withUtcDate);
+}
+
+/**
+ * Object state function and TDB range for a close-approach search
+ */
+function closeApproachSearch(orbitalElements, startDate, endDate, options) {
+    const { perturbations = true, nonGravitational = null, ...searchOptions } = options;
+    const startJD = convertTimescale(dateToJulianDate(startDate), 'UTC', 'TDB');
+    const endJD = convertTimescale(dateToJulianDate(endDate), 'UTC', 'TDB');
+
+    const objectState = perturbations
+        ? perturbedStateFunction(
+            orbitalElements,
+            nonGravitational,
+            startJD,
+            endJD,
+            searchOptions.stepDays ?? CLOSE_APPROACH_DEFAULTS.stepDays
+        )
+        : (jd) => elementsToStateVector(orbitalElements, jd);
+
+    return { objectState, startJD, endJD, searchOptions };
+}
+
+const withUtcDate = (approach) => ({
+    ...approach,
+    date: julianDateToDate(convertTimescale(approach.julianDate, 'TDB', 'UTC'))
+});
+
+/**
+ * Find the closest approach to Earth within a date range
+ * If the distance has no minimum inside the range, the nearer end of the
+ * range is returned, marked with rangeLimit 'start' or 'end'.
  * 
  * @param {Object} orbitalElements - Orbital elements
  * @param {Date} startDate - Start of search range
  * @param {Date} endDate - End of search range
- * @returns {Object} Closest approach data
+ * @param {Object} options - {perturbations, nonGravitational} (see findCloseApproaches)
+ * @returns {Object} Deepest Earth encounter, or the nearer end of the range
  */
-function findClosestApproach(orbitalElements, startDate, endDate) {
-    const trajectory = propagateTrajectory(orbitalElements, startDate, endDate, 365);
+function findClosestApproach(orbitalElements, startDate, endDate, options = {}) {
+    const { objectState, startJD, endJD, searchOptions } = closeApproachSearch(orbitalElements, startDate, endDate, {
+        ...options,
+        bodies: ['earth'],
+        maxDistance: Infinity
+    });
+
+    const approaches = searchCloseApproaches(objectState, startJD, endJD, searchOptions);
+    if (approaches.length === 0) {
+        const start = { ...approachAt(objectState, 'earth', startJD), rangeLimit: 'start' };
+        const end = { ...approachAt(objectState, 'earth', endJD), rangeLimit: 'end' };
+        approaches.push(start.distanceAU <= end.distanceAU ? start : end);
+    }
 
-    let minDistance = Infinity;
-    let closestApproach = null;
+    return withUtcDate(approaches.reduce((closest, approach) => (
+        approach.distanceAU < closest.distanceAU ? approach : closest
+    )));
+}
 
-    for (const point of trajectory) {
-        if (point.distanceKm < minDistance) {
-            minDistance = point.distanceKm;
-            closestApproach = point;
-        }
+/**
+ * Encounter date for an analysis
+ * The requested date, or else the closest approach in the next ten years.
+ * A Monte Carlo assessment does not need a real encounter, so without a
+ * date it looks one year ahead instead. The search integrates the orbit
+ * for a decade, so it runs on the worker pool.
+ * 
+ * @param {Object} orbitalElements - Orbital elements
+ * @param {Object} options - {encounterDate, samplingMode, signal}
+ * @returns {Promise<Date|null>} Encounter date, or null if no encounter is found
+ */
+async function resolveEncounterDate(orbitalElements, { encounterDate, samplingMode, signal } = {}) {
+    if (encounterDate) return new Date(encounterDate);
+
+    const now = new Date();
+    if (samplingMode === 'monte-carlo') {
+        return new Date(now.getTime() + 365 * 24 * 60 * 60 * 1000);
     }
 
-    // Refine with higher resolution around the minimum
-    if (closestApproach) {
-        const refinedStart = new Date(closestApproach.date.getTime() - 7 * 24 * 60 * 60 * 1000);
-        const refinedEnd = new Date(closestApproach.date.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const [closest] = await runTasks('closestApproach', [{
+        orbitalElements,
+        startDate: now,
+        endDate: new Date(now.getTime() + ENCOUNTER_SEARCH_YEARS * 365 * 24 * 60 * 60 * 1000)
+    }], { signal });
+    return closest.rangeLimit ? null : closest.date;
+}
+
+/**
+ * Get current positions of all major celestial bodies
+ * The Sun, Earth and planets are given in the requested frame; the Moon
+ * keeps its heliocentric and geocentric ecliptic vectors and adds a
+ * position in the requested frame.
+ * 
+ * @param {Date|number} targetDate - Target date or Julian Date (TDB)
+ * @param {Object} options - Output {frame, plane, timescale} (default: heliocentric ecliptic, UTC)
+ * @returns {Object} Positions of the Sun, Earth, Moon and all eight planets
+ */
+function getCelestialBodies(targetDate, options = {}) {
+    const output = resolveOutputOptions(options);
+    const jd = toDynamicalTime(targetDate, output.timescale);
+    const julianDate = convertTimescale(jd, 'TDB', output.timescale);
+
+    const origin = frameOriginState(output.frame, jd);
+    const inFrame = (pos) => toReferenceFrame(pos, origin, output.frame);
 
-        const refined = propagateTrajectory(orbitalElements, refinedStart, refinedEnd, 200);
+    const heliocentricPlanets = getAllPlanetPositions(jd);
+    const earthPos = heliocentricPlanets.earth;
+    const moonOffset = getMoonPosition(jd);
+    const moonPos = {
+        x: earthPos.x + moonOffset.x,
+        y: earthPos.y + moonOffset.y,
+        z: earthPos.z + moonOffset.z
+    };
 
-        for (const point of refined) {
-            if (point.distanceKm < minDistance) {
-                minDistance = point.distanceKm;
-                closestApproach = point;
-            }
-        }
+    const planets = {};
+    for (const [name, pos] of Object.entries(heliocentricPlanets)) {
+        planets[name] = inFrame(pos);
     }
 
     return {
-        date: closestApproach?.date,
-        julianDate: closestApproach?.julianDate,
-        distanceKm: minDistance,
-        distanceAU: minDistance / AU_TO_KM,
-        position: closestApproach?.geocentric,
-        velocity: closestApproach?.velocity
+        julianDate,
+        julianDateTDB: jd,
+        timescale: output.timescale,
+        date: julianDateToDate(julianDate),
+        frame: output.frame,
+        sun: inFrame({ x: 0, y: 0, z: 0 }),
+        earth: planets.earth,
+        moon: {
+            heliocentric: moonPos,
+            geocentric: moonOffset,
+            position: inFrame(moonPos),
+            distanceKm: Math.sqrt(moonOffset.x ** 2 + moonOffset.y ** 2 + moonOffset.z ** 2) * AU_TO_KM
+        },
+        planets
     };
 }
 
 /**
- * Get current positions of all major celestial bodies
+ * Calculate what a ground-based observer sees at a specific date/time
+ * Positions are corrected for light-time; RA/Dec are astrometric J2000,
+ * altitude/azimuth are geometric (no refraction) in the equator of date.
  * 
- * @param {Date|number} targetDate - Target date
- * @returns {Object} Positions of Earth, Moon, and scaling info
+ * @param {Object} asteroid - Asteroid with orbitalElements, absoluteMagnitude, slopeParameter
+ * @param {Object} observer - {latitude, longitude (east positive), elevation (m)}
+ * @param {Date|number} targetDate - JavaScript Date or Julian Date (UT)
+ * @returns {Object} Topocentric observation record
  */
-function getCelestialBodies(targetDate) {
-    const jd = typeof targetDate === 'number' ? targetDate : dateToJulianDate(targetDate);
+function calculateObservation(asteroid, observer, targetDate) {
+    // Earth rotation runs on UT, the ephemerides on TDB
+    const jdUT = typeof targetDate === 'number' ? targetDate : dateToJulianDate(targetDate);
+    const jd = convertTimescale(jdUT, 'UTC', 'TDB');
+    const { orbitalElements } = asteroid;
+
+    const earthPos = getPlanetPosition('earth', jd);
+    const observerPos = observerGeocentricPosition(observer, jdUT);
+
+    // Topocentric vector (J2000 equatorial) for a heliocentric ecliptic position
+    const toTopocentric = (helio) => {
+        const geo = eclipticToEquatorial({
+            x: helio.x - earthPos.x,
+            y: helio.y - earthPos.y,
+            z: helio.z - earthPos.z
+        });
+        return { x: geo.x - observerPos.x, y: geo.y - observerPos.y, z: geo.z - observerPos.z };
+    };
+    const norm = (v) => Math.sqrt(v.x ** 2 + v.y ** 2 + v.z ** 2);
+
+    // Light-time correction: observe where the asteroid was when the light left it
+    const geometric = toTopocentric(keplerToCartesian(orbitalElements, jd));
+    const lightTime = norm(geometric) / SPEED_OF_LIGHT_AU_DAY;
+    const helioPos = keplerToCartesian(orbitalElements, jd - lightTime);
+    const topocentric = toTopocentric(helioPos);
+    const sunTopocentric = toTopocentric({ x: 0, y: 0, z: 0 });
 
-    const earthPos = keplerToCartesian(getEarthElements(), jd);
     const moonOffset = getMoonPosition(jd);
-    const sunPos = { x: 0, y: 0, z: 0 }; // Sun at origin in heliocentric coords
+    const moonTopocentric = toTopocentric({
+        x: earthPos.x + moonOffset.x,
+        y: earthPos.y + moonOffset.y,
+        z: earthPos.z + moonOffset.z
+    });
+
+    const distanceAU = norm(topocentric);
+    const heliocentricDistanceAU = norm(helioPos);
+
+    // Astrometric RA/Dec (J2000)
+    const { ra, dec } = vectorToRaDec(topocentric);
+
+    // Horizontal coordinates use the equator of date
+    const lst = greenwichMeanSiderealTime(jdUT) + observer.longitude;
+    const ofDate = vectorToRaDec(precessEquatorial(topocentric, jd));
+    const { altitude, azimuth } = equatorialToHorizontal(ofDate.ra, ofDate.dec, observer.latitude, lst);
+
+    const sunOfDate = vectorToRaDec(precessEquatorial(sunTopocentric, jd));
+    const sun = equatorialToHorizontal(sunOfDate.ra, sunOfDate.dec, observer.latitude, lst);
+
+    const moonOfDate = vectorToRaDec(precessEquatorial(moonTopocentric, jd));
+    const moon = equatorialToHorizontal(moonOfDate.ra, moonOfDate.dec, observer.latitude, lst);
+
+    // Phase angle (Sun-asteroid-observer) and solar elongation (Sun-observer-asteroid)
+    const helioEq = eclipticToEquatorial(helioPos);
+    const phaseAngle = angleBetween(helioEq, topocentric);
+    const elongation = angleBetween(topocentric, sunTopocentric);
+
+    // Moon separation and illuminated fraction (from the Sun-Moon-observer angle)
+    const moonSeparation = angleBetween(topocentric, moonTopocentric);
+    const moonPhaseAngle = angleBetween(
+        {
+            x: sunTopocentric.x - moonTopocentric.x,
+            y: sunTopocentric.y - moonTopocentric.y,
+            z: sunTopocentric.z - moonTopocentric.z
+        },
+        { x: -moonTopocentric.x, y: -moonTopocentric.y, z: -moonTopocentric.z }
+    );
+    const moonIllumination = (1 + Math.cos(moonPhaseAngle * DEG_TO_RAD)) / 2;
+
+    // Comets brighten with activity, so use the total-magnitude law when available
+    const magnitude = asteroid.cometMagnitude?.M1 != null
+        ? cometApparentMagnitude(
+            asteroid.cometMagnitude.M1,
+            asteroid.cometMagnitude.K1,
+            heliocentricDistanceAU,
+            distanceAU
+        )
+        : apparentMagnitude(
+            asteroid.absoluteMagnitude,
+            asteroid.slopeParameter,
+            heliocentricDistanceAU,
+            distanceAU,
+            phaseAngle
+        );
 
     return {
-        julianDate: jd,
-        date: julianDateToDate(jd),
-        sun: sunPos,
-        earth: earthPos,
-        moon: {
-            heliocentric: {
-                x: earthPos.x + moonOffset.x,
-                y: earthPos.y + moonOffset.y,
-                z: earthPos.z + moonOffset.z
-            },
-            geocentric: moonOffset
-        }
+        julianDate: jdUT,
+        date: julianDateToDate(jdUT),
+        ra,
+        dec,
+        raFormatted: formatRightAscension(ra),
+        decFormatted: formatDeclination(dec),
+        altitude,
+        azimuth,
+        phaseAngle,
+        elongation,
+        magnitude,
+        distanceAU,
+        distanceKm: distanceAU * AU_TO_KM,
+        heliocentricDistanceAU,
+        sunAltitude: sun.altitude,
+        moonAltitude: moon.altitude,
+        moonSeparation,
+        moonIllumination
     };
 }
 
+/**
+ * Calculate topocentric observations over a time range
+ * 
+ * @param {Object} asteroid - Asteroid with orbitalElements and magnitude parameters
+ * @param {Object} observer - {latitude, longitude, elevation}
+ * @param {Date} startDate - Start of range
+ * @param {Date} endDate - End of range
+ * @param {number} steps - Number of points
+ * @returns {Array} Array of observation records
+ */
+function calculateObservations(asteroid, observer, startDate, endDate, steps = 25) {
+    const startJD = dateToJulianDate(startDate);
+    const endJD = dateToJulianDate(endDate);
+    const dt = steps > 1 ? (endJD - startJD) / (steps - 1) : 0;
+
+    const observations = [];
+    for (let i = 0; i < steps; i++) {
+        observations.push(calculateObservation(asteroid, observer, startJD + i * dt));
+    }
+
+    return observations;
+}
+
 module.exports = {
     // NASA API functions
     fetchAsteroidElements,
     fetchNEOCatalog,
+    parseSbdbRecord,
 
     // Position calculations
     calculatePosition,
     calculateBatchPositions,
     propagateTrajectory,
+    findCloseApproaches,
     findClosestApproach,
+    resolveEncounterDate,
     getCelestialBodies,
+    calculateObservation,
+    calculateObservations,
+    resolveOutputOptions,
 
     // Utilities (re-exported)
     dateToJulianDate,
     julianDateToDate,
-    AU_TO_KM
+    AU_TO_KM,
+    ENCOUNTER_SEARCH_YEARS
 };
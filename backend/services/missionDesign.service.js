@@ -0,0 +1,157 @@
+/**
+ * Mission Design Service - Porkchop Plots
+ *
+ * Scans launch and arrival dates for a ballistic transfer from Earth to a
+ * small body. Every pair of dates is one Lambert problem between Earth's
+ * heliocentric position at departure and the object's at arrival. The
+ * outputs are two grids:
+ *
+ *   C3 = v∞²        launch energy, from the velocity relative to Earth at departure
+ *   v∞ at arrival   speed relative to the object, to be cancelled for a rendezvous
+ *                   (or the encounter speed of a flyby or kinetic impactor)
+ *
+ * Plotted against the two dates, their contours give the porkchop plot.
+ * Transfers are prograde with less than one revolution, and Earth's gravity
+ * is left out, as in patched-conic preliminary design.
+ */
+
+const { propagateTrajectory } = require('./ephemeris.service');
+const { getPlanetPosition, getPlanetVelocity } = require('../utils/planetaryEphemeris');
+const {
+    dateToJulianDate,
+    convertTimescale,
+    AU_TO_KM,
+    SECONDS_PER_DAY
+} = require('../utils/keplerianElements');
+const { solveLambert } = require('../utils/lambert');
+
+const DEFAULT_STEPS = 60;
+const DEFAULT_DEPARTURE_DAYS = 730;    // Launch window length
+const DEFAULT_MIN_TIME_OF_FLIGHT = 30;  // days
+const MS_PER_DAY = SECONDS_PER_DAY * 1000;
+const AU_PER_DAY_TO_KM_S = AU_TO_KM / SECONDS_PER_DAY;
+
+/**
+ * Evenly spaced dates from start to end inclusive
+ */
+function sampleDates(start, end, steps) {
+    const dt = (end.getTime() - start.getTime()) / (steps - 1);
+    return Array.from({ length: steps }, (_, i) => new Date(start.getTime() + i * dt));
+}
+
+const speedKmS = (v, reference) => Math.hypot(
+    v.vx - reference.vx,
+    v.vy - reference.vy,
+    v.vz - reference.vz
+) * AU_PER_DAY_TO_KM_S;
+
+/**
+ * Porkchop grid of Earth-to-object transfers
+ *
+ * @param {Object} orbitalElements - Orbital elements of the target
+ * @param {Object} options - Scan options
+ * @param {Date} options.departureStart - First launch date (default now)
+ * @param {Date} options.departureEnd - Last launch date (default two years on)
+ * @param {Date} options.arrivalStart - First arrival date (default departureStart + minTimeOfFlight)
+ * @param {Date} options.arrivalEnd - Last arrival date (default a year after departureEnd)
+ * @param {number} options.steps - Dates along each axis (default 60)
+ * @param {number} options.minTimeOfFlight - Shortest transfer considered (days, default 30)
+ * @returns {Object} {departureDates, arrivalDates, c3, vInfinityArrival, optimum}; the grids
+ *          are indexed [departure][arrival], with null where no transfer was computed
+ */
+function calculatePorkchop(orbitalElements, {
+    departureStart = new Date(),
+    departureEnd,
+    arrivalStart,
+    arrivalEnd,
+    steps = DEFAULT_STEPS,
+    minTimeOfFlight = DEFAULT_MIN_TIME_OF_FLIGHT
+} = {}) {
+    const launchEnd = departureEnd ?? new Date(departureStart.getTime() + DEFAULT_DEPARTURE_DAYS * MS_PER_DAY);
+    const arriveStart = arrivalStart ?? new Date(departureStart.getTime() + minTimeOfFlight * MS_PER_DAY);
+    const arriveEnd = arrivalEnd ?? new Date(launchEnd.getTime() + 365 * MS_PER_DAY);
+
+    if (launchEnd <= departureStart) {
+        throw new Error('The departure window must end after it starts');
+    }
+    if (arriveEnd <= arriveStart) {
+        throw new Error('The arrival window must end after it starts');
+    }
+    if (arriveEnd.getTime() - departureStart.getTime() < minTimeOfFlight * MS_PER_DAY) {
+        throw new Error(`No arrival date is at least ${minTimeOfFlight} days after a departure date`);
+    }
+
+    const departures = sampleDates(departureStart, launchEnd, steps).map(date => {
+        const jd = convertTimescale(dateToJulianDate(date), 'UTC', 'TDB');
+        return {
+            date,
+            julianDate: jd,
+            position: getPlanetPosition('earth', jd),
+            velocity: getPlanetVelocity('earth', jd)
+        };
+    });
+    const arrivals = propagateTrajectory(orbitalElements, arriveStart, arriveEnd, steps);
+
+    const c3 = [];
+    const vInfinityArrival = [];
+    let minimumC3 = null;
+    let minimumTotal = null;
+
+    for (const departure of departures) {
+        const c3Row = [];
+        const arrivalRow = [];
+
+        for (const arrival of arrivals) {
+            const timeOfFlight = arrival.julianDateTDB - departure.julianDate;
+            const transfer = timeOfFlight >= minTimeOfFlight
+                ? solveLambert(departure.position, arrival.heliocentric, timeOfFlight)
+                : null;
+
+            if (!transfer) {
+                c3Row.push(null);
+                arrivalRow.push(null);
+                continue;
+            }
+
+            const cell = {
+                departureDate: departure.date,
+                arrivalDate: arrival.date,
+                timeOfFlightDays: timeOfFlight,
+                vInfinityDepartureKmS: speedKmS(transfer.v1, departure.velocity),
+                vInfinityArrivalKmS: speedKmS(transfer.v2, arrival.velocity.heliocentric)
+            };
+            cell.c3 = cell.vInfinityDepartureKmS ** 2;
+
+            c3Row.push(cell.c3);
+            arrivalRow.push(cell.vInfinityArrivalKmS);
+
+            if (!minimumC3 || cell.c3 < minimumC3.c3) minimumC3 = cell;
+            if (!minimumTotal || cell.vInfinityDepartureKmS + cell.vInfinityArrivalKmS <
+                minimumTotal.vInfinityDepartureKmS + minimumTotal.vInfinityArrivalKmS) {
+                minimumTotal = cell;
+            }
+        }
+
+        c3.push(c3Row);
+        vInfinityArrival.push(arrivalRow);
+    }
+
+    return {
+        departureDates: departures.map(d => d.date),
+        arrivalDates: arrivals.map(a => a.date),
+        minTimeOfFlightDays: minTimeOfFlight,
+        c3,
+        vInfinityArrival,
+        optimum: {
+            // Cheapest launch, e.g. for a flyby or impactor
+            minimumC3,
+            // Cheapest launch plus arrival braking, a rendezvous proxy
+            minimumTotal
+        }
+    };
+}
+
+module.exports = {
+    calculatePorkchop,
+    DEFAULT_STEPS
+};
@@ -0,0 +1,236 @@
+/**
+ * Observability Service
+ *
+ * Finds the time windows in which an asteroid can actually be observed from
+ * a ground site: high enough above the horizon, in an astronomically dark
+ * sky, far enough from the Moon and bright enough for the observer's
+ * equipment.
+ */
+
+const Watchlist = require('../models/watchlist');
+const {
+    fetchAsteroidElements,
+    calculateObservation,
+    dateToJulianDate,
+    julianDateToDate
+} = require('./ephemeris.service');
+
+// Default observing constraints
+const DEFAULT_CONSTRAINTS = {
+    minAltitude: 30,         // degrees above the horizon
+    maxSunAltitude: -18,     // astronomical twilight
+    minMoonSeparation: 30,   // degrees (only applied while the Moon is up)
+    magnitudeLimit: 20       // faintest usable V magnitude
+};
+
+const DEFAULT_STEP_MINUTES = 10;
+const MINUTES_PER_DAY = 1440;
+
+/**
+ * Check a single observation against the constraints
+ * Objects without a known H are not rejected on brightness.
+ *
+ * @param {Object} obs - Record from calculateObservation
+ * @param {Object} constraints - Observing constraints
+ * @returns {boolean} True if observable
+ */
+function isObservable(obs, constraints) {
+    if (obs.altitude < constraints.minAltitude) return false;
+    if (obs.sunAltitude > constraints.maxSunAltitude) return false;
+    if (obs.moonAltitude > 0 && obs.moonSeparation < constraints.minMoonSeparation) return false;
+    if (obs.magnitude !== null && obs.magnitude > constraints.magnitudeLimit) return false;
+    return true;
+}
+
+/**
+ * Start of the observing night containing a date
+ * Nights run from local solar noon to the next local solar noon, so the
+ * observer's time zone is not needed.
+ *
+ * @param {Date} date - Reference date
+ * @param {number} longitude - Observer longitude (degrees, east positive)
+ * @returns {Date} Local solar noon preceding the date
+ */
+function getNightStart(date, longitude) {
+    const noonOffsetMs = (12 - longitude / 15) * 60 * 60 * 1000;
+    const dayMs = MINUTES_PER_DAY * 60 * 1000;
+    const start = Math.floor((date.getTime() - noonOffsetMs) / dayMs) * dayMs + noonOffsetMs;
+    return new Date(start);
+}
+
+/**
+ * Find observability windows over a time range
+ * Windows are resolved to the sampling step (default 10 minutes).
+ *
+ * @param {Object} asteroid - Asteroid with orbitalElements, absoluteMagnitude, slopeParameter
+ * @param {Object} observer - {latitude, longitude (east positive), elevation (m)}
+ * @param {Date} startDate - Start of range
+ * @param {Date} endDate - End of range
+ * @param {Object} constraints - Overrides for DEFAULT_CONSTRAINTS
+ * @param {number} stepMinutes - Sampling interval
+ * @returns {Array} Windows {start, end, durationHours, peak, minMoonSeparation, brightestMagnitude}
+ */
+function findObservabilityWindows(asteroid, observer, startDate, endDate, constraints = {}, stepMinutes = DEFAULT_STEP_MINUTES) {
+    const limits = { ...DEFAULT_CONSTRAINTS, ...constraints };
+    const startJD = dateToJulianDate(startDate);
+    const endJD = dateToJulianDate(endDate);
+    const step = stepMinutes / MINUTES_PER_DAY;
+
+    const windows = [];
+    let current = null;
+
+    const closeWindow = (endJDOfWindow) => {
+        windows.push({
+            start: julianDateToDate(current.startJD),
+            end: julianDateToDate(endJDOfWindow),
+            durationHours: (endJDOfWindow - current.startJD) * 24,
+            peak: current.peak,
+            minMoonSeparation: current.minMoonSeparation,
+            brightestMagnitude: current.brightestMagnitude
+        });
+        current = null;
+    };
+
+    for (let jd = startJD; jd <= endJD; jd += step) {
+        const obs = calculateObservation(asteroid, observer, jd);
+
+        if (!isObservable(obs, limits)) {
+            if (current) closeWindow(current.lastJD);
+            continue;
+        }
+
+        if (!current) {
+            current = {
+                startJD: jd,
+                peak: obs,
+                minMoonSeparation: obs.moonSeparation,
+                brightestMagnitude: obs.magnitude
+            };
+        }
+
+        current.lastJD = jd;
+        if (obs.altitude > current.peak.altitude) current.peak = obs;
+        current.minMoonSeparation = Math.min(current.minMoonSeparation, obs.moonSeparation);
+        if (obs.magnitude !== null) {
+            current.brightestMagnitude = current.brightestMagnitude === null
+                ? obs.magnitude
+                : Math.min(current.brightestMagnitude, obs.magnitude);
+        }
+    }
+
+    if (current) closeWindow(current.lastJD);
+
+    return windows;
+}
+
+/**
+ * Plan observations for tonight and the coming week
+ *
+ * @param {Object} asteroid - Asteroid with orbitalElements and magnitude parameters
+ * @param {Object} observer - {latitude, longitude, elevation}
+ * @param {Object} options - {date, nights, constraints, stepMinutes}
+ * @returns {Object} {tonight, week, constraints}
+ */
+function planObservability(asteroid, observer, { date = new Date(), nights = 7, constraints = {}, stepMinutes } = {}) {
+    const limits = { ...DEFAULT_CONSTRAINTS, ...constraints };
+    const nightStart = getNightStart(date, observer.longitude);
+    const dayMs = MINUTES_PER_DAY * 60 * 1000;
+    const rangeEnd = new Date(nightStart.getTime() + nights * dayMs);
+    const tonightEnd = new Date(nightStart.getTime() + dayMs);
+
+    const windows = findObservabilityWindows(asteroid, observer, nightStart, rangeEnd, limits, stepMinutes);
+    const tonight = windows.filter(w => w.start < tonightEnd);
+
+    const sumHours = (list) => list.reduce((sum, w) => sum + w.durationHours, 0);
+
+    return {
+        constraints: limits,
+        range: { start: nightStart, end: rangeEnd },
+        tonight: {
+            observable: tonight.length > 0,
+            totalHours: sumHours(tonight),
+            windows: tonight
+        },
+        week: {
+            observable: windows.length > 0,
+            nightsObservable: new Set(windows.map(w =>
+                Math.floor((w.start.getTime() - nightStart.getTime()) / dayMs)
+            )).size,
+            totalHours: sumHours(windows),
+            windows
+        }
+    };
+}
+
+/**
+ * Resolve the orbital elements of a stored Asteroid document
+ * Falls back to NASA SBDB when the cached document has no elements.
+ *
+ * @param {Object} asteroid - Asteroid document
+ * @returns {Promise<Object>} {designation, name, orbitalElements, absoluteMagnitude, slopeParameter}
+ */
+async function resolveAsteroidElements(asteroid) {
+    const elements = asteroid.orbitalElements;
+    if (elements?.semiMajorAxis || (elements?.perihelionDistance && elements?.timeOfPerihelion)) {
+        return {
+            designation: asteroid.spkId || asteroid.nasaId,
+            name: asteroid.name,
+            orbitalElements: asteroid.orbitalElements,
+            absoluteMagnitude: asteroid.absoluteMagnitude ?? null,
+            slopeParameter: null
+        };
+    }
+
+    return fetchAsteroidElements(asteroid.spkId || asteroid.nasaId);
+}
+
+/**
+ * Plan observability for every asteroid on a user's watchlist
+ *
+ * @param {string} userId - User ObjectId
+ * @param {Object} observer - {latitude, longitude, elevation}
+ * @param {Object} options - Passed through to planObservability
+ * @returns {Promise<Array>} One entry per watched asteroid
+ */
+async function planWatchlistObservability(userId, observer, options = {}) {
+    const entries = await Watchlist.find({ userId }).populate('asteroidId');
+    const results = [];
+
+    for (const entry of entries) {
+        const asteroid = entry.asteroidId;
+        if (!asteroid) continue;
+
+        try {
+            const elements = await resolveAsteroidElements(asteroid);
+            const plan = planObservability(elements, observer, options);
+
+            results.push({
+                watchlistId: entry._id,
+                asteroidId: asteroid._id,
+                designation: elements.designation,
+                name: asteroid.name || elements.name,
+                absoluteMagnitude: elements.absoluteMagnitude,
+                tonight: plan.tonight,
+                week: plan.week
+            });
+        } catch (error) {
+            results.push({
+                watchlistId: entry._id,
+                asteroidId: asteroid._id,
+                name: asteroid.name,
+                error: error.message
+            });
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    findObservabilityWindows,
+    planObservability,
+    planWatchlistObservability,
+    getNightStart,
+    isObservable,
+    DEFAULT_CONSTRAINTS
+};
@@ -0,0 +1,181 @@
+/**
+ * Observation Service
+ *
+ * Imports astrometry from MPC 80-column and ADES (XML or PSV) files into the
+ * Observation collection, links it to catalog asteroids and exports it back
+ * in any of the three formats for submission.
+ */
+
+const Asteroid = require('../models/asteroid');
+const Observation = require('../models/observation');
+const { parseMPC80, formatMPC80 } = require('../utils/mpcFormat');
+const { parseAdesXml, parseAdesPsv, formatAdesXml, formatAdesPsv } = require('../utils/adesFormat');
+const { numberToSpkId } = require('../utils/mpcDesignation');
+
+const FORMATS = {
+    'mpc80': { parse: parseMPC80, write: formatMPC80, contentType: 'text/plain', extension: 'txt' },
+    'ades-xml': { parse: parseAdesXml, write: formatAdesXml, contentType: 'application/xml', extension: 'xml' },
+    'ades-psv': { parse: parseAdesPsv, write: formatAdesPsv, contentType: 'text/plain', extension: 'psv' }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Guess the format of an observation file from its contents
+ *
+ * @param {string} text - File contents
+ * @returns {string} 'ades-xml', 'ades-psv' or 'mpc80'
+ */
+function detectFormat(text) {
+    const start = text.trimStart();
+    if (start.startsWith('<')) return 'ades-xml';
+    if (start.startsWith('# version=') || /^[^#!\n]*\|[^\n]*obsTime/m.test(start)) return 'ades-psv';
+    return 'mpc80';
+}
+
+/**
+ * Parse an observation file
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'mpc80', 'ades-xml' or 'ades-psv' (detected if omitted)
+ * @returns {Object} {format, observations, skipped}
+ */
+function parseObservations(text, format = detectFormat(text)) {
+    const handler = FORMATS[format];
+    if (!handler) {
+        throw new Error(`Unknown observation format: ${format} (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return { format, ...handler.parse(text) };
+}
+
+/**
+ * Find the catalog asteroid an observed object refers to
+ * Catalog names look like "433 Eros (A898 PA)" or "(2024 YR4)".
+ *
+ * @param {Object} ids - {permID, provID}
+ * @returns {Object|null} Asteroid document (_id only), or null if not in the catalog
+ */
+async function findAsteroid({ permID, provID }) {
+    const conditions = [];
+
+    if (permID) {
+        conditions.push({ name: new RegExp(`^\\(?${escapeRegex(permID)}[ )]`) });
+        if (/^\d+$/.test(permID)) {
+            conditions.push({ spkId: numberToSpkId(permID) });
+        }
+    }
+    if (provID) {
+        conditions.push({ name: new RegExp(`(^|\\()${escapeRegex(provID)}(\\)|$)`) });
+    }
+
+    if (conditions.length === 0) return null;
+    return Asteroid.findOne({ $or: conditions }).select('_id').lean();
+}
+
+/**
+ * Store parsed observations in the Observation collection
+ * Observations already stored (same object, station and time) are left as they are.
+ *
+ * @param {Object} parsed - Result of parseObservations
+ * @returns {Object} {format, imported, duplicates, skipped, objects: [{designation, asteroidId, count}]}
+ */
+async function importObservations(parsed) {
+    // Resolve each observed object once
+    const objects = new Map();
+    for (const obs of parsed.observations) {
+        if (!objects.has(obs.designation)) {
+            const asteroid = await findAsteroid(obs);
+            objects.set(obs.designation, { designation: obs.designation, asteroidId: asteroid?._id ?? null, count: 0 });
+        }
+        objects.get(obs.designation).count++;
+    }
+
+    let imported = 0;
+    let duplicates = 0;
+
+    if (parsed.observations.length > 0) {
+        const result = await Observation.bulkWrite(
+            parsed.observations.map(obs => ({
+                updateOne: {
+                    filter: { designation: obs.designation, observatory: obs.observatory, time: obs.time },
+                    update: {
+                        $setOnInsert: {
+                            ...obs,
+                            asteroidId: objects.get(obs.designation).asteroidId,
+                            source: parsed.format
+                        }
+                    },
+                    upsert: true
+                }
+            })),
+            { ordered: false }
+        );
+        imported = result.upsertedCount;
+        duplicates = result.matchedCount;
+    }
+
+    return {
+        format: parsed.format,
+        imported,
+        duplicates,
+        skipped: parsed.skipped,
+        objects: [...objects.values()]
+    };
+}
+
+/**
+ * Stored observations of an object, in time order
+ * The designation matches the permanent number, provisional designation or trkSub.
+ *
+ * @param {Object} filter - {designation, asteroidId, observatory, limit}
+ * @returns {Array} Observation records
+ */
+async function listObservations({ designation, asteroidId, observatory, limit = 500 } = {}) {
+    const query = {};
+    if (designation) {
+        query.$or = [{ designation }, { permID: designation }, { provID: designation }, { trkSub: designation }];
+    }
+    if (asteroidId) query.asteroidId = asteroidId;
+    if (observatory) query.observatory = String(observatory).toUpperCase();
+
+    return Observation.find(query)
+        .sort({ time: 1 })
+        .limit(limit)
+        .select('-__v')
+        .lean();
+}
+
+/**
+ * Write stored observations of an object in a submission format
+ *
+ * @param {string} designation - Object designation
+ * @param {string} format - 'mpc80', 'ades-xml' or 'ades-psv'
+ * @param {Object} context - ADES obsContext (submitter, observers, measurers, telescope)
+ * @returns {Object|null} {content, contentType, extension, count}, or null if nothing is stored
+ */
+async function exportObservations(designation, format = 'ades-xml', context = {}) {
+    const handler = FORMATS[format];
+    if (!handler) {
+        throw new Error(`Unknown observation format: ${format} (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const observations = await listObservations({ designation, limit: 0 });
+    if (observations.length === 0) return null;
+
+    return {
+        content: handler.write(observations, context),
+        contentType: handler.contentType,
+        extension: handler.extension,
+        count: observations.length
+    };
+}
+
+module.exports = {
+    detectFormat,
+    parseObservations,
+    importObservations,
+    listObservations,
+    exportObservations,
+    findAsteroid,
+    OBSERVATION_FORMATS: Object.keys(FORMATS)
+};
@@ -0,0 +1,170 @@
+/**
+ * Orbit Determination Service
+ *
+ * Stores objects whose orbits were fitted from submitted astrometry and
+ * presents them in the same shape as SBDB objects, so the ephemeris, risk
+ * and visualization endpoints can work with them by designation.
+ */
+
+const crypto = require('crypto');
+const HypotheticalObject = require('../models/hypotheticalObject');
+const { calculateEarthMOID } = require('../utils/moid');
+
+const HYPOTHETICAL_PREFIX = 'HYP-';
+const NEO_PERIHELION_LIMIT = 1.3;     // AU
+const PHA_MOID_LIMIT = 0.05;          // AU
+const PHA_MAGNITUDE_LIMIT = 22;
+
+/**
+ * Whether a designation refers to a locally fitted object
+ *
+ * @param {string} designation - Object designation
+ * @returns {boolean}
+ */
+function isHypotheticalDesignation(designation) {
+    return String(designation).toUpperCase().startsWith(HYPOTHETICAL_PREFIX);
+}
+
+/**
+ * Present a stored object like fetchAsteroidElements does for SBDB objects
+ *
+ * @param {Object} record - HypotheticalObject document or plain record
+ * @returns {Object} Asteroid data
+ */
+function toAsteroidData(record) {
+    const { orbitalElements, moid, absoluteMagnitude } = record;
+    const perihelion = orbitalElements.perihelionDistance ??
+        orbitalElements.semiMajorAxis * (1 - orbitalElements.eccentricity);
+
+    return {
+        designation: record.designation,
+        name: record.name || record.designation,
+        kind: 'asteroid',
+        isHypothetical: true,
+        orbitalElements,
+        moid,
+        orbitClass: 'Hypothetical',
+        isNEO: perihelion <= NEO_PERIHELION_LIMIT,
+        isPHA: moid !== null && moid <= PHA_MOID_LIMIT &&
+            absoluteMagnitude !== null && absoluteMagnitude <= PHA_MAGNITUDE_LIMIT,
+        absoluteMagnitude,
+        slopeParameter: null,
+        diameter: null,
+        cometMagnitude: null,
+        nonGravitational: null,
+        fit: record.fit,
+        solution: {
+            source: 'Cosmic Watch orbit determination',
+            id: record.fit ? `${record.fit.method} (${record.fit.observationCount} obs, RMS ${record.fit.rms?.toFixed(2)}")` : null,
+            date: record.createdAt ?? null
+        },
+        createdAt: record.createdAt
+    };
+}
+
+/**
+ * Assemble a hypothetical object from a fitted orbit
+ *
+ * @param {Object} params
+ * @param {string} params.name - Display name (optional)
+ * @param {Array} params.observations - Submitted observations
+ * @param {Object} params.solution - Result of determineOrbit
+ * @returns {Object} Record ready to be stored
+ */
+function buildHypotheticalObject({ name, observations, solution }) {
+    const designation = `${HYPOTHETICAL_PREFIX}${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+
+    let moid = null;
+    try {
+        moid = calculateEarthMOID(solution.orbitalElements).moidAU;
+    } catch (error) {
+        console.error(`MOID calculation failed for ${designation}:`, error.message);
+    }
+
+    // Residuals come back in time order with the index of the submitted observation
+    const residuals = new Map(solution.residuals.map(r => [r.index, r]));
+
+    return {
+        designation,
+        name: name?.trim() || designation,
+        orbitalElements: solution.orbitalElements,
+        absoluteMagnitude: solution.absoluteMagnitude,
+        moid,
+        fit: {
+            method: solution.method,
+            rms: solution.fit.rms,
+            iterations: solution.fit.iterations,
+            converged: solution.fit.converged,
+            observationCount: solution.fit.observationCount,
+            arcDays: solution.fit.arcDays
+        },
+        observations: observations.map((obs, i) => ({
+            julianDate: residuals.get(i).julianDate,
+            ra: Number(obs.ra),
+            dec: Number(obs.dec),
+            observatory: obs.observatory ?? '500',
+            sigma: obs.sigma ?? null,
+            magnitude: obs.magnitude ?? null,
+            residualRa: residuals.get(i).residualRa,
+            residualDec: residuals.get(i).residualDec
+        }))
+    };
+}
+
+/**
+ * Store a hypothetical object
+ *
+ * @param {Object} record - Record from buildHypotheticalObject
+ * @returns {Object} Stored object as asteroid data
+ */
+async function saveHypotheticalObject(record) {
+    const doc = await HypotheticalObject.create(record);
+    return toAsteroidData(doc.toObject());
+}
+
+/**
+ * List stored hypothetical objects, newest first
+ *
+ * @returns {Array} Asteroid data entries
+ */
+async function listHypotheticalObjects() {
+    const docs = await HypotheticalObject.find()
+        .select('-observations')
+        .sort({ createdAt: -1 })
+        .lean();
+    return docs.map(toAsteroidData);
+}
+
+/**
+ * Get a stored hypothetical object with its observations
+ *
+ * @param {string} designation - HYP- designation
+ * @returns {Object|null} Asteroid data plus observations, or null if unknown
+ */
+async function getHypotheticalObject(designation) {
+    const doc = await HypotheticalObject.findOne({ designation: String(designation).toUpperCase() }).lean();
+    if (!doc) return null;
+    return { ...toAsteroidData(doc), observations: doc.observations };
+}
+
+/**
+ * Delete a stored hypothetical object
+ *
+ * @param {string} designation - HYP- designation
+ * @returns {boolean} Whether an object was deleted
+ */
+async function deleteHypotheticalObject(designation) {
+    const result = await HypotheticalObject.deleteOne({ designation: String(designation).toUpperCase() });
+    return result.deletedCount > 0;
+}
+
+module.exports = {
+    isHypotheticalDesignation,
+    toAsteroidData,
+    buildHypotheticalObject,
+    saveHypotheticalObject,
+    listHypotheticalObjects,
+    getHypotheticalObject,
+    deleteHypotheticalObject,
+    HYPOTHETICAL_PREFIX
+};
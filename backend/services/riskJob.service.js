@@ -0,0 +1,351 @@
+/**
+ * Risk Job Service
+ *
+ * Runs single and batch risk assessments in the background. Each job is a
+ * RiskJob document: POST returns its ID straight away, and progress and
+ * partial results are pushed to socket.io room "risk_job:<id>" as well as
+ * saved to the document. Jobs left queued or running when the server stops
+ * are picked up again at startup; a batch resumes after its last saved
+ * assessment, and a single assessment reruns with its stored seed.
+ *
+ * Socket events (server -> client), each carrying jobId:
+ *   risk_job:progress  {status, progress, completed, total}
+ *   risk_job:result    {index, assessment}   one batch item
+ *   risk_job:done      {status, error}
+ * Clients join a job's room with "risk_job:subscribe" <jobId>.
+ */
+
+const mongoose = require('mongoose');
+const RiskJob = require('../models/riskJob');
+const { assessRisk, batchAssessRisk, rankAssessments } = require('../utils/riskEngine');
+const { randomSeed } = require('../utils/random');
+const {
+    fetchAsteroidElements,
+    resolveEncounterDate,
+    ENCOUNTER_SEARCH_YEARS
+} = require('./ephemeris.service');
+
+const MAX_RUNNING_JOBS = 2;
+const PROGRESS_SAVE_INTERVAL_MS = 1000;
+
+let io = null;
+const pending = [];               // IDs of queued jobs, oldest first
+const running = new Map();        // ID of running job -> {controller}
+
+const room = (jobId) => `risk_job:${jobId}`;
+
+function emit(jobId, event, payload) {
+    io?.to(room(jobId)).emit(event, { jobId: String(jobId), ...payload });
+}
+
+/**
+ * Job as returned by the API
+ */
+function formatJob(job) {
+    return {
+        jobId: String(job._id),
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        completed: job.completed,
+        total: job.total,
+        params: job.type === 'batch'
+            ? { count: job.params.asteroids.length, seed: job.params.seed }
+            : job.params,
+        result: job.result ?? null,
+        partialResults: job.status === 'completed' ? undefined : job.partialResults,
+        error: job.error ?? null,
+        attempts: job.attempts,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt ?? null,
+        finishedAt: job.finishedAt ?? null
+    };
+}
+
+/**
+ * Create a job and queue it
+ *
+ * @param {string} type - 'assess' or 'batch'
+ * @param {Object} params - Job parameters (see the RiskJob model)
+ * @returns {Object} Formatted job
+ */
+async function createRiskJob(type, params) {
+    // A fixed seed lets a job interrupted by a restart reproduce its numbers
+    const job = await RiskJob.create({
+        type,
+        params: { ...params, seed: params.seed ?? randomSeed() },
+        total: type === 'batch' ? params.asteroids.length : 1
+    });
+
+    enqueue(job._id);
+    return formatJob(job);
+}
+
+/**
+ * Look up a job
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Formatted job, or null if there is no such job
+ */
+async function getRiskJob(jobId) {
+    if (!mongoose.isValidObjectId(jobId)) return null;
+    const job = await RiskJob.findById(jobId).lean();
+    return job ? formatJob(job) : null;
+}
+
+/**
+ * Cancel a queued or running job
+ * A running job is marked cancelled at once; its runner stops in the
+ * background once the tasks already on the worker threads finish.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Formatted job, or null if there is no such job
+ */
+async function cancelRiskJob(jobId) {
+    if (!mongoose.isValidObjectId(jobId)) return null;
+
+    // A running job's runner winds down in the background
+    running.get(String(jobId))?.controller.abort(new Error('Job cancelled'));
+
+    const job = await RiskJob.findOneAndUpdate(
+        { _id: jobId, status: { $in: ['queued', 'running'] } },
+        { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+        { new: true }
+    ).lean();
+
+    if (job) {
+        const position = pending.indexOf(String(jobId));
+        if (position >= 0) pending.splice(position, 1);
+        emit(jobId, 'risk_job:done', { status: 'cancelled', error: null });
+        return formatJob(job);
+    }
+    return getRiskJob(jobId);
+}
+
+function enqueue(jobId) {
+    pending.push(String(jobId));
+    runNext();
+}
+
+/**
+ * Start queued jobs up to MAX_RUNNING_JOBS
+ */
+function runNext() {
+    while (pending.length > 0 && running.size < MAX_RUNNING_JOBS) {
+        const jobId = pending.shift();
+        const controller = new AbortController();
+        running.set(jobId, { controller });
+
+        runJob(jobId, controller.signal)
+            .catch(error => console.error(`Risk job ${jobId} failed to update:`, error.message))
+            .finally(() => {
+                running.delete(jobId);
+                runNext();
+            });
+    }
+}
+
+/**
+ * Run one job to completion, failure or cancellation
+ */
+async function runJob(jobId, signal) {
+    const job = await RiskJob.findOneAndUpdate(
+        { _id: jobId, status: 'queued' },
+        { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+        { new: true }
+    ).lean();
+    if (!job) return; // Cancelled while queued
+
+    console.log(`Risk job ${jobId} started (${job.type}, attempt ${job.attempts})`);
+    emit(jobId, 'risk_job:progress', {
+        status: 'running',
+        progress: job.progress,
+        completed: job.completed,
+        total: job.total
+    });
+
+    try {
+        const result = job.type === 'batch'
+            ? await runBatchJob(job, signal)
+            : await runAssessJob(job, signal);
+
+        // A job cancelled meanwhile keeps its status
+        const saved = await RiskJob.updateOne({ _id: jobId, status: 'running' }, {
+            $set: {
+                status: 'completed',
+                progress: 100,
+                completed: job.total,
+                result,
+                partialResults: [],
+                finishedAt: new Date()
+            }
+        });
+        if (saved.modifiedCount === 0) return;
+
+        emit(jobId, 'risk_job:progress', { status: 'completed', progress: 100, completed: job.total, total: job.total });
+        emit(jobId, 'risk_job:done', { status: 'completed', error: null });
+        console.log(`Risk job ${jobId} completed`);
+    } catch (error) {
+        // Cancellation has already been saved and announced by cancelRiskJob
+        if (signal.aborted) {
+            console.log(`Risk job ${jobId} cancelled`);
+            return;
+        }
+
+        const saved = await RiskJob.updateOne({ _id: jobId, status: 'running' }, {
+            $set: { status: 'failed', error: error.message, finishedAt: new Date() }
+        });
+        if (saved.modifiedCount === 0) return;
+
+        emit(jobId, 'risk_job:done', { status: 'failed', error: error.message });
+        console.log(`Risk job ${jobId} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Save and broadcast progress, writing to the database at most once a second
+ */
+function progressReporter(job) {
+    let lastSave = 0;
+
+    return (progress, completed = job.completed) => {
+        const rounded = Math.round(progress * 10) / 10;
+        emit(job._id, 'risk_job:progress', { status: 'running', progress: rounded, completed, total: job.total });
+
+        const now = Date.now();
+        if (now - lastSave >= PROGRESS_SAVE_INTERVAL_MS) {
+            lastSave = now;
+            RiskJob.updateOne({ _id: job._id }, { $set: { progress: rounded } })
+                .catch(error => console.error(`Risk job ${job._id} progress not saved:`, error.message));
+        }
+    };
+}
+
+async function runAssessJob(job, signal) {
+    const { designation, encounterDate, numSimulations, seed, samplingMode, lovOptions } = job.params;
+    const report = progressReporter(job);
+
+    const asteroid = await fetchAsteroidElements(designation);
+    signal.throwIfAborted();
+    report(5);
+
+    const encounter = await resolveEncounterDate(asteroid.orbitalElements, { encounterDate, samplingMode, signal });
+    if (!encounter) {
+        throw new Error(`No Earth encounter found in the next ${ENCOUNTER_SEARCH_YEARS} years`);
+    }
+
+    const assessment = await assessRisk({
+        asteroid,
+        encounterDate: encounter,
+        numSimulations,
+        samplingMode,
+        lovOptions,
+        seed,
+        signal,
+        onProgress: (fraction) => report(5 + 95 * fraction)
+    });
+    signal.throwIfAborted();
+
+    return { designation, assessment };
+}
+
+async function runBatchJob(job, signal) {
+    const { asteroids, seed } = job.params;
+    const report = progressReporter(job);
+    const done = new Set(job.partialResults.map(item => item.index));
+    const remaining = asteroids
+        .map((asteroid, index) => ({ asteroid, index }))
+        .filter(({ index }) => !done.has(index));
+
+    let completed = done.size;
+    // Each result is saved as it arrives, in order, so a restart resumes after it
+    let saves = Promise.resolve();
+
+    const assessments = await batchAssessRisk(remaining.map(item => item.asteroid), {
+        seed,
+        indices: remaining.map(item => item.index),
+        signal,
+        onResult: (assessment, k) => {
+            const { index } = remaining[k];
+            completed++;
+            saves = saves
+                .then(() => RiskJob.updateOne({ _id: job._id }, {
+                    $push: { partialResults: { index, assessment } },
+                    $inc: { completed: 1 }
+                }).exec())
+                .catch(error => console.error(`Risk job ${job._id} result ${index} not saved:`, error.message));
+            emit(job._id, 'risk_job:result', { index, assessment });
+            report(100 * completed / job.total, completed);
+        }
+    }).finally(() => saves);
+
+    const assessmentsSoFar = job.partialResults.map(item => item.assessment);
+    const all = rankAssessments([...assessmentsSoFar, ...assessments]);
+    return { count: all.length, assessments: all };
+}
+
+/**
+ * Attach the job events to the socket.io server
+ *
+ * @param {Object} server - socket.io Server
+ */
+function registerRiskJobSocket(server) {
+    io = server;
+
+    io.on('connection', (socket) => {
+        socket.on('risk_job:subscribe', async (jobId) => {
+            socket.join(room(jobId));
+
+            // Bring a late subscriber up to date
+            try {
+                const job = await getRiskJob(jobId);
+                if (job) {
+                    socket.emit('risk_job:progress', {
+                        jobId: job.jobId,
+                        status: job.status,
+                        progress: job.progress,
+                        completed: job.completed,
+                        total: job.total
+                    });
+                }
+            } catch (error) {
+                console.error('Risk job subscribe error:', error.message);
+            }
+        });
+
+        socket.on('risk_job:unsubscribe', (jobId) => {
+            socket.leave(room(jobId));
+        });
+    });
+}
+
+/**
+ * Queue the jobs that were waiting or running when the server last stopped
+ * Call once the database is connected.
+ */
+async function resumeRiskJobs() {
+    try {
+        await RiskJob.updateMany(
+            { status: { $in: ['queued', 'running'] }, cancelRequested: true },
+            { $set: { status: 'cancelled', finishedAt: new Date() } }
+        );
+        await RiskJob.updateMany({ status: 'running' }, { $set: { status: 'queued' } });
+
+        const jobs = await RiskJob.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id').lean();
+        jobs.forEach(job => enqueue(job._id));
+        if (jobs.length > 0) {
+            console.log(`Resumed ${jobs.length} risk job(s)`);
+        }
+    } catch (error) {
+        console.error('Failed to resume risk jobs:', error.message);
+    }
+}
+
+module.exports = {
+    createRiskJob,
+    getRiskJob,
+    cancelRiskJob,
+    registerRiskJobSocket,
+    resumeRiskJobs,
+    MAX_RUNNING_JOBS
+};
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findClosestApproach, findCloseApproaches } = require('../services/ephemeris.service');
+const { APOPHIS } = require('./fixtures');
+
+test('closest approach is the deepest Earth minimum in the range', () => {
+    const closest = findClosestApproach(APOPHIS, new Date('2029-01-01'), new Date('2032-01-01'));
+    const all = findCloseApproaches(APOPHIS, new Date('2029-01-01'), new Date('2032-01-01'), { bodies: ['earth'], maxDistance: Infinity });
+
+    assert.equal(closest.rangeLimit, undefined);
+    assert.equal(closest.distanceAU, Math.min(...all.map(approach => approach.distanceAU)));
+    assert.equal(closest.date.toISOString().slice(0, 10), '2031-04-14');
+});
+
+test('without a minimum in the range, the nearer end is the closest approach', () => {
+    // Receding from the minimum of 2029 January 22
+    const start = new Date('2029-02-01T00:00:00Z');
+    const end = new Date('2029-04-01T00:00:00Z');
+    const closest = findClosestApproach(APOPHIS, start, end);
+
+    assert.equal(closest.rangeLimit, 'start');
+    assert.ok(Math.abs(closest.date - start) < 1, closest.date.toISOString());
+    assert.ok(closest.distanceAU < findClosestApproach(APOPHIS, end, new Date('2029-04-02T00:00:00Z')).distanceAU);
+});
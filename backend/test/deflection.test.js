@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ephemerisService = require('../services/ephemeris.service');
+const { elementsToStateVector, AU_TO_KM, SECONDS_PER_DAY } = require('../utils/keplerianElements');
+const { APOPHIS } = require('./fixtures');
+
+// Serve the fixture orbit instead of asking SBDB (the service keeps its own reference)
+ephemerisService.fetchAsteroidElements = async (designation) => ({
+    designation,
+    name: '99942 Apophis',
+    diameter: 0.37,
+    orbitalElements: APOPHIS,
+    covariance: null
+});
+const { planDeflection, kineticImpactorDeltaV, applyDeltaV, DART_IMPACTOR } = require('../services/deflection.service');
+
+// Δv = β m U / M: 3.61 × 580 kg × 6.14 km/s / 4.3e9 kg for Dimorphos
+test('kinetic impactor Δv for DART at Dimorphos', () => {
+    const deltaV = kineticImpactorDeltaV({ ...DART_IMPACTOR, asteroidMass: 4.3e9 });
+    assert.ok(Math.abs(deltaV - 2.99e-3) < 0.01e-3, `Δv = ${deltaV} m/s`);
+});
+
+test('a Δv changes only the velocity at the deflection', () => {
+    const jd = 2461000.5;
+    const before = elementsToStateVector(APOPHIS, jd);
+    const after = elementsToStateVector(applyDeltaV(APOPHIS, jd, { x: 1, y: -2, z: 0.5 }), jd);
+    const toMs = AU_TO_KM * 1000 / SECONDS_PER_DAY;
+
+    assert.ok(Math.hypot(after.x - before.x, after.y - before.y, after.z - before.z) < 1e-9);
+    assert.ok(Math.abs((after.vx - before.vx) * toMs - 1) < 1e-4);
+    assert.ok(Math.abs((after.vy - before.vy) * toMs + 2) < 1e-4);
+    assert.ok(Math.abs((after.vz - before.vz) * toMs - 0.5) < 1e-4);
+});
+
+test('deflection moves the encounter and keeps the simulation seed', async () => {
+    const plan = await planDeflection({
+        designation: '99942',
+        deflectionDate: new Date('2026-01-01T00:00:00Z'),
+        encounterDate: new Date('2031-04-14T00:46:00Z'),
+        impactorMass: 5000,
+        numSimulations: 200,
+        seed: 42
+    });
+
+    assert.equal(plan.encounter.nominal.date.toISOString().slice(0, 10), '2031-04-14');
+    assert.ok(Math.abs(plan.encounter.timeShiftSeconds) > 1, `time shift ${plan.encounter.timeShiftSeconds} s`);
+    assert.ok(plan.encounter.missDistanceChangeKm !== 0);
+    assert.equal(plan.impactProbability.seed, 42);
+    assert.equal(plan.impactProbability.samples, 200);
+    assert.equal(plan.trajectory.length, 241);
+});
+
+test('the deflection must come before the encounter', async () => {
+    await assert.rejects(
+        planDeflection({ designation: '99942', deflectionDate: new Date('2032-01-01'), encounterDate: new Date('2031-04-14') }),
+        /must come before the encounter/
+    );
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    findClosestApproach,
+    resolveEncounterDate,
+    ENCOUNTER_SEARCH_YEARS
+} = require('../services/ephemeris.service');
+const { APOPHIS } = require('./fixtures');
+
+test('encounter search runs on the worker pool', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 10);
+    const encounter = await resolveEncounterDate(APOPHIS, { samplingMode: 'lov' }).finally(() => clearInterval(timer));
+
+    const now = new Date();
+    const expected = findClosestApproach(APOPHIS, now, new Date(now.getTime() + ENCOUNTER_SEARCH_YEARS * 365 * 864e5));
+    assert.ok(Math.abs(encounter - expected.date) < 1000, `${encounter.toISOString()} vs ${expected.date.toISOString()}`);
+
+    // The main thread kept running while the orbit was integrated
+    assert.ok(ticks > 10, `${ticks} timer ticks`);
+});
+
+test('a requested encounter date is used as given', async () => {
+    const encounter = await resolveEncounterDate(APOPHIS, { encounterDate: '2029-04-13T21:46:00Z', samplingMode: 'lov' });
+    assert.equal(encounter.toISOString(), '2029-04-13T21:46:00.000Z');
+});
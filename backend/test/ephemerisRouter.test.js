@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ephemerisService = require('../services/ephemeris.service');
+const ephemerisRouter = require('../routes/ephemerisRouter');
+const { APOPHIS } = require('./fixtures');
+
+// Serve the fixture orbit instead of asking SBDB
+ephemerisService.fetchAsteroidElements = async (designation) => ({
+    designation,
+    name: '99942 Apophis',
+    orbitalElements: APOPHIS,
+    nonGravitational: null
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.use('/api/ephemeris', ephemerisRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/ephemeris`;
+});
+
+test.after(() => server.close());
+
+const get = async (path) => {
+    const response = await fetch(baseUrl + path);
+    const type = response.headers.get('content-type') ?? '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : await response.text() };
+};
+
+test('trajectory integrates a range near the element epoch', async () => {
+    const { status, body } = await get('/trajectory/99942?startDate=2025-01-01&endDate=2026-01-01&steps=10&perturbations=true');
+
+    assert.equal(status, 200);
+    assert.equal(body.propagation, 'n-body');
+    assert.equal(body.trajectory.length, 10);
+});
+
+test('trajectory refuses an N-body run over a century', async () => {
+    const { status, body } = await get('/trajectory/99942?startDate=2025-01-01&endDate=2125-01-01&perturbations=true');
+
+    assert.equal(status, 400);
+    assert.match(body.error, /at most 20 years/);
+});
+
+test('trajectory counts the years from the element epoch to the range', async () => {
+    const { status } = await get('/trajectory/99942?startDate=2100-01-01&endDate=2100-02-01&perturbations=true');
+    assert.equal(status, 400);
+});
+
+test('two-body trajectories are not limited in span', async () => {
+    const { status, body } = await get('/trajectory/99942?startDate=2025-01-01&endDate=2125-01-01&steps=50');
+
+    assert.equal(status, 200);
+    assert.equal(body.propagation, 'two-body');
+});
+
+test('trajectory rejects an invalid date', async () => {
+    const { status, body } = await get('/trajectory/99942?startDate=soon');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'startDate must be a valid date');
+});
+
+test('export writes an N-body ephemeris near the element epoch', async () => {
+    const { status, body } = await get('/export/99942?format=csv&startDate=2025-01-01&endDate=2025-02-01&steps=5&perturbations=true');
+
+    assert.equal(status, 200);
+    assert.ok(body.trim().split('\n').length >= 5);
+});
+
+test('export refuses an N-body run over a century, however many steps', async () => {
+    const { status, body } = await get('/export/99942?startDate=2025-01-01&endDate=2225-01-01&steps=20000&perturbations=true');
+
+    assert.equal(status, 400);
+    assert.match(body.error, /at most 20 years/);
+});
+
+test('export rejects an invalid date', async () => {
+    const { status, body } = await get('/export/99942?endDate=2025-13-45');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'endDate must be a valid date');
+});
+
+test('closest approach lists the encounters in range and picks the deepest', async () => {
+    const { status, body } = await get('/closest-approach/99942?startDate=2029-01-01&endDate=2032-01-01&bodies=earth&maxDistance=0.2');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.approaches.map(approach => approach.date.slice(0, 10)), ['2029-12-24', '2031-04-14']);
+    assert.equal(body.closestApproach.date.slice(0, 10), '2031-04-14');
+});
+
+test('closest approach refuses a search over a century', async () => {
+    const { status, body } = await get('/closest-approach/99942?startDate=2025-01-01&endDate=2125-01-01');
+
+    assert.equal(status, 400);
+    assert.match(body.error, /at most 20 years/);
+});
+
+test('closest approach rejects an invalid date', async () => {
+    const { status, body } = await get('/closest-approach/99942?startDate=yesterday');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'startDate must be a valid date');
+});
@@ -0,0 +1,31 @@
+/**
+ * Orbits shared by the tests
+ */
+
+// The shape and orientation of 99942 Apophis's orbit with a made-up mean
+// anomaly: a near-Earth orbit to test with, not an ephemeris of Apophis.
+// Its Earth minima include 2029-12-24 (0.19 AU) and 2031-04-14 (0.11 AU).
+const APOPHIS = {
+    semiMajorAxis: 0.9224,
+    eccentricity: 0.1914,
+    inclination: 3.339,
+    longitudeAscNode: 203.96,
+    argPerihelion: 126.6,
+    meanAnomaly: 142.5,
+    epoch: 2460600.5
+};
+
+// 1I/ʻOumuamua, in the perihelion form
+const OUMUAMUA = {
+    perihelionDistance: 0.2556,
+    eccentricity: 1.2011,
+    inclination: 122.74,
+    longitudeAscNode: 24.60,
+    argPerihelion: 241.81,
+    timeOfPerihelion: 2458005.98
+};
+
+module.exports = {
+    APOPHIS,
+    OUMUAMUA
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    solveKeplerEquation,
+    elementsToStateVector,
+    stateVectorToElements,
+    dateToJulianDate,
+    convertTimescale,
+    SECONDS_PER_DAY
+} = require('../utils/keplerianElements');
+const { APOPHIS, OUMUAMUA } = require('./fixtures');
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const speed = (a, b) => Math.hypot(a.vx - b.vx, a.vy - b.vy, a.vz - b.vz);
+
+// Mean anomalies as propagateMeanAnomaly gives them, in [0, 2π)
+test('Kepler solver inverts Kepler\'s equation', () => {
+    for (const e of [0, 0.1, 0.5, 0.9, 0.99]) {
+        for (let M = 0; M < 2 * Math.PI; M += 0.25) {
+            const E = solveKeplerEquation(M, e);
+            assert.ok(Math.abs(E - e * Math.sin(E) - M) < 1e-9, `e = ${e}, M = ${M}`);
+        }
+    }
+});
+
+test('state vector to elements and back reproduces the orbit', () => {
+    for (const elements of [APOPHIS, OUMUAMUA]) {
+        const epoch = 2460000.5;
+        const fitted = stateVectorToElements(elementsToStateVector(elements, epoch), epoch);
+
+        // Compare away from the fitting epoch, so the propagation is checked too
+        for (const jd of [epoch - 400, epoch + 250]) {
+            const expected = elementsToStateVector(elements, jd);
+            const actual = elementsToStateVector(fitted, jd);
+            assert.ok(distance(expected, actual) < 1e-9, `position at ${jd}`);
+            assert.ok(speed(expected, actual) < 1e-11, `velocity at ${jd}`);
+        }
+    }
+});
+
+// Since the leap second of 2017 January 1, TT − UTC = 37 s + 32.184 s
+test('UTC to TT adds 69.184 s', () => {
+    const utc = dateToJulianDate(new Date('2024-06-01T00:00:00Z'));
+    const offset = (convertTimescale(utc, 'UTC', 'TT') - utc) * SECONDS_PER_DAY;
+
+    assert.ok(Math.abs(offset - 69.184) < 1e-4, `TT − UTC = ${offset} s`);
+    assert.ok(Math.abs(convertTimescale(convertTimescale(utc, 'UTC', 'TT'), 'TT', 'UTC') - utc) * SECONDS_PER_DAY < 1e-4);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { solveLambert } = require('../utils/lambert');
+const { elementsToStateVector } = require('../utils/keplerianElements');
+const { APOPHIS } = require('./fixtures');
+
+// Two points of a known orbit: Lambert's solution must be that orbit
+test('Lambert solver recovers the orbit through two positions', () => {
+    for (const timeOfFlight of [30, 100, 250]) {
+        const start = elementsToStateVector(APOPHIS, 2460600.5);
+        const end = elementsToStateVector(APOPHIS, 2460600.5 + timeOfFlight);
+
+        const { v1, v2 } = solveLambert(start, end, timeOfFlight);
+
+        assert.ok(Math.hypot(v1.vx - start.vx, v1.vy - start.vy, v1.vz - start.vz) < 1e-9, `v1, ${timeOfFlight} d`);
+        assert.ok(Math.hypot(v2.vx - end.vx, v2.vy - end.vy, v2.vz - end.vz) < 1e-9, `v2, ${timeOfFlight} d`);
+    }
+});
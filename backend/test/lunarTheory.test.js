@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLunarCoordinates } = require('../utils/lunarTheory');
+
+// Meeus, Astronomical Algorithms (2nd ed.), example 47.a: 1992 April 12, 0h TD
+test('Moon matches Meeus example 47.a', () => {
+    const { longitude, latitude, distanceKm } = getLunarCoordinates(2448724.5);
+
+    assert.ok(Math.abs(longitude - 133.162655) < 1e-6, `λ = ${longitude}`);
+    assert.ok(Math.abs(latitude - -3.229126) < 1e-6, `β = ${latitude}`);
+    assert.ok(Math.abs(distanceKm - 368409.7) < 0.1, `Δ = ${distanceKm}`);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateCumulativePalermo } = require('../utils/palermoScale');
+
+// Sentry's 2004 MN4 (99942 Apophis) solution of 2004 December 27: a 2.7%
+// chance of a 1480 Mt impact on 2029 April 13, rated 1.10 on the Palermo scale
+test('Palermo scale matches the Sentry rating of 2004 MN4', () => {
+    const palermo = calculateCumulativePalermo(
+        [{ probability: 0.027, energyMT: 1480, date: '2029-04-13T21:46:00Z' }],
+        new Date('2004-12-27T00:00:00Z')
+    );
+
+    assert.ok(Math.abs(palermo.cumulative - 1.10) < 0.01, `PS = ${palermo.cumulative}`);
+    assert.equal(palermo.maximum, palermo.cumulative);
+    assert.equal(palermo.zone, 'Merits Concern');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter, once } = require('node:events');
+const mongoose = require('mongoose');
+const { APOPHIS } = require('./fixtures');
+
+/**
+ * In-memory stand-in for the RiskJob model. Like Mongoose, a query does
+ * nothing until it is awaited or exec'd.
+ */
+const documents = new Map();
+
+class Query {
+    constructor(run) {
+        this.run = run;
+    }
+    lean() { return this; }
+    sort() { return this; }
+    select() { return this; }
+    exec() { return Promise.resolve().then(() => structuredClone(this.run())); }
+    then(resolve, reject) { return this.exec().then(resolve, reject); }
+    catch(reject) { return this.exec().catch(reject); }
+}
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+    value?.$in ? value.$in.includes(doc[key]) : String(doc[key]) === String(value));
+
+function update(doc, { $set = {}, $inc = {}, $push = {} }) {
+    Object.assign(doc, $set);
+    for (const [key, value] of Object.entries($inc)) doc[key] += value;
+    for (const [key, value] of Object.entries($push)) doc[key].push(value);
+}
+
+const RiskJob = {
+    async create(fields) {
+        const doc = {
+            _id: new mongoose.Types.ObjectId().toHexString(),
+            status: 'queued', progress: 0, completed: 0, partialResults: [],
+            cancelRequested: false, attempts: 0, createdAt: new Date(),
+            ...fields
+        };
+        documents.set(doc._id, doc);
+        return structuredClone(doc);
+    },
+    find: (filter) => new Query(() => [...documents.values()].filter(doc => matches(doc, filter))),
+    findById: (id) => new Query(() => documents.get(String(id)) ?? null),
+    findOneAndUpdate: (filter, changes) => new Query(() => {
+        const doc = [...documents.values()].find(doc => matches(doc, filter));
+        if (doc) update(doc, changes);
+        return doc ?? null;
+    }),
+    updateOne: (filter, changes) => new Query(() => {
+        const doc = [...documents.values()].find(doc => matches(doc, filter));
+        if (doc) update(doc, changes);
+        return { modifiedCount: doc ? 1 : 0 };
+    }),
+    updateMany: (filter, changes) => new Query(() => {
+        const docs = [...documents.values()].filter(doc => matches(doc, filter));
+        docs.forEach(doc => update(doc, changes));
+        return { modifiedCount: docs.length };
+    })
+};
+
+const modelPath = require.resolve('../models/riskJob');
+require.cache[modelPath] = { id: modelPath, filename: modelPath, loaded: true, exports: RiskJob };
+
+const { createRiskJob, getRiskJob, registerRiskJobSocket, resumeRiskJobs } = require('../services/riskJob.service');
+
+// socket.io stand-in: every room's events land on one emitter
+const events = new EventEmitter();
+registerRiskJobSocket({ on() {}, to: () => ({ emit: (event, payload) => events.emit(event, payload) }) });
+
+const waitForEvent = async (event, jobId) => {
+    for (;;) {
+        const [payload] = await once(events, event);
+        if (payload.jobId === jobId) return payload;
+    }
+};
+
+// No orbital elements: scored at once, without a simulation
+const quick = (name) => ({ name, diameter: 0.1, missDistanceKm: 5e6, isHazardous: false });
+
+test('batch results are saved as they arrive', async () => {
+    const slow = { name: 'slow', diameter: 0.37, orbitalElements: APOPHIS, closeApproachDate: '2029-04-13T21:46:00Z' };
+    const job = await createRiskJob('batch', { asteroids: [quick('quick'), slow] });
+    const done = waitForEvent('risk_job:done', job.jobId);
+
+    const first = await waitForEvent('risk_job:result', job.jobId);
+    await new Promise(resolve => setImmediate(resolve));
+
+    // Saved while the slow assessment is still running
+    const saved = await getRiskJob(job.jobId);
+    assert.equal(saved.status, 'running');
+    assert.equal(saved.completed, 1);
+    assert.deepEqual(saved.partialResults, [{ index: first.index, assessment: first.assessment }]);
+
+    assert.equal((await done).status, 'completed');
+    const finished = await getRiskJob(job.jobId);
+    assert.equal(finished.result.count, 2);
+    assert.equal(finished.completed, 2);
+});
+
+test('an interrupted batch resumes after its saved results', async () => {
+    const saved = { asteroidName: 'saved before the restart', basicScore: 99 };
+    const job = await RiskJob.create({
+        type: 'batch',
+        status: 'running',
+        params: { asteroids: [quick('first'), quick('second')], seed: 7 },
+        total: 2,
+        completed: 1,
+        partialResults: [{ index: 0, assessment: saved }],
+        attempts: 1
+    });
+
+    const done = waitForEvent('risk_job:done', job._id);
+    await resumeRiskJobs();
+    assert.equal((await done).status, 'completed');
+
+    const { result, attempts } = await getRiskJob(job._id);
+    assert.equal(attempts, 2);
+    assert.deepEqual(result.assessments.map(item => item.asteroidName), ['saved before the restart', 'second']);
+});
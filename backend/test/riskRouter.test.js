@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const ephemerisService = require('../services/ephemeris.service');
+const { APOPHIS } = require('./fixtures');
+
+// Serve the fixture orbit instead of asking SBDB (the router keeps its own reference)
+ephemerisService.fetchAsteroidElements = async (designation) => ({
+    designation,
+    name: '99942 Apophis',
+    orbitalElements: APOPHIS,
+    covariance: null,
+    nonGravitational: null
+});
+const riskRouter = require('../routes/riskRouter');
+
+// Earth encounter of the fixture orbit
+const ENCOUNTER = '2031-04-14T03:16:30Z';
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    const app = express();
+    app.use('/api/risk', riskRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/risk`;
+});
+
+test.after(() => server.close());
+
+const get = async (path) => {
+    const response = await fetch(baseUrl + path);
+    return { status: response.status, body: await response.json() };
+};
+
+test('b-plane maps the encounter on a given date', async () => {
+    const { status, body } = await get(`/b-plane/99942?encounterDate=${ENCOUNTER}&simulations=50`);
+
+    assert.equal(status, 200);
+    assert.equal(body.bPlane.encounter.date.slice(0, 10), '2031-04-14');
+});
+
+test('b-plane rejects an invalid encounter date', async () => {
+    const { status, body } = await get('/b-plane/99942?encounterDate=someday');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'encounterDate must be a valid date');
+});
+
+test('keyholes scans the years after a given encounter', async () => {
+    const { status, body } = await get(`/keyholes/99942?encounterDate=${ENCOUNTER}&years=2&scanPoints=20&simulations=50`);
+
+    assert.equal(status, 200);
+    assert.equal(body.report.encounter.date.slice(0, 10), '2031-04-14');
+    assert.ok(Array.isArray(body.report.keyholes));
+});
+
+test('keyholes rejects an invalid encounter date', async () => {
+    const { status, body } = await get('/keyholes/99942?encounterDate=2031-02-30T99:00');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'encounterDate must be a valid date');
+});
+
+test('keyholes rejects counts that are not integers in range', async () => {
+    for (const [query, error] of [
+        ['years=0', 'years must be an integer from 1 to 30'],
+        ['years=2.5', 'years must be an integer from 1 to 30'],
+        ['scanPoints=5000', 'scanPoints must be an integer from 10 to 1000'],
+        ['simulations=lots', 'simulations must be an integer from 1 to 5000']
+    ]) {
+        const { status, body } = await get(`/keyholes/99942?encounterDate=${ENCOUNTER}&${query}`);
+
+        assert.equal(status, 400, query);
+        assert.equal(body.error, error);
+    }
+});
+
+test('impact corridor runs for a given encounter', async () => {
+    const { status, body } = await get(`/impact-corridor/99942?encounterDate=${ENCOUNTER}&simulations=50&seed=1`);
+
+    assert.equal(status, 200);
+    assert.equal(body.corridor.type, 'FeatureCollection');
+});
+
+test('impact corridor rejects an invalid encounter date', async () => {
+    const { status, body } = await get('/impact-corridor/99942?encounterDate=not-a-date');
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'encounterDate must be a valid date');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runSimulation, runLineOfVariations } = require('../utils/monteCarloSimulator');
+const { runSimulationInPool, runLineOfVariationsInPool } = require('../utils/simulationPool');
+const { stateVectorToElements, julianDateToDate } = require('../utils/keplerianElements');
+const { getPlanetPosition, getPlanetVelocity } = require('../utils/planetaryEphemeris');
+const { APOPHIS } = require('./fixtures');
+
+// Timing aside, a run is fixed by its options and seed
+const withoutTiming = ({ simulationTime, ...result }) => result;
+
+test('pool and calling thread give the same simulation for a seed', async () => {
+    const options = {
+        orbitalElements: APOPHIS,
+        encounterDate: new Date('2029-04-13T21:46:00Z'),
+        numSimulations: 2500,
+        seed: 12345
+    };
+
+    const local = runSimulation(options);
+    const pooled = await runSimulationInPool(options);
+
+    assert.deepEqual(withoutTiming(pooled), withoutTiming(local));
+    assert.equal(pooled.sampleCount, 2500);
+});
+
+test('pool and calling thread give the same line-of-variations search', async () => {
+    // An orbit placed just off Earth, for a close encounter
+    const julianDate = 2462596.5;
+    const earth = { ...getPlanetPosition('earth', julianDate), ...getPlanetVelocity('earth', julianDate) };
+    const orbitalElements = stateVectorToElements({
+        x: earth.x + 2e-4, y: earth.y, z: earth.z + 1e-4,
+        vx: earth.vx + 0.003, vy: earth.vy - 0.002, vz: earth.vz + 0.001
+    }, julianDate);
+    const options = { orbitalElements, encounterDate: julianDateToDate(julianDate), numPoints: 101 };
+
+    const local = runLineOfVariations(options);
+    const pooled = await runLineOfVariationsInPool(options);
+
+    assert.deepEqual(withoutTiming(pooled), withoutTiming(local));
+    assert.equal(pooled.lov.mapped, 101);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateMinDistance } = require('../utils/monteCarloSimulator');
+const { analyzeBPlane } = require('../utils/bPlane');
+const { findClosestApproach } = require('../services/ephemeris.service');
+const { keplerToCartesian, dateToJulianDate, convertTimescale, AU_TO_KM } = require('../utils/keplerianElements');
+const { getPlanetPosition } = require('../utils/planetaryEphemeris');
+const { APOPHIS } = require('./fixtures');
+
+// Earth encounter of the fixture orbit
+const ENCOUNTER = new Date('2031-04-14T03:16:30Z');
+
+test('Monte Carlo distances are taken at the TDB instant of a UTC date', () => {
+    const jd = convertTimescale(dateToJulianDate(ENCOUNTER), 'UTC', 'TDB');
+    const asteroid = keplerToCartesian(APOPHIS, jd);
+    const earth = getPlanetPosition('earth', jd);
+    const expected = Math.hypot(asteroid.x - earth.x, asteroid.y - earth.y, asteroid.z - earth.z) * AU_TO_KM;
+
+    assert.ok(Math.abs(calculateMinDistance(APOPHIS, ENCOUNTER) - expected) < 1e-6);
+});
+
+test('b-plane encounter agrees with the close-approach search in UTC', async () => {
+    const { encounter } = await analyzeBPlane({ orbitalElements: APOPHIS, encounterDate: ENCOUNTER, numSimulations: 20, seed: 1 });
+    const approach = findClosestApproach(APOPHIS, new Date('2031-04-01'), new Date('2031-05-01'), { perturbations: false });
+
+    assert.ok(Math.abs(encounter.date - approach.date) < 1000, `${encounter.date.toISOString()} vs ${approach.date.toISOString()}`);
+    assert.ok(Math.abs(encounter.julianDate - approach.julianDate) * 86400 < 1);
+});
@@ -0,0 +1,292 @@
+/**
+ * ADES Observation Format
+ *
+ * Reads and writes optical astrometry in the IAU Astrometry Data Exchange
+ * Standard, both as XML and as pipe-separated values (PSV). Only the
+ * <optical> records are used; times are UTC, RA/Dec are J2000 degrees and
+ * rmsRA (which includes cos δ) and rmsDec are in arcseconds.
+ *
+ * ADES is flat enough that the XML is read with a small tag scanner rather
+ * than a full XML parser: every <optical> element is a list of simple
+ * <field>value</field> children.
+ */
+
+const ADES_VERSION = '2022';
+
+// PSV column order; each record only needs the fields it has values for
+const PSV_FIELDS = [
+    'permID', 'provID', 'trkSub', 'mode', 'stn', 'obsTime', 'ra', 'dec',
+    'rmsRA', 'rmsDec', 'astCat', 'mag', 'rmsMag', 'band', 'disc', 'notes', 'remarks'
+];
+
+const NUMERIC_FIELDS = new Set(['ra', 'dec', 'rmsRA', 'rmsDec', 'mag', 'rmsMag']);
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => XML_ENTITIES[name]);
+const encodeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Convert ADES fields to an observation record
+ *
+ * @param {Object} fields - ADES field name → string value
+ * @returns {Object} Observation record (same shape as the 80-column reader)
+ */
+function fromAdesFields(fields) {
+    const value = (name) => (fields[name] === undefined || fields[name] === '' ? null : fields[name]);
+    const number = (name) => (value(name) === null ? null : Number(value(name)));
+
+    const time = new Date(value('obsTime'));
+    const ra = number('ra');
+    const dec = number('dec');
+
+    if (!value('stn')) throw new Error('missing stn');
+    if (isNaN(time.getTime())) throw new Error('invalid obsTime');
+    if (!Number.isFinite(ra) || !Number.isFinite(dec) || Math.abs(dec) > 90) throw new Error('invalid ra/dec');
+
+    const permID = value('permID');
+    const provID = value('provID');
+    const trkSub = value('trkSub');
+    if (!permID && !provID && !trkSub) throw new Error('missing permID, provID or trkSub');
+
+    return {
+        designation: permID ?? provID ?? trkSub,
+        permID,
+        provID,
+        trkSub,
+        discovery: value('disc') === '*',
+        notes: value('notes'),
+        mode: value('mode') ?? 'UNK',
+        time,
+        ra,
+        dec,
+        rmsRA: number('rmsRA'),
+        rmsDec: number('rmsDec'),
+        magnitude: number('mag'),
+        rmsMag: number('rmsMag'),
+        band: value('band'),
+        astCat: value('astCat'),
+        observatory: value('stn'),
+        remarks: value('remarks')
+    };
+}
+
+/**
+ * Convert an observation record to ADES field strings
+ *
+ * @param {Object} obs - Observation record
+ * @returns {Object} ADES field name → string value (empty fields omitted)
+ */
+function toAdesFields(obs) {
+    let ra = Number.isFinite(obs.ra) ? (((obs.ra % 360) + 360) % 360).toFixed(7) : null;
+    if (ra === '360.0000000') ra = '0.0000000';
+
+    const fields = {
+        permID: obs.permID,
+        provID: obs.provID,
+        trkSub: obs.trkSub,
+        mode: obs.mode ?? 'CCD',
+        stn: obs.observatory,
+        obsTime: new Date(obs.time).toISOString(),
+        ra,
+        dec: Number.isFinite(obs.dec) ? obs.dec.toFixed(7) : null,
+        rmsRA: Number.isFinite(obs.rmsRA) ? obs.rmsRA.toFixed(3) : null,
+        rmsDec: Number.isFinite(obs.rmsDec) ? obs.rmsDec.toFixed(3) : null,
+        astCat: obs.astCat ?? 'UNK',
+        mag: Number.isFinite(obs.magnitude) ? obs.magnitude.toFixed(2) : null,
+        rmsMag: Number.isFinite(obs.rmsMag) ? obs.rmsMag.toFixed(2) : null,
+        band: Number.isFinite(obs.magnitude) ? obs.band : null,
+        disc: obs.discovery ? '*' : null,
+        notes: obs.notes,
+        remarks: obs.remarks
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== null && v !== undefined && v !== ''));
+}
+
+/**
+ * Parse ADES XML
+ *
+ * @param {string} text - XML document
+ * @returns {Object} {observations, skipped: [{record, reason}]}
+ */
+function parseAdesXml(text) {
+    if (!/<ades[\s>]/.test(text)) {
+        throw new Error('Not an ADES XML document (no <ades> root element)');
+    }
+
+    const observations = [];
+    const skipped = [];
+    const opticalPattern = /<optical>([\s\S]*?)<\/optical>/g;
+    const fieldPattern = /<(\w+)>([^<]*)<\/\1>/g;
+    let match;
+    let record = 0;
+
+    while ((match = opticalPattern.exec(text))) {
+        record++;
+        const fields = {};
+        for (const [, name, value] of match[1].matchAll(fieldPattern)) {
+            fields[name] = decodeXml(value.trim());
+        }
+
+        try {
+            observations.push(fromAdesFields(fields));
+        } catch (error) {
+            skipped.push({ record, reason: error.message });
+        }
+    }
+
+    return { observations, skipped };
+}
+
+/**
+ * Parse ADES PSV
+ * Lines starting with # or ! are header (obsContext) lines; the first line
+ * after each header block names the columns of the records that follow.
+ *
+ * @param {string} text - PSV document
+ * @returns {Object} {observations, skipped: [{line, reason}]}
+ */
+function parseAdesPsv(text) {
+    const observations = [];
+    const skipped = [];
+    let columns = null;
+    let expectColumns = true;
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+
+        if (line.startsWith('#') || line.startsWith('!')) {
+            expectColumns = true;
+            return;
+        }
+
+        const cells = line.split('|').map(cell => cell.trim());
+        if (expectColumns) {
+            columns = cells;
+            expectColumns = false;
+            if (!columns.includes('obsTime')) {
+                throw new Error(`ADES PSV column header on line ${i + 1} has no obsTime column`);
+            }
+            return;
+        }
+
+        const fields = Object.fromEntries(columns.map((name, k) => [name, cells[k] ?? '']));
+        try {
+            observations.push(fromAdesFields(fields));
+        } catch (error) {
+            skipped.push({ line: i + 1, reason: error.message });
+        }
+    });
+
+    return { observations, skipped };
+}
+
+/**
+ * Group observations into ADES observation blocks, one per station
+ */
+function groupByStation(observations) {
+    const blocks = new Map();
+    for (const obs of observations) {
+        if (!blocks.has(obs.observatory)) blocks.set(obs.observatory, []);
+        blocks.get(obs.observatory).push(obs);
+    }
+    return blocks;
+}
+
+/**
+ * Write observations as ADES XML
+ *
+ * @param {Array} observations - Observation records
+ * @param {Object} context - obsContext entries shared by all blocks:
+ *        {submitter, observers, measurers, telescope: {design, aperture, detector}}
+ * @returns {string} XML document
+ */
+function formatAdesXml(observations, context = {}) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<ades version="${ADES_VERSION}">`];
+
+    for (const [station, block] of groupByStation(observations)) {
+        lines.push('  <obsBlock>', '    <obsContext>');
+        lines.push(`      <observatory><mpcCode>${encodeXml(station)}</mpcCode></observatory>`);
+        if (context.submitter) {
+            lines.push(`      <submitter><name>${encodeXml(context.submitter)}</name></submitter>`);
+        }
+        for (const role of ['observers', 'measurers']) {
+            if (context[role]?.length) {
+                lines.push(`      <${role}>${context[role].map(n => `<name>${encodeXml(n)}</name>`).join('')}</${role}>`);
+            }
+        }
+        if (context.telescope) {
+            const entries = Object.entries(context.telescope).map(([k, v]) => `<${k}>${encodeXml(v)}</${k}>`);
+            lines.push(`      <telescope>${entries.join('')}</telescope>`);
+        }
+        lines.push('    </obsContext>', '    <obsData>');
+
+        for (const obs of block) {
+            lines.push('      <optical>');
+            for (const [name, value] of Object.entries(toAdesFields(obs))) {
+                lines.push(`        <${name}>${encodeXml(value)}</${name}>`);
+            }
+            lines.push('      </optical>');
+        }
+
+        lines.push('    </obsData>', '  </obsBlock>');
+    }
+
+    lines.push('</ades>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Write observations as ADES PSV
+ *
+ * @param {Array} observations - Observation records
+ * @param {Object} context - obsContext entries, as for formatAdesXml
+ * @returns {string} PSV document
+ */
+function formatAdesPsv(observations, context = {}) {
+    const lines = [`# version=${ADES_VERSION}`];
+
+    for (const [station, block] of groupByStation(observations)) {
+        lines.push('# observatory', `! mpcCode ${station}`);
+        if (context.submitter) lines.push('# submitter', `! name ${context.submitter}`);
+        for (const role of ['observers', 'measurers']) {
+            if (context[role]?.length) {
+                lines.push(`# ${role}`, ...context[role].map(n => `! name ${n}`));
+            }
+        }
+        if (context.telescope) {
+            lines.push('# telescope', ...Object.entries(context.telescope).map(([k, v]) => `! ${k} ${v}`));
+        }
+
+        // A | inside a value would split the record
+        const rows = block.map(obs => Object.fromEntries(
+            Object.entries(toAdesFields(obs)).map(([name, value]) => [name, value.replace(/\|/g, '/')])
+        ));
+        const columns = PSV_FIELDS.filter(name => rows.some(row => row[name] !== undefined));
+        const widths = columns.map(name => Math.max(name.length, ...rows.map(row => (row[name] ?? '').length)));
+        const format = (cells) => cells.map((cell, k) =>
+            NUMERIC_FIELDS.has(columns[k]) ? cell.padStart(widths[k]) : cell.padEnd(widths[k])
+        ).join('|');
+
+        lines.push(format(columns));
+        for (const row of rows) {
+            lines.push(format(columns.map(name => row[name] ?? '')));
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    parseAdesXml,
+    parseAdesPsv,
+    formatAdesXml,
+    formatAdesPsv,
+    fromAdesFields,
+    toAdesFields,
+    ADES_VERSION
+};
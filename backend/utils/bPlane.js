@@ -0,0 +1,264 @@
+/**
+ * B-Plane (Target Plane) Encounter Analysis
+ *
+ * Öpik/Valsecchi target-plane coordinates of a planetary encounter. The
+ * b-plane passes through the planet's centre perpendicular to the incoming
+ * geocentric velocity U. The ζ axis points opposite to the projection of
+ * the planet's heliocentric velocity, so ζ measures the timing error of the
+ * encounter, and ξ completes the right-handed (ξ, η, ζ) frame and measures
+ * the minimum distance between the orbits.
+ *
+ * An impact occurs when b falls inside the gravitationally focused radius
+ * b⊕ = R⊕ √(1 + v_esc² / U²), not just inside the planet's physical disc.
+ */
+
+const {
+    elementsToStateVector,
+    dateToJulianDate,
+    julianDateToDate,
+    convertTimescale,
+    AU_TO_KM,
+    SECONDS_PER_DAY
+} = require('./keplerianElements');
+const { findCloseApproaches, getBodyState, getBodyProperties } = require('./closeApproach');
+const { runSimulationInPool } = require('./simulationPool');
+
+const DEFAULT_WINDOW_DAYS = 10;        // Search half-width around the nominal encounter
+const SAMPLE_STEP_DAYS = 0.25;
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+});
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const norm = (a) => Math.sqrt(dot(a, a));
+const unit = (a) => scale(a, 1 / norm(a));
+
+/**
+ * Gravitationally focused capture radius of a body
+ *
+ * @param {number} radiusKm - Physical radius (km)
+ * @param {number} gm - Gravitational parameter (AU³/day²)
+ * @param {number} vInfinityKmS - Encounter velocity at infinity (km/s)
+ * @returns {number} Focused radius b⊕ in km
+ */
+function focusedRadius(radiusKm, gm, vInfinityKmS) {
+    const gmKm = gm * AU_TO_KM ** 3 / SECONDS_PER_DAY ** 2;  // km³/s²
+    const escapeSquared = (2 * gmKm) / radiusKm;
+    return radiusKm * Math.sqrt(1 + escapeSquared / (vInfinityKmS * vInfinityKmS));
+}
+
+/**
+ * Unit vectors of the b-plane frame
+ *
+ * @param {Object} direction - Unit vector along the incoming velocity U (η axis)
+ * @param {Object} planetVelocity - Heliocentric planet velocity {vx, vy, vz}
+ * @returns {Object} {xi, eta, zeta} unit vectors
+ */
+function bPlaneFrame(direction, planetVelocity) {
+    // ζ opposite to the planet's velocity projected on the b-plane; ξ = η × ζ
+    const planetV = { x: planetVelocity.vx, y: planetVelocity.vy, z: planetVelocity.vz };
+    const zeta = unit(scale(subtract(planetV, scale(direction, dot(planetV, direction))), -1));
+    return { xi: cross(direction, zeta), eta: direction, zeta };
+}
+
+/**
+ * Target-plane coordinates of an encounter
+ *
+ * With gm = 0 the relative state is treated as unperturbed straight-line
+ * motion, which is what a heliocentric two-body propagation gives and what
+ * Öpik theory uses. With gm > 0 the state is taken to lie on the planetocentric
+ * hyperbola and the incoming asymptote is reconstructed from it.
+ *
+ * @param {Object} relative - Planetocentric {position {x, y, z}, velocity {vx, vy, vz}} (AU, AU/day)
+ * @param {Object} planetVelocity - Heliocentric planet velocity {vx, vy, vz} (AU/day)
+ * @param {number} gm - Planet gravitational parameter (AU³/day²), 0 for straight-line motion
+ * @returns {Object} {xi, zeta, b} in km, {U} in km/s
+ */
+function calculateBPlane(relative, planetVelocity, gm = 0) {
+    const r = relative.position;
+    const v = { x: relative.velocity.vx, y: relative.velocity.vy, z: relative.velocity.vz };
+    const rMag = norm(r);
+    const vSquared = dot(v, v);
+
+    let direction;
+    let B;
+    let vInfinity;
+
+    if (gm > 0) {
+        vInfinity = Math.sqrt(vSquared - (2 * gm) / rMag);
+        if (!(vInfinity > 0)) {
+            throw new Error('Object is gravitationally bound to the planet; no b-plane exists');
+        }
+
+        const h = cross(r, v);
+        const eVec = scale(subtract(scale(r, vSquared - gm / rMag), scale(v, dot(r, v))), 1 / gm);
+        const e = norm(eVec);
+        const eHat = unit(eVec);
+        const hHat = unit(h);
+
+        // Incoming asymptote: cos β ê + sin β (ĥ × ê), β = acos(1/e)
+        const cosBeta = 1 / e;
+        const sinBeta = Math.sqrt(1 - cosBeta * cosBeta);
+        direction = {
+            x: cosBeta * eHat.x + sinBeta * cross(hHat, eHat).x,
+            y: cosBeta * eHat.y + sinBeta * cross(hHat, eHat).y,
+            z: cosBeta * eHat.z + sinBeta * cross(hHat, eHat).z
+        };
+        B = scale(cross(direction, hHat), norm(h) / vInfinity);
+    } else {
+        vInfinity = Math.sqrt(vSquared);
+        direction = unit(v);
+        B = subtract(r, scale(direction, dot(r, direction)));
+    }
+
+    const frame = bPlaneFrame(direction, planetVelocity);
+
+    return {
+        xi: dot(B, frame.xi) * AU_TO_KM,
+        zeta: dot(B, frame.zeta) * AU_TO_KM,
+        b: norm(B) * AU_TO_KM,
+        U: vInfinity * AU_TO_KM / SECONDS_PER_DAY
+    };
+}
+
+/**
+ * Locate the Earth encounter of a set of elements and map it to the b-plane
+ *
+ * @param {Object} elements - Orbital elements
+ * @param {number} centerJD - Expected time of the encounter
+ * @param {number} windowDays - Search half-width (days)
+ * @param {number} stepDays - Bracketing step of the close-approach search
+ * @returns {Object|null} {julianDate, distanceKm, xi, zeta, b, U, approach, planetState},
+ *          or null if no minimum is found
+ */
+function mapEncounter(elements, centerJD, windowDays, stepDays = SAMPLE_STEP_DAYS) {
+    const approaches = findCloseApproaches(
+        (jd) => elementsToStateVector(elements, jd),
+        centerJD - windowDays,
+        centerJD + windowDays,
+        { bodies: ['earth'], maxDistance: Infinity, stepDays }
+    );
+    if (approaches.length === 0) return null;
+
+    const deepest = approaches.reduce((a, b) => (b.distanceAU < a.distanceAU ? b : a));
+    const earth = getBodyState('earth', deepest.julianDate);
+
+    return {
+        julianDate: deepest.julianDate,
+        distanceKm: deepest.distanceKm,
+        ...calculateBPlane(deepest, earth),
+        approach: deepest,
+        planetState: earth
+    };
+}
+
+/**
+ * B-plane analysis of an Earth encounter
+ * The nominal orbit and every Monte Carlo sample are mapped to the b-plane
+ * of the encounter nearest the requested date; the samples are drawn and
+ * mapped on the simulation worker pool.
+ *
+ * @param {Object} options - Analysis options
+ * @param {Object} options.orbitalElements - Nominal orbital elements
+ * @param {Date} options.encounterDate - Approximate date of the encounter
+ * @param {number} options.numSimulations - Monte Carlo samples (default 1000)
+ * @param {Object} options.uncertainties - Element uncertainties (optional)
+ * @param {Object} options.covariance - Orbit covariance; replaces the uncertainties (optional)
+ * @param {number} options.windowDays - Search half-width around the encounter
+ * @param {number} options.seed - Monte Carlo seed (optional)
+ * @param {Function} options.onProgress - Called with the fraction of samples mapped (optional)
+ * @param {AbortSignal} options.signal - Cancels the analysis (optional)
+ * @returns {Promise<Object>} Nominal and sampled b-plane coordinates with impact statistics
+ */
+async function analyzeBPlane({
+    orbitalElements,
+    encounterDate,
+    numSimulations = 1000,
+    uncertainties,
+    covariance,
+    windowDays = DEFAULT_WINDOW_DAYS,
+    seed,
+    onProgress,
+    signal
+}) {
+    const centerJD = convertTimescale(dateToJulianDate(encounterDate), 'UTC', 'TDB');
+
+    const nominal = mapEncounter(orbitalElements, centerJD, windowDays);
+    if (!nominal) {
+        throw new Error(`No Earth encounter within ${windowDays} days of ${encounterDate.toISOString()}`);
+    }
+
+    const { gm, radiusKm } = getBodyProperties('earth');
+    const captureRadiusKm = focusedRadius(radiusKm, gm, nominal.U);
+
+    const simulation = await runSimulationInPool({
+        orbitalElements,
+        encounterDate: julianDateToDate(convertTimescale(nominal.julianDate, 'TDB', 'UTC')),
+        numSimulations,
+        uncertainties,
+        covariance,
+        seed,
+        returnSamples: true,
+        mapEncounters: { julianDate: nominal.julianDate, windowDays },
+        onProgress,
+        signal
+    });
+
+    const samples = [];
+    for (const { encounter } of simulation.samples) {
+        if (!encounter) continue;
+
+        samples.push({
+            xi: encounter.xi,
+            zeta: encounter.zeta,
+            b: encounter.b,
+            impact: encounter.b < focusedRadius(radiusKm, gm, encounter.U)
+        });
+    }
+
+    const mean = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+    const spread = (key, m) => Math.sqrt(samples.reduce((sum, s) => sum + (s[key] - m) ** 2, 0) / samples.length);
+    const meanXi = mean('xi');
+    const meanZeta = mean('zeta');
+    const impacts = samples.filter(s => s.impact).length;
+
+    return {
+        encounter: {
+            date: julianDateToDate(convertTimescale(nominal.julianDate, 'TDB', 'UTC')),
+            julianDate: nominal.julianDate,
+            distanceKm: nominal.distanceKm,
+            vInfinityKmS: nominal.U
+        },
+        nominal: { xi: nominal.xi, zeta: nominal.zeta, b: nominal.b },
+        earthRadiusKm: radiusKm,
+        focusedRadiusKm: captureRadiusKm,
+        focusingFactor: captureRadiusKm / radiusKm,
+        samples,
+        uncertaintyModel: simulation.uncertaintyModel,
+        seed: simulation.seed,
+        engineVersion: simulation.engineVersion,
+        statistics: {
+            count: samples.length,
+            impacts,
+            impactProbability: samples.length > 0 ? impacts / samples.length : 0,
+            meanXi,
+            meanZeta,
+            sigmaXi: spread('xi', meanXi),
+            sigmaZeta: spread('zeta', meanZeta),
+            minB: samples.length > 0 ? Math.min(...samples.map(s => s.b)) : null
+        }
+    };
+}
+
+module.exports = {
+    bPlaneFrame,
+    calculateBPlane,
+    mapEncounter,
+    focusedRadius,
+    analyzeBPlane,
+    DEFAULT_WINDOW_DAYS
+};
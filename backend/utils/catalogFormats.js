@@ -0,0 +1,446 @@
+/**
+ * Orbit Catalog File Formats
+ *
+ * Line-by-line readers and writers for the bulk catalog files the ingestion
+ * service loads from disk and writes back out:
+ *
+ *   mpcorb    MPCORB.DAT fixed-width orbits from the Minor Planet Center
+ *             (also NEA.txt and the other extracts in the same layout);
+ *             asteroids on elliptic orbits only
+ *   sbdb-csv  CSV as downloaded from the JPL SBDB query tool: a header row
+ *             naming the SBDB fields, then one object per row
+ *
+ * Readers take one line at a time so multi-megabyte files can be streamed.
+ */
+
+const {
+    meanMotion,
+    RAD_TO_DEG,
+    dateToJulianDate,
+    julianDateToDate
+} = require('./keplerianElements');
+const {
+    numberToSpkId,
+    packNumber,
+    unpackNumber,
+    packProvisional,
+    unpackProvisional
+} = require('./mpcDesignation');
+
+// Packed calendar characters: months 1–12, days 1–31
+const DATE_CHARACTERS = '123456789ABCDEFGHIJKLMNOPQRSTUV';
+const CENTURIES = { I: 18, J: 19, K: 20 };
+const PACKED_EPOCH = /^([IJK])(\d\d)([1-9ABC])([1-9A-V])$/;
+
+// MPCORB flag bits (columns 162–165)
+const ORBIT_TYPE_MASK = 0x003f;
+const NEO_FLAG = 0x0800;
+const PHA_FLAG = 0x8000;
+
+// MPCORB orbit type codes, named as SBDB names its orbit classes where the two agree
+const MPC_ORBIT_TYPES = {
+    1: 'Atira',
+    2: 'Aten',
+    3: 'Apollo',
+    4: 'Amor',
+    5: 'Mars-crossing Asteroid',
+    6: 'Hungaria',
+    7: 'Phocaea',
+    8: 'Hilda',
+    9: 'Jupiter Trojan',
+    10: 'Distant Object'
+};
+
+// SBDB orbit class codes (the "class" field)
+const SBDB_CLASSES = {
+    IEO: 'Atira',
+    ATE: 'Aten',
+    APO: 'Apollo',
+    AMO: 'Amor',
+    MCA: 'Mars-crossing Asteroid',
+    IMB: 'Inner Main-belt Asteroid',
+    MBA: 'Main-belt Asteroid',
+    OMB: 'Outer Main-belt Asteroid',
+    TJN: 'Jupiter Trojan',
+    CEN: 'Centaur',
+    TNO: 'TransNeptunian Object',
+    PAA: 'Parabolic Asteroid',
+    HYA: 'Hyperbolic Asteroid',
+    AST: 'Asteroid',
+    JFc: 'Jupiter-family Comet',
+    JFC: 'Jupiter-family Comet',
+    HTC: 'Halley-type Comet',
+    ETc: 'Encke-type Comet',
+    CTc: 'Chiron-type Comet',
+    COM: 'Comet',
+    PAR: 'Parabolic Comet',
+    HYP: 'Hyperbolic Comet'
+};
+
+const MPCORB_HEADER = [
+    "Des'n     H     G   Epoch     M        Peri.      Node       Incl.       e            n           a        Reference #Obs #Opp    Arc    rms  Perts   Computer",
+    '-'.repeat(160)
+];
+
+// Columns written to SBDB CSV files (field names as used by the SBDB query API)
+const SBDB_CSV_COLUMNS = [
+    'spkid', 'full_name', 'kind', 'neo', 'pha', 'class', 'H', 'diameter',
+    'epoch', 'e', 'a', 'q', 'i', 'om', 'w', 'ma', 'tp', 'moid',
+    'M1', 'K1', 'M2', 'K2', 'A1', 'A2', 'A3', 'DT'
+];
+
+/**
+ * Unpack an MPC packed epoch (0h TT on a calendar date), e.g. K2555 → 2025 May 5
+ *
+ * @param {string} packed - Five-character packed date
+ * @returns {number} Julian Date (TT)
+ */
+function unpackEpoch(packed) {
+    const match = packed.match(PACKED_EPOCH);
+    if (!match) throw new Error(`Invalid packed epoch: ${packed}`);
+
+    const [, century, year, month, day] = match;
+    return dateToJulianDate(new Date(Date.UTC(
+        CENTURIES[century] * 100 + Number(year),
+        DATE_CHARACTERS.indexOf(month),
+        DATE_CHARACTERS.indexOf(day) + 1
+    )));
+}
+
+/**
+ * Pack a Julian Date at 0h as an MPC epoch
+ *
+ * @param {number} jd - Julian Date ending in .5
+ * @returns {string} Five-character packed date
+ */
+function packEpoch(jd) {
+    const date = julianDateToDate(jd);
+    const year = date.getUTCFullYear();
+    const century = Object.keys(CENTURIES).find(key => CENTURIES[key] === Math.floor(year / 100));
+    if (!century) throw new Error(`Epoch year ${year} cannot be packed`);
+
+    return century + String(year % 100).padStart(2, '0') +
+        DATE_CHARACTERS[date.getUTCMonth()] + DATE_CHARACTERS[date.getUTCDate() - 1];
+}
+
+/**
+ * Split a catalog name into number, name and provisional designation
+ * Accepts SBDB full names ("433 Eros (A898 PA)", "12345 (1993 FX)", "(2024 YR4)").
+ *
+ * @param {string} fullName - Catalog name
+ * @returns {Object} {number, name, provID}; missing parts are null
+ */
+function splitCatalogName(fullName) {
+    const match = String(fullName ?? '').match(/^\s*(?:(\d+)\s*)?([^()]*?)\s*(?:\(([^)]+)\))?\s*$/);
+    if (!match) return { number: null, name: null, provID: null };
+
+    const [, number, name, provID] = match;
+    return { number: number ? Number(number) : null, name: name || null, provID: provID || null };
+}
+
+/**
+ * SBDB-style full name for an MPCORB readable designation
+ * "(433) Eros" → "433 Eros", "(12345) 1993 FX" → "12345 (1993 FX)", "2024 YR4" → "(2024 YR4)"
+ */
+function sbdbName(readable) {
+    const numbered = readable.match(/^\((\d+)\)\s*(.*)$/);
+    if (!numbered) return `(${readable})`;
+
+    const [, number, rest] = numbered;
+    if (!rest) return number;
+    return /^\d{4} /.test(rest) ? `${number} (${rest})` : `${number} ${rest}`;
+}
+
+/**
+ * MPC orbit type code from the elements (NEO groups and Mars-crossers only)
+ */
+function orbitTypeCode(a, e) {
+    const q = a * (1 - e);
+    const Q = a * (1 + e);
+    if (a < 1) return Q < 0.983 ? 1 : 2;
+    if (q < 1.017) return 3;
+    if (q < 1.3) return 4;
+    if (q < 1.666) return 5;
+    return 0;
+}
+
+/**
+ * Parse one MPCORB orbit line
+ *
+ * @param {string} line - MPCORB record (at least 103 columns)
+ * @returns {Object} Catalog object {spkId, name, kind, isNEO, isPHA, absoluteMagnitude,
+ *          orbitClass, orbitalElements}
+ */
+function parseMPCORBLine(line) {
+    if (line.length < 103) throw new Error('line shorter than 103 columns');
+
+    const field = (start, end) => line.slice(start, end).trim();
+    const number = (start, end) => {
+        const text = field(start, end);
+        return text === '' ? null : Number(text);
+    };
+
+    const packed = field(0, 7);
+    const permanent = packed.length <= 5 ? unpackNumber(packed) : null;
+    const provisional = permanent === null ? unpackProvisional(packed) : null;
+    if (permanent === null && !provisional) throw new Error(`unrecognized designation ${packed}`);
+
+    const epoch = unpackEpoch(field(20, 25));
+    const meanAnomaly = number(26, 35);
+    const eccentricity = number(70, 79);
+    const semiMajorAxis = number(92, 103);
+    const dailyMotion = number(80, 91);
+
+    const elements = [meanAnomaly, number(37, 46), number(48, 57), number(59, 68), eccentricity, semiMajorAxis];
+    if (elements.some(value => value === null || isNaN(value)) || !(semiMajorAxis > 0) || !(eccentricity < 1)) {
+        throw new Error('missing or invalid orbital elements');
+    }
+
+    // Perihelion passage nearest the epoch
+    const n = dailyMotion > 0 ? dailyMotion : meanMotion(semiMajorAxis) * RAD_TO_DEG;
+    const sincePerihelion = meanAnomaly > 180 ? meanAnomaly - 360 : meanAnomaly;
+
+    const flags = parseInt(field(161, 165), 16) || 0;
+    const readable = field(166, 194) || (permanent !== null ? `(${permanent})` : provisional);
+
+    return {
+        spkId: permanent !== null ? numberToSpkId(permanent) : null,
+        name: sbdbName(readable),
+        kind: 'asteroid',
+        isNEO: (flags & NEO_FLAG) !== 0 || semiMajorAxis * (1 - eccentricity) < 1.3,
+        isPHA: (flags & PHA_FLAG) !== 0,
+        absoluteMagnitude: number(8, 13),
+        orbitClass: MPC_ORBIT_TYPES[flags & ORBIT_TYPE_MASK] ?? null,
+        orbitalElements: {
+            semiMajorAxis,
+            eccentricity,
+            inclination: elements[3],
+            longitudeAscNode: elements[2],
+            argPerihelion: elements[1],
+            meanAnomaly,
+            epoch,
+            perihelionDistance: semiMajorAxis * (1 - eccentricity),
+            timeOfPerihelion: epoch - sincePerihelion / n
+        }
+    };
+}
+
+/**
+ * Create a reader for an MPCORB file
+ * The text header (everything up to the row of dashes) and blank lines are
+ * skipped; extracts without a header start straight away.
+ *
+ * @returns {Function} (line) → catalog object, or null for non-orbit lines; throws on bad orbit lines
+ */
+function createMPCORBReader() {
+    let inHeader = true;
+
+    return (line) => {
+        if (!line.trim()) return null;
+        if (/^-{20,}\s*$/.test(line)) {
+            inHeader = false;
+            return null;
+        }
+        if (inHeader && !PACKED_EPOCH.test(line.slice(20, 25))) return null;
+
+        inHeader = false;
+        return parseMPCORBLine(line);
+    };
+}
+
+/**
+ * Write a catalog asteroid as an MPCORB line
+ * MPCORB epochs fall at 0h, so other epochs are moved to the nearest one by
+ * advancing the mean anomaly.
+ *
+ * @param {Object} asteroid - Asteroid document
+ * @returns {string} MPCORB record (202 columns)
+ */
+function formatMPCORBLine(asteroid) {
+    const el = asteroid.orbitalElements ?? {};
+    const { semiMajorAxis: a, eccentricity: e } = el;
+
+    if (asteroid.kind === 'comet') throw new Error('comets have no MPCORB record');
+    if (!(a > 0) || !(e < 1) || !Number.isFinite(el.epoch)) throw new Error('not an elliptic orbit');
+
+    const { number, name, provID } = splitCatalogName(asteroid.name);
+    const designation = number !== null ? packNumber(number) : packProvisional(provID ?? '');
+    if (!designation) throw new Error(`cannot pack designation of ${asteroid.name}`);
+
+    const n = meanMotion(a) * RAD_TO_DEG;
+    const epoch = Math.round(el.epoch - 0.5) + 0.5;
+    const meanAnomaly = (((el.meanAnomaly ?? 0) + n * (epoch - el.epoch)) % 360 + 360) % 360;
+
+    const typeCode = orbitTypeCode(a, e);
+    let flags = typeCode;
+    if (a * (1 - e) < 1.3) flags |= NEO_FLAG;
+    if (asteroid.isPHA) flags |= PHA_FLAG;
+
+    const fixed = (value, digits, width) => (Number.isFinite(value) ? value.toFixed(digits) : '').padStart(width);
+    const readable = number !== null ? `(${number}) ${name ?? provID ?? ''}`.trim() : provID;
+
+    return [
+        designation.padEnd(7),
+        fixed(asteroid.absoluteMagnitude, 2, 5),
+        fixed(0.15, 2, 5),                       // G is not stored; MPC's default
+        packEpoch(epoch),
+        fixed(meanAnomaly, 5, 9) + ' ',
+        fixed(el.argPerihelion ?? 0, 5, 9) + ' ',
+        fixed(el.longitudeAscNode ?? 0, 5, 9) + ' ',
+        fixed(el.inclination ?? 0, 5, 9) + ' ',
+        fixed(e, 7, 9),
+        fixed(n, 8, 11),
+        fixed(a, 7, 11) + ' ',
+        ' ',                                     // U
+        ''.padEnd(9),                            // Reference
+        ''.padEnd(5),                            // Observations
+        ''.padEnd(3),                            // Oppositions
+        ''.padEnd(9),                            // Arc
+        ''.padEnd(4),                            // rms
+        ''.padEnd(3),                            // Perturbers
+        ''.padEnd(3),
+        ''.padEnd(10),                           // Computer
+        flags.toString(16).toUpperCase().padStart(4, '0'),
+        readable.padEnd(28)
+    ].join(' ').padEnd(202);
+}
+
+/**
+ * Split one CSV line into cells (RFC 4180 quoting)
+ *
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Cells
+ */
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let k = 0; k < line.length; k++) {
+        const char = line[k];
+        if (quoted) {
+            if (char === '"' && line[k + 1] === '"') {
+                cell += '"';
+                k++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) throw new Error('unterminated quoted field');
+    cells.push(cell);
+    return cells;
+}
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Create a reader for an SBDB CSV file
+ * The first non-blank line names the columns.
+ *
+ * @returns {Function} (line) → row object (SBDB field name → string), or null for the header and blank lines
+ */
+function createSbdbCsvReader() {
+    let columns = null;
+
+    return (line) => {
+        if (!line.trim()) return null;
+
+        const cells = splitCsvLine(line);
+        if (!columns) {
+            columns = cells.map(name => name.replace(/^﻿/, '').trim());
+            if (!columns.includes('e') || !columns.includes('epoch')) {
+                throw new Error('SBDB CSV header must include at least the e and epoch fields');
+            }
+            return null;
+        }
+
+        if (cells.length !== columns.length) {
+            throw new Error(`expected ${columns.length} fields, found ${cells.length}`);
+        }
+        return Object.fromEntries(columns.map((name, k) => [name, cells[k].trim() === '' ? null : cells[k].trim()]));
+    };
+}
+
+/**
+ * Object kind of an SBDB row, from its kind field (an, au, cn, cu) or its name
+ *
+ * @param {Object} row - SBDB row
+ * @returns {string} 'asteroid' or 'comet'
+ */
+function sbdbKind(row) {
+    if (row.kind) return row.kind.startsWith('c') ? 'comet' : 'asteroid';
+    return /^\s*(\d+[PCDXI]|[PCDXI]\/)/.test(row.full_name ?? row.pdes ?? '') ? 'comet' : 'asteroid';
+}
+
+/**
+ * Write a catalog object as an SBDB CSV row (columns as SBDB_CSV_COLUMNS)
+ *
+ * @param {Object} asteroid - Asteroid document
+ * @returns {string} CSV line
+ */
+function formatSbdbCsvLine(asteroid) {
+    const el = asteroid.orbitalElements ?? {};
+    const isComet = asteroid.kind === 'comet';
+    const a = el.semiMajorAxis;
+    const q = el.perihelionDistance ?? (a > 0 ? Number((a * (1 - el.eccentricity)).toPrecision(12)) : null);
+    // Near-Earth comets also need a period under 200 years
+    const isNEO = q !== null && q < 1.3 && (!isComet || (a > 0 && a < 34.2));
+    const numbered = isComet ? /^\d+[PDI]/.test(asteroid.name ?? '') : splitCatalogName(asteroid.name).number !== null;
+    const classCode = Object.keys(SBDB_CLASSES).find(code => SBDB_CLASSES[code] === asteroid.orbitClass);
+
+    const values = {
+        spkid: asteroid.spkId,
+        full_name: asteroid.name,
+        kind: (isComet ? 'c' : 'a') + (numbered ? 'n' : 'u'),
+        neo: isNEO ? 'Y' : 'N',
+        pha: asteroid.isPHA ? 'Y' : 'N',
+        class: classCode,
+        H: asteroid.absoluteMagnitude,
+        diameter: asteroid.diameterMetersMax ? asteroid.diameterMetersMax / 1000 : null,
+        epoch: el.epoch,
+        e: el.eccentricity,
+        a,
+        q,
+        i: el.inclination,
+        om: el.longitudeAscNode,
+        w: el.argPerihelion,
+        ma: el.meanAnomaly,
+        tp: el.timeOfPerihelion,
+        moid: asteroid.moid,
+        ...asteroid.cometMagnitude,
+        ...asteroid.nonGravitational
+    };
+
+    return SBDB_CSV_COLUMNS.map(name => csvCell(values[name])).join(',');
+}
+
+module.exports = {
+    unpackEpoch,
+    packEpoch,
+    splitCatalogName,
+    parseMPCORBLine,
+    createMPCORBReader,
+    formatMPCORBLine,
+    splitCsvLine,
+    createSbdbCsvReader,
+    sbdbKind,
+    formatSbdbCsvLine,
+    MPCORB_HEADER,
+    SBDB_CSV_COLUMNS,
+    SBDB_CLASSES
+};
@@ -0,0 +1,229 @@
+/**
+ * Close Approach Finder
+ *
+ * Finds every close approach of a small body to Earth, the Moon, Mars and
+ * Venus within a time range. Encounters are located as roots of the range
+ * rate (ρ·v_rel = 0) going from negative to positive, so each local minimum
+ * of the distance is found rather than only the global one, and each root
+ * is refined to well under a second.
+ */
+
+const {
+    getMoonPosition,
+    AU_TO_KM,
+    GM_SUN,
+    MOON_MASS_RATIO,
+    SECONDS_PER_DAY
+} = require('./keplerianElements');
+const {
+    getPlanetPosition,
+    getPlanetVelocity,
+    getPlanetMassRatio,
+    PLANETS
+} = require('./planetaryEphemeris');
+
+const MOON_RADIUS_KM = 1737.4;
+const CLOSE_APPROACH_BODIES = ['earth', 'moon', 'mars', 'venus'];
+
+const DEFAULT_OPTIONS = {
+    bodies: CLOSE_APPROACH_BODIES,
+    maxDistance: 0.05,      // AU - the usual close-approach reporting limit
+    stepDays: 0.5,          // Coarse sampling interval for bracketing minima
+    tolerance: 1e-7         // days (~10 ms)
+};
+
+const MAX_ROOT_ITERATIONS = 100;
+
+/**
+ * Heliocentric state of a close-approach body
+ *
+ * @param {string} body - earth, moon, mars or venus
+ * @param {number} jd - Julian Date
+ * @returns {Object} {x, y, z, vx, vy, vz} in AU and AU/day
+ */
+function getBodyState(body, jd) {
+    if (body === 'moon') {
+        const earth = getBodyState('earth', jd);
+        const moon = getMoonPosition(jd);
+
+        // Geocentric lunar velocity from a central difference
+        const h = 0.01; // days
+        const before = getMoonPosition(jd - h);
+        const after = getMoonPosition(jd + h);
+
+        return {
+            x: earth.x + moon.x,
+            y: earth.y + moon.y,
+            z: earth.z + moon.z,
+            vx: earth.vx + (after.x - before.x) / (2 * h),
+            vy: earth.vy + (after.y - before.y) / (2 * h),
+            vz: earth.vz + (after.z - before.z) / (2 * h)
+        };
+    }
+
+    return { ...getPlanetPosition(body, jd), ...getPlanetVelocity(body, jd) };
+}
+
+/**
+ * Physical properties of a close-approach body
+ *
+ * @param {string} body - Body name
+ * @returns {Object} {gm (AU³/day²), radiusKm}
+ */
+function getBodyProperties(body) {
+    if (body === 'moon') {
+        return { gm: GM_SUN * MOON_MASS_RATIO, radiusKm: MOON_RADIUS_KM };
+    }
+    return { gm: GM_SUN * getPlanetMassRatio(body), radiusKm: PLANETS[body].radiusKm };
+}
+
+/**
+ * Relative geometry of the object with respect to a body
+ *
+ * @returns {Object} {position, velocity, distance, speed, rangeRate}
+ */
+function relativeGeometry(objectState, bodyState) {
+    const position = {
+        x: objectState.x - bodyState.x,
+        y: objectState.y - bodyState.y,
+        z: objectState.z - bodyState.z
+    };
+    const velocity = {
+        vx: objectState.vx - bodyState.vx,
+        vy: objectState.vy - bodyState.vy,
+        vz: objectState.vz - bodyState.vz
+    };
+
+    const distance = Math.sqrt(position.x ** 2 + position.y ** 2 + position.z ** 2);
+    const speed = Math.sqrt(velocity.vx ** 2 + velocity.vy ** 2 + velocity.vz ** 2);
+    const rangeRate = (position.x * velocity.vx + position.y * velocity.vy + position.z * velocity.vz) / distance;
+
+    return { position, velocity, distance, speed, rangeRate };
+}
+
+/**
+ * Locate the zero of the range rate inside a bracket [t0, t1]
+ * (Illinois variant of regula falsi)
+ *
+ * @param {Function} rangeRate - f(jd) → range rate
+ * @returns {number} Julian Date of the minimum
+ */
+function solveRangeRateRoot(rangeRate, t0, f0, t1, f1, tolerance) {
+    let side = 0;
+
+    for (let i = 0; i < MAX_ROOT_ITERATIONS && t1 - t0 > tolerance; i++) {
+        const t = (t0 * f1 - t1 * f0) / (f1 - f0);
+        const f = rangeRate(t);
+
+        if (f === 0) return t;
+
+        if (f < 0) {
+            t0 = t;
+            f0 = f;
+            if (side === -1) f1 /= 2;
+            side = -1;
+        } else {
+            t1 = t;
+            f1 = f;
+            if (side === 1) f0 /= 2;
+            side = 1;
+        }
+    }
+
+    return (t0 * f1 - t1 * f0) / (f1 - f0);
+}
+
+/**
+ * Build a close-approach record at the time of minimum distance
+ */
+function buildApproach(body, jd, geometry) {
+    const { gm, radiusKm } = getBodyProperties(body);
+    const toKmPerSecond = AU_TO_KM / SECONDS_PER_DAY;
+
+    // Hyperbolic excess speed: v∞² = v² - 2μ/r (null if the object is bound to the body)
+    const excess = geometry.speed ** 2 - (2 * gm) / geometry.distance;
+
+    return {
+        body,
+        julianDate: jd,
+        distanceAU: geometry.distance,
+        distanceKm: geometry.distance * AU_TO_KM,
+        distanceRadii: (geometry.distance * AU_TO_KM) / radiusKm,
+        relativeVelocityKmS: geometry.speed * toKmPerSecond,
+        vInfinityKmS: excess > 0 ? Math.sqrt(excess) * toKmPerSecond : null,
+        position: geometry.position,
+        velocity: geometry.velocity
+    };
+}
+
+/**
+ * Close-approach record for a body at a given time, minimum or not
+ *
+ * @param {Function} objectState - f(jd) → heliocentric {x, y, z, vx, vy, vz} of the object
+ * @param {string} body - Body name
+ * @param {number} jd - Julian Date
+ * @returns {Object} Record as returned by findCloseApproaches
+ */
+function approachAt(objectState, body, jd) {
+    return buildApproach(body, jd, relativeGeometry(objectState(jd), getBodyState(body, jd)));
+}
+
+/**
+ * Find all close approaches within a time range
+ *
+ * @param {Function} objectState - f(jd) → heliocentric {x, y, z, vx, vy, vz} of the object
+ * @param {number} startJD - Start of search range (Julian Date)
+ * @param {number} endJD - End of search range (Julian Date)
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS (bodies, maxDistance, stepDays, tolerance)
+ * @returns {Array} Approaches sorted by time
+ */
+function findCloseApproaches(objectState, startJD, endJD, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const approaches = [];
+
+    for (const body of opts.bodies) {
+        if (!CLOSE_APPROACH_BODIES.includes(body)) {
+            throw new Error(`Close approaches are not supported for body: ${body}`);
+        }
+
+        const geometryAt = (jd) => relativeGeometry(objectState(jd), getBodyState(body, jd));
+        const rangeRate = (jd) => geometryAt(jd).rangeRate;
+
+        const steps = Math.max(1, Math.ceil((endJD - startJD) / opts.stepDays));
+        const h = (endJD - startJD) / steps;
+
+        let t0 = startJD;
+        let g0 = geometryAt(t0);
+
+        for (let i = 1; i <= steps; i++) {
+            const t1 = startJD + i * h;
+            const g1 = geometryAt(t1);
+
+            // A minimum lies where the range rate changes sign from - to +.
+            // Brackets that cannot get inside maxDistance are skipped.
+            const reachable = Math.min(g0.distance, g1.distance) - Math.max(g0.speed, g1.speed) * h;
+            if (g0.rangeRate < 0 && g1.rangeRate >= 0 && reachable <= opts.maxDistance) {
+                const jd = solveRangeRateRoot(rangeRate, t0, g0.rangeRate, t1, g1.rangeRate, opts.tolerance);
+                const geometry = geometryAt(jd);
+
+                if (geometry.distance <= opts.maxDistance) {
+                    approaches.push(buildApproach(body, jd, geometry));
+                }
+            }
+
+            t0 = t1;
+            g0 = g1;
+        }
+    }
+
+    return approaches.sort((a, b) => a.julianDate - b.julianDate);
+}
+
+module.exports = {
+    findCloseApproaches,
+    approachAt,
+    getBodyState,
+    getBodyProperties,
+    CLOSE_APPROACH_BODIES,
+    DEFAULT_OPTIONS
+};
@@ -0,0 +1,255 @@
+/**
+ * Ephemeris File Formats
+ *
+ * Renders a propagated trajectory (records from propagateTrajectory) as a
+ * file other tools can read:
+ *
+ *   oem       CCSDS Orbit Ephemeris Message 2.0 (KVN), km and km/s
+ *   horizons  JPL Horizons-style vector table, AU and AU/day
+ *   csv       Comma-separated values with a # comment header, AU and AU/day
+ *   jsonl     JSON Lines: a header object followed by one state per line
+ *
+ * Every format states the frame, time scale, units, generation time and
+ * the orbit solution the states were propagated from.
+ */
+
+const { AU_TO_KM, SECONDS_PER_DAY } = require('./keplerianElements');
+
+const ORIGINATOR = 'COSMIC-WATCH';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Frame origins as named by CCSDS and by Horizons (with NAIF IDs)
+const CENTERS = {
+    sun: { ccsds: 'SUN', horizons: 'Sun (10)' },
+    earth: { ccsds: 'EARTH', horizons: 'Earth (399)' },
+    ssb: { ccsds: 'SOLAR SYSTEM BARYCENTER', horizons: 'Solar System Barycenter (0)' }
+};
+
+// Frame orientations as named by CCSDS and by Horizons
+const PLANES = {
+    equatorial: { ccsds: 'ICRF', horizons: 'Earth Mean Equator and Equinox of Reference Epoch' },
+    ecliptic: { ccsds: 'ECLIPJ2000', horizons: 'Ecliptic of J2000.0 (reference equinox of J2000.0)' }
+};
+
+/**
+ * Clock time of a record in its own time scale, without a zone suffix
+ */
+const epochString = (record) => record.date.toISOString().replace('Z', '');
+
+/**
+ * One-line summary of the orbit solution
+ */
+function describeSolution({ solution, orbitalElements, propagation }) {
+    const parts = [solution?.source ?? 'unknown source'];
+    if (solution?.id) parts.push(solution.id);
+    if (solution?.date) parts.push(`solution date ${solution.date instanceof Date ? solution.date.toISOString() : solution.date}`);
+    if (orbitalElements?.epoch) parts.push(`elements epoch JD ${orbitalElements.epoch} TDB`);
+    parts.push(`${propagation} propagation`);
+    return parts.join(', ');
+}
+
+/**
+ * CCSDS Orbit Ephemeris Message (KVN)
+ *
+ * @param {Object} ephemeris - {object, trajectory, frame, timescale, propagation,
+ *        solution, orbitalElements, generatedAt}
+ * @returns {string} OEM file
+ */
+function formatOEM(ephemeris) {
+    const { object, trajectory, frame, timescale, generatedAt } = ephemeris;
+    const kmPerSecond = AU_TO_KM / SECONDS_PER_DAY;
+    const number = (value) => value.toExponential(12).padStart(20);
+
+    const lines = [
+        'CCSDS_OEM_VERS = 2.0',
+        `COMMENT Source: ${describeSolution(ephemeris)}`,
+        `CREATION_DATE = ${generatedAt.toISOString().replace('Z', '')}`,
+        `ORIGINATOR = ${ORIGINATOR}`,
+        '',
+        'META_START',
+        `OBJECT_NAME = ${object.name}`,
+        `OBJECT_ID = ${object.designation}`,
+        `CENTER_NAME = ${CENTERS[frame.origin].ccsds}`,
+        `REF_FRAME = ${PLANES[frame.plane].ccsds}`,
+        `TIME_SYSTEM = ${timescale}`,
+        `START_TIME = ${epochString(trajectory[0])}`,
+        `STOP_TIME = ${epochString(trajectory[trajectory.length - 1])}`,
+        'META_STOP',
+        '',
+        'COMMENT Position in km, velocity in km/s'
+    ];
+
+    for (const record of trajectory) {
+        const { x, y, z, vx, vy, vz } = record.state;
+        lines.push([
+            epochString(record),
+            number(x * AU_TO_KM), number(y * AU_TO_KM), number(z * AU_TO_KM),
+            number(vx * kmPerSecond), number(vy * kmPerSecond), number(vz * kmPerSecond)
+        ].join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Horizons calendar date, e.g. "A.D. 2029-Apr-13 21:46:00.0000"
+ */
+function horizonsDate(date) {
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const seconds = date.getUTCSeconds() + date.getUTCMilliseconds() / 1000;
+    return `A.D. ${date.getUTCFullYear()}-${MONTHS[date.getUTCMonth()]}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${seconds.toFixed(4).padStart(7, '0')}`;
+}
+
+/**
+ * JPL Horizons-style vector table
+ *
+ * @param {Object} ephemeris - As for formatOEM
+ * @returns {string} Text table
+ */
+function formatHorizons(ephemeris) {
+    const { object, trajectory, frame, timescale, generatedAt, orbitalElements } = ephemeris;
+    const rule = '*'.repeat(79);
+    // Horizons writes two-digit exponents: 1.2E+00
+    const number = (value) => value.toExponential(15).toUpperCase().replace(/E([+-])(\d)$/, 'E$10$2').padStart(23);
+    const first = trajectory[0];
+    const last = trajectory[trajectory.length - 1];
+    const stepMinutes = trajectory.length > 1
+        ? (last.julianDate - first.julianDate) / (trajectory.length - 1) * 1440
+        : 0;
+
+    const lines = [
+        rule,
+        `Ephemeris / ${ORIGINATOR} ${generatedAt.toUTCString()}`,
+        `Target body name: ${object.name}`,
+        `Center body name: ${CENTERS[frame.origin].horizons}`,
+        'Center-site name: BODY CENTER',
+        rule,
+        `Start time      : ${horizonsDate(first.date)} ${timescale}`,
+        `Stop  time      : ${horizonsDate(last.date)} ${timescale}`,
+        `Step-size       : ${Number(stepMinutes.toFixed(4))} minutes`,
+        rule,
+        `Orbit solution  : ${describeSolution(ephemeris)}`
+    ];
+
+    if (orbitalElements) {
+        const el = orbitalElements;
+        const value = (v) => (v === null || v === undefined ? 'n/a' : Number(v).toPrecision(12));
+        lines.push(
+            `  EPOCH= ${value(el.epoch)} (TDB)`,
+            `   EC= ${value(el.eccentricity)}  QR= ${value(el.perihelionDistance)}  TP= ${value(el.timeOfPerihelion)}`,
+            `   OM= ${value(el.longitudeAscNode)}  W= ${value(el.argPerihelion)}  IN= ${value(el.inclination)}`,
+            `    A= ${value(el.semiMajorAxis)}  MA= ${value(el.meanAnomaly)}`
+        );
+    }
+
+    lines.push(
+        rule,
+        'Reference frame : ICRF',
+        `Coordinate systm: ${PLANES[frame.plane].horizons}`,
+        'Output units    : AU-D',
+        'Output type     : GEOMETRIC cartesian states',
+        'Output format   : 2 (position and velocity)',
+        rule,
+        `JD${timescale}`,
+        '   X     Y     Z',
+        '   VX    VY    VZ',
+        rule,
+        '$$SOE'
+    );
+
+    for (const record of trajectory) {
+        const { x, y, z, vx, vy, vz } = record.state;
+        lines.push(
+            `${record.julianDate.toFixed(9)} = ${horizonsDate(record.date)} ${timescale}`,
+            ` X =${number(x)} Y =${number(y)} Z =${number(z)}`,
+            ` VX=${number(vx)} VY=${number(vy)} VZ=${number(vz)}`
+        );
+    }
+
+    lines.push('$$EOE', rule);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Header lines shared by the CSV and JSON Lines files
+ */
+function headerFields(ephemeris) {
+    const { object, frame, timescale, generatedAt } = ephemeris;
+    return {
+        object: object.name,
+        designation: object.designation,
+        frame: frame.name,
+        center: frame.origin,
+        plane: frame.plane,
+        timescale,
+        units: { position: 'AU', velocity: 'AU/day', time: `JD (${timescale})` },
+        generated: generatedAt.toISOString(),
+        source: describeSolution(ephemeris)
+    };
+}
+
+/**
+ * CSV with a # comment header
+ *
+ * @param {Object} ephemeris - As for formatOEM
+ * @returns {string} CSV file
+ */
+function formatCSV(ephemeris) {
+    const header = headerFields(ephemeris);
+    const jdColumn = `jd_${ephemeris.timescale.toLowerCase()}`;
+
+    const lines = [
+        `# object: ${header.object} (${header.designation})`,
+        `# frame: ${header.frame} (center ${header.center}, ${header.plane} plane)`,
+        `# timescale: ${header.timescale}`,
+        '# units: position AU, velocity AU/day',
+        `# generated: ${header.generated} by ${ORIGINATOR}`,
+        `# source: ${header.source}`,
+        `${jdColumn},date,x,y,z,vx,vy,vz`
+    ];
+
+    for (const record of ephemeris.trajectory) {
+        const { x, y, z, vx, vy, vz } = record.state;
+        lines.push([record.julianDate.toFixed(9), record.date.toISOString(), x, y, z, vx, vy, vz].join(','));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * JSON Lines: one header object, then one state per line
+ *
+ * @param {Object} ephemeris - As for formatOEM
+ * @returns {string} JSONL file
+ */
+function formatJSONL(ephemeris) {
+    const lines = [JSON.stringify({ type: 'header', ...headerFields(ephemeris) })];
+
+    for (const record of ephemeris.trajectory) {
+        const { x, y, z, vx, vy, vz } = record.state;
+        lines.push(JSON.stringify({
+            type: 'state',
+            julianDate: record.julianDate,
+            date: record.date.toISOString(),
+            x, y, z, vx, vy, vz
+        }));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+const EPHEMERIS_FORMATS = {
+    oem: { write: formatOEM, contentType: 'text/plain', extension: 'oem' },
+    horizons: { write: formatHorizons, contentType: 'text/plain', extension: 'txt' },
+    csv: { write: formatCSV, contentType: 'text/csv', extension: 'csv' },
+    jsonl: { write: formatJSONL, contentType: 'application/x-ndjson', extension: 'jsonl' }
+};
+
+module.exports = {
+    formatOEM,
+    formatHorizons,
+    formatCSV,
+    formatJSONL,
+    EPHEMERIS_FORMATS
+};
@@ -0,0 +1,268 @@
+/**
+ * Impact Corridor
+ *
+ * Where on the ground the virtual impactors of an encounter would strike.
+ * Each Monte Carlo sample that falls inside the focused Earth radius on the
+ * b-plane is followed along its geocentric hyperbola (patched conic, matched
+ * to the heliocentric straight-line motion at the edge of Earth's sphere of
+ * influence) down to the surface. The impact point is then turned into
+ * latitude and longitude on the rotating Earth at the time of impact.
+ *
+ * The result is a GeoJSON FeatureCollection (RFC 7946): one Point per
+ * virtual impactor and a MultiLineString through them in order of ζ, the
+ * timing coordinate on the b-plane. This is the line the impact points
+ * trace as the arrival time varies across the uncertainty region. The Earth
+ * is taken as a sphere and the atmosphere is ignored.
+ */
+
+const {
+    dateToJulianDate,
+    julianDateToDate,
+    convertTimescale,
+    eclipticToEquatorial,
+    AU_TO_KM,
+    SECONDS_PER_DAY,
+    RAD_TO_DEG
+} = require('./keplerianElements');
+const { greenwichMeanSiderealTime, precessEquatorial } = require('./observerGeometry');
+const { getBodyProperties } = require('./closeApproach');
+const { mapEncounter, focusedRadius, DEFAULT_WINDOW_DAYS } = require('./bPlane');
+const { runSimulationInPool } = require('./simulationPool');
+
+const EARTH_SOI_KM = 925000;           // Radius of Earth's sphere of influence
+const MAX_SEGMENT_KM = 1500;           // Neighbouring impact points further apart start a new line
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+});
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const norm = (a) => Math.sqrt(dot(a, a));
+const unit = (a) => scale(a, 1 / norm(a));
+
+/**
+ * Time from periapsis on a hyperbola
+ *
+ * @param {number} f - True anomaly (radians)
+ * @param {number} e - Eccentricity (> 1)
+ * @param {number} n - Hyperbolic mean motion sqrt(μ / (-a)³) (1/s)
+ * @returns {number} Seconds, negative before periapsis
+ */
+function hyperbolicTime(f, e, n) {
+    const F = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(f / 2));
+    return (e * Math.sinh(F) - F) / n;
+}
+
+/**
+ * Follow an impacting encounter from the b-plane down to Earth's surface
+ *
+ * @param {Object} approach - Close approach from mapEncounter: {julianDate,
+ *        position {x, y, z}, velocity {vx, vy, vz}} relative to Earth (AU, AU/day)
+ * @param {number} gm - Earth's gravitational parameter (AU³/day²)
+ * @param {number} radiusKm - Earth radius (km)
+ * @returns {Object|null} {julianDate (TDB), position (km), velocity (km/s)} in the
+ *          J2000 ecliptic frame, or null if the hyperbola misses the surface
+ */
+function surfaceImpact(approach, gm, radiusKm) {
+    const mu = gm * AU_TO_KM ** 3 / SECONDS_PER_DAY ** 2;  // km³/s²
+    const toKmPerSecond = AU_TO_KM / SECONDS_PER_DAY;
+
+    // At the straight-line closest approach the position is the b-plane vector B
+    const B = scale(approach.position, AU_TO_KM);
+    const velocity = { x: approach.velocity.vx, y: approach.velocity.vy, z: approach.velocity.vz };
+    const u = unit(velocity);
+    const vInfinity = norm(velocity) * toKmPerSecond;
+    const b = norm(B);
+
+    const soiLineSeconds = Math.sqrt(EARTH_SOI_KM ** 2 - b * b) / vInfinity;
+
+    const e = Math.sqrt(1 + (b * vInfinity ** 2 / mu) ** 2);
+    const p = (b * vInfinity) ** 2 / mu;
+    if (p / (1 + e) >= radiusKm) return null;
+
+    // Periapsis direction: the incoming asymptote turned back by β = acos(1/e)
+    const hHat = unit(cross(B, u));
+    const beta = Math.acos(1 / e);
+    const eHat = add(scale(u, Math.cos(beta)), scale(cross(hHat, u), -Math.sin(beta)));
+    const qHat = cross(hHat, eHat);
+
+    // Inbound branch: negative true anomalies
+    const fSurface = -Math.acos((p / radiusKm - 1) / e);
+    const fSoi = -Math.acos((p / EARTH_SOI_KM - 1) / e);
+    const n = Math.sqrt(mu / (mu / vInfinity ** 2) ** 3);
+
+    // Patched conic: the straight line and the hyperbola agree on when the SOI is crossed
+    const seconds = -soiLineSeconds + hyperbolicTime(fSurface, e, n) - hyperbolicTime(fSoi, e, n);
+    const speedFactor = Math.sqrt(mu / p);
+
+    return {
+        julianDate: approach.julianDate + seconds / SECONDS_PER_DAY,
+        position: add(scale(eHat, radiusKm * Math.cos(fSurface)), scale(qHat, radiusKm * Math.sin(fSurface))),
+        velocity: add(scale(eHat, -speedFactor * Math.sin(fSurface)), scale(qHat, speedFactor * (e + Math.cos(fSurface))))
+    };
+}
+
+/**
+ * Latitude and longitude under a geocentric J2000 ecliptic position
+ *
+ * @param {Object} position - Position {x, y, z}
+ * @param {number} jd - Julian Date (TDB)
+ * @returns {Object} {latitude, longitude} in degrees, longitude east positive in [-180, 180)
+ */
+function groundPoint(position, jd) {
+    const ofDate = precessEquatorial(eclipticToEquatorial(position), jd);
+    const gmst = greenwichMeanSiderealTime(convertTimescale(jd, 'TDB', 'UTC'));
+
+    let longitude = (Math.atan2(ofDate.y, ofDate.x) * RAD_TO_DEG - gmst) % 360;
+    if (longitude < -180) longitude += 360;
+    if (longitude >= 180) longitude -= 360;
+
+    return {
+        latitude: Math.asin(ofDate.z / norm(ofDate)) * RAD_TO_DEG,
+        longitude
+    };
+}
+
+/**
+ * Great-circle distance between two ground points (km)
+ */
+function groundDistance(a, b, radiusKm) {
+    const toRad = Math.PI / 180;
+    const dLat = (b.latitude - a.latitude) * toRad;
+    const dLon = (b.longitude - a.longitude) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(a.latitude * toRad) * Math.cos(b.latitude * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * radiusKm * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Corridor lines through the impact points, in order of ζ
+ * A line is broken at the antimeridian and across gaps wider than MAX_SEGMENT_KM.
+ *
+ * @param {Array<Object>} impacts - Impact points sorted by ζ
+ * @param {number} radiusKm - Earth radius (km)
+ * @returns {Array<Array>} GeoJSON MultiLineString coordinates
+ */
+function corridorLines(impacts, radiusKm) {
+    const lines = [];
+    let line = [];
+
+    impacts.forEach((impact, i) => {
+        const previous = impacts[i - 1];
+        if (previous && (
+            Math.abs(impact.longitude - previous.longitude) > 180 ||
+            groundDistance(previous, impact, radiusKm) > MAX_SEGMENT_KM
+        )) {
+            if (line.length > 1) lines.push(line);
+            line = [];
+        }
+        line.push([impact.longitude, impact.latitude]);
+    });
+    if (line.length > 1) lines.push(line);
+
+    return lines;
+}
+
+/**
+ * Impact risk corridor of an Earth encounter
+ *
+ * @param {Object} options - Corridor options
+ * @param {Object} options.orbitalElements - Nominal orbital elements
+ * @param {Date} options.encounterDate - Approximate date of the encounter
+ * @param {number} options.numSimulations - Monte Carlo samples (default 2000)
+ * @param {Object} options.uncertainties - Element uncertainties (optional)
+ * @param {Object} options.covariance - Orbit covariance; replaces the uncertainties (optional)
+ * @param {number} options.windowDays - Search half-width around the encounter
+ * @param {number} options.seed - Monte Carlo seed (optional)
+ * @returns {Promise<Object>} GeoJSON FeatureCollection, with the run's metadata in `properties`
+ */
+async function calculateImpactCorridor({
+    orbitalElements,
+    encounterDate,
+    numSimulations = 2000,
+    uncertainties,
+    covariance,
+    windowDays = DEFAULT_WINDOW_DAYS,
+    seed
+}) {
+    const centerJD = convertTimescale(dateToJulianDate(encounterDate), 'UTC', 'TDB');
+
+    const nominal = mapEncounter(orbitalElements, centerJD, windowDays);
+    if (!nominal) {
+        throw new Error(`No Earth encounter within ${windowDays} days of ${encounterDate.toISOString()}`);
+    }
+
+    const { gm, radiusKm } = getBodyProperties('earth');
+
+    // Samples are drawn and mapped to the b-plane on the worker pool
+    const simulation = await runSimulationInPool({
+        orbitalElements,
+        encounterDate: julianDateToDate(convertTimescale(nominal.julianDate, 'TDB', 'UTC')),
+        numSimulations,
+        uncertainties,
+        covariance,
+        seed,
+        returnSamples: true,
+        mapEncounters: { julianDate: nominal.julianDate, windowDays }
+    });
+
+    const impacts = [];
+    for (const { encounter } of simulation.samples) {
+        if (!encounter || encounter.b >= focusedRadius(radiusKm, gm, encounter.U)) continue;
+
+        const impact = surfaceImpact(encounter.approach, gm, radiusKm);
+        if (!impact) continue;
+
+        const speed = norm(impact.velocity);
+        impacts.push({
+            ...groundPoint(impact.position, impact.julianDate),
+            time: julianDateToDate(convertTimescale(impact.julianDate, 'TDB', 'UTC')).toISOString(),
+            velocityKmS: speed,
+            // Angle below the local horizontal
+            entryAngle: Math.asin(-dot(impact.position, impact.velocity) / (radiusKm * speed)) * RAD_TO_DEG,
+            xi: encounter.xi,
+            zeta: encounter.zeta
+        });
+    }
+    impacts.sort((a, b) => a.zeta - b.zeta);
+
+    const features = impacts.map(({ latitude, longitude, ...properties }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        properties: { kind: 'virtual-impactor', ...properties }
+    }));
+
+    const lines = corridorLines(impacts, radiusKm);
+    if (lines.length > 0) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'MultiLineString', coordinates: lines },
+            properties: { kind: 'corridor' }
+        });
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features,
+        properties: {
+            encounterDate: julianDateToDate(convertTimescale(nominal.julianDate, 'TDB', 'UTC')).toISOString(),
+            vInfinityKmS: nominal.U,
+            samples: simulation.samples.length,
+            virtualImpactors: impacts.length,
+            impactProbability: impacts.length / simulation.samples.length,
+            uncertaintyModel: simulation.uncertaintyModel,
+            seed: simulation.seed,
+            engineVersion: simulation.engineVersion
+        }
+    };
+}
+
+module.exports = {
+    calculateImpactCorridor,
+    surfaceImpact,
+    groundPoint,
+    EARTH_SOI_KM
+};
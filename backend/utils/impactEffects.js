@@ -0,0 +1,350 @@
+/**
+ * Impact Effects Model
+ *
+ * Consequences of an asteroid impact from the scaling laws of Collins,
+ * Melosh & Marcus (2005), "Earth Impact Effects Program", Meteoritics &
+ * Planetary Science 40, 817-840. Equation numbers below refer to that paper.
+ *
+ *   Atmospheric entry  drag, breakup altitude and pancake spreading (eqs. 8-19)
+ *   Crater             transient and final crater diameter and depth (eqs. 21-28)
+ *   Thermal radiation  fireball radius and burn / ignition radii (eqs. 30-36)
+ *   Seismic shaking    Richter magnitude (eq. 40)
+ *   Air blast          peak overpressure radii, surface or airburst (eqs. 54-58)
+ *
+ * Distances are over a flat Earth, which overstates the thermal and blast
+ * radii of the largest impacts, where the horizon cuts them off.
+ */
+
+const { backgroundImpactFrequency } = require('./palermoScale');
+
+const JOULES_PER_MEGATON = 4.184e15;
+const GRAVITY = 9.8;                    // m/s²
+const SCALE_HEIGHT_M = 8000;            // Atmospheric scale height
+const SURFACE_AIR_DENSITY = 1;          // kg/m³
+const DRAG_COEFFICIENT = 2;
+const PANCAKE_FACTOR = 7;               // Spread of the fragment cloud at airburst, in impactor diameters
+const SIMPLE_COMPLEX_DIAMETER_M = 3200; // Final crater diameter where complex craters begin
+const LUMINOUS_EFFICIENCY = 3e-3;       // Fraction of the energy radiated by the fireball
+const MIN_THERMAL_VELOCITY_KMS = 15;    // Slower ground impacts do not vaporize enough to form a fireball
+const WATER_DENSITY = 1000;
+const SEAFLOOR_DENSITY = 2700;
+
+// Target rock (or water) density in kg/m³
+const TARGET_TYPES = {
+    sedimentary: { density: 2500 },
+    crystalline: { density: 2750 },
+    water: { density: WATER_DENSITY }
+};
+
+// Peak overpressure thresholds (Pa), after Glasstone & Dolan (1977)
+const OVERPRESSURE_THRESHOLDS = {
+    heavyDamage: 138000,          // 20 psi: reinforced concrete buildings severely damaged
+    residentialCollapse: 34500,   // 5 psi: most residential buildings collapse
+    windowBreakage: 6900          // 1 psi: windows shatter
+};
+
+// Thermal exposure thresholds (J/m²) for a 1 Mt event; they grow as E^(1/6) (eq. 36)
+const THERMAL_THRESHOLDS_1MT = {
+    clothingIgnition: 1.0e6,
+    thirdDegreeBurns: 0.42e6,
+    secondDegreeBurns: 0.25e6,
+    firstDegreeBurns: 0.13e6
+};
+
+const airDensity = (altitude) => SURFACE_AIR_DENSITY * Math.exp(-altitude / SCALE_HEIGHT_M);
+const toKm = (meters) => meters / 1000;
+
+/**
+ * Passage through the atmosphere
+ * An impactor whose strength exceeds the ram pressure reaches the ground
+ * intact; otherwise it breaks up and the fragments spread as a pancake
+ * until the cloud is PANCAKE_FACTOR times the impactor diameter (the
+ * airburst) or it reaches the ground.
+ *
+ * @returns {Object} {yieldStrength, breakupAltitude, airburstAltitude, surfaceVelocity, surfaceDiameter}
+ *          in SI units; altitudes are null when the event does not happen
+ */
+function atmosphericEntry({ diameter, density, velocity, angle }) {
+    const sinAngle = Math.sin(angle);
+
+    // Impactor yield strength (eq. 10) and strength factor (eq. 11)
+    const yieldStrength = Math.pow(10, 2.107 + 0.0624 * Math.sqrt(density));
+    const strengthFactor = 4.07 * DRAG_COEFFICIENT * SCALE_HEIGHT_M * yieldStrength /
+        (density * diameter * velocity ** 2 * sinAngle);
+
+    // Drag alone (eq. 8)
+    const velocityAt = (altitude) => velocity * Math.exp(
+        -3 * airDensity(altitude) * DRAG_COEFFICIENT * SCALE_HEIGHT_M / (4 * density * diameter * sinAngle)
+    );
+
+    let breakupAltitude = null;
+    if (strengthFactor < 1) {
+        // eq. 12
+        breakupAltitude = -SCALE_HEIGHT_M * (
+            Math.log(yieldStrength / (SURFACE_AIR_DENSITY * velocity ** 2)) +
+            1.308 - 0.314 * strengthFactor - 1.303 * Math.sqrt(1 - strengthFactor)
+        );
+    }
+
+    if (breakupAltitude === null || breakupAltitude <= 0) {
+        return {
+            yieldStrength,
+            breakupAltitude: null,
+            airburstAltitude: null,
+            surfaceVelocity: velocityAt(0),
+            surfaceDiameter: diameter
+        };
+    }
+
+    // Pancake spreading after breakup (eqs. 15, 16, 18)
+    const breakupVelocity = velocityAt(breakupAltitude);
+    const breakupAirDensity = airDensity(breakupAltitude);
+    const dispersionLength = diameter * sinAngle * Math.sqrt(density / (DRAG_COEFFICIENT * breakupAirDensity));
+    const spreadDiameter = (altitude) => diameter * Math.sqrt(
+        1 + (2 * SCALE_HEIGHT_M / dispersionLength) ** 2 *
+        (Math.exp((breakupAltitude - altitude) / (2 * SCALE_HEIGHT_M)) - 1) ** 2
+    );
+    const airburstAltitude = breakupAltitude - 2 * SCALE_HEIGHT_M *
+        Math.log(1 + dispersionLength / (2 * SCALE_HEIGHT_M) * Math.sqrt(PANCAKE_FACTOR ** 2 - 1));
+
+    if (airburstAltitude > 0) {
+        return {
+            yieldStrength,
+            breakupAltitude,
+            airburstAltitude,
+            surfaceVelocity: null,
+            surfaceDiameter: null
+        };
+    }
+
+    // Fragments reach the ground still together: slow them by the drag on the
+    // growing cloud (eq. 17, integrated numerically)
+    const steps = 1000;
+    const step = breakupAltitude / steps;
+    let integral = 0;
+    for (let k = 0; k < steps; k++) {
+        const altitude = (k + 0.5) * step;
+        integral += Math.exp((breakupAltitude - altitude) / SCALE_HEIGHT_M) * spreadDiameter(altitude) ** 2 * step;
+    }
+    const surfaceVelocity = breakupVelocity * Math.exp(
+        -0.75 * DRAG_COEFFICIENT * breakupAirDensity * integral / (density * diameter ** 3 * sinAngle)
+    );
+
+    return {
+        yieldStrength,
+        breakupAltitude,
+        airburstAltitude: null,
+        surfaceVelocity,
+        surfaceDiameter: Math.min(spreadDiameter(0), PANCAKE_FACTOR * diameter)
+    };
+}
+
+/**
+ * Transient crater diameter (eq. 21), SI units
+ */
+function transientCraterDiameter({ diameter, density, velocity, angle, targetDensity }) {
+    return 1.161 * Math.cbrt(density / targetDensity) * Math.pow(diameter, 0.78) *
+        Math.pow(velocity, 0.44) * Math.pow(GRAVITY, -0.22) * Math.cbrt(Math.sin(angle));
+}
+
+/**
+ * Final crater from the transient crater (eqs. 22-28)
+ */
+function finalCrater(transientDiameter) {
+    if (1.25 * transientDiameter < SIMPLE_COMPLEX_DIAMETER_M) {
+        const diameter = 1.25 * transientDiameter;
+        return { type: 'simple', transientDiameter, diameter, depth: 0.2 * diameter };
+    }
+
+    const diameter = 1.17 * Math.pow(transientDiameter, 1.13) / Math.pow(SIMPLE_COMPLEX_DIAMETER_M, 0.13);
+    return {
+        type: 'complex',
+        transientDiameter,
+        diameter,
+        depth: 1000 * 0.4 * Math.pow(toKm(diameter), 0.3)
+    };
+}
+
+/**
+ * Peak overpressure at a ground distance from the burst (eqs. 54-58)
+ * Distances and altitudes are scaled to a 1 kt explosion.
+ *
+ * @param {number} distance - Ground range (m)
+ * @param {number} energyKt - Yield (kilotons TNT)
+ * @param {number} burstAltitude - Height of the burst (m, 0 for a surface burst)
+ * @returns {number} Overpressure (Pa)
+ */
+function peakOverpressure(distance, energyKt, burstAltitude = 0) {
+    const scale = Math.cbrt(energyKt);
+    const r1 = distance / scale;
+    const surface = (range) => (75000 * 290 / (4 * range)) * (1 + 3 * Math.pow(290 / range, 1.3));
+
+    if (burstAltitude <= 0) return surface(r1);
+
+    // Airburst: regular reflection near ground zero, Mach reflection beyond
+    const z1 = burstAltitude / scale;
+    const groundZero = 3.14e11 * Math.pow(z1, -2.6) + 1.8e7 * Math.pow(z1, -1.13);
+    const beta = 34.87 * Math.pow(z1, -1.73);
+    const machRange = z1 < 550 ? 550 * z1 / (1.2 * (550 - z1)) : Infinity;
+
+    return r1 < machRange ? groundZero * Math.exp(-beta * r1) : surface(r1);
+}
+
+/**
+ * Largest ground range at which a decreasing effect still reaches a threshold
+ * Scans outwards on a logarithmic grid, then bisects the last crossing.
+ *
+ * @returns {number} Range (m), 0 if the threshold is never reached
+ */
+function thresholdRange(effect, threshold) {
+    const minRange = 1;
+    const maxRange = 2e7;
+    const points = 400;
+    const ratio = Math.pow(maxRange / minRange, 1 / points);
+
+    let lastAbove = null;
+    for (let k = 0, range = minRange; k <= points; k++, range *= ratio) {
+        if (effect(range) >= threshold) lastAbove = range;
+    }
+    if (lastAbove === null) return 0;
+    if (lastAbove * ratio > maxRange) return maxRange;
+
+    let low = lastAbove;
+    let high = lastAbove * ratio;
+    for (let k = 0; k < 60; k++) {
+        const middle = (low + high) / 2;
+        if (effect(middle) >= threshold) low = middle; else high = middle;
+    }
+    return low;
+}
+
+/**
+ * Effects of an impact
+ *
+ * @param {Object} params - Impact parameters
+ * @param {number} params.diameter - Impactor diameter (m)
+ * @param {number} params.density - Impactor density (kg/m³, default 3000)
+ * @param {number} params.velocity - Velocity at the top of the atmosphere (km/s)
+ * @param {number} params.angle - Entry angle above the horizontal (degrees, default 45)
+ * @param {string} params.targetType - sedimentary | crystalline | water (default sedimentary)
+ * @param {number} params.waterDepth - Ocean depth for a water target (m, default 3700)
+ * @returns {Object} Energy, atmospheric entry, crater, air blast, thermal and seismic effects
+ */
+function calculateImpactEffects({
+    diameter,
+    density = 3000,
+    velocity,
+    angle = 45,
+    targetType = 'sedimentary',
+    waterDepth = 3700
+}) {
+    if (!(diameter > 0) || !(density > 0) || !(velocity > 0)) {
+        throw new Error('Diameter, density and velocity must be positive');
+    }
+    if (!(angle > 0 && angle <= 90)) {
+        throw new Error('Entry angle must be between 0 and 90 degrees');
+    }
+    const target = TARGET_TYPES[targetType];
+    if (!target) {
+        throw new Error(`Unknown target type: ${targetType} (use ${Object.keys(TARGET_TYPES).join(', ')})`);
+    }
+
+    const angleRad = angle * Math.PI / 180;
+    const velocityMs = velocity * 1000;
+    const mass = density * Math.PI * diameter ** 3 / 6;
+    const energy = 0.5 * mass * velocityMs ** 2;
+    const energyMT = energy / JOULES_PER_MEGATON;
+
+    const entry = atmosphericEntry({ diameter, density, velocity: velocityMs, angle: angleRad });
+    const airburst = entry.airburstAltitude !== null;
+
+    // An airburst releases (nearly) all of the energy in the air; a ground
+    // impact delivers what is left after drag
+    const impactEnergy = airburst ? energy : 0.5 * mass * entry.surfaceVelocity ** 2;
+    const impactEnergyMT = impactEnergy / JOULES_PER_MEGATON;
+    const burstAltitude = airburst ? entry.airburstAltitude : 0;
+
+    // Crater: in the seafloor beneath a water layer, if the cavity in the water reaches it
+    let crater = null;
+    let waterCavityDiameter = null;
+    if (!airburst) {
+        const craterParams = { diameter, density, angle: angleRad, velocity: entry.surfaceVelocity };
+        if (targetType === 'water') {
+            waterCavityDiameter = transientCraterDiameter({ ...craterParams, targetDensity: WATER_DENSITY });
+            const seafloorVelocity = entry.surfaceVelocity * Math.exp(
+                -3 * WATER_DENSITY * DRAG_COEFFICIENT * waterDepth / (2 * density * diameter * Math.sin(angleRad))
+            );
+            if (waterCavityDiameter / (2 * Math.SQRT2) > waterDepth) {
+                crater = finalCrater(transientCraterDiameter({
+                    ...craterParams,
+                    velocity: seafloorVelocity,
+                    targetDensity: SEAFLOOR_DENSITY
+                }));
+            }
+        } else {
+            crater = finalCrater(transientCraterDiameter({ ...craterParams, targetDensity: target.density }));
+        }
+    }
+
+    // Air blast
+    const energyKt = impactEnergyMT * 1000;
+    const blastRadii = Object.fromEntries(Object.entries(OVERPRESSURE_THRESHOLDS).map(([name, pressure]) => [
+        name,
+        toKm(thresholdRange(range => peakOverpressure(range, energyKt, burstAltitude), pressure))
+    ]));
+
+    // Thermal radiation (eqs. 32-36): no fireball from slow ground impacts.
+    // The radii are ground ranges, so an airburst's height is taken off the slant range
+    let thermal = null;
+    if (airburst || entry.surfaceVelocity / 1000 >= MIN_THERMAL_VELOCITY_KMS) {
+        const radiated = LUMINOUS_EFFICIENCY * impactEnergy;
+        const scaling = Math.pow(impactEnergyMT, 1 / 6);
+        const groundRange = (slant) => Math.sqrt(Math.max(0, slant ** 2 - burstAltitude ** 2));
+        thermal = {
+            fireballRadiusKm: toKm(0.002 * Math.cbrt(impactEnergy)),
+            radiiKm: Object.fromEntries(Object.entries(THERMAL_THRESHOLDS_1MT).map(([name, exposure]) => [
+                name,
+                toKm(groundRange(Math.sqrt(radiated / (2 * Math.PI * exposure * scaling))))
+            ]))
+        };
+    }
+
+    return {
+        inputs: { diameter, density, velocity, angle, targetType, ...(targetType === 'water' && { waterDepth }) },
+        energy: {
+            joules: energy,
+            megatons: energyMT,
+            recurrenceIntervalYears: 1 / backgroundImpactFrequency(energyMT)
+        },
+        atmosphericEntry: {
+            yieldStrengthPa: entry.yieldStrength,
+            breakupAltitudeKm: entry.breakupAltitude === null ? null : toKm(entry.breakupAltitude),
+            airburstAltitudeKm: airburst ? toKm(entry.airburstAltitude) : null,
+            impactVelocityKmS: airburst ? null : entry.surfaceVelocity / 1000,
+            impactEnergyMegatons: impactEnergyMT
+        },
+        outcome: airburst ? 'airburst' : 'ground impact',
+        crater: crater && {
+            type: crater.type,
+            transientDiameterKm: toKm(crater.transientDiameter),
+            finalDiameterKm: toKm(crater.diameter),
+            depthKm: toKm(crater.depth),
+            ...(targetType === 'water' && { seafloor: true })
+        },
+        waterCavityDiameterKm: waterCavityDiameter === null ? null : toKm(waterCavityDiameter),
+        blast: {
+            burstAltitudeKm: toKm(burstAltitude),
+            radiiKm: blastRadii
+        },
+        thermal,
+        seismic: airburst ? null : { magnitude: 0.67 * Math.log10(impactEnergy) - 5.87 }
+    };
+}
+
+module.exports = {
+    calculateImpactEffects,
+    peakOverpressure,
+    TARGET_TYPES,
+    OVERPRESSURE_THRESHOLDS,
+    THERMAL_THRESHOLDS_1MT
+};
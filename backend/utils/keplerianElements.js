@@ -5,13 +5,71 @@
  * Uses Keplerian mechanics with numerical integration for accurate ephemeris.
  */
 
+const { getMoonGeocentricAU } = require('./lunarTheory');
+
 // Astronomical constants
 const AU_TO_KM = 149597870.7; // 1 AU in kilometers
 const DEG_TO_RAD = Math.PI / 180;
 const RAD_TO_DEG = 180 / Math.PI;
 const GRAVITATIONAL_PARAMETER = 1.32712440018e20; // GM of Sun in m³/s²
+const GM_SUN = 0.000295912208; // GM of Sun in AU³/day² (Gaussian constant squared)
 const SECONDS_PER_DAY = 86400;
 
+// Orbits with e at or above this are propagated with universal variables
+const NEAR_PARABOLIC_ECCENTRICITY = 0.98;
+
+// Time scales and reference frames
+const J2000 = 2451545.0;
+const OBLIQUITY_J2000 = 23.4392911; // Mean obliquity of the ecliptic at J2000 (84381.448")
+const TT_MINUS_TAI = 32.184;        // seconds
+const TIMESCALES = ['UTC', 'TT', 'TDB'];
+
+// TAI − UTC in seconds, from the UTC Julian Date each leap second took effect
+// (IERS Bulletin C). Dates before 1972 use the initial 10 s offset.
+const LEAP_SECONDS = [
+  [2441317.5, 10], // 1972 Jan 1
+  [2441499.5, 11], // 1972 Jul 1
+  [2441683.5, 12], // 1973 Jan 1
+  [2442048.5, 13], // 1974 Jan 1
+  [2442413.5, 14], // 1975 Jan 1
+  [2442778.5, 15], // 1976 Jan 1
+  [2443144.5, 16], // 1977 Jan 1
+  [2443509.5, 17], // 1978 Jan 1
+  [2443874.5, 18], // 1979 Jan 1
+  [2444239.5, 19], // 1980 Jan 1
+  [2444786.5, 20], // 1981 Jul 1
+  [2445151.5, 21], // 1982 Jul 1
+  [2445516.5, 22], // 1983 Jul 1
+  [2446247.5, 23], // 1985 Jul 1
+  [2447161.5, 24], // 1988 Jan 1
+  [2447892.5, 25], // 1990 Jan 1
+  [2448257.5, 26], // 1991 Jan 1
+  [2448804.5, 27], // 1992 Jul 1
+  [2449169.5, 28], // 1993 Jul 1
+  [2449534.5, 29], // 1994 Jul 1
+  [2450083.5, 30], // 1996 Jan 1
+  [2450630.5, 31], // 1997 Jul 1
+  [2451179.5, 32], // 1999 Jan 1
+  [2453736.5, 33], // 2006 Jan 1
+  [2454832.5, 34], // 2009 Jan 1
+  [2456109.5, 35], // 2012 Jul 1
+  [2457204.5, 36], // 2015 Jul 1
+  [2457754.5, 37]  // 2017 Jan 1
+];
+
+/**
+ * Output frames: origin and default orientation
+ * Ecliptic axes are the mean ecliptic and equinox of J2000; equatorial axes
+ * are the J2000 mean equator, which matches the ICRF to ~0.02".
+ */
+const REFERENCE_FRAMES = {
+  ecliptic: { origin: 'sun', plane: 'ecliptic' },
+  equatorial: { origin: 'sun', plane: 'equatorial' },
+  geocentric: { origin: 'earth', plane: 'equatorial' },
+  barycentric: { origin: 'ssb', plane: 'equatorial' }
+};
+const REFERENCE_PLANES = ['ecliptic', 'equatorial'];
+
 /**
  * Solve Kepler's equation using Newton-Raphson iteration
  * E - e*sin(E) = M
@@ -92,46 +150,199 @@ function propagateMeanAnomaly(M0, n, dt) {
 }
 
 /**
- * Convert Keplerian orbital elements to Cartesian coordinates (heliocentric ecliptic)
+ * Stumpff functions C(z) and S(z) used by the universal Kepler equation
+ * z > 0 elliptic, z = 0 parabolic, z < 0 hyperbolic
+ * 
+ * @param {number} z - Argument αχ²
+ * @returns {Object} {C, S}
+ */
+function stumpff(z) {
+  if (z > 1e-6) {
+    const sz = Math.sqrt(z);
+    return { C: (1 - Math.cos(sz)) / z, S: (sz - Math.sin(sz)) / (sz * sz * sz) };
+  }
+  if (z < -1e-6) {
+    const sz = Math.sqrt(-z);
+    return { C: (Math.cosh(sz) - 1) / -z, S: (Math.sinh(sz) - sz) / (sz * sz * sz) };
+  }
+  // Series expansion near z = 0
+  return {
+    C: 1 / 2 - z / 24 + (z * z) / 720,
+    S: 1 / 6 - z / 120 + (z * z) / 5040
+  };
+}
+
+/**
+ * Reduce any supported element set to perihelion form
+ * Accepts either a / M (elliptic, or hyperbolic with a < 0) or
+ * perihelion distance q and time of perihelion Tp. a / M take precedence
+ * when they are consistent with e, so sampled elements stay authoritative.
  * 
  * @param {Object} elements - Orbital elements
- * @param {number} elements.semiMajorAxis - Semi-major axis a (AU)
- * @param {number} elements.eccentricity - Eccentricity e
- * @param {number} elements.inclination - Inclination i (degrees)
- * @param {number} elements.longitudeAscNode - Longitude of ascending node Ω (degrees)
- * @param {number} elements.argPerihelion - Argument of perihelion ω (degrees)
- * @param {number} elements.meanAnomaly - Mean anomaly M (degrees)
- * @param {number} elements.epoch - Epoch as Julian Date
- * @param {number} targetJD - Target Julian Date for position calculation
- * @returns {Object} Cartesian position {x, y, z} in AU (heliocentric ecliptic)
+ * @param {number} elements.semiMajorAxis - a (AU), negative for hyperbolic orbits
+ * @param {number} elements.meanAnomaly - M at epoch (degrees)
+ * @param {number} elements.perihelionDistance - q (AU)
+ * @param {number} elements.timeOfPerihelion - Tp (Julian Date)
+ * @returns {Object} {q, e, alpha, tp} - alpha = 1/a (1/AU), zero for parabolic orbits
  */
-function keplerToCartesian(elements, targetJD) {
-  const { semiMajorAxis: a, eccentricity: e, inclination, 
-          longitudeAscNode, argPerihelion, meanAnomaly: M0, epoch } = elements;
-  
+function resolvePerihelionElements(elements) {
+  const { semiMajorAxis: a, eccentricity: e, meanAnomaly: M0, epoch,
+          perihelionDistance, timeOfPerihelion } = elements;
+
+  const hasSemiMajorAxis = Number.isFinite(a) && a !== 0 && (e < 1 ? a > 0 : a < 0) &&
+    Number.isFinite(M0) && Number.isFinite(epoch);
+
+  if (hasSemiMajorAxis) {
+    const alpha = 1 / a;
+    // Mean motion for ellipses, hyperbolic mean motion sqrt(μ/|a|³) otherwise
+    const n = Math.sqrt(GM_SUN * Math.abs(alpha) ** 3);
+    return {
+      q: a * (1 - e),
+      e,
+      alpha,
+      tp: epoch - (M0 * DEG_TO_RAD) / n
+    };
+  }
+
+  if (Number.isFinite(perihelionDistance) && Number.isFinite(timeOfPerihelion)) {
+    return {
+      q: perihelionDistance,
+      e,
+      alpha: (1 - e) / perihelionDistance,
+      tp: timeOfPerihelion
+    };
+  }
+
+  throw new Error('Orbital elements need either semiMajorAxis/meanAnomaly or perihelionDistance/timeOfPerihelion');
+}
+
+/**
+ * Solve the universal Kepler equation from perihelion
+ * √μ·Δt = (1 − αq)·χ³·S(αχ²) + q·χ
+ * Uses the Laguerre-Conway iteration, which converges for any conic.
+ * 
+ * @param {number} dt - Time since perihelion (days)
+ * @param {number} q - Perihelion distance (AU)
+ * @param {number} alpha - Reciprocal semi-major axis (1/AU)
+ * @param {number} tolerance - Convergence tolerance on χ
+ * @param {number} maxIterations - Maximum iterations
+ * @returns {number} Universal anomaly χ (AU^½)
+ */
+function solveUniversalKepler(dt, q, alpha, tolerance = 1e-12, maxIterations = 100) {
+  const sqrtMu = Math.sqrt(GM_SUN);
+  const target = sqrtMu * dt;
+  const k = 1 - alpha * q;
+
+  // Initial guess: elliptic χ ≈ √μ·Δt·α, hyperbolic logarithmic growth, else linear
+  let chi = target / q;
+  if (alpha > 1e-12) {
+    chi = target * alpha;
+  } else if (alpha < -1e-12) {
+    const a = 1 / alpha;
+    const ratio = (-2 * GM_SUN * alpha * Math.abs(dt)) / (Math.sqrt(-GM_SUN * a) * k);
+    if (ratio > Math.E) {
+      chi = Math.sign(dt) * Math.sqrt(-a) * Math.log(ratio);
+    }
+  }
+
+  for (let i = 0; i < maxIterations; i++) {
+    const z = alpha * chi * chi;
+    const { C, S } = stumpff(z);
+
+    const F = k * chi * chi * chi * S + q * chi - target;
+    const dF = k * chi * chi * C + q * (1 - z * C);     // = r
+    const d2F = k * chi * (1 - z * S);
+
+    // Laguerre-Conway step (n = 5)
+    const root = Math.sqrt(Math.abs(16 * dF * dF - 20 * F * d2F));
+    const delta = (5 * F) / (dF + Math.sign(dF) * root);
+    chi -= delta;
+
+    if (Math.abs(delta) < tolerance * Math.max(1, Math.abs(chi))) {
+      return chi;
+    }
+  }
+
+  console.warn(`Universal Kepler equation didn't converge after ${maxIterations} iterations`);
+  return chi;
+}
+
+/**
+ * Position and velocity in the orbital (perifocal) plane
+ * x axis points to perihelion. Ordinary ellipses use the classical
+ * Kepler equation; near-parabolic and hyperbolic orbits use universal variables.
+ * 
+ * @param {Object} elements - Orbital elements (see keplerToCartesian)
+ * @param {number} targetJD - Target Julian Date
+ * @returns {Object} {x, y} in AU and {vx, vy} in AU/day
+ */
+function perifocalState(elements, targetJD) {
+  const { q, e, alpha, tp } = resolvePerihelionElements(elements);
+  let dt = targetJD - tp;
+
+  if (e < NEAR_PARABOLIC_ECCENTRICITY) {
+    const a = 1 / alpha;
+    const n = Math.sqrt(GM_SUN * alpha * alpha * alpha);
+    const M = propagateMeanAnomaly(0, n, dt);
+    const E = solveKeplerEquation(M, e);
+    const nu = eccentricToTrueAnomaly(E, e);
+    const r = orbitalRadius(a, e, nu);
+
+    // Semi-latus rectum
+    const p = a * (1 - e * e);
+
+    // Specific angular momentum h = sqrt(μp) in AU²/day
+    const h = Math.sqrt(GM_SUN * p);
+
+    return {
+      x: r * Math.cos(nu),
+      y: r * Math.sin(nu),
+      vx: -h / p * Math.sin(nu),
+      vy: h / p * (e + Math.cos(nu))
+    };
+  }
+
+  // Keep χ small for long-period ellipses by reducing to one revolution
+  if (alpha > 0) {
+    const period = 2 * Math.PI / Math.sqrt(GM_SUN * alpha * alpha * alpha);
+    dt -= period * Math.round(dt / period);
+  }
+
+  const sqrtMu = Math.sqrt(GM_SUN);
+  const chi = solveUniversalKepler(dt, q, alpha);
+  const z = alpha * chi * chi;
+  const { C, S } = stumpff(z);
+  const r = chi * chi * C + q * (1 - z * C);
+
+  // Lagrange coefficients from the perihelion state r0 = (q, 0), v0 = (0, vp)
+  const vp = Math.sqrt(GM_SUN * (1 + e) / q);
+  const f = 1 - (chi * chi / q) * C;
+  const g = dt - (chi * chi * chi / sqrtMu) * S;
+  const fDot = (sqrtMu / (r * q)) * (z * S - 1) * chi;
+  const gDot = 1 - (chi * chi / r) * C;
+
+  return {
+    x: f * q,
+    y: g * vp,
+    vx: fDot * q,
+    vy: gDot * vp
+  };
+}
+
+/**
+ * Rotate a perifocal vector into the heliocentric ecliptic frame
+ * 
+ * @param {number} xOrbital - Component towards perihelion
+ * @param {number} yOrbital - Component 90° ahead in the orbital plane
+ * @param {Object} elements - Orbital elements with inclination, longitudeAscNode, argPerihelion
+ * @returns {Object} Vector {x, y, z}
+ */
+function perifocalToEcliptic(xOrbital, yOrbital, { inclination, longitudeAscNode, argPerihelion }) {
   // Convert angles to radians
   const i = inclination * DEG_TO_RAD;
   const omega = longitudeAscNode * DEG_TO_RAD;  // Ω - longitude of ascending node
   const w = argPerihelion * DEG_TO_RAD;          // ω - argument of perihelion
-  
-  // Calculate mean motion and propagate mean anomaly
-  const n = meanMotion(a);
-  const dt = targetJD - epoch;
-  const M = propagateMeanAnomaly(M0, n, dt);
-  
-  // Solve Kepler's equation for eccentric anomaly
-  const E = solveKeplerEquation(M, e);
-  
-  // Calculate true anomaly
-  const nu = eccentricToTrueAnomaly(E, e);
-  
-  // Calculate radius
-  const r = orbitalRadius(a, e, nu);
-  
-  // Position in orbital plane
-  const xOrbital = r * Math.cos(nu);
-  const yOrbital = r * Math.sin(nu);
-  
+
   // Rotation matrices to transform from orbital plane to ecliptic coordinates
   // First rotate by ω (argument of perihelion)
   // Then rotate by i (inclination)
@@ -153,66 +364,139 @@ function keplerToCartesian(elements, targetJD) {
   const Qy = -sinOmega * sinW + cosOmega * cosW * cosI;
   const Qz = cosW * sinI;
   
-  // Heliocentric ecliptic coordinates
-  const x = xOrbital * Px + yOrbital * Qx;
-  const y = xOrbital * Py + yOrbital * Qy;
-  const z = xOrbital * Pz + yOrbital * Qz;
-  
-  return { x, y, z };
+  return {
+    x: xOrbital * Px + yOrbital * Qx,
+    y: xOrbital * Py + yOrbital * Qy,
+    z: xOrbital * Pz + yOrbital * Qz
+  };
 }
 
 /**
- * Calculate orbital velocity vector at a given position
+ * Convert Keplerian orbital elements to Cartesian coordinates (heliocentric ecliptic)
+ * Works for elliptic, parabolic and hyperbolic orbits. The shape and timing
+ * may be given either as a / M / epoch or as q / Tp (see resolvePerihelionElements).
  * 
  * @param {Object} elements - Orbital elements
+ * @param {number} elements.semiMajorAxis - Semi-major axis a (AU), negative if hyperbolic
+ * @param {number} elements.eccentricity - Eccentricity e
+ * @param {number} elements.inclination - Inclination i (degrees)
+ * @param {number} elements.longitudeAscNode - Longitude of ascending node Ω (degrees)
+ * @param {number} elements.argPerihelion - Argument of perihelion ω (degrees)
+ * @param {number} elements.meanAnomaly - Mean anomaly M (degrees)
+ * @param {number} elements.epoch - Epoch as Julian Date
+ * @param {number} elements.perihelionDistance - Perihelion distance q (AU), alternative to a
+ * @param {number} elements.timeOfPerihelion - Time of perihelion Tp (JD), alternative to M/epoch
+ * @param {number} targetJD - Target Julian Date for position calculation
+ * @returns {Object} Cartesian position {x, y, z} in AU (heliocentric ecliptic)
+ */
+function keplerToCartesian(elements, targetJD) {
+  const { x, y } = perifocalState(elements, targetJD);
+  return perifocalToEcliptic(x, y, elements);
+}
+
+/**
+ * Calculate orbital velocity vector at a given position
+ * 
+ * @param {Object} elements - Orbital elements (see keplerToCartesian)
  * @param {number} targetJD - Target Julian Date
  * @returns {Object} Velocity vector {vx, vy, vz} in AU/day
  */
 function calculateVelocity(elements, targetJD) {
-  const { semiMajorAxis: a, eccentricity: e, inclination,
-          longitudeAscNode, argPerihelion, meanAnomaly: M0, epoch } = elements;
-  
-  // Convert angles to radians
-  const i = inclination * DEG_TO_RAD;
-  const omega = longitudeAscNode * DEG_TO_RAD;
-  const w = argPerihelion * DEG_TO_RAD;
-  
-  // Calculate mean motion and propagate
-  const n = meanMotion(a);
-  const dt = targetJD - epoch;
-  const M = propagateMeanAnomaly(M0, n, dt);
-  const E = solveKeplerEquation(M, e);
-  const nu = eccentricToTrueAnomaly(E, e);
-  
-  // Semi-latus rectum
-  const p = a * (1 - e * e);
-  
-  // Velocity magnitude components in orbital plane
-  const h = Math.sqrt(GRAVITATIONAL_PARAMETER * p) / (AU_TO_KM * 1000) * SECONDS_PER_DAY; // AU/day
-  const vxOrbital = -h / p * Math.sin(nu);
-  const vyOrbital = h / p * (e + Math.cos(nu));
-  
-  // Rotation matrices
-  const cosOmega = Math.cos(omega);
-  const sinOmega = Math.sin(omega);
-  const cosI = Math.cos(i);
-  const sinI = Math.sin(i);
-  const cosW = Math.cos(w);
-  const sinW = Math.sin(w);
-  
-  const Px = cosOmega * cosW - sinOmega * sinW * cosI;
-  const Py = sinOmega * cosW + cosOmega * sinW * cosI;
-  const Pz = sinW * sinI;
-  
-  const Qx = -cosOmega * sinW - sinOmega * cosW * cosI;
-  const Qy = -sinOmega * sinW + cosOmega * cosW * cosI;
-  const Qz = cosW * sinI;
-  
-  const vx = vxOrbital * Px + vyOrbital * Qx;
-  const vy = vxOrbital * Py + vyOrbital * Qy;
-  const vz = vxOrbital * Pz + vyOrbital * Qz;
-  
-  return { vx, vy, vz };
+  const { vx, vy } = perifocalState(elements, targetJD);
+  const v = perifocalToEcliptic(vx, vy, elements);
+  return { vx: v.x, vy: v.y, vz: v.z };
+}
+
+/**
+ * Convert Keplerian orbital elements to a heliocentric ecliptic state vector
+ * 
+ * @param {Object} elements - Orbital elements (see keplerToCartesian)
+ * @param {number} targetJD - Target Julian Date
+ * @returns {Object} State {x, y, z} in AU and {vx, vy, vz} in AU/day
+ */
+function elementsToStateVector(elements, targetJD) {
+  return {
+    ...keplerToCartesian(elements, targetJD),
+    ...calculateVelocity(elements, targetJD)
+  };
+}
+
+/**
+ * Convert a heliocentric ecliptic state vector to osculating orbital elements
+ * Inverse of elementsToStateVector. Both the a / M and the q / Tp forms are
+ * filled in; a and M are null for parabolic orbits.
+ *
+ * @param {Object} state - {x, y, z} in AU and {vx, vy, vz} in AU/day
+ * @param {number} epochJD - Julian Date of the state
+ * @returns {Object} Orbital elements with epoch = epochJD
+ */
+function stateVectorToElements(state, epochJD) {
+  const r = [state.x, state.y, state.z];
+  const v = [state.vx, state.vy, state.vz];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+
+  const rMag = Math.sqrt(dot(r, r));
+  const v2 = dot(v, v);
+  const rv = dot(r, v);
+
+  const h = cross(r, v);
+  const hMag = Math.sqrt(dot(h, h));
+  const eVec = r.map((ri, k) => ((v2 - GM_SUN / rMag) * ri - rv * v[k]) / GM_SUN);
+  const e = Math.sqrt(dot(eVec, eVec));
+
+  const inclination = Math.acos(Math.max(-1, Math.min(1, h[2] / hMag)));
+  const nodeLength = Math.hypot(h[0], h[1]);
+
+  // Ascending node and argument of perihelion (Ω = 0 for orbits in the ecliptic)
+  const node = nodeLength > 1e-12 ? Math.atan2(h[0], -h[1]) : 0;
+  const nodeVec = [Math.cos(node), Math.sin(node), 0];
+  const hHat = h.map(c => c / hMag);
+  const angleFromNode = (vec) => Math.atan2(dot(cross(nodeVec, vec), hHat), dot(nodeVec, vec));
+
+  const argPerihelion = e > 1e-10 ? angleFromNode(eVec) : 0;
+  const nu = angleFromNode(r) - argPerihelion;
+
+  const p = (hMag * hMag) / GM_SUN;
+  const q = p / (1 + e);
+
+  // Time since perihelion from the true anomaly
+  let semiMajorAxis = null;
+  let meanAnomaly = null;
+  let sincePerihelion;
+
+  if (Math.abs(e - 1) < 1e-10) {
+    const D = Math.tan(nu / 2);
+    sincePerihelion = 0.5 * Math.sqrt(p * p * p / GM_SUN) * (D + D * D * D / 3);
+  } else {
+    semiMajorAxis = p / (1 - e * e);
+    const n = Math.sqrt(GM_SUN / Math.abs(semiMajorAxis) ** 3);
+    let M;
+    if (e < 1) {
+      const E = 2 * Math.atan2(Math.sqrt(1 - e) * Math.sin(nu / 2), Math.sqrt(1 + e) * Math.cos(nu / 2));
+      M = E - e * Math.sin(E);
+      M = ((M % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    } else {
+      const F = 2 * Math.atanh(Math.sqrt((e - 1) / (e + 1)) * Math.tan(nu / 2));
+      M = e * Math.sinh(F) - F;
+    }
+    meanAnomaly = M * RAD_TO_DEG;
+    sincePerihelion = M / n;
+  }
+
+  const normalize = (deg) => ((deg % 360) + 360) % 360;
+
+  return {
+    semiMajorAxis,
+    eccentricity: e,
+    inclination: inclination * RAD_TO_DEG,
+    longitudeAscNode: normalize(node * RAD_TO_DEG),
+    argPerihelion: normalize(argPerihelion * RAD_TO_DEG),
+    meanAnomaly,
+    epoch: epochJD,
+    perihelionDistance: q,
+    timeOfPerihelion: epochJD - sincePerihelion
+  };
 }
 
 /**
@@ -227,7 +511,7 @@ function dateToJulianDate(date) {
   const d = date.getUTCDate();
   const h = date.getUTCHours();
   const min = date.getUTCMinutes();
-  const s = date.getUTCSeconds();
+  const s = date.getUTCSeconds() + date.getUTCMilliseconds() / 1000;
   
   const dayFraction = (h + min / 60 + s / 3600) / 24;
   
@@ -278,56 +562,183 @@ function julianDateToDate(jd) {
   
   const dayInt = Math.floor(day);
   const dayFrac = day - dayInt;
-  const hours = Math.floor(dayFrac * 24);
-  const minutes = Math.floor((dayFrac * 24 - hours) * 60);
-  const seconds = Math.floor(((dayFrac * 24 - hours) * 60 - minutes) * 60);
   
-  return new Date(Date.UTC(year, month - 1, dayInt, hours, minutes, seconds));
+  // Round to the millisecond so that dates survive a round trip through JD
+  const milliseconds = Math.round(dayFrac * SECONDS_PER_DAY * 1000);
+  
+  return new Date(Date.UTC(year, month - 1, dayInt) + milliseconds);
+}
+
+/**
+ * TAI − UTC (leap seconds) at a UTC Julian Date
+ * 
+ * @param {number} jdUtc - Julian Date (UTC)
+ * @returns {number} TAI − UTC in seconds
+ */
+function taiMinusUtc(jdUtc) {
+  let offset = LEAP_SECONDS[0][1];
+  for (const [start, seconds] of LEAP_SECONDS) {
+    if (jdUtc < start) break;
+    offset = seconds;
+  }
+  return offset;
+}
+
+/**
+ * TDB − TT from the annual term of the Earth's orbital eccentricity
+ * (accurate to ~30 µs, well below anything these ephemerides resolve)
+ * 
+ * @param {number} jdTT - Julian Date (TT)
+ * @returns {number} TDB − TT in seconds
+ */
+function tdbMinusTt(jdTT) {
+  const g = (357.53 + 0.9856003 * (jdTT - J2000)) * DEG_TO_RAD;
+  return 0.001657 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
 }
 
 /**
- * Get Earth's orbital elements (simplified, for approximate Earth position)
+ * Convert a Julian Date between the UTC, TT and TDB time scales
+ * Orbital elements and the planetary theories are referred to TDB, so
+ * requested dates should be converted to TDB before propagation.
  * 
- * @returns {Object} Earth's orbital elements
+ * @param {number} jd - Julian Date in the source time scale
+ * @param {string} from - Source time scale (UTC, TT or TDB)
+ * @param {string} to - Target time scale (UTC, TT or TDB)
+ * @returns {number} Julian Date in the target time scale
+ */
+function convertTimescale(jd, from, to) {
+  const source = String(from).toUpperCase();
+  const target = String(to).toUpperCase();
+  for (const scale of [source, target]) {
+    if (!TIMESCALES.includes(scale)) {
+      throw new Error(`Unknown time scale: ${scale} (use ${TIMESCALES.join(', ')})`);
+    }
+  }
+  if (source === target) return jd;
+
+  // Everything goes through TT
+  let tt = jd;
+  if (source === 'UTC') {
+    tt = jd + (taiMinusUtc(jd) + TT_MINUS_TAI) / SECONDS_PER_DAY;
+  } else if (source === 'TDB') {
+    tt = jd - tdbMinusTt(jd) / SECONDS_PER_DAY;
+  }
+
+  if (target === 'TT') return tt;
+  if (target === 'TDB') return tt + tdbMinusTt(tt) / SECONDS_PER_DAY;
+
+  // The leap-second count is looked up at the UTC instant, so settle it
+  // with a second pass (only matters within a minute of a leap second)
+  let utc = tt - (taiMinusUtc(tt) + TT_MINUS_TAI) / SECONDS_PER_DAY;
+  utc = tt - (taiMinusUtc(utc) + TT_MINUS_TAI) / SECONDS_PER_DAY;
+  return utc;
+}
+
+/**
+ * Rotate a position {x, y, z} or velocity {vx, vy, vz} about the x axis
+ * (the equinox direction) by the given angle
  */
-function getEarthElements() {
+function rotateAboutEquinox(vec, angle) {
+  const cosA = Math.cos(angle);
+  const sinA = Math.sin(angle);
+
+  if (vec.vx !== undefined && vec.x === undefined) {
+    return {
+      vx: vec.vx,
+      vy: vec.vy * cosA - vec.vz * sinA,
+      vz: vec.vy * sinA + vec.vz * cosA
+    };
+  }
+
   return {
-    semiMajorAxis: 1.00000261,      // AU
-    eccentricity: 0.01671123,
-    inclination: 0.00005,            // degrees (relative to ecliptic)
-    longitudeAscNode: -11.26064,     // degrees
-    argPerihelion: 102.93768,        // degrees
-    meanAnomaly: 100.46457,          // degrees at J2000
-    epoch: 2451545.0                 // J2000.0
+    x: vec.x,
+    y: vec.y * cosA - vec.z * sinA,
+    z: vec.y * sinA + vec.z * cosA
   };
 }
 
 /**
- * Get Moon's position relative to Earth (simplified model)
+ * Rotate a J2000 ecliptic vector into the J2000 equatorial frame
+ * Works on positions {x, y, z} and velocities {vx, vy, vz} alike.
+ * 
+ * @param {Object} vec - Ecliptic vector
+ * @returns {Object} Equatorial vector with the same keys
+ */
+function eclipticToEquatorial(vec) {
+  return rotateAboutEquinox(vec, OBLIQUITY_J2000 * DEG_TO_RAD);
+}
+
+/**
+ * Rotate a J2000 equatorial vector into the J2000 ecliptic frame
+ * 
+ * @param {Object} vec - Equatorial vector {x, y, z} or {vx, vy, vz}
+ * @returns {Object} Ecliptic vector with the same keys
+ */
+function equatorialToEcliptic(vec) {
+  return rotateAboutEquinox(vec, -OBLIQUITY_J2000 * DEG_TO_RAD);
+}
+
+/**
+ * Resolve an output frame name and optional plane override
+ * 
+ * @param {string} frame - ecliptic, equatorial, geocentric or barycentric
+ * @param {string} plane - ecliptic or equatorial (default: the frame's own)
+ * @returns {Object} {name, origin (sun | earth | ssb), plane}
+ */
+function resolveReferenceFrame(frame = 'ecliptic', plane) {
+  const name = String(frame).toLowerCase();
+  const definition = REFERENCE_FRAMES[name];
+  if (!definition) {
+    throw new Error(`Unknown frame: ${frame} (use ${Object.keys(REFERENCE_FRAMES).join(', ')})`);
+  }
+
+  const orientation = plane ? String(plane).toLowerCase() : definition.plane;
+  if (!REFERENCE_PLANES.includes(orientation)) {
+    throw new Error(`Unknown plane: ${plane} (use ${REFERENCE_PLANES.join(', ')})`);
+  }
+
+  return { name, origin: definition.origin, plane: orientation };
+}
+
+/**
+ * Express a heliocentric ecliptic position or state in an output frame
+ * 
+ * @param {Object} state - Heliocentric ecliptic {x, y, z} with optional {vx, vy, vz}
+ * @param {Object} originState - Heliocentric ecliptic state of the frame origin
+ * @param {Object} frame - Resolved frame from resolveReferenceFrame
+ * @returns {Object} Transformed {x, y, z} (and {vx, vy, vz} if given)
+ */
+function toReferenceFrame(state, originState, frame) {
+  const position = {
+    x: state.x - originState.x,
+    y: state.y - originState.y,
+    z: state.z - originState.z
+  };
+  const velocity = state.vx !== undefined
+    ? {
+      vx: state.vx - (originState.vx ?? 0),
+      vy: state.vy - (originState.vy ?? 0),
+      vz: state.vz - (originState.vz ?? 0)
+    }
+    : null;
+
+  if (frame.plane === 'ecliptic') {
+    return velocity ? { ...position, ...velocity } : position;
+  }
+
+  return velocity
+    ? { ...eclipticToEquatorial(position), ...eclipticToEquatorial(velocity) }
+    : eclipticToEquatorial(position);
+}
+
+/**
+ * Get Moon's position relative to Earth (Meeus/ELP lunar series)
  * 
  * @param {number} jd - Julian Date
- * @returns {Object} Moon position {x, y, z} in AU relative to Earth
+ * @returns {Object} Moon position {x, y, z} in AU relative to Earth (J2000 ecliptic)
  */
 function getMoonPosition(jd) {
-  // Simplified lunar model
-  const d = jd - 2451545.0; // Days from J2000.0
-  
-  // Mean elements
-  const L = (218.316 + 13.176396 * d) % 360 * DEG_TO_RAD;  // Mean longitude
-  const M = (134.963 + 13.064993 * d) % 360 * DEG_TO_RAD;  // Mean anomaly
-  const F = (93.272 + 13.229350 * d) % 360 * DEG_TO_RAD;   // Argument of latitude
-  
-  // Ecliptic longitude and latitude
-  const lon = L + 6.289 * DEG_TO_RAD * Math.sin(M);
-  const lat = 5.128 * DEG_TO_RAD * Math.sin(F);
-  const dist = 385001 / AU_TO_KM; // Average distance in AU
-  
-  // Convert to Cartesian
-  const x = dist * Math.cos(lat) * Math.cos(lon);
-  const y = dist * Math.cos(lat) * Math.sin(lon);
-  const z = dist * Math.sin(lat);
-  
-  return { x, y, z };
+  return getMoonGeocentricAU(jd);
 }
 
 /**
@@ -347,8 +758,7 @@ function calculatePerturbation(asteroidPos, bodyPos, bodyMass) {
   const r3 = r * r * r;
   
   // GM in AU³/day² units
-  const GMsun = 0.000295912208; // AU³/day²
-  const GM = GMsun * bodyMass;
+  const GM = GM_SUN * bodyMass;
   
   return {
     ax: GM * dx / r3,
@@ -357,19 +767,6 @@ function calculatePerturbation(asteroidPos, bodyPos, bodyMass) {
   };
 }
 
-// Jupiter's approximate position (simplified)
-function getJupiterElements() {
-  return {
-    semiMajorAxis: 5.20288700,
-    eccentricity: 0.04838624,
-    inclination: 1.30439695,
-    longitudeAscNode: 100.47390909,
-    argPerihelion: 14.72847983,
-    meanAnomaly: 34.39644051,
-    epoch: 2451545.0
-  };
-}
-
 // Relative masses (to Sun = 1)
 const JUPITER_MASS_RATIO = 9.54791938e-4;
 const EARTH_MASS_RATIO = 3.00273e-6;
@@ -382,23 +779,43 @@ module.exports = {
   orbitalRadius,
   meanMotion,
   propagateMeanAnomaly,
+  stumpff,
+  resolvePerihelionElements,
+  solveUniversalKepler,
+  perifocalToEcliptic,
   keplerToCartesian,
   calculateVelocity,
+  elementsToStateVector,
+  stateVectorToElements,
   
   // Date utilities
   dateToJulianDate,
   julianDateToDate,
+  taiMinusUtc,
+  tdbMinusTt,
+  convertTimescale,
+  
+  // Reference frames
+  eclipticToEquatorial,
+  equatorialToEcliptic,
+  resolveReferenceFrame,
+  toReferenceFrame,
   
   // Celestial body helpers
-  getEarthElements,
   getMoonPosition,
-  getJupiterElements,
   calculatePerturbation,
   
   // Constants
   AU_TO_KM,
   DEG_TO_RAD,
   RAD_TO_DEG,
+  GM_SUN,
+  SECONDS_PER_DAY,
+  NEAR_PARABOLIC_ECCENTRICITY,
+  J2000,
+  OBLIQUITY_J2000,
+  TIMESCALES,
+  REFERENCE_FRAMES,
   JUPITER_MASS_RATIO,
   EARTH_MASS_RATIO,
   MOON_MASS_RATIO
@@ -0,0 +1,267 @@
+/**
+ * Gravitational Keyhole Analysis
+ *
+ * A keyhole is a small region of the b-plane of a close encounter through
+ * which the planet's pull puts the object on a resonant orbit that returns
+ * for an impact some years later (the Apophis 2029 → 2036 scenario).
+ *
+ * Each point on the b-plane is mapped through the encounter with Öpik's
+ * analytic deflection: the geocentric velocity U is rotated towards the
+ * planet by γ, with tan(γ/2) = μ / (b U²). The post-encounter heliocentric
+ * orbit is then propagated as a two-body orbit to each later Earth return,
+ * where its own b-plane coordinates (ξ', ζ') are measured.
+ *
+ * Keyholes are found as roots of ζ'(ζ) along a ζ scan through the Monte
+ * Carlo cloud. A root is an impact keyhole when the return's ξ' lies inside
+ * the focused capture radius; its width follows from the stretching dζ'/dζ.
+ * Each follow-on year is scanned as a separate task on the simulation
+ * worker pool.
+ */
+
+const {
+    stateVectorToElements,
+    julianDateToDate,
+    convertTimescale,
+    AU_TO_KM
+} = require('./keplerianElements');
+const { getBodyProperties } = require('./closeApproach');
+const { bPlaneFrame, mapEncounter, focusedRadius, analyzeBPlane } = require('./bPlane');
+const { runTasks } = require('./simulationPool');
+
+const SIDEREAL_YEAR_DAYS = 365.256363;
+const FOLLOW_ON_WINDOW_DAYS = 30;     // Search half-width around each anniversary
+const FOLLOW_ON_STEP_DAYS = 2;        // One minimum per window, so a coarse bracket is enough
+const MAX_SCAN_HALF_WIDTH_KM = 150000;
+const ROOT_ITERATIONS = 50;
+
+const DEFAULT_OPTIONS = {
+    years: 10,                        // Follow-on returns to examine
+    scanPoints: 200,                  // ζ samples across the scan range
+    sigmaRange: 5,                    // Scan half-width in Monte Carlo σζ
+    zetaRange: null,                  // Explicit scan half-width (km), overrides sigmaRange
+    numSimulations: 500
+};
+
+/**
+ * Heliocentric state just after the encounter for a b-plane point
+ *
+ * @param {Object} encounter - Nominal encounter from mapEncounter
+ * @param {number} xi - ξ (km)
+ * @param {number} zeta - ζ (km)
+ * @returns {Object|null} State {x, y, z, vx, vy, vz}, or null if the point is inside the capture radius
+ */
+function postEncounterState(encounter, xi, zeta) {
+    const { gm, radiusKm } = getBodyProperties('earth');
+    const { velocity } = encounter.approach;
+    const planet = encounter.planetState;
+
+    const U = Math.sqrt(velocity.vx ** 2 + velocity.vy ** 2 + velocity.vz ** 2);
+    const direction = { x: velocity.vx / U, y: velocity.vy / U, z: velocity.vz / U };
+    const frame = bPlaneFrame(direction, planet);
+
+    const B = {
+        x: (xi * frame.xi.x + zeta * frame.zeta.x) / AU_TO_KM,
+        y: (xi * frame.xi.y + zeta * frame.zeta.y) / AU_TO_KM,
+        z: (xi * frame.xi.z + zeta * frame.zeta.z) / AU_TO_KM
+    };
+    const b = Math.sqrt(B.x ** 2 + B.y ** 2 + B.z ** 2);
+
+    if (b * AU_TO_KM < focusedRadius(radiusKm, gm, encounter.U)) {
+        return null;
+    }
+
+    // Deflection towards the planet: U' = U (cos γ η̂ − sin γ B̂)
+    const gamma = 2 * Math.atan(gm / (b * U * U));
+    const cosG = Math.cos(gamma);
+    const sinG = Math.sin(gamma);
+
+    return {
+        x: planet.x + B.x,
+        y: planet.y + B.y,
+        z: planet.z + B.z,
+        vx: planet.vx + U * (cosG * direction.x - sinG * B.x / b),
+        vy: planet.vy + U * (cosG * direction.y - sinG * B.y / b),
+        vz: planet.vz + U * (cosG * direction.z - sinG * B.z / b)
+    };
+}
+
+/**
+ * Earth return of a b-plane point roughly k years after the encounter
+ *
+ * @returns {Object|null} Follow-on encounter from mapEncounter, plus the post-encounter elements
+ */
+function followOnEncounter(encounter, xi, zeta, years) {
+    const state = postEncounterState(encounter, xi, zeta);
+    if (!state) return null;
+
+    const elements = stateVectorToElements(state, encounter.julianDate);
+    if (!(elements.eccentricity < 1)) return null;
+
+    const result = mapEncounter(
+        elements,
+        encounter.julianDate + years * SIDEREAL_YEAR_DAYS,
+        FOLLOW_ON_WINDOW_DAYS,
+        FOLLOW_ON_STEP_DAYS
+    );
+
+    return result ? { ...result, elements } : null;
+}
+
+/**
+ * Standard normal probability density
+ */
+function normalDensity(x) {
+    return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Impact keyholes of one follow-on year along a ζ scan
+ *
+ * @param {Object} scan - {encounter (from mapEncounter), xi, zetaMin, spacing, scanPoints,
+ *        meanZeta, sigmaZeta}
+ * @param {number} years - Years after the encounter
+ * @returns {Array} Keyholes leading to an impact at that return
+ */
+function scanKeyholeYear({ encounter, xi, zetaMin, spacing, scanPoints, meanZeta, sigmaZeta }, years) {
+    const { gm, radiusKm } = getBodyProperties('earth');
+    const zetaAt = (zeta) => followOnEncounter(encounter, xi, zeta, years)?.zeta ?? null;
+    const keyholes = [];
+
+    let z0 = zetaMin;
+    let f0 = zetaAt(z0);
+
+    for (let i = 1; i < scanPoints; i++) {
+        const z1 = zetaMin + i * spacing;
+        const f1 = zetaAt(z1);
+
+        if (f0 !== null && f1 !== null && f0 * f1 < 0) {
+            // Bisect for ζ'(ζ) = 0
+            let lo = z0, hi = z1, fLo = f0;
+            for (let k = 0; k < ROOT_ITERATIONS; k++) {
+                const mid = (lo + hi) / 2;
+                const fMid = zetaAt(mid);
+                if (fMid === null) break;
+                if (fMid * fLo > 0) {
+                    lo = mid;
+                    fLo = fMid;
+                } else {
+                    hi = mid;
+                }
+            }
+
+            const center = (lo + hi) / 2;
+            const ret = followOnEncounter(encounter, xi, center, years);
+            const captureKm = ret ? focusedRadius(radiusKm, gm, ret.U) : 0;
+
+            // A jump between two different returns is not a root; nor is a return that misses
+            if (ret && Math.abs(ret.zeta) < captureKm && Math.abs(ret.xi) < captureKm) {
+                const h = Math.max(spacing * 1e-4, 1e-3);
+                const slope = (zetaAt(center + h) - zetaAt(center - h)) / (2 * h);
+                const widthKm = (2 * Math.sqrt(captureKm ** 2 - ret.xi ** 2)) / Math.abs(slope);
+                const periodYears = Math.pow(ret.elements.semiMajorAxis, 1.5);
+
+                keyholes.push({
+                    zeta: center,
+                    xi,
+                    widthKm,
+                    widthMeters: widthKm * 1000,
+                    stretching: Math.abs(slope),
+                    resonance: `${years}:${Math.round(years / periodYears)}`,
+                    postEncounterPeriodYears: periodYears,
+                    probability: sigmaZeta > 0
+                        ? (widthKm / sigmaZeta) * normalDensity((center - meanZeta) / sigmaZeta)
+                        : 0,
+                    followOn: {
+                        date: julianDateToDate(convertTimescale(ret.julianDate, 'TDB', 'UTC')),
+                        julianDate: ret.julianDate,
+                        yearsAfter: years,
+                        xi: ret.xi,
+                        zeta: ret.zeta,
+                        vInfinityKmS: ret.U,
+                        focusedRadiusKm: captureKm
+                    }
+                });
+            }
+        }
+
+        z0 = z1;
+        f0 = f1;
+    }
+
+    return keyholes;
+}
+
+/**
+ * Scan an Earth encounter for resonant-return impact keyholes
+ *
+ * @param {Object} options - Analysis options
+ * @param {Object} options.orbitalElements - Nominal orbital elements
+ * @param {Date} options.encounterDate - Approximate date of the encounter
+ * @param {number} options.years - Number of later years to examine
+ * @param {number} options.scanPoints - ζ samples in the scan
+ * @param {number} options.sigmaRange - Scan half-width in Monte Carlo σζ (at most 150,000 km)
+ * @param {number} options.zetaRange - Scan half-width in km (overrides sigmaRange)
+ * @param {number} options.numSimulations - Monte Carlo samples for the cloud statistics
+ * @param {Object} options.covariance - Orbit covariance for the Monte Carlo cloud (optional)
+ * @param {AbortSignal} options.signal - Cancels the scan (optional)
+ * @returns {Promise<Object>} Keyhole report
+ */
+async function findKeyholes(options) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const startTime = Date.now();
+
+    // Monte Carlo cloud on the b-plane sets the scan range and keyhole probabilities
+    const bPlane = await analyzeBPlane({
+        orbitalElements: opts.orbitalElements,
+        encounterDate: opts.encounterDate,
+        numSimulations: opts.numSimulations,
+        covariance: opts.covariance,
+        signal: opts.signal
+    });
+    const { meanZeta, sigmaZeta } = bPlane.statistics;
+
+    const encounter = mapEncounter(opts.orbitalElements, bPlane.encounter.julianDate, 1);
+    const halfRange = opts.zetaRange ??
+        Math.min(Math.max(opts.sigmaRange * sigmaZeta, 1000), MAX_SCAN_HALF_WIDTH_KM);
+    const scan = {
+        encounter,
+        xi: encounter.xi,
+        zetaMin: meanZeta - halfRange,
+        spacing: (2 * halfRange) / (opts.scanPoints - 1),
+        scanPoints: opts.scanPoints,
+        meanZeta,
+        sigmaZeta
+    };
+
+    const perYear = await runTasks(
+        'keyholes',
+        Array.from({ length: opts.years }, (_, k) => ({ scan, years: k + 1 })),
+        { signal: opts.signal }
+    );
+    const keyholes = perYear.flat().sort((a, b) => a.followOn.julianDate - b.followOn.julianDate);
+
+    return {
+        encounter: bPlane.encounter,
+        nominal: bPlane.nominal,
+        focusedRadiusKm: bPlane.focusedRadiusKm,
+        cloud: { meanZeta, sigmaZeta, samples: bPlane.statistics.count, uncertaintyModel: bPlane.uncertaintyModel },
+        scan: {
+            xi: scan.xi,
+            zetaMin: scan.zetaMin,
+            zetaMax: meanZeta + halfRange,
+            points: opts.scanPoints,
+            years: opts.years
+        },
+        keyholes,
+        totalProbability: keyholes.reduce((sum, k) => sum + k.probability, 0),
+        computationTime: Date.now() - startTime
+    };
+}
+
+module.exports = {
+    findKeyholes,
+    scanKeyholeYear,
+    postEncounterState,
+    followOnEncounter,
+    DEFAULT_OPTIONS
+};
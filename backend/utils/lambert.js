@@ -0,0 +1,103 @@
+/**
+ * Lambert Solver
+ *
+ * The two-body orbit joining two positions in a given time of flight, the
+ * building block of transfer design. Solved with universal variables (Bate,
+ * Mueller & White §5.3; Curtis §5.3): the time of flight is a monotonic
+ * function of z = αχ², so z is found by bisection between a hyperbolic lower
+ * bound and the 4π² limit of a single elliptic revolution. Only zero-revolution
+ * transfers are returned.
+ */
+
+const { stumpff, GM_SUN } = require('./keplerianElements');
+
+const MAX_Z = 4 * Math.PI ** 2;        // One full revolution
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-11;               // Relative time-of-flight error
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const norm = (a) => Math.sqrt(dot(a, a));
+
+/**
+ * Solve Lambert's problem
+ *
+ * @param {Object} r1 - Departure position {x, y, z} (AU)
+ * @param {Object} r2 - Arrival position {x, y, z} (AU)
+ * @param {number} timeOfFlight - Days, positive
+ * @param {Object} options - Solver options
+ * @param {boolean} options.retrograde - Go the retrograde way round (default prograde,
+ *        i.e. angular momentum along +z)
+ * @param {number} options.mu - Gravitational parameter (AU³/day², default the Sun)
+ * @returns {Object|null} {v1, v2} as {vx, vy, vz} in AU/day, or null when the transfer
+ *          plane is undefined (positions collinear with the centre) or there is no solution
+ */
+function solveLambert(r1, r2, timeOfFlight, { retrograde = false, mu = GM_SUN } = {}) {
+    if (!(timeOfFlight > 0)) return null;
+
+    const r1n = norm(r1);
+    const r2n = norm(r2);
+    const cosAngle = Math.min(1, Math.max(-1, dot(r1, r2) / (r1n * r2n)));
+
+    // Transfer angle, taking the short or long way to keep the sense of motion
+    const crossZ = r1.x * r2.y - r1.y * r2.x;
+    let angle = Math.acos(cosAngle);
+    if ((crossZ < 0) !== retrograde) angle = 2 * Math.PI - angle;
+
+    if (1 - cosAngle < 1e-12 || 1 + cosAngle < 1e-12) return null;
+
+    const A = Math.sin(angle) * Math.sqrt(r1n * r2n / (1 - cosAngle));
+    const sqrtMu = Math.sqrt(mu);
+
+    const yOf = (z) => {
+        const { C, S } = stumpff(z);
+        return { y: r1n + r2n + A * (z * S - 1) / Math.sqrt(C), C, S };
+    };
+    // Time of flight at z; a negative y means z is below the range of the solution
+    const flightTime = (z) => {
+        const { y, C, S } = yOf(z);
+        if (y < 0) return -Infinity;
+        return ((y / C) ** 1.5 * S + A * Math.sqrt(y)) / sqrtMu;
+    };
+
+    // Bracket: the time of flight falls towards zero as z → -∞ and grows without bound at 4π²
+    let low = -MAX_Z;
+    while (flightTime(low) > timeOfFlight) {
+        low *= 2;
+        if (low < -1e6) return null;
+    }
+    let high = MAX_Z;
+
+    let z = low;
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        z = (low + high) / 2;
+        const t = flightTime(z);
+        if (Math.abs(t - timeOfFlight) < TOLERANCE * timeOfFlight) break;
+        if (t < timeOfFlight) low = z;
+        else high = z;
+    }
+
+    const { y } = yOf(z);
+    if (!(y > 0)) return null;
+
+    // Lagrange coefficients
+    const f = 1 - y / r1n;
+    const g = A * Math.sqrt(y / mu);
+    const gDot = 1 - y / r2n;
+
+    return {
+        v1: {
+            vx: (r2.x - f * r1.x) / g,
+            vy: (r2.y - f * r1.y) / g,
+            vz: (r2.z - f * r1.z) / g
+        },
+        v2: {
+            vx: (gDot * r2.x - r1.x) / g,
+            vy: (gDot * r2.y - r1.y) / g,
+            vz: (gDot * r2.z - r1.z) / g
+        }
+    };
+}
+
+module.exports = {
+    solveLambert
+};
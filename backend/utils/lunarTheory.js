@@ -0,0 +1,270 @@
+/**
+ * Lunar Theory - Geocentric Position of the Moon
+ *
+ * Truncated ELP-2000/82 series as given by Jean Meeus, Astronomical
+ * Algorithms (2nd ed.), chapter 47. Accuracy is about 10" in longitude,
+ * 4" in latitude and a few tens of km in distance.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+const KM_PER_AU = 149597870.7;
+
+// Most recent result - the integrator asks for the same epoch several times per step
+let cachedJD = null;
+let cachedPosition = null;
+
+/**
+ * Periodic terms for longitude (Σl, 1e-6 deg) and distance (Σr, 1e-3 km)
+ * Columns: D, M, M', F, Σl coefficient, Σr coefficient (Meeus table 47.A)
+ */
+const LONGITUDE_DISTANCE_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355],
+    [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888],
+    [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158],
+    [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620],
+    [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755],
+    [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782],
+    [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636],
+    [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675],
+    [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445],
+    [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0],
+    [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322],
+    [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950],
+    [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0],
+    [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616],
+    [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117],
+    [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423],
+    [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571],
+    [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0],
+    [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0],
+    [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0],
+    [2, 0, -1, -2, 0, 8752]
+];
+
+/**
+ * Periodic terms for latitude (Σb, 1e-6 deg)
+ * Columns: D, M, M', F, Σb coefficient (Meeus table 47.B)
+ */
+const LATITUDE_TERMS = [
+    [0, 0, 0, 1, 5128122],
+    [0, 0, 1, 1, 280602],
+    [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413],
+    [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573],
+    [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822],
+    [2, -1, 0, -1, 8216],
+    [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200],
+    [2, 1, 0, -1, -3359],
+    [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065],
+    [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828],
+    [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565],
+    [1, 0, 0, 1, -1491],
+    [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410],
+    [0, 1, 0, -1, -1344],
+    [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021],
+    [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777],
+    [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596],
+    [2, -1, 1, -1, 491],
+    [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439],
+    [2, 0, 2, 1, 422],
+    [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351],
+    [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315],
+    [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229],
+    [1, 1, 0, -1, 223],
+    [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220],
+    [2, 1, -1, -1, -220],
+    [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177],
+    [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166],
+    [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119],
+    [4, -1, 0, -1, 115],
+    [2, -2, 0, 1, 107]
+];
+
+/**
+ * Reduce an angle to [0, 360) degrees
+ */
+function normalizeDegrees(angle) {
+    const result = angle % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Calculate the Moon's geocentric ecliptic coordinates
+ * Longitude and latitude are referred to the mean ecliptic and equinox of date.
+ *
+ * @param {number} jd - Julian Date
+ * @returns {Object} {longitude, latitude} in degrees and {distanceKm}
+ */
+function getLunarCoordinates(jd) {
+    const T = (jd - J2000) / DAYS_PER_CENTURY;
+    const T2 = T * T;
+    const T3 = T2 * T;
+    const T4 = T3 * T;
+
+    // Fundamental arguments (degrees)
+    const Lp = normalizeDegrees(218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000);
+    const D = normalizeDegrees(297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000);
+    const M = normalizeDegrees(357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000);
+    const Mp = normalizeDegrees(134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000);
+    const F = normalizeDegrees(93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000);
+
+    // Additive arguments for Venus, Jupiter and Earth-flattening terms
+    const A1 = normalizeDegrees(119.75 + 131.849 * T);
+    const A2 = normalizeDegrees(53.09 + 479264.290 * T);
+    const A3 = normalizeDegrees(313.45 + 481266.484 * T);
+
+    // Decreasing eccentricity of Earth's orbit
+    const E = 1 - 0.002516 * T - 0.0000074 * T2;
+    const eccentricityFactor = (m) => (Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1);
+
+    let sumL = 0;
+    let sumR = 0;
+    for (const [d, m, mp, f, cl, cr] of LONGITUDE_DISTANCE_TERMS) {
+        const arg = (d * D + m * M + mp * Mp + f * F) * DEG_TO_RAD;
+        const factor = eccentricityFactor(m);
+        sumL += cl * factor * Math.sin(arg);
+        sumR += cr * factor * Math.cos(arg);
+    }
+
+    let sumB = 0;
+    for (const [d, m, mp, f, cb] of LATITUDE_TERMS) {
+        const arg = (d * D + m * M + mp * Mp + f * F) * DEG_TO_RAD;
+        sumB += cb * eccentricityFactor(m) * Math.sin(arg);
+    }
+
+    sumL += 3958 * Math.sin(A1 * DEG_TO_RAD)
+        + 1962 * Math.sin((Lp - F) * DEG_TO_RAD)
+        + 318 * Math.sin(A2 * DEG_TO_RAD);
+
+    sumB += -2235 * Math.sin(Lp * DEG_TO_RAD)
+        + 382 * Math.sin(A3 * DEG_TO_RAD)
+        + 175 * Math.sin((A1 - F) * DEG_TO_RAD)
+        + 175 * Math.sin((A1 + F) * DEG_TO_RAD)
+        + 127 * Math.sin((Lp - Mp) * DEG_TO_RAD)
+        - 115 * Math.sin((Lp + Mp) * DEG_TO_RAD);
+
+    return {
+        longitude: normalizeDegrees(Lp + sumL / 1e6),
+        latitude: sumB / 1e6,
+        distanceKm: 385000.56 + sumR / 1000
+    };
+}
+
+/**
+ * Calculate the Moon's geocentric position in the J2000 ecliptic frame
+ * The ecliptic-of-date longitude is reduced to J2000 by removing general
+ * precession in longitude.
+ *
+ * @param {number} jd - Julian Date
+ * @returns {Object} Position {x, y, z} in km and {distanceKm}
+ */
+function getMoonGeocentric(jd) {
+    if (jd === cachedJD) {
+        return { ...cachedPosition };
+    }
+
+    const { longitude, latitude, distanceKm } = getLunarCoordinates(jd);
+    const T = (jd - J2000) / DAYS_PER_CENTURY;
+
+    // General precession in longitude (arcseconds)
+    const precession = (5029.0966 * T + 1.11113 * T * T) / 3600;
+
+    const lon = (longitude - precession) * DEG_TO_RAD;
+    const lat = latitude * DEG_TO_RAD;
+
+    cachedJD = jd;
+    cachedPosition = {
+        x: distanceKm * Math.cos(lat) * Math.cos(lon),
+        y: distanceKm * Math.cos(lat) * Math.sin(lon),
+        z: distanceKm * Math.sin(lat),
+        distanceKm
+    };
+
+    return { ...cachedPosition };
+}
+
+/**
+ * Moon's geocentric position in AU (J2000 ecliptic)
+ *
+ * @param {number} jd - Julian Date
+ * @returns {Object} Position {x, y, z} in AU
+ */
+function getMoonGeocentricAU(jd) {
+    const { x, y, z } = getMoonGeocentric(jd);
+    return { x: x / KM_PER_AU, y: y / KM_PER_AU, z: z / KM_PER_AU };
+}
+
+module.exports = {
+    getLunarCoordinates,
+    getMoonGeocentric,
+    getMoonGeocentricAU
+};
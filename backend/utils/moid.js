@@ -0,0 +1,210 @@
+/**
+ * Minimum Orbit Intersection Distance (MOID)
+ *
+ * The MOID is the smallest distance between two orbits treated as fixed
+ * curves in space, regardless of where the bodies actually are on them.
+ * It is the usual first-pass hazard screen: an object can only come close
+ * to Earth if its Earth MOID is small.
+ *
+ * The distance function is sampled on a grid of true anomalies of both
+ * orbits and every local minimum of the grid is then refined with a
+ * shrinking pattern search. This finds all the (at most four) minima of
+ * the distance function, including the near-tangential cases that trip up
+ * single-start solvers.
+ */
+
+const {
+    resolvePerihelionElements,
+    perifocalToEcliptic,
+    AU_TO_KM
+} = require('./keplerianElements');
+const { getPlanetElements } = require('./planetaryEphemeris');
+
+const J2000 = 2451545.0;
+const GRID_SIZE = 72;                 // Samples per orbit (5° spacing on ellipses)
+const ANGLE_TOLERANCE = 1e-10;        // Radians, about 1.5 cm at 1 AU
+const MAX_OPEN_ORBIT_RADIUS = 100;    // AU - open orbits are only searched inside this
+const MAX_REFINEMENT_STEPS = 10000;
+
+/**
+ * Precompute what is needed to place points on a conic by true anomaly
+ *
+ * @param {Object} elements - Orbital elements (a/M or q/Tp form)
+ * @returns {Object} {p, e, P, Q, periodic, maxNu}
+ */
+function conicGeometry(elements) {
+    const { q, e } = resolvePerihelionElements(elements);
+    const p = q * (1 + e);
+
+    // Open orbits: limit ν to where the radius reaches MAX_OPEN_ORBIT_RADIUS
+    const periodic = e < 1;
+    const maxNu = periodic
+        ? Math.PI
+        : Math.acos(Math.max(-1, Math.min(1, (p / Math.max(MAX_OPEN_ORBIT_RADIUS, q) - 1) / e)));
+
+    return {
+        p,
+        e,
+        P: perifocalToEcliptic(1, 0, elements),
+        Q: perifocalToEcliptic(0, 1, elements),
+        periodic,
+        maxNu
+    };
+}
+
+/**
+ * Position on a conic at a given true anomaly
+ */
+function pointAt(geometry, nu) {
+    const { p, e, P, Q } = geometry;
+    const r = p / (1 + e * Math.cos(nu));
+    const c = r * Math.cos(nu);
+    const s = r * Math.sin(nu);
+    return { x: c * P.x + s * Q.x, y: c * P.y + s * Q.y, z: c * P.z + s * Q.z };
+}
+
+/**
+ * Bring a true anomaly back into the searchable range of a conic
+ */
+function wrapAnomaly(geometry, nu) {
+    if (geometry.periodic) {
+        return Math.atan2(Math.sin(nu), Math.cos(nu));
+    }
+    return Math.max(-geometry.maxNu, Math.min(geometry.maxNu, nu));
+}
+
+function squaredDistance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    const dz = a.z - b.z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Refine a grid minimum with a pattern search on (ν1, ν2)
+ *
+ * @returns {Object} {nu1, nu2, d2}
+ */
+function refineMinimum(g1, g2, nu1, nu2, step) {
+    let best = squaredDistance(pointAt(g1, nu1), pointAt(g2, nu2));
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+    for (let i = 0; i < MAX_REFINEMENT_STEPS && step > ANGLE_TOLERANCE; i++) {
+        let moved = false;
+
+        for (const [du, dv] of directions) {
+            const u = wrapAnomaly(g1, nu1 + du * step);
+            const v = wrapAnomaly(g2, nu2 + dv * step);
+            const d2 = squaredDistance(pointAt(g1, u), pointAt(g2, v));
+
+            if (d2 < best) {
+                best = d2;
+                nu1 = u;
+                nu2 = v;
+                moved = true;
+                break;
+            }
+        }
+
+        if (!moved) step /= 2;
+    }
+
+    return { nu1, nu2, d2: best };
+}
+
+/**
+ * Calculate the MOID between two orbits
+ * Either orbit may be elliptic, parabolic or hyperbolic.
+ *
+ * @param {Object} elements1 - Orbital elements of the first body
+ * @param {Object} elements2 - Orbital elements of the second body
+ * @returns {Object} {moidAU, moidKm, trueAnomaly1, trueAnomaly2} (anomalies in degrees)
+ */
+function calculateMOID(elements1, elements2) {
+    const g1 = conicGeometry(elements1);
+    const g2 = conicGeometry(elements2);
+
+    // Sample both orbits; periodic grids wrap around, open ones stop at ±maxNu
+    const sample = (g) => Array.from({ length: GRID_SIZE }, (_, k) => g.periodic
+        ? -Math.PI + (2 * Math.PI * k) / GRID_SIZE
+        : -g.maxNu + (2 * g.maxNu * k) / (GRID_SIZE - 1));
+
+    const nus1 = sample(g1);
+    const nus2 = sample(g2);
+    const points1 = nus1.map(nu => pointAt(g1, nu));
+    const points2 = nus2.map(nu => pointAt(g2, nu));
+
+    const grid = points1.map(p1 => points2.map(p2 => squaredDistance(p1, p2)));
+
+    const neighbour = (g, k, dk) => {
+        const n = k + dk;
+        if (g.periodic) return (n + GRID_SIZE) % GRID_SIZE;
+        return n < 0 || n >= GRID_SIZE ? null : n;
+    };
+
+    let best = null;
+
+    for (let i = 0; i < GRID_SIZE; i++) {
+        for (let j = 0; j < GRID_SIZE; j++) {
+            const d2 = grid[i][j];
+            let isMinimum = true;
+
+            for (let di = -1; di <= 1 && isMinimum; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    if (di === 0 && dj === 0) continue;
+                    const ni = neighbour(g1, i, di);
+                    const nj = neighbour(g2, j, dj);
+                    if (ni === null || nj === null) continue;
+                    if (grid[ni][nj] < d2) {
+                        isMinimum = false;
+                        break;
+                    }
+                }
+            }
+
+            if (!isMinimum) continue;
+
+            const step = Math.max(nus1[1] - nus1[0], nus2[1] - nus2[0]);
+            const refined = refineMinimum(g1, g2, nus1[i], nus2[j], step);
+            if (!best || refined.d2 < best.d2) best = refined;
+        }
+    }
+
+    const moidAU = Math.sqrt(best.d2);
+
+    return {
+        moidAU,
+        moidKm: moidAU * AU_TO_KM,
+        trueAnomaly1: best.nu1 * 180 / Math.PI,
+        trueAnomaly2: best.nu2 * 180 / Math.PI
+    };
+}
+
+/**
+ * Calculate the MOID between an object's orbit and a planet's orbit
+ * The planet's mean elements are taken at the object's osculating epoch.
+ *
+ * @param {Object} elements - Orbital elements of the object
+ * @param {string} planet - Planet name (default 'earth')
+ * @returns {number} MOID in AU
+ */
+function calculatePlanetMOID(elements, planet = 'earth') {
+    const epoch = elements.epoch ?? elements.timeOfPerihelion ?? J2000;
+    return calculateMOID(elements, getPlanetElements(planet, epoch)).moidAU;
+}
+
+/**
+ * Calculate the Earth MOID of an object
+ *
+ * @param {Object} elements - Orbital elements
+ * @returns {number} MOID in AU
+ */
+function calculateEarthMOID(elements) {
+    return calculatePlanetMOID(elements, 'earth');
+}
+
+module.exports = {
+    calculateMOID,
+    calculatePlanetMOID,
+    calculateEarthMOID
+};
@@ -3,9 +3,33 @@
  * 
  * Performs Monte Carlo simulations to estimate impact probability
  * by sampling from orbital element uncertainty distributions.
+ * 
+ * When the orbit solution's covariance matrix is known (SBDB cov=mat),
+ * samples are drawn from the correlated multivariate normal it describes;
+ * otherwise each element is perturbed independently by DEFAULT_UNCERTAINTY.
+ * 
+ * Samples are drawn in fixed-size chunks, each from its own stream of a
+ * seeded generator, so a run is reproducible from its seed and sample count
+ * whether the chunks run here or in the worker pool (simulationPool.js).
  */
 
-const { keplerToCartesian, dateToJulianDate, AU_TO_KM } = require('./keplerianElements');
+const {
+    keplerToCartesian,
+    resolvePerihelionElements,
+    dateToJulianDate,
+    AU_TO_KM,
+    julianDateToDate,
+    convertTimescale,
+    DEG_TO_RAD,
+    RAD_TO_DEG,
+    GM_SUN,
+    NEAR_PARABOLIC_ECCENTRICITY
+} = require('./keplerianElements');
+const { getPlanetPosition } = require('./planetaryEphemeris');
+const { createRandom, randomSeed } = require('./random');
+
+// Bump when a change alters the numbers produced for a given seed
+const ENGINE_VERSION = '2.1.0';
 
 // Physical constants
 const EARTH_RADIUS_KM = 6371;
@@ -14,63 +38,560 @@ const MOON_DISTANCE_KM = 384400;
 
 // Simulation defaults
 const DEFAULT_SIMULATIONS = 10000;
+const SIMULATION_CHUNK_SIZE = 1000;    // Samples per random stream (and per worker task)
 const DEFAULT_UNCERTAINTY = {
     semiMajorAxis: 0.0001,      // AU - typical uncertainty
     eccentricity: 0.00001,
     inclination: 0.01,          // degrees
     longitudeAscNode: 0.01,     // degrees
     argPerihelion: 0.01,        // degrees
-    meanAnomaly: 0.1            // degrees
+    meanAnomaly: 0.1,           // degrees
+    perihelionDistance: 0.0001, // AU - used for near-parabolic and hyperbolic orbits
+    timeOfPerihelion: 0.01      // days
 };
 
-/**
- * Generate random number from normal distribution (Box-Muller transform)
- */
-function randomNormal(mean = 0, stdDev = 1) {
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z * stdDev;
-}
+// SBDB covariance matrices are given in cometary elements, in this order
+const COVARIANCE_ELEMENTS = ['e', 'q', 'tp', 'om', 'w', 'i'];
+const DEFAULT_LOV_POINTS = 1001;
+const DEFAULT_LOV_SIGMA = 5;           // LOV half-length in σ
+const MAX_LOV_TIME_JUMP_DAYS = 2;      // Larger jumps between neighbours are different approaches
+const LOV_CHUNK_SIZE = 50;             // LOV orbits per worker task
+const POWER_ITERATIONS = 1000;
+const CHOLESKY_JITTER = [0, 1e-12, 1e-10, 1e-8, 1e-6];  // Diagonal loads tried on the correlation matrix
 
 /**
  * Sample orbital elements with uncertainties
+ * Near-parabolic and hyperbolic orbits are sampled in q / Tp, where a and M
+ * are ill-conditioned and eccentricity may cross 1.
  * @param {Object} elements - Nominal orbital elements
  * @param {Object} uncertainties - Standard deviations for each element
+ * @param {Object} random - Generator from createRandom (default: randomly seeded)
  * @returns {Object} Sampled orbital elements
  */
-function sampleOrbitalElements(elements, uncertainties = DEFAULT_UNCERTAINTY) {
-    return {
-        semiMajorAxis: elements.semiMajorAxis + randomNormal(0, uncertainties.semiMajorAxis),
-        eccentricity: Math.max(0, Math.min(0.999,
-            elements.eccentricity + randomNormal(0, uncertainties.eccentricity))),
-        inclination: elements.inclination + randomNormal(0, uncertainties.inclination),
-        longitudeAscNode: elements.longitudeAscNode + randomNormal(0, uncertainties.longitudeAscNode),
-        argPerihelion: elements.argPerihelion + randomNormal(0, uncertainties.argPerihelion),
-        meanAnomaly: elements.meanAnomaly + randomNormal(0, uncertainties.meanAnomaly),
+function sampleOrbitalElements(elements, uncertainties = DEFAULT_UNCERTAINTY, random = createRandom(randomSeed())) {
+    const sigma = { ...DEFAULT_UNCERTAINTY, ...uncertainties };
+    const eccentricity = Math.max(0, elements.eccentricity + random.normal(0, sigma.eccentricity));
+
+    const angles = {
+        inclination: elements.inclination + random.normal(0, sigma.inclination),
+        longitudeAscNode: elements.longitudeAscNode + random.normal(0, sigma.longitudeAscNode),
+        argPerihelion: elements.argPerihelion + random.normal(0, sigma.argPerihelion),
         epoch: elements.epoch
     };
+
+    if (elements.eccentricity >= NEAR_PARABOLIC_ECCENTRICITY) {
+        const { q, tp } = resolvePerihelionElements(elements);
+        return {
+            ...angles,
+            eccentricity,
+            perihelionDistance: Math.max(1e-6, q + random.normal(0, sigma.perihelionDistance)),
+            timeOfPerihelion: tp + random.normal(0, sigma.timeOfPerihelion)
+        };
+    }
+
+    return {
+        ...angles,
+        semiMajorAxis: elements.semiMajorAxis + random.normal(0, sigma.semiMajorAxis),
+        eccentricity: Math.min(eccentricity, 1 - Number.EPSILON), // a > 0 requires an ellipse
+        meanAnomaly: elements.meanAnomaly + random.normal(0, sigma.meanAnomaly)
+    };
+}
+
+/**
+ * Cholesky decomposition of a symmetric positive definite matrix
+ * 
+ * @param {Array<Array<number>>} matrix - n×n matrix
+ * @returns {Array<Array<number>>} Lower triangular L with L·Lᵀ = matrix
+ */
+function choleskyDecomposition(matrix) {
+    const n = matrix.length;
+    const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j++) {
+        let diagonal = matrix[j][j];
+        for (let k = 0; k < j; k++) diagonal -= L[j][k] ** 2;
+        if (!(diagonal > 0)) {
+            throw new Error('Covariance matrix is not positive definite');
+        }
+        L[j][j] = Math.sqrt(diagonal);
+
+        for (let i = j + 1; i < n; i++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            L[i][j] = sum / L[j][j];
+        }
+    }
+
+    return L;
+}
+
+/**
+ * Prepare correlated sampling from an orbit covariance matrix
+ * The matrix is factored as a correlation matrix scaled by the element
+ * sigmas: SBDB variances span some twenty orders of magnitude and the
+ * elements are often correlated to 0.9999 or more, which an unscaled
+ * factorization does not survive in double precision. If the correlation
+ * matrix is still numerically semi-definite, a tiny diagonal load is added.
+ * 
+ * @param {Object} covariance - {epoch, labels, elements, matrix} as stored from SBDB;
+ *        labels must include e, q, tp, om, w, i (other parameters are marginalized out)
+ * @returns {Object} {epoch, nominal, sigma, factor} for drawCovarianceSample
+ */
+function prepareCovariance(covariance) {
+    const { labels, elements, matrix, epoch } = covariance;
+    const index = COVARIANCE_ELEMENTS.map(label => labels.indexOf(label));
+    if (index.some(k => k < 0)) {
+        throw new Error(`Covariance must include ${COVARIANCE_ELEMENTS.join(', ')}`);
+    }
+
+    // The marginal of a multivariate normal is the matching block of its covariance
+    const block = index.map(r => index.map(c => matrix[r][c]));
+    const sigma = block.map((row, k) => Math.sqrt(row[k]));
+    if (sigma.some(s => !(s > 0))) {
+        throw new Error('Covariance matrix has a non-positive variance');
+    }
+    const correlation = block.map((row, r) => row.map((value, c) => value / (sigma[r] * sigma[c])));
+
+    let factor = null;
+    for (const jitter of CHOLESKY_JITTER) {
+        try {
+            factor = choleskyDecomposition(correlation.map((row, r) => row.map((v, c) => (r === c ? v + jitter : v))));
+            break;
+        } catch (error) {
+            factor = null;
+        }
+    }
+    if (!factor) {
+        throw new Error('Covariance matrix is not positive definite');
+    }
+
+    return {
+        epoch,
+        nominal: index.map(k => elements[k]),
+        sigma,
+        factor
+    };
+}
+
+/**
+ * Draw one set of orbital elements from a prepared covariance
+ * Elements are returned at the covariance epoch, in perihelion form and,
+ * for ellipses away from e = 1, also as a / M.
+ * 
+ * @param {Object} prepared - Result of prepareCovariance
+ * @param {Object} random - Generator from createRandom (default: randomly seeded)
+ * @returns {Object} Sampled orbital elements
+ */
+function drawCovarianceSample({ epoch, nominal, sigma, factor }, random = createRandom(randomSeed())) {
+    const z = nominal.map(() => random.normal());
+    const vector = nominal.map((value, r) => {
+        let offset = 0;
+        for (let c = 0; c <= r; c++) offset += factor[r][c] * z[c];
+        return value + sigma[r] * offset;
+    });
+    return cometaryToElements(vector, epoch);
+}
+
+/**
+ * Orbital elements from a cometary element vector (e, q, tp, Ω, ω, i)
+ * 
+ * @param {Array<number>} vector - [e, q (AU), tp (JD), Ω, ω, i (degrees)]
+ * @param {number} epoch - Epoch of the elements (JD)
+ * @returns {Object} Orbital elements in perihelion form and, for ellipses, a / M
+ */
+function cometaryToElements([e, q, tp, om, w, i], epoch) {
+    const eccentricity = Math.max(0, e);
+    const elements = {
+        eccentricity,
+        perihelionDistance: Math.max(1e-6, q),
+        timeOfPerihelion: tp,
+        longitudeAscNode: om,
+        argPerihelion: w,
+        inclination: i,
+        epoch
+    };
+
+    if (eccentricity < NEAR_PARABOLIC_ECCENTRICITY) {
+        const a = elements.perihelionDistance / (1 - eccentricity);
+        const n = Math.sqrt(GM_SUN / (a * a * a));
+        elements.semiMajorAxis = a;
+        elements.meanAnomaly = ((n * (epoch - tp) * RAD_TO_DEG) % 360 + 360) % 360;
+    }
+
+    return elements;
+}
+
+/**
+ * Gaussian orbit uncertainty as a vector model for the line of variations
+ * Uses the covariance when there is one, else DEFAULT_UNCERTAINTY (or the
+ * given uncertainties) as independent sigmas.
+ * 
+ * @returns {Object} {labels, nominal, matrix, scales, toElements}; scales convert
+ *          each element to AU or radians so the weak direction is unit-independent
+ */
+function uncertaintyVectorModel(orbitalElements, covariance, uncertainties) {
+    let labels, nominal, matrix, toElements, scaleLength;
+
+    if (covariance) {
+        const index = COVARIANCE_ELEMENTS.map(label => covariance.labels.indexOf(label));
+        if (index.some(k => k < 0)) {
+            throw new Error(`Covariance must include ${COVARIANCE_ELEMENTS.join(', ')}`);
+        }
+        labels = ['eccentricity', 'perihelionDistance', 'timeOfPerihelion', 'longitudeAscNode', 'argPerihelion', 'inclination'];
+        nominal = index.map(k => covariance.elements[k]);
+        matrix = index.map(r => index.map(c => covariance.matrix[r][c]));
+        toElements = (vector) => cometaryToElements(vector, covariance.epoch);
+        scaleLength = nominal[1] / Math.max(1 - nominal[0], 1e-3);
+    } else {
+        const sigma = { ...DEFAULT_UNCERTAINTY, ...uncertainties };
+        const nearParabolic = orbitalElements.eccentricity >= NEAR_PARABOLIC_ECCENTRICITY;
+        const { q, tp } = resolvePerihelionElements(orbitalElements);
+        const values = { ...orbitalElements, perihelionDistance: q, timeOfPerihelion: tp };
+
+        labels = nearParabolic
+            ? ['eccentricity', 'perihelionDistance', 'timeOfPerihelion', 'longitudeAscNode', 'argPerihelion', 'inclination']
+            : ['semiMajorAxis', 'eccentricity', 'inclination', 'longitudeAscNode', 'argPerihelion', 'meanAnomaly'];
+        nominal = labels.map(label => values[label]);
+        matrix = labels.map((row, r) => labels.map((col, c) => (r === c ? sigma[row] ** 2 : 0)));
+        toElements = (vector) => {
+            const elements = Object.fromEntries(labels.map((label, k) => [label, vector[k]]));
+            elements.epoch = orbitalElements.epoch;
+            elements.eccentricity = Math.max(0, elements.eccentricity);
+            if (!nearParabolic) elements.eccentricity = Math.min(elements.eccentricity, 1 - Number.EPSILON);
+            return elements;
+        };
+        scaleLength = nearParabolic ? q : orbitalElements.semiMajorAxis;
+    }
+
+    // Perihelion time errors become mean anomaly errors through the mean motion
+    const meanMotionRad = Math.sqrt(GM_SUN / scaleLength ** 3);
+    const LABEL_SCALES = {
+        semiMajorAxis: 1,
+        perihelionDistance: 1,
+        eccentricity: 1,
+        timeOfPerihelion: meanMotionRad,
+        inclination: DEG_TO_RAD,
+        longitudeAscNode: DEG_TO_RAD,
+        argPerihelion: DEG_TO_RAD,
+        meanAnomaly: DEG_TO_RAD
+    };
+
+    return { labels, nominal, matrix, scales: labels.map(label => LABEL_SCALES[label]), toElements };
+}
+
+/**
+ * Largest eigenvalue and its eigenvector of a symmetric positive semi-definite matrix
+ * (power iteration)
+ */
+function dominantEigenvector(matrix) {
+    const n = matrix.length;
+    let vector = new Array(n).fill(1 / Math.sqrt(n));
+    let value = 0;
+
+    for (let iteration = 0; iteration < POWER_ITERATIONS; iteration++) {
+        const next = matrix.map(row => row.reduce((sum, m, k) => sum + m * vector[k], 0));
+        const length = Math.sqrt(next.reduce((sum, x) => sum + x * x, 0));
+        if (length === 0) break;
+
+        const normalized = next.map(x => x / length);
+        const change = normalized.reduce((sum, x, k) => sum + Math.abs(x - vector[k]), 0);
+        vector = normalized;
+        value = length;
+        if (change < 1e-14) break;
+    }
+
+    return { value, vector };
+}
+
+/**
+ * Line of variations (LOV) through an orbit's uncertainty region
+ * The LOV runs along the weak direction, the eigenvector of the largest
+ * eigenvalue of the (unit-scaled) covariance; the LOV parameter σ counts
+ * standard deviations along it from the nominal solution.
+ * 
+ * @param {Object} orbitalElements - Nominal orbital elements
+ * @param {Object} covariance - Orbit covariance (optional)
+ * @param {Object} uncertainties - Independent sigmas, used without a covariance (optional)
+ * @returns {Object} {labels, nominal, step, sigmaWeak, elementsAt(σ)}; step is the element change per σ
+ */
+function lineOfVariations(orbitalElements, covariance = null, uncertainties = {}) {
+    const model = uncertaintyVectorModel(orbitalElements, covariance, uncertainties);
+    const { labels, nominal, matrix, scales, toElements } = model;
+
+    const scaled = matrix.map((row, r) => row.map((value, c) => value * scales[r] * scales[c]));
+    const { value, vector } = dominantEigenvector(scaled);
+    const sigmaWeak = Math.sqrt(value);
+    const step = vector.map((component, k) => (component * sigmaWeak) / scales[k]);
+
+    return {
+        labels,
+        nominal,
+        step,
+        sigmaWeak,
+        elementsAt: (sigma) => toElements(nominal.map((x, k) => x + sigma * step[k]))
+    };
+}
+
+/**
+ * Set up a search of the line of variations
+ * Maps the nominal orbit to fix the encounter that every LOV orbit is
+ * mapped to.
+ * 
+ * @param {Object} options - As for runLineOfVariations
+ * @returns {Object} The run: the options plus julianDate, nominalDistance, weakDirection and startTime
+ */
+function prepareLineOfVariations({
+    orbitalElements,
+    encounterDate,
+    numPoints = DEFAULT_LOV_POINTS,
+    sigmaMax = DEFAULT_LOV_SIGMA,
+    covariance = null,
+    uncertainties = DEFAULT_UNCERTAINTY,
+    windowDays = 10
+}) {
+    // bPlane requires this module, so it is loaded on first use
+    const { mapEncounter } = require('./bPlane');
+
+    const startTime = Date.now();
+    const lov = lineOfVariations(orbitalElements, covariance, uncertainties);
+
+    const nominal = mapEncounter(orbitalElements, convertTimescale(dateToJulianDate(encounterDate), 'UTC', 'TDB'), windowDays);
+    if (!nominal) {
+        throw new Error(`No Earth encounter within ${windowDays} days of ${encounterDate.toISOString()}`);
+    }
+
+    return {
+        orbitalElements,
+        covariance,
+        uncertainties,
+        numPoints,
+        sigmaMax,
+        windowDays,
+        julianDate: nominal.julianDate,
+        nominalDistance: nominal.b,
+        weakDirection: Object.fromEntries(lov.labels.map((label, k) => [label, lov.step[k]])),
+        startTime
+    };
+}
+
+/**
+ * Map one chunk of LOV orbits to the b-plane of the encounter
+ * 
+ * @param {Object} run - From prepareLineOfVariations
+ * @param {Object} chunk - {index, count} from simulationChunks(numPoints, LOV_CHUNK_SIZE)
+ * @returns {Object} {index, points}; a point is {sigma, julianDate, xi, zeta, b, U}, or null
+ *          where no encounter was found
+ */
+function mapLineOfVariationsChunk({
+    orbitalElements,
+    covariance,
+    uncertainties,
+    numPoints,
+    sigmaMax,
+    windowDays,
+    julianDate
+}, { index, count }) {
+    const { mapEncounter } = require('./bPlane');
+
+    const lov = lineOfVariations(orbitalElements, covariance, uncertainties);
+    const spacing = (2 * sigmaMax) / (numPoints - 1);
+    const points = [];
+
+    for (let k = index * LOV_CHUNK_SIZE; k < index * LOV_CHUNK_SIZE + count; k++) {
+        const sigma = -sigmaMax + k * spacing;
+        const encounter = mapEncounter(lov.elementsAt(sigma), julianDate, windowDays);
+        points.push(encounter ? {
+            sigma,
+            julianDate: encounter.julianDate,
+            xi: encounter.xi,
+            zeta: encounter.zeta,
+            b: encounter.b,
+            U: encounter.U
+        } : null);
+    }
+
+    return { index, points };
+}
+
+/**
+ * Combine mapped LOV chunks into the result of a search
+ * 
+ * @param {Object} run - From prepareLineOfVariations
+ * @param {Array<Object>} chunkResults - Results of mapLineOfVariationsChunk, in any order
+ * @returns {Object} Impact probability, virtual impactors and LOV statistics
+ */
+function summarizeLineOfVariations({
+    covariance,
+    numPoints,
+    sigmaMax,
+    julianDate,
+    nominalDistance,
+    weakDirection,
+    startTime
+}, chunkResults) {
+    const { focusedRadius } = require('./bPlane');
+    const { getBodyProperties } = require('./closeApproach');
+    const { gm, radiusKm } = getBodyProperties('earth');
+
+    const points = [...chunkResults].sort((a, b) => a.index - b.index).flatMap(chunk => chunk.points);
+    const spacing = (2 * sigmaMax) / (numPoints - 1);
+
+    const virtualImpactors = [];
+    let closeApproachMass = 0;
+
+    for (let k = 1; k < points.length; k++) {
+        const p0 = points[k - 1];
+        const p1 = points[k];
+        // Skip gaps and jumps between different approaches
+        if (!p0 || !p1 || Math.abs(p1.julianDate - p0.julianDate) > MAX_LOV_TIME_JUMP_DAYS) continue;
+
+        const dXi = p1.xi - p0.xi;
+        const dZeta = p1.zeta - p0.zeta;
+        const lengthSquared = dXi * dXi + dZeta * dZeta;
+        if (lengthSquared === 0) continue;
+
+        // Foot of the perpendicular from the Earth's centre to the segment's line
+        const foot = -(p0.xi * dXi + p0.zeta * dZeta) / lengthSquared;
+        const t = Math.min(1, Math.max(0, foot));
+        const closest = Math.hypot(p0.xi + t * dXi, p0.zeta + t * dZeta);
+
+        if (closest < MOON_DISTANCE_KM) {
+            closeApproachMass += normalMass(p0.sigma, p1.sigma);
+        }
+
+        const captureKm = focusedRadius(radiusKm, gm, p0.U + t * (p1.U - p0.U));
+        const offLine = Math.hypot(p0.xi + foot * dXi, p0.zeta + foot * dZeta);
+        if (offLine >= captureKm) continue;
+
+        // Part of the segment inside the capture disc: |P0 + t·d|² = R²
+        const half = Math.sqrt(captureKm ** 2 - offLine ** 2) / Math.sqrt(lengthSquared);
+        const t0 = Math.max(0, foot - half);
+        const t1 = Math.min(1, foot + half);
+        if (t1 <= t0) continue;
+
+        const sigmaCenter = p0.sigma + t * spacing;
+        const probability = normalMass(p0.sigma + t0 * spacing, p0.sigma + t1 * spacing);
+
+        // Adjacent segments that share a crossing merge into one virtual impactor
+        const previous = virtualImpactors[virtualImpactors.length - 1];
+        if (previous && previous.segment === k - 1) {
+            previous.probability += probability;
+            previous.segment = k;
+            if (closest < previous.minDistanceKm) {
+                Object.assign(previous, { sigma: sigmaCenter, minDistanceKm: closest });
+            }
+            continue;
+        }
+
+        virtualImpactors.push({
+            segment: k,
+            sigma: sigmaCenter,
+            julianDate: p0.julianDate + t * (p1.julianDate - p0.julianDate),
+            minDistanceKm: closest,
+            focusedRadiusKm: captureKm,
+            vInfinityKmS: p0.U + t * (p1.U - p0.U),
+            probability
+        });
+    }
+
+    const valid = points.filter(Boolean);
+    const distances = valid.map(p => p.b).sort((a, b) => a - b);
+    const impactProbability = virtualImpactors.reduce((sum, vi) => sum + vi.probability, 0);
+
+    return {
+        mode: 'lov',
+        impactProbability,
+        closeApproachProbability: closeApproachMass,
+        virtualImpactors: virtualImpactors.map(({ segment, julianDate, ...vi }) => ({
+            ...vi,
+            julianDate,
+            date: julianDateToDate(convertTimescale(julianDate, 'TDB', 'UTC')).toISOString()
+        })),
+
+        statistics: {
+            minDistance: distances[0] ?? null,
+            maxDistance: distances[distances.length - 1] ?? null,
+            nominalDistance,
+            medianDistance: distances[Math.floor(distances.length / 2)] ?? null
+        },
+
+        lov: {
+            sigmaMax,
+            spacing,
+            points: numPoints,
+            mapped: valid.length,
+            weakDirection
+        },
+
+        counts: {
+            virtualImpactors: virtualImpactors.length,
+            total: numPoints
+        },
+
+        engineVersion: ENGINE_VERSION,
+        uncertaintyModel: covariance ? 'covariance' : 'default',
+        covarianceEpoch: covariance ? covariance.epoch : null,
+        simulationTime: Date.now() - startTime,
+        encounterDate: julianDateToDate(convertTimescale(julianDate, 'TDB', 'UTC')).toISOString()
+    };
+}
+
+/**
+ * Search the line of variations for virtual impactors
+ * Orbits spaced evenly in σ along the LOV are mapped to the b-plane of the
+ * encounter. Consecutive points are joined by straight segments and every
+ * segment that passes inside the focused Earth radius is a virtual impactor,
+ * so impact solutions far narrower than the sample spacing are still found.
+ * Each virtual impactor's probability is the Gaussian mass of the σ interval
+ * inside the Earth, which treats the uncertainty region as a thin line - the
+ * usual case once an orbit rests on more than a few nights of data.
+ * Runs on the calling thread; simulationPool maps the same chunks on
+ * worker threads.
+ * 
+ * @param {Object} options - Search options
+ * @param {Object} options.orbitalElements - Nominal orbital elements
+ * @param {Date} options.encounterDate - Approximate date of the encounter
+ * @param {number} options.numPoints - Orbits along the LOV (default 1001)
+ * @param {number} options.sigmaMax - LOV half-length in σ (default 5)
+ * @param {Object} options.covariance - Orbit covariance (optional)
+ * @param {Object} options.uncertainties - Independent sigmas, used without a covariance (optional)
+ * @param {number} options.windowDays - Encounter search half-width (days)
+ * @returns {Object} Impact probability, virtual impactors and LOV statistics
+ */
+function runLineOfVariations(options) {
+    const run = prepareLineOfVariations(options);
+
+    console.log(`Running line-of-variations search with ${run.numPoints} orbits (${run.covariance ? 'covariance' : 'default uncertainties'})...`);
+
+    const chunkResults = simulationChunks(run.numPoints, LOV_CHUNK_SIZE)
+        .map(chunk => mapLineOfVariationsChunk(run, chunk));
+    return summarizeLineOfVariations(run, chunkResults);
+}
+
+/**
+ * Standard normal probability mass between two nearby σ values
+ * Midpoint rule: exact to a relative Δσ²/24, far better than differencing
+ * a CDF approximation when the interval holds 1e-9 of the probability.
+ */
+function normalMass(from, to) {
+    const mid = (from + to) / 2;
+    return Math.abs(to - from) * Math.exp(-0.5 * mid * mid) / Math.sqrt(2 * Math.PI);
 }
 
 /**
  * Calculate minimum distance to Earth at a specific date
  * @param {Object} asteroidElements - Asteroid orbital elements
- * @param {Date} targetDate - Target date
+ * @param {Date} targetDate - Target date (UTC)
  * @returns {number} Distance in km
  */
 function calculateMinDistance(asteroidElements, targetDate) {
-    const jd = dateToJulianDate(targetDate);
+    const jd = convertTimescale(dateToJulianDate(targetDate), 'UTC', 'TDB');
 
     // Asteroid position
     const asteroidPos = keplerToCartesian(asteroidElements, jd);
 
-    // Earth position (simplified - assumes circular orbit at 1 AU)
-    const earthAngle = (jd - 2451545.0) * 0.01720279; // Mean motion of Earth
-    const earthPos = {
-        x: Math.cos(earthAngle),
-        y: Math.sin(earthAngle),
-        z: 0
-    };
+    // Earth position from the planetary ephemeris
+    const earthPos = getPlanetPosition('earth', jd);
 
     // Distance in AU, convert to km
     const dx = asteroidPos.x - earthPos.x;
@@ -81,55 +602,102 @@ function calculateMinDistance(asteroidElements, targetDate) {
 }
 
 /**
- * Run Monte Carlo simulation for impact probability
+ * Split a run into chunks, of SIMULATION_CHUNK_SIZE samples by default
  * 
- * @param {Object} options - Simulation options
- * @param {Object} options.orbitalElements - Nominal orbital elements
- * @param {Date} options.encounterDate - Close approach date
- * @param {number} options.numSimulations - Number of simulations (default 10000)
- * @param {Object} options.uncertainties - Element uncertainties (optional)
- * @returns {Object} Simulation results
+ * @param {number} numSimulations - Total samples
+ * @param {number} chunkSize - Samples per chunk
+ * @returns {Array<Object>} [{index, count}]
  */
-function runSimulation({
+function simulationChunks(numSimulations, chunkSize = SIMULATION_CHUNK_SIZE) {
+    const chunks = [];
+    for (let index = 0; index * chunkSize < numSimulations; index++) {
+        chunks.push({
+            index,
+            count: Math.min(chunkSize, numSimulations - index * chunkSize)
+        });
+    }
+    return chunks;
+}
+
+/**
+ * Run one chunk of a Monte Carlo simulation
+ * Chunk k draws from stream k of the seed, so it produces the same samples
+ * wherever it runs.
+ * 
+ * @param {Object} options - As for runSimulation, with the seed set
+ * @param {Object} chunk - {index, count} from simulationChunks
+ * @returns {Object} {index, distances (km), samples (with returnSamples)}
+ */
+function simulateChunk({
     orbitalElements,
     encounterDate,
-    numSimulations = DEFAULT_SIMULATIONS,
-    uncertainties = DEFAULT_UNCERTAINTY
-}) {
-    console.log(`Running Monte Carlo simulation with ${numSimulations} samples...`);
+    uncertainties = DEFAULT_UNCERTAINTY,
+    covariance = null,
+    seed,
+    returnSamples = false,
+    mapEncounters = null
+}, { index, count }) {
+    // bPlane requires this module, so it is loaded on first use
+    const mapEncounter = mapEncounters ? require('./bPlane').mapEncounter : null;
+    const prepared = covariance ? prepareCovariance(covariance) : null;
+    const random = createRandom(seed, index);
+    const distances = new Float64Array(count);
+    const samples = [];
+
+    for (let i = 0; i < count; i++) {
+        // Sample elements with uncertainty
+        const sampledElements = prepared
+            ? drawCovarianceSample(prepared, random)
+            : sampleOrbitalElements(orbitalElements, uncertainties, random);
 
-    const startTime = Date.now();
+        // Calculate distance at encounter
+        const distance = calculateMinDistance(sampledElements, encounterDate);
+        distances[i] = distance;
+        if (!returnSamples) continue;
+
+        const sample = { elements: sampledElements, distance };
+        if (mapEncounter) {
+            sample.encounter = mapEncounter(sampledElements, mapEncounters.julianDate, mapEncounters.windowDays);
+        }
+        samples.push(sample);
+    }
+
+    return { index, distances, ...(returnSamples && { samples }) };
+}
+
+/**
+ * Combine chunk results into the result of a run
+ * 
+ * @param {Object} run - {encounterDate, covariance, seed, returnSamples, startTime}
+ * @param {Array<Object>} chunkResults - Results of simulateChunk, in any order
+ * @returns {Object} Simulation results
+ */
+function summarizeSimulation({ encounterDate, covariance = null, seed, returnSamples = false, startTime }, chunkResults) {
+    const ordered = [...chunkResults].sort((a, b) => a.index - b.index);
+    const numSimulations = ordered.reduce((sum, chunk) => sum + chunk.distances.length, 0);
 
     // Track results
     let impacts = 0;
     let closeApproaches = 0; // Within lunar distance
     let veryClose = 0;       // Within 50,000 km
     const distances = [];
-    let minDistance = Infinity;
-    let maxDistance = 0;
-
-    // Run simulations
-    for (let i = 0; i < numSimulations; i++) {
-        // Sample elements with uncertainty
-        const sampledElements = sampleOrbitalElements(orbitalElements, uncertainties);
-
-        // Calculate distance at encounter
-        const distance = calculateMinDistance(sampledElements, encounterDate);
-        distances.push(distance);
-
-        // Track statistics
-        if (distance < minDistance) minDistance = distance;
-        if (distance > maxDistance) maxDistance = distance;
-
-        if (distance < EARTH_CAPTURE_RADIUS_KM) {
-            impacts++;
-        }
-        if (distance < MOON_DISTANCE_KM) {
-            closeApproaches++;
-        }
-        if (distance < 50000) {
-            veryClose++;
+    const samples = [];
+
+    for (const chunk of ordered) {
+        for (const distance of chunk.distances) {
+            distances.push(distance);
+
+            if (distance < EARTH_CAPTURE_RADIUS_KM) {
+                impacts++;
+            }
+            if (distance < MOON_DISTANCE_KM) {
+                closeApproaches++;
+            }
+            if (distance < 50000) {
+                veryClose++;
+            }
         }
+        if (returnSamples) samples.push(...chunk.samples);
     }
 
     // Calculate statistics
@@ -154,8 +722,8 @@ function runSimulation({
 
         // Statistics
         statistics: {
-            minDistance,
-            maxDistance,
+            minDistance: distances[0],
+            maxDistance: distances[distances.length - 1],
             meanDistance,
             medianDistance,
             stdDevDistance,
@@ -171,12 +739,49 @@ function runSimulation({
             total: numSimulations
         },
 
-        // Metadata
+        // Metadata - seed, sample count and engine version reproduce the run
+        seed,
+        sampleCount: numSimulations,
+        engineVersion: ENGINE_VERSION,
+        uncertaintyModel: covariance ? 'covariance' : 'default',
+        covarianceEpoch: covariance ? covariance.epoch : null,
         simulationTime: elapsedMs,
-        encounterDate: encounterDate.toISOString()
+        encounterDate: encounterDate.toISOString(),
+
+        ...(returnSamples && { samples })
     };
 }
 
+/**
+ * Run Monte Carlo simulation for impact probability
+ * Runs on the calling thread; simulationPool runs the same chunks
+ * on worker threads and returns identical results for the same seed.
+ * 
+ * @param {Object} options - Simulation options
+ * @param {Object} options.orbitalElements - Nominal orbital elements
+ * @param {Date} options.encounterDate - Close approach date
+ * @param {number} options.numSimulations - Number of simulations (default 10000)
+ * @param {Object} options.uncertainties - Element uncertainties, used without a covariance (optional)
+ * @param {Object} options.covariance - Orbit covariance {epoch, labels, elements, matrix} (optional)
+ * @param {number} options.seed - Random seed, 0 to 2³²-1 (default: a new random seed)
+ * @param {boolean} options.returnSamples - Include the sampled elements and distances
+ * @param {Object} options.mapEncounters - {julianDate, windowDays}: with returnSamples, also map each
+ *        sample's Earth encounter to the b-plane (bPlane.mapEncounter, null if none is found)
+ * @returns {Object} Simulation results
+ */
+function runSimulation({
+    numSimulations = DEFAULT_SIMULATIONS,
+    seed = randomSeed(),
+    ...options
+}) {
+    const run = { ...options, seed, startTime: Date.now() };
+
+    console.log(`Running Monte Carlo simulation with ${numSimulations} samples (${options.covariance ? 'covariance' : 'default uncertainties'}, seed ${seed})...`);
+
+    const chunkResults = simulationChunks(numSimulations).map(chunk => simulateChunk(run, chunk));
+    return summarizeSimulation(run, chunkResults);
+}
+
 /**
  * Calculate impact probability with extended encounter window
  * Searches around encounter date for minimum distance
@@ -185,13 +790,17 @@ function runSimulation({
  * @param {Date} centerDate - Center of encounter window
  * @param {number} windowDays - Days before/after to search
  * @param {number} numSimulations - Simulations per date
+ * @param {Object} covariance - Orbit covariance (optional)
+ * @param {number} seed - Random seed, shared by every date (optional)
  * @returns {Object} Best (highest probability) result
  */
 function runExtendedSimulation({
     orbitalElements,
     centerDate,
     windowDays = 7,
-    numSimulations = 1000
+    numSimulations = 1000,
+    covariance = null,
+    seed = randomSeed()
 }) {
     let bestResult = null;
     let highestProbability = 0;
@@ -204,7 +813,9 @@ function runExtendedSimulation({
             orbitalElements,
             encounterDate: testDate,
             numSimulations,
-            uncertainties: DEFAULT_UNCERTAINTY
+            uncertainties: DEFAULT_UNCERTAINTY,
+            covariance,
+            seed
         });
 
         if (result.impactProbability > highestProbability ||
@@ -266,9 +877,25 @@ function getEnergyDescription(energyMT) {
 
 module.exports = {
     runSimulation,
+    simulationChunks,
+    simulateChunk,
+    summarizeSimulation,
+    runLineOfVariations,
+    prepareLineOfVariations,
+    mapLineOfVariationsChunk,
+    summarizeLineOfVariations,
+    lineOfVariations,
     runExtendedSimulation,
     estimateImpactEnergy,
     sampleOrbitalElements,
+    choleskyDecomposition,
+    prepareCovariance,
+    drawCovarianceSample,
     calculateMinDistance,
-    DEFAULT_UNCERTAINTY
+    DEFAULT_SIMULATIONS,
+    DEFAULT_UNCERTAINTY,
+    COVARIANCE_ELEMENTS,
+    SIMULATION_CHUNK_SIZE,
+    LOV_CHUNK_SIZE,
+    ENGINE_VERSION
 };
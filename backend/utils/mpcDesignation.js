@@ -0,0 +1,234 @@
+/**
+ * MPC Packed Designations
+ *
+ * The Minor Planet Center's 80-column format squeezes object designations
+ * into columns 1–12: a packed permanent number in columns 1–5 and a packed
+ * provisional designation (or an observer's temporary designation) in
+ * columns 6–12. Comets use columns 1–4 for the periodic number and column 5
+ * for the orbit type.
+ *
+ *   433        → 00433          2024 YR4   → K24Y04R
+ *   100345     → A0345          2007 TA418 → K07Tf8A
+ *   620000     → ~0000          2040 P-L   → PLS2040
+ *   1P         → 0001P          C/1995 O1  → CJ95O010
+ */
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const CENTURIES = { I: 18, J: 19, K: 20 };
+const COMET_TYPES = 'PCDXI';
+const SURVEYS = { 'P-L': 'PL', 'T-1': 'T1', 'T-2': 'T2', 'T-3': 'T3' };
+
+const PROVISIONAL = /^(\d{4}) ([A-HJ-Y])([A-HJ-Z])(\d*)$/;
+const PACKED_PROVISIONAL = /^([IJK])(\d\d)([A-HJ-Y])([0-9A-Za-z])(\d)([A-HJ-Z])$/;
+const SURVEY = /^(\d{4}) (P-L|T-[123])$/;
+const PACKED_SURVEY = /^(PL|T1|T2|T3)S(\d{4})$/;
+const COMET_PROVISIONAL = /^([PCDXI])\/(\d{4}) ([A-HJ-Y])(\d+)(?:-([A-Z]))?$/;
+const PACKED_COMET_PROVISIONAL = /^([IJK])(\d\d)([A-HJ-Y])([0-9A-Za-z])(\d)([0a-z])$/;
+const NUMBERED_COMET = /^(\d{1,4})([PDI])(?:-([A-Z]))?$/;
+
+const base62Value = (char) => {
+    const value = BASE62.indexOf(char);
+    if (value < 0) throw new Error(`Invalid packed character: ${char}`);
+    return value;
+};
+
+/**
+ * Pack a minor planet number into columns 1–5
+ *
+ * @param {number|string} number - Permanent number
+ * @returns {string} Five-character packed number
+ */
+function packNumber(number) {
+    const n = Number(number);
+    if (!Number.isInteger(n) || n < 1 || n >= 620000 + 62 ** 4) {
+        throw new Error(`Cannot pack minor planet number: ${number}`);
+    }
+
+    if (n < 100000) return String(n).padStart(5, '0');
+    if (n < 620000) return BASE62[Math.floor(n / 10000)] + String(n % 10000).padStart(4, '0');
+
+    let rest = n - 620000;
+    let packed = '';
+    for (let i = 0; i < 4; i++) {
+        packed = BASE62[rest % 62] + packed;
+        rest = Math.floor(rest / 62);
+    }
+    return `~${packed}`;
+}
+
+/**
+ * Unpack columns 1–5 into a minor planet number
+ *
+ * @param {string} packed - Five-character packed number
+ * @returns {number} Permanent number
+ */
+function unpackNumber(packed) {
+    if (packed[0] === '~') {
+        return 620000 + [...packed.slice(1)].reduce((sum, c) => sum * 62 + base62Value(c), 0);
+    }
+    if (!/^[0-9A-Za-z]\d{4}$/.test(packed)) {
+        throw new Error(`Invalid packed number: ${packed}`);
+    }
+    return base62Value(packed[0]) * 10000 + Number(packed.slice(1));
+}
+
+const packCentury = (year) => {
+    const letter = Object.keys(CENTURIES).find(k => CENTURIES[k] === Math.floor(year / 100));
+    if (!letter) throw new Error(`Year out of range for packing: ${year}`);
+    return letter + String(year % 100).padStart(2, '0');
+};
+
+const packCycle = (cycle) => {
+    if (cycle > 619) throw new Error(`Cycle count too large for packing: ${cycle}`);
+    return BASE62[Math.floor(cycle / 10)] + (cycle % 10);
+};
+
+/**
+ * Pack a provisional designation into columns 6–12
+ * Handles minor planets (2024 YR4), survey designations (2040 P-L)
+ * and comets (C/1995 O1, whose orbit type goes in column 5)
+ *
+ * @param {string} designation - Unpacked provisional designation
+ * @returns {string} Seven-character packed designation
+ */
+function packProvisional(designation) {
+    const text = String(designation).trim();
+    let match;
+
+    if ((match = text.match(PROVISIONAL))) {
+        const [, year, halfMonth, letter, cycle] = match;
+        return packCentury(Number(year)) + halfMonth + packCycle(Number(cycle || 0)) + letter;
+    }
+    if ((match = text.match(SURVEY))) {
+        return `${SURVEYS[match[2]]}S${match[1]}`;
+    }
+    if ((match = text.match(COMET_PROVISIONAL))) {
+        const [, , year, halfMonth, cycle, fragment] = match;
+        return packCentury(Number(year)) + halfMonth + packCycle(Number(cycle)) +
+            (fragment ? fragment.toLowerCase() : '0');
+    }
+
+    throw new Error(`Not a provisional designation: ${designation}`);
+}
+
+/**
+ * Unpack columns 6–12 into a provisional designation
+ *
+ * @param {string} packed - Seven-character packed designation
+ * @param {string} cometType - Orbit type from column 5 for comets (optional)
+ * @returns {string|null} Unpacked designation, or null if not a packed designation
+ */
+function unpackProvisional(packed, cometType = null) {
+    let match;
+
+    if (cometType) {
+        if (!(match = packed.match(PACKED_COMET_PROVISIONAL))) return null;
+        const [, century, year, halfMonth, cycleHigh, cycleLow, fragment] = match;
+        const cycle = base62Value(cycleHigh) * 10 + Number(cycleLow);
+        return `${cometType}/${CENTURIES[century]}${year} ${halfMonth}${cycle}` +
+            (fragment === '0' ? '' : `-${fragment.toUpperCase()}`);
+    }
+
+    if ((match = packed.match(PACKED_PROVISIONAL))) {
+        const [, century, year, halfMonth, cycleHigh, cycleLow, letter] = match;
+        const cycle = base62Value(cycleHigh) * 10 + Number(cycleLow);
+        return `${CENTURIES[century]}${year} ${halfMonth}${letter}${cycle > 0 ? cycle : ''}`;
+    }
+    if ((match = packed.match(PACKED_SURVEY))) {
+        const survey = Object.keys(SURVEYS).find(k => SURVEYS[k] === match[1]);
+        return `${match[2]} ${survey}`;
+    }
+
+    return null;
+}
+
+/**
+ * Pack an object's identifiers into columns 1–12 of an 80-column record
+ *
+ * @param {Object} ids - {permID, provID, trkSub}, as used by ADES
+ * @returns {string} Twelve-character designation field
+ */
+function packDesignation({ permID, provID, trkSub }) {
+    const comet = permID ? String(permID).match(NUMBERED_COMET) : null;
+
+    if (comet) {
+        const [, number, type, fragment] = comet;
+        const provisional = provID ? packProvisional(provID) : (fragment ? fragment.toLowerCase() : '');
+        return number.padStart(4, '0') + type + provisional.padStart(7, ' ');
+    }
+
+    const cometProvisional = provID ? String(provID).match(COMET_PROVISIONAL) : null;
+    if (cometProvisional) {
+        return `    ${cometProvisional[1]}${packProvisional(provID)}`;
+    }
+
+    const number = permID ? packNumber(permID) : '     ';
+    const provisional = provID ? packProvisional(provID) : (trkSub || '');
+    if (provisional.length > 7) {
+        throw new Error(`Temporary designation longer than 7 characters: ${provisional}`);
+    }
+    return number + provisional.padEnd(7, ' ');
+}
+
+/**
+ * Unpack columns 1–12 of an 80-column record
+ *
+ * @param {string} field - Twelve-character designation field
+ * @returns {Object} {designation, permID, provID, trkSub}; designation is the
+ *          number if present, else the provisional or temporary designation
+ */
+function unpackDesignation(field) {
+    const text = field.padEnd(12, ' ');
+    const numberField = text.slice(0, 5);
+    const provisionalField = text.slice(5, 12).trim();
+    let permID = null;
+    let provID = null;
+    let trkSub = null;
+
+    const isComet = COMET_TYPES.includes(text[4]) && /^(\d{4}| {4})$/.test(text.slice(0, 4));
+
+    if (isComet) {
+        const type = text[4];
+        if (text.slice(0, 4).trim()) {
+            permID = `${Number(text.slice(0, 4))}${type}`;
+            if (/^[a-z]$/.test(provisionalField)) {
+                permID += `-${provisionalField.toUpperCase()}`;
+            } else if (provisionalField) {
+                provID = unpackProvisional(provisionalField, type);
+            }
+        } else {
+            provID = unpackProvisional(provisionalField, type);
+            if (!provID) trkSub = provisionalField || null;
+        }
+    } else {
+        if (numberField.trim()) permID = String(unpackNumber(numberField));
+        if (provisionalField) {
+            provID = unpackProvisional(provisionalField);
+            if (!provID) trkSub = provisionalField;
+        }
+    }
+
+    return { designation: permID ?? provID ?? trkSub, permID, provID, trkSub };
+}
+
+/**
+ * JPL SPK-ID of a numbered asteroid
+ * SBDB gives numbered asteroids 2000000 + number (20000000 + number from 1000000 on).
+ *
+ * @param {number|string} number - Permanent number
+ * @returns {string} SPK-ID
+ */
+function numberToSpkId(number) {
+    const value = Number(number);
+    return String(value < 1000000 ? 2000000 + value : 20000000 + value);
+}
+
+module.exports = {
+    numberToSpkId,
+    packNumber,
+    unpackNumber,
+    packProvisional,
+    unpackProvisional,
+    packDesignation,
+    unpackDesignation
+};
@@ -0,0 +1,229 @@
+/**
+ * MPC 80-Column Observation Format
+ *
+ * Reads and writes optical astrometry in the Minor Planet Center's
+ * fixed-width format:
+ *
+ *   1–12   designation (see mpcDesignation)   45–56  Dec (sDD MM SS.ss)
+ *   13     discovery asterisk                 66–70  magnitude
+ *   14     note 1                             71     band
+ *   15     note 2 (observation type)          72     astrometric catalogue
+ *   16–32  date (YYYY MM DD.dddddd, UTC)      78–80  observatory code
+ *   33–44  RA (HH MM SS.sss)
+ *
+ * Records use the same field names as the ADES reader so either format can
+ * be written from either. Two-line records (satellite, roving and radar
+ * observations) and deleted observations are reported as skipped.
+ */
+
+const { packDesignation, unpackDesignation } = require('./mpcDesignation');
+
+const LINE_LENGTH = 80;
+const MS_PER_DAY = 86400000;
+const DATE_QUANTUM_MS = MS_PER_DAY / 1e6;   // Dates are written to 1e-6 day
+
+// Note 2 (column 15) ↔ ADES observation mode
+const MODES = {
+    ' ': 'PHO', P: 'PHO', A: 'PHO', N: 'PHO',
+    C: 'CCD', c: 'CCD', B: 'CMO', e: 'ENC',
+    T: 'MER', M: 'MIC', E: 'OCC', n: 'VID'
+};
+const MODE_CODES = { CCD: 'C', CMO: 'B', PHO: 'P', ENC: 'e', MER: 'T', MIC: 'M', OCC: 'E', VID: 'n' };
+const UNSUPPORTED_TYPES = {
+    S: 'satellite observations are not supported',
+    s: 'satellite observations are not supported',
+    V: 'roving observer observations are not supported',
+    v: 'roving observer observations are not supported',
+    R: 'radar observations are not supported',
+    r: 'radar observations are not supported',
+    O: 'offset observations are not supported',
+    X: 'deleted observation',
+    x: 'deleted observation'
+};
+
+// Column 72 ↔ ADES astrometric catalogue
+const CATALOGS = {
+    c: 'USNOA2', g: 'Tyc2', L: '2MASS', M: 'GSC2.3', N: 'SDSS7', n: 'SDSS8',
+    o: 'USNOB1', q: 'UCAC4', r: 'UCAC2', S: 'URAT1', t: 'PPMXL', u: 'UCAC3',
+    U: 'Gaia1', V: 'Gaia2', v: 'NOMAD', W: 'Gaia3', w: 'CMC14', X: 'Gaia3E',
+    Q: 'CMC15', Y: 'UCAC5', Z: 'ATLAS2', 1: 'PS1_DR1', 2: 'PS1_DR2'
+};
+const CATALOG_CODES = Object.fromEntries(Object.entries(CATALOGS).map(([code, name]) => [name, code]));
+
+// Submission header keywords (COD, CON, OBS, ...) precede the observations
+const HEADER_LINE = /^[A-Z0-9]{3}( |$)/;
+
+/**
+ * Parse a sexagesimal field ("HH MM SS.sss" or "sDD MM SS.ss")
+ */
+function parseSexagesimal(field) {
+    const text = field.trim();
+    const sign = text.startsWith('-') ? -1 : 1;
+    const [a = 0, b = 0, c = 0] = text.replace(/^[+-]/, '').split(/\s+/).map(Number);
+    const value = a + b / 60 + c / 3600;
+    return Number.isFinite(value) ? sign * value : NaN;
+}
+
+/**
+ * Format a non-negative value as "AA BB CC.ddd" with the given seconds decimals
+ */
+function formatSexagesimal(value, decimals) {
+    const scale = 10 ** decimals;
+    let units = Math.round(value * 3600 * scale);
+    const seconds = units % (60 * scale);
+    units = (units - seconds) / (60 * scale);
+    const minutes = units % 60;
+    const whole = (units - minutes) / 60;
+
+    const secondsText = (seconds / scale).toFixed(decimals).padStart(decimals + 3, '0');
+    return `${String(whole).padStart(2, '0')} ${String(minutes).padStart(2, '0')} ${secondsText}`;
+}
+
+/**
+ * Parse the date field "YYYY MM DD.dddddd" (UTC)
+ */
+function parseDate(field) {
+    const [year, month, day] = field.trim().split(/\s+/).map(Number);
+    if (![year, month, day].every(Number.isFinite)) return null;
+
+    const wholeDay = Math.floor(day);
+    return new Date(Date.UTC(year, month - 1, wholeDay) + Math.round((day - wholeDay) * MS_PER_DAY));
+}
+
+/**
+ * Format a date as "YYYY MM DD.dddddd"
+ */
+function formatDate(date) {
+    const quantized = new Date(Math.round(date.getTime() / DATE_QUANTUM_MS) * DATE_QUANTUM_MS);
+    const midnight = Date.UTC(quantized.getUTCFullYear(), quantized.getUTCMonth(), quantized.getUTCDate());
+    const fraction = Math.round((quantized.getTime() - midnight) / DATE_QUANTUM_MS);
+
+    return `${quantized.getUTCFullYear()} ` +
+        `${String(quantized.getUTCMonth() + 1).padStart(2, '0')} ` +
+        `${String(quantized.getUTCDate()).padStart(2, '0')}.${String(fraction).padStart(6, '0')}`;
+}
+
+/**
+ * Parse one 80-column optical observation
+ *
+ * @param {string} line - Observation record
+ * @returns {Object} Observation record
+ */
+function parseLine(line) {
+    const text = line.padEnd(LINE_LENGTH, ' ');
+    const ids = unpackDesignation(text.slice(0, 12));
+    const time = parseDate(text.slice(15, 32));
+    const ra = parseSexagesimal(text.slice(32, 44)) * 15;
+    const dec = parseSexagesimal(text.slice(44, 56));
+    const observatory = text.slice(77, 80).trim();
+
+    if (!ids.designation) throw new Error('missing designation');
+    if (!time || isNaN(time.getTime())) throw new Error('invalid date');
+    if (!Number.isFinite(ra) || !Number.isFinite(dec) || Math.abs(dec) > 90) throw new Error('invalid RA/Dec');
+    if (!observatory) throw new Error('missing observatory code');
+
+    const magnitude = parseFloat(text.slice(65, 70));
+
+    return {
+        ...ids,
+        discovery: text[12] === '*',
+        notes: text[13].trim() || null,
+        mode: MODES[text[14]] ?? 'UNK',
+        time,
+        ra,
+        dec,
+        magnitude: Number.isFinite(magnitude) ? magnitude : null,
+        band: text[70].trim() || null,
+        astCat: CATALOGS[text[71]] ?? null,
+        observatory
+    };
+}
+
+/**
+ * Parse MPC 80-column observations
+ *
+ * @param {string} text - File contents
+ * @returns {Object} {observations, skipped: [{line, reason}]}
+ */
+function parseMPC80(text) {
+    const observations = [];
+    const skipped = [];
+
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim()) return;
+        if (line.length < LINE_LENGTH && HEADER_LINE.test(line)) return;
+
+        if (line.trimEnd().length !== LINE_LENGTH) {
+            skipped.push({ line: i + 1, reason: 'not an 80-column record' });
+            return;
+        }
+
+        const type = line[14];
+        if (UNSUPPORTED_TYPES[type]) {
+            // Report a two-line record once, on its first line
+            if (type === type.toUpperCase()) skipped.push({ line: i + 1, reason: UNSUPPORTED_TYPES[type] });
+            return;
+        }
+
+        try {
+            observations.push(parseLine(line));
+        } catch (error) {
+            skipped.push({ line: i + 1, reason: error.message });
+        }
+    });
+
+    return { observations, skipped };
+}
+
+/**
+ * Format one observation as an 80-column record
+ *
+ * @param {Object} obs - Observation record
+ * @returns {string} 80-character line
+ */
+function formatLine(obs) {
+    const time = new Date(obs.time);
+    const raHours = ((obs.ra % 360) + 360) % 360 / 15;
+    const ra = formatSexagesimal(raHours, 3).replace(/^24/, '00');
+    const dec = (obs.dec < 0 ? '-' : '+') + formatSexagesimal(Math.abs(obs.dec), 2);
+    const magnitude = Number.isFinite(obs.magnitude) ? obs.magnitude.toFixed(1) : '';
+    const observatory = String(obs.observatory ?? '');
+
+    if (observatory.length !== 3) {
+        throw new Error(`80-column records need a three-character observatory code, got "${observatory}"`);
+    }
+
+    const line = packDesignation(obs) +
+        (obs.discovery ? '*' : ' ') +
+        (obs.notes?.[0] ?? ' ') +
+        (MODE_CODES[obs.mode] ?? 'C') +
+        formatDate(time) +
+        ra +
+        dec +
+        ' '.repeat(9) +
+        magnitude.padEnd(5, ' ') +
+        (obs.band?.[0] ?? ' ') +
+        (CATALOG_CODES[obs.astCat] ?? ' ') +
+        ' '.repeat(5) +
+        observatory;
+
+    return line.padEnd(LINE_LENGTH, ' ');
+}
+
+/**
+ * Write observations in the MPC 80-column format
+ *
+ * @param {Array} observations - Observation records
+ * @returns {string} File contents, one record per line
+ */
+function formatMPC80(observations) {
+    return observations.map(formatLine).join('\n') + '\n';
+}
+
+module.exports = {
+    parseMPC80,
+    formatMPC80,
+    parseLine,
+    formatLine,
+    CATALOGS
+};
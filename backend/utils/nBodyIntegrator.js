@@ -0,0 +1,302 @@
+/**
+ * N-Body Integrator - Perturbed Trajectory Propagation
+ *
+ * Numerically integrates an asteroid's heliocentric state vector under the
+ * gravity of the Sun, the planets and the Moon using an adaptive
+ * Dormand-Prince 5(4) Runge-Kutta scheme.
+ */
+
+const { getMoonPosition, GM_SUN, MOON_MASS_RATIO } = require('./keplerianElements');
+const { getAllPlanetPositions, PLANETS } = require('./planetaryEphemeris');
+
+// Integrator defaults
+const DEFAULT_OPTIONS = {
+    relTolerance: 1e-10,   // Relative error per step
+    absTolerance: 1e-14,   // Absolute error per step (AU, AU/day)
+    initialStep: 0.5,      // days
+    minStep: 1e-6,         // days (~0.1 s)
+    maxStep: 1,            // days - keeps close encounters from being stepped over
+    maxSteps: 500000,      // Safety cap per integration leg
+    nonGravitational: null // {A1, A2, A3} comet/Yarkovsky parameters (AU/day²)
+};
+
+// Marsden et al. (1973) g(r) constants for water-ice sublimation
+const NON_GRAV_DEFAULTS = {
+    ALN: 0.1112620426,
+    NM: 2.15,
+    NN: 5.093,
+    NK: 4.6142,
+    R0: 2.808
+};
+
+// Dormand-Prince 5(4) Butcher tableau
+const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+const DP_A = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+// 5th order weights (identical to the last row of A - FSAL property)
+const DP_B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+// Difference between 5th and 4th order weights, used for the error estimate
+const DP_E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+/**
+ * Get heliocentric positions of all perturbing bodies
+ *
+ * @param {number} jd - Julian Date
+ * @returns {Array} Array of {name, position, massRatio}
+ */
+function getPerturbingBodies(jd) {
+    const planets = getAllPlanetPositions(jd);
+    const moonOffset = getMoonPosition(jd);
+
+    const bodies = Object.entries(planets).map(([name, position]) => ({
+        name,
+        position,
+        massRatio: PLANETS[name].massRatio
+    }));
+
+    bodies.push({
+        name: 'moon',
+        position: {
+            x: planets.earth.x + moonOffset.x,
+            y: planets.earth.y + moonOffset.y,
+            z: planets.earth.z + moonOffset.z
+        },
+        massRatio: MOON_MASS_RATIO
+    });
+
+    return bodies;
+}
+
+/**
+ * Calculate heliocentric acceleration of a massless body
+ * Includes the direct and indirect (Sun reflex) terms of every perturber.
+ *
+ * @param {number} jd - Julian Date
+ * @param {Object} position - Position {x, y, z} in AU (heliocentric ecliptic)
+ * @param {Array} bodies - Perturbing bodies (defaults to getPerturbingBodies(jd))
+ * @returns {Object} Acceleration {ax, ay, az} in AU/day²
+ */
+function calculateAcceleration(jd, position, bodies = getPerturbingBodies(jd)) {
+    const { x, y, z } = position;
+    const r = Math.sqrt(x * x + y * y + z * z);
+    const r3 = r * r * r;
+
+    let ax = -GM_SUN * x / r3;
+    let ay = -GM_SUN * y / r3;
+    let az = -GM_SUN * z / r3;
+
+    for (const body of bodies) {
+        const GM = GM_SUN * body.massRatio;
+        const bx = body.position.x;
+        const by = body.position.y;
+        const bz = body.position.z;
+
+        const dx = bx - x;
+        const dy = by - y;
+        const dz = bz - z;
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const d3 = d * d * d;
+
+        const rb = Math.sqrt(bx * bx + by * by + bz * bz);
+        const rb3 = rb * rb * rb;
+
+        ax += GM * (dx / d3 - bx / rb3);
+        ay += GM * (dy / d3 - by / rb3);
+        az += GM * (dz / d3 - bz / rb3);
+    }
+
+    return { ax, ay, az };
+}
+
+/**
+ * Non-gravitational acceleration in the radial / transverse / normal frame
+ * a = g(r) (A1 r̂ + A2 t̂ + A3 n̂). The DT perihelion delay is not modelled.
+ *
+ * @param {Array} y - State [x, y, z, vx, vy, vz]
+ * @param {Object} params - {A1, A2, A3} and optional g(r) constants
+ * @returns {Object} Acceleration {ax, ay, az} in AU/day²
+ */
+function calculateNonGravitationalAcceleration(y, params) {
+    const { ALN, NM, NN, NK, R0 } = { ...NON_GRAV_DEFAULTS, ...params };
+    const [x, yy, z, vx, vy, vz] = y;
+
+    const r = Math.sqrt(x * x + yy * yy + z * z);
+    const scaled = r / R0;
+    const g = ALN * Math.pow(scaled, -NM) * Math.pow(1 + Math.pow(scaled, NN), -NK);
+
+    // Unit vectors: radial, normal (angular momentum) and transverse = n × r
+    const rHat = [x / r, yy / r, z / r];
+    const hx = yy * vz - z * vy;
+    const hy = z * vx - x * vz;
+    const hz = x * vy - yy * vx;
+    const h = Math.sqrt(hx * hx + hy * hy + hz * hz);
+    const nHat = [hx / h, hy / h, hz / h];
+    const tHat = [
+        nHat[1] * rHat[2] - nHat[2] * rHat[1],
+        nHat[2] * rHat[0] - nHat[0] * rHat[2],
+        nHat[0] * rHat[1] - nHat[1] * rHat[0]
+    ];
+
+    const A1 = params.A1 || 0;
+    const A2 = params.A2 || 0;
+    const A3 = params.A3 || 0;
+
+    return {
+        ax: g * (A1 * rHat[0] + A2 * tHat[0] + A3 * nHat[0]),
+        ay: g * (A1 * rHat[1] + A2 * tHat[1] + A3 * nHat[1]),
+        az: g * (A1 * rHat[2] + A2 * tHat[2] + A3 * nHat[2])
+    };
+}
+
+/**
+ * Equations of motion: d/dt [r, v] = [v, a]
+ */
+function derivatives(jd, y, opts) {
+    const { ax, ay, az } = calculateAcceleration(jd, { x: y[0], y: y[1], z: y[2] });
+
+    if (!opts.nonGravitational) {
+        return [y[3], y[4], y[5], ax, ay, az];
+    }
+
+    const ng = calculateNonGravitationalAcceleration(y, opts.nonGravitational);
+    return [y[3], y[4], y[5], ax + ng.ax, ay + ng.ay, az + ng.az];
+}
+
+/**
+ * Attempt a single Dormand-Prince step
+ *
+ * @returns {Object} {y, k7, error} - new state, derivative at new state, scaled error norm
+ */
+function dormandPrinceStep(jd, y, k1, h, opts) {
+    const k = [k1];
+
+    for (let stage = 1; stage < 7; stage++) {
+        const yStage = new Array(6);
+        for (let n = 0; n < 6; n++) {
+            let sum = 0;
+            for (let j = 0; j < stage; j++) {
+                sum += DP_A[stage][j] * k[j][n];
+            }
+            yStage[n] = y[n] + h * sum;
+        }
+        k.push(derivatives(jd + DP_C[stage] * h, yStage, opts));
+    }
+
+    const yNew = new Array(6);
+    let errSum = 0;
+    for (let n = 0; n < 6; n++) {
+        let sum = 0;
+        let errTerm = 0;
+        for (let j = 0; j < 7; j++) {
+            sum += DP_B[j] * k[j][n];
+            errTerm += DP_E[j] * k[j][n];
+        }
+        yNew[n] = y[n] + h * sum;
+
+        const scale = opts.absTolerance + opts.relTolerance * Math.max(Math.abs(y[n]), Math.abs(yNew[n]));
+        const ratio = (h * errTerm) / scale;
+        errSum += ratio * ratio;
+    }
+
+    return { y: yNew, k7: k[6], error: Math.sqrt(errSum / 6) };
+}
+
+/**
+ * Integrate a state vector from one epoch to another
+ *
+ * @param {Object} state - Initial state {x, y, z, vx, vy, vz} (AU, AU/day)
+ * @param {number} fromJD - Julian Date of initial state
+ * @param {number} toJD - Target Julian Date (may be earlier than fromJD)
+ * @param {Object} options - Integrator options (see DEFAULT_OPTIONS)
+ * @returns {Object} {state, steps, rejected, lastStep}
+ */
+function integrate(state, fromJD, toJD, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const direction = toJD >= fromJD ? 1 : -1;
+
+    let y = [state.x, state.y, state.z, state.vx, state.vy, state.vz];
+    let jd = fromJD;
+    let h = Math.min(Math.abs(opts.initialStep), opts.maxStep);
+    let k1 = derivatives(jd, y, opts);
+    let steps = 0;
+    let rejected = 0;
+
+    while (direction * (toJD - jd) > 1e-12) {
+        if (steps + rejected >= opts.maxSteps) {
+            throw new Error(`N-body integration exceeded ${opts.maxSteps} steps`);
+        }
+
+        // Never step past the target epoch
+        const remaining = Math.abs(toJD - jd);
+        const stepSize = Math.min(h, remaining);
+        const result = dormandPrinceStep(jd, y, k1, direction * stepSize, opts);
+
+        if (result.error <= 1 || stepSize <= opts.minStep) {
+            jd = stepSize === remaining ? toJD : jd + direction * stepSize;
+            y = result.y;
+            k1 = result.k7;
+            steps++;
+        } else {
+            rejected++;
+        }
+
+        // Standard step-size controller with safety factor
+        const factor = result.error === 0
+            ? 5
+            : Math.min(5, Math.max(0.2, 0.9 * Math.pow(result.error, -0.2)));
+        h = Math.min(opts.maxStep, Math.max(opts.minStep, stepSize * factor));
+    }
+
+    return {
+        state: { x: y[0], y: y[1], z: y[2], vx: y[3], vy: y[4], vz: y[5] },
+        steps,
+        rejected,
+        lastStep: h
+    };
+}
+
+/**
+ * Propagate a state vector to a series of output epochs
+ *
+ * @param {Object} state - Initial state {x, y, z, vx, vy, vz} (AU, AU/day)
+ * @param {number} epochJD - Julian Date of initial state
+ * @param {Array<number>} outputJDs - Output Julian Dates, in ascending order
+ * @param {Object} options - Integrator options (see DEFAULT_OPTIONS)
+ * @returns {Object} {states: [{julianDate, state}], steps}
+ */
+function propagateStates(state, epochJD, outputJDs, options = {}) {
+    const states = [];
+    let current = state;
+    let currentJD = epochJD;
+    let totalSteps = 0;
+    let stepHint = options.initialStep ?? DEFAULT_OPTIONS.initialStep;
+
+    for (const jd of outputJDs) {
+        const result = integrate(current, currentJD, jd, { ...options, initialStep: stepHint });
+
+        current = result.state;
+        currentJD = jd;
+        totalSteps += result.steps;
+        stepHint = result.lastStep;
+
+        states.push({ julianDate: jd, state: current });
+    }
+
+    return { states, steps: totalSteps };
+}
+
+module.exports = {
+    integrate,
+    propagateStates,
+    calculateAcceleration,
+    calculateNonGravitationalAcceleration,
+    getPerturbingBodies,
+    DEFAULT_OPTIONS
+};
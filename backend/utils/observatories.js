@@ -0,0 +1,61 @@
+/**
+ * Observatory Codes
+ *
+ * Locations of frequently reporting Minor Planet Center observatory codes,
+ * used to place astrometric observations on the Earth. Coordinates are
+ * geodetic and rounded to ~100 m, which is far below the parallax that
+ * matters for orbit determination. Unlisted sites can be given directly
+ * as {latitude, longitude, elevation}.
+ */
+
+const GEOCENTER = '500';
+
+// MPC code → {name, latitude (deg), longitude (deg, east positive), elevation (m)}
+const OBSERVATORIES = {
+    '309': { name: 'Cerro Paranal', latitude: -24.6275, longitude: -70.4044, elevation: 2635 },
+    '568': { name: 'Mauna Kea', latitude: 19.8258, longitude: -155.4722, elevation: 4205 },
+    '675': { name: 'Palomar Mountain', latitude: 33.3563, longitude: -116.8625, elevation: 1706 },
+    '691': { name: 'Spacewatch, Kitt Peak', latitude: 31.9633, longitude: -111.5990, elevation: 2091 },
+    '703': { name: 'Catalina Sky Survey', latitude: 32.4172, longitude: -110.7328, elevation: 2510 },
+    '704': { name: 'LINEAR, Socorro', latitude: 33.8175, longitude: -106.6595, elevation: 1505 },
+    'F51': { name: 'Pan-STARRS 1, Haleakala', latitude: 20.7075, longitude: -156.2560, elevation: 3055 },
+    'F52': { name: 'Pan-STARRS 2, Haleakala', latitude: 20.7075, longitude: -156.2560, elevation: 3055 },
+    'G96': { name: 'Mt. Lemmon Survey', latitude: 32.4428, longitude: -110.7889, elevation: 2776 },
+    'I41': { name: 'Zwicky Transient Facility, Palomar', latitude: 33.3574, longitude: -116.8597, elevation: 1712 },
+    'J04': { name: 'ESA Optical Ground Station, Tenerife', latitude: 28.3003, longitude: -16.5100, elevation: 2390 },
+    'T05': { name: 'ATLAS-HKO, Haleakala', latitude: 20.7075, longitude: -156.2575, elevation: 3055 },
+    'T08': { name: 'ATLAS-MLO, Mauna Loa', latitude: 19.5362, longitude: -155.5762, elevation: 3400 },
+    'W68': { name: 'ATLAS Chile, Rio Hurtado', latitude: -30.4710, longitude: -70.7650, elevation: 1575 },
+    'X05': { name: 'Vera C. Rubin Observatory', latitude: -30.2444, longitude: -70.7494, elevation: 2663 }
+};
+
+/**
+ * Resolve an observatory to a ground location
+ *
+ * @param {string|Object} observatory - MPC code, or {latitude, longitude, elevation}
+ * @returns {Object|null} {code, name, latitude, longitude, elevation}, or null for the geocenter
+ */
+function resolveObservatory(observatory = GEOCENTER) {
+    if (observatory && typeof observatory === 'object') {
+        const { latitude, longitude, elevation = 0 } = observatory;
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90) {
+            throw new Error('Observatory location needs a valid latitude and longitude');
+        }
+        return { code: observatory.code ?? null, name: observatory.name ?? null, latitude, longitude, elevation };
+    }
+
+    const code = String(observatory).trim().toUpperCase();
+    if (code === GEOCENTER) return null;
+
+    const site = OBSERVATORIES[code];
+    if (!site) {
+        throw new Error(`Unknown observatory code: ${code} (give {latitude, longitude, elevation} instead)`);
+    }
+    return { code, ...site };
+}
+
+module.exports = {
+    resolveObservatory,
+    OBSERVATORIES,
+    GEOCENTER
+};
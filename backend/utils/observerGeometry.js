@@ -0,0 +1,238 @@
+/**
+ * Observer Geometry - Topocentric Coordinates and Apparent Magnitude
+ *
+ * Converts heliocentric ecliptic vectors into what an observer on the
+ * ground sees: equatorial RA/Dec, altitude/azimuth, phase angle, solar
+ * elongation and the IAU H-G apparent magnitude.
+ */
+
+const {
+    eclipticToEquatorial,
+    AU_TO_KM,
+    DEG_TO_RAD,
+    RAD_TO_DEG,
+    OBLIQUITY_J2000
+} = require('./keplerianElements');
+
+// Constants
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.137; // WGS84
+const EARTH_FLATTENING = 1 / 298.257223563;  // WGS84
+const SPEED_OF_LIGHT_AU_DAY = 173.1446326847;
+const J2000 = 2451545.0;
+const DEFAULT_SLOPE_PARAMETER = 0.15;        // Typical G for asteroids of unknown type
+const DEFAULT_COMET_SLOPE = 10;              // K1 = 2.5n with the classical n = 4
+
+/**
+ * Greenwich Mean Sidereal Time (IAU 1982)
+ *
+ * @param {number} jd - Julian Date (UT)
+ * @returns {number} GMST in degrees [0, 360)
+ */
+function greenwichMeanSiderealTime(jd) {
+    const T = (jd - J2000) / 36525;
+    const gmst = 280.46061837 + 360.98564736629 * (jd - J2000) +
+        0.000387933 * T * T - (T * T * T) / 38710000;
+
+    const result = gmst % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Precess a J2000 equatorial vector to the mean equator and equinox of date
+ * (IAU 1976 precession angles ζ, z, θ)
+ *
+ * @param {Object} vec - Vector {x, y, z} in the J2000 equatorial frame
+ * @param {number} jd - Julian Date
+ * @param {boolean} inverse - Rotate from date back to J2000 instead
+ * @returns {Object} Precessed vector {x, y, z}
+ */
+function precessEquatorial({ x, y, z }, jd, inverse = false) {
+    const T = (jd - J2000) / 36525;
+    const arcsec = DEG_TO_RAD / 3600;
+
+    const zeta = (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * arcsec;
+    const zA = (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * arcsec;
+    const theta = (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * arcsec;
+
+    const cZeta = Math.cos(zeta), sZeta = Math.sin(zeta);
+    const cZ = Math.cos(zA), sZ = Math.sin(zA);
+    const cTh = Math.cos(theta), sTh = Math.sin(theta);
+
+    const m = [
+        [cZeta * cZ * cTh - sZeta * sZ, -sZeta * cZ * cTh - cZeta * sZ, -cZ * sTh],
+        [cZeta * sZ * cTh + sZeta * cZ, -sZeta * sZ * cTh + cZeta * cZ, -sZ * sTh],
+        [cZeta * sTh, -sZeta * sTh, cTh]
+    ];
+
+    if (inverse) {
+        return {
+            x: m[0][0] * x + m[1][0] * y + m[2][0] * z,
+            y: m[0][1] * x + m[1][1] * y + m[2][1] * z,
+            z: m[0][2] * x + m[1][2] * y + m[2][2] * z
+        };
+    }
+
+    return {
+        x: m[0][0] * x + m[0][1] * y + m[0][2] * z,
+        y: m[1][0] * x + m[1][1] * y + m[1][2] * z,
+        z: m[2][0] * x + m[2][1] * y + m[2][2] * z
+    };
+}
+
+/**
+ * Geocentric position of a ground observer in the J2000 equatorial frame
+ *
+ * @param {Object} observer - Observer location
+ * @param {number} observer.latitude - Geodetic latitude (degrees, north positive)
+ * @param {number} observer.longitude - Longitude (degrees, east positive)
+ * @param {number} observer.elevation - Height above the WGS84 ellipsoid (meters)
+ * @param {number} jd - Julian Date (UT)
+ * @returns {Object} Position {x, y, z} in AU
+ */
+function observerGeocentricPosition({ latitude, longitude, elevation = 0 }, jd) {
+    const lat = latitude * DEG_TO_RAD;
+    const heightKm = elevation / 1000;
+
+    // Geodetic to geocentric (WGS84)
+    const e2 = EARTH_FLATTENING * (2 - EARTH_FLATTENING);
+    const N = EARTH_EQUATORIAL_RADIUS_KM / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+    const rhoCos = (N + heightKm) * Math.cos(lat);
+    const rhoSin = (N * (1 - e2) + heightKm) * Math.sin(lat);
+
+    // Local sidereal angle in the equator of date
+    const lst = (greenwichMeanSiderealTime(jd) + longitude) * DEG_TO_RAD;
+
+    const ofDate = {
+        x: rhoCos * Math.cos(lst) / AU_TO_KM,
+        y: rhoCos * Math.sin(lst) / AU_TO_KM,
+        z: rhoSin / AU_TO_KM
+    };
+
+    return precessEquatorial(ofDate, jd, true);
+}
+
+/**
+ * Convert an equatorial vector to right ascension and declination
+ *
+ * @param {Object} vec - Vector {x, y, z}
+ * @returns {Object} {ra, dec} in degrees, ra in [0, 360)
+ */
+function vectorToRaDec({ x, y, z }) {
+    let ra = Math.atan2(y, x) * RAD_TO_DEG;
+    if (ra < 0) ra += 360;
+    const dec = Math.atan2(z, Math.sqrt(x * x + y * y)) * RAD_TO_DEG;
+    return { ra, dec };
+}
+
+/**
+ * Convert equatorial coordinates (of date) to horizontal coordinates
+ *
+ * @param {number} ra - Right ascension (degrees)
+ * @param {number} dec - Declination (degrees)
+ * @param {number} latitude - Observer latitude (degrees)
+ * @param {number} lst - Local sidereal time (degrees)
+ * @returns {Object} {altitude, azimuth} in degrees, azimuth measured from north through east
+ */
+function equatorialToHorizontal(ra, dec, latitude, lst) {
+    const H = (lst - ra) * DEG_TO_RAD;
+    const d = dec * DEG_TO_RAD;
+    const phi = latitude * DEG_TO_RAD;
+
+    const sinAlt = Math.sin(phi) * Math.sin(d) + Math.cos(phi) * Math.cos(d) * Math.cos(H);
+    const altitude = Math.asin(Math.max(-1, Math.min(1, sinAlt))) * RAD_TO_DEG;
+
+    let azimuth = Math.atan2(
+        -Math.cos(d) * Math.sin(H),
+        Math.sin(d) * Math.cos(phi) - Math.cos(d) * Math.sin(phi) * Math.cos(H)
+    ) * RAD_TO_DEG;
+    if (azimuth < 0) azimuth += 360;
+
+    return { altitude, azimuth };
+}
+
+/**
+ * Angle between two vectors in degrees
+ */
+function angleBetween(a, b) {
+    const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+    const magA = Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+    const magB = Math.sqrt(b.x * b.x + b.y * b.y + b.z * b.z);
+    return Math.acos(Math.max(-1, Math.min(1, dot / (magA * magB)))) * RAD_TO_DEG;
+}
+
+/**
+ * Apparent V magnitude from the IAU H-G system (Bowell et al. 1989)
+ *
+ * @param {number} H - Absolute magnitude
+ * @param {number} G - Slope parameter (default 0.15)
+ * @param {number} r - Heliocentric distance (AU)
+ * @param {number} delta - Observer distance (AU)
+ * @param {number} phaseAngle - Sun-object-observer angle (degrees)
+ * @returns {number|null} Apparent magnitude, or null if H is unknown
+ */
+function apparentMagnitude(H, G, r, delta, phaseAngle) {
+    if (H === null || H === undefined) return null;
+    const slope = G ?? DEFAULT_SLOPE_PARAMETER;
+
+    const tanHalf = Math.tan((phaseAngle * DEG_TO_RAD) / 2);
+    const phi1 = Math.exp(-3.33 * Math.pow(tanHalf, 0.63));
+    const phi2 = Math.exp(-1.87 * Math.pow(tanHalf, 1.22));
+
+    return H + 5 * Math.log10(r * delta) - 2.5 * Math.log10((1 - slope) * phi1 + slope * phi2);
+}
+
+/**
+ * Apparent total magnitude of a comet
+ * m = M1 + 5 log10(Δ) + K1 log10(r)
+ *
+ * @param {number} M1 - Total absolute magnitude
+ * @param {number} K1 - Total magnitude slope parameter (default 10, i.e. n = 4)
+ * @param {number} r - Heliocentric distance (AU)
+ * @param {number} delta - Observer distance (AU)
+ * @returns {number} Apparent magnitude
+ */
+function cometApparentMagnitude(M1, K1, r, delta) {
+    return M1 + 5 * Math.log10(delta) + (K1 ?? DEFAULT_COMET_SLOPE) * Math.log10(r);
+}
+
+/**
+ * Format right ascension as "HHh MMm SS.Ss"
+ */
+function formatRightAscension(ra) {
+    const hours = ra / 15;
+    const h = Math.floor(hours);
+    const m = Math.floor((hours - h) * 60);
+    const s = ((hours - h) * 60 - m) * 60;
+    return `${String(h).padStart(2, '0')}h ${String(m).padStart(2, '0')}m ${s.toFixed(1).padStart(4, '0')}s`;
+}
+
+/**
+ * Format declination as "+DD° MM' SS""
+ */
+function formatDeclination(dec) {
+    const sign = dec < 0 ? '-' : '+';
+    const abs = Math.abs(dec);
+    const d = Math.floor(abs);
+    const m = Math.floor((abs - d) * 60);
+    const s = Math.floor(((abs - d) * 60 - m) * 60);
+    return `${sign}${String(d).padStart(2, '0')}° ${String(m).padStart(2, '0')}' ${String(s).padStart(2, '0')}"`;
+}
+
+module.exports = {
+    eclipticToEquatorial,
+    greenwichMeanSiderealTime,
+    precessEquatorial,
+    observerGeocentricPosition,
+    vectorToRaDec,
+    equatorialToHorizontal,
+    angleBetween,
+    apparentMagnitude,
+    cometApparentMagnitude,
+    formatRightAscension,
+    formatDeclination,
+
+    // Constants
+    OBLIQUITY_J2000,
+    SPEED_OF_LIGHT_AU_DAY,
+    DEFAULT_SLOPE_PARAMETER
+};
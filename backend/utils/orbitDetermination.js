@@ -0,0 +1,554 @@
+/**
+ * Orbit Determination from Astrometric Observations
+ *
+ * A preliminary orbit is found with Gauss's method from three observations
+ * spread over the arc, then refined against every observation by weighted
+ * least-squares differential correction of the heliocentric state at the
+ * epoch. Dynamics are two-body about the Sun and each prediction is
+ * corrected for light-time, so the fit reproduces astrometric RA/Dec.
+ *
+ * Observation geometry is handled in the J2000 equatorial frame (the frame
+ * of the RA/Dec); the fitted state is rotated to the ecliptic before it is
+ * turned into the usual orbitalElements.
+ */
+
+const {
+    stateVectorToElements,
+    elementsToStateVector,
+    dateToJulianDate,
+    convertTimescale,
+    eclipticToEquatorial,
+    equatorialToEcliptic,
+    GM_SUN,
+    DEG_TO_RAD
+} = require('./keplerianElements');
+const { getPlanetPosition } = require('./planetaryEphemeris');
+const {
+    observerGeocentricPosition,
+    vectorToRaDec,
+    angleBetween,
+    apparentMagnitude,
+    SPEED_OF_LIGHT_AU_DAY
+} = require('./observerGeometry');
+const { resolveObservatory, GEOCENTER } = require('./observatories');
+
+const ARCSEC_PER_DEGREE = 3600;
+const DEFAULT_SIGMA_ARCSEC = 1.0;      // Weight of observations that carry no uncertainty
+const MIN_OBSERVATIONS = 3;
+const GAUSS_ITERATIONS = 100;
+const MAX_CORRECTION_ITERATIONS = 25;
+const CONVERGENCE_TOLERANCE = 1e-10;   // Relative change of the state between iterations
+const CHI_SQUARE_TOLERANCE = 1e-8;     // Relative χ² reduction still available at convergence
+const DIFFERENCE_STEP = 1e-7;          // Relative step for the numerical partials
+const ROOT_SCAN = { min: 0.05, max: 100, samples: 2000 }; // Heliocentric distances (AU) searched for r2
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const scale = (a, k) => ({ x: a.x * k, y: a.y * k, z: a.z * k });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+});
+const norm = (a) => Math.sqrt(dot(a, a));
+
+const STATE_KEYS = ['x', 'y', 'z', 'vx', 'vy', 'vz'];
+const positionOf = (s) => ({ x: s.x, y: s.y, z: s.z });
+const velocityOf = (s) => ({ x: s.vx, y: s.vy, z: s.vz });
+const toState = (r, v) => ({ x: r.x, y: r.y, z: r.z, vx: v.x, vy: v.y, vz: v.z });
+
+/**
+ * Validate observations and attach the observer's heliocentric position
+ *
+ * @param {Array} observations - [{time | julianDate (UTC), ra, dec (deg), observatory, sigma, magnitude}]
+ * @returns {Array} Prepared observations sorted by time
+ */
+function prepareObservations(observations) {
+    if (!Array.isArray(observations) || observations.length < MIN_OBSERVATIONS) {
+        throw new Error(`At least ${MIN_OBSERVATIONS} observations are required`);
+    }
+
+    const prepared = observations.map((obs, index) => {
+        const julianDate = Number.isFinite(obs.julianDate)
+            ? obs.julianDate
+            : dateToJulianDate(new Date(obs.time));
+        const ra = Number(obs.ra);
+        const dec = Number(obs.dec);
+
+        if (!Number.isFinite(julianDate) || !Number.isFinite(ra) || !Number.isFinite(dec) || Math.abs(dec) > 90) {
+            throw new Error(`Observation ${index + 1} needs a valid time, ra and dec (degrees)`);
+        }
+
+        // Observation times are UTC; the ephemerides run on TDB
+        const jd = convertTimescale(julianDate, 'UTC', 'TDB');
+        const site = resolveObservatory(obs.observatory ?? GEOCENTER);
+        const earth = eclipticToEquatorial(getPlanetPosition('earth', jd));
+        const parallax = site ? observerGeocentricPosition(site, julianDate) : { x: 0, y: 0, z: 0 };
+
+        return {
+            index,
+            julianDate,
+            jd,
+            ra,
+            dec,
+            los: {
+                x: Math.cos(dec * DEG_TO_RAD) * Math.cos(ra * DEG_TO_RAD),
+                y: Math.cos(dec * DEG_TO_RAD) * Math.sin(ra * DEG_TO_RAD),
+                z: Math.sin(dec * DEG_TO_RAD)
+            },
+            observer: add(earth, parallax),
+            observatory: site ? site.code : GEOCENTER,
+            sigma: Number(obs.sigma) > 0 ? Number(obs.sigma) : DEFAULT_SIGMA_ARCSEC,
+            magnitude: Number.isFinite(Number(obs.magnitude)) && obs.magnitude !== null ? Number(obs.magnitude) : null
+        };
+    });
+
+    prepared.sort((a, b) => a.jd - b.jd);
+    if (prepared[prepared.length - 1].jd - prepared[0].jd <= 0) {
+        throw new Error('Observations must span a time interval');
+    }
+
+    return prepared;
+}
+
+/**
+ * Two-body propagation of a heliocentric state
+ */
+function propagate(state, fromJD, toJD) {
+    if (fromJD === toJD) return state;
+    return elementsToStateVector(stateVectorToElements(state, fromJD), toJD);
+}
+
+/**
+ * Light-time corrected topocentric vector of an observation
+ *
+ * @returns {Object} {rho (observer → object), position (object at emission)}
+ */
+function observedGeometry(state, epoch, obs) {
+    let position = positionOf(propagate(state, epoch, obs.jd));
+    let rho = subtract(position, obs.observer);
+
+    for (let i = 0; i < 2; i++) {
+        position = positionOf(propagate(state, epoch, obs.jd - norm(rho) / SPEED_OF_LIGHT_AU_DAY));
+        rho = subtract(position, obs.observer);
+    }
+
+    return { rho, position };
+}
+
+/**
+ * Observed minus computed RA·cos(Dec) and Dec (arcsec) for one observation
+ */
+function residual(state, epoch, obs) {
+    const { ra, dec } = vectorToRaDec(observedGeometry(state, epoch, obs).rho);
+
+    let dRa = obs.ra - ra;
+    if (dRa > 180) dRa -= 360;
+    if (dRa < -180) dRa += 360;
+
+    return {
+        ra: dRa * Math.cos(obs.dec * DEG_TO_RAD) * ARCSEC_PER_DEGREE,
+        dec: (obs.dec - dec) * ARCSEC_PER_DEGREE
+    };
+}
+
+/**
+ * Positive real roots of Gauss's distance polynomial r⁸ + a r⁶ + b r³ + c = 0
+ */
+function distancePolynomialRoots(a, b, c) {
+    const poly = (r) => r ** 8 + a * r ** 6 + b * r ** 3 + c;
+    const ratio = Math.pow(ROOT_SCAN.max / ROOT_SCAN.min, 1 / ROOT_SCAN.samples);
+    const roots = [];
+
+    let r0 = ROOT_SCAN.min;
+    let p0 = poly(r0);
+    for (let i = 1; i <= ROOT_SCAN.samples; i++) {
+        const r1 = r0 * ratio;
+        const p1 = poly(r1);
+
+        if (p0 * p1 < 0) {
+            let lo = r0, hi = r1, pLo = p0;
+            for (let k = 0; k < 100; k++) {
+                const mid = (lo + hi) / 2;
+                const pMid = poly(mid);
+                if (pMid * pLo > 0) {
+                    lo = mid;
+                    pLo = pMid;
+                } else {
+                    hi = mid;
+                }
+            }
+            roots.push((lo + hi) / 2);
+        }
+
+        r0 = r1;
+        p0 = p1;
+    }
+
+    return roots;
+}
+
+/**
+ * Preliminary orbits from three observations by Gauss's method
+ * Each root of the distance polynomial gives a candidate, refined by
+ * iterating the Lagrange coefficients f and g with exact two-body values
+ * and light-time corrected times (Curtis, Algorithms 5.5 and 5.6).
+ *
+ * @param {Object} o1 - First prepared observation
+ * @param {Object} o2 - Middle prepared observation
+ * @param {Object} o3 - Last prepared observation
+ * @returns {Array} Candidates {state (equatorial), epoch (TDB)}
+ */
+function gaussInitialOrbits(o1, o2, o3) {
+    const mu = GM_SUN;
+    const [L1, L2, L3] = [o1.los, o2.los, o3.los];
+    const [R1, R2, R3] = [o1.observer, o2.observer, o3.observer];
+
+    const p1 = cross(L2, L3);
+    const p2 = cross(L1, L3);
+    const p3 = cross(L1, L2);
+    const D0 = dot(L1, p1);
+    if (Math.abs(D0) < 1e-14) return [];
+
+    const D = [R1, R2, R3].map(R => [dot(R, p1), dot(R, p2), dot(R, p3)]);
+    const [[D11, D12, D13], [D21, D22, D23], [D31, D32, D33]] = D;
+
+    const tau1 = o1.jd - o2.jd;
+    const tau3 = o3.jd - o2.jd;
+    const tau = tau3 - tau1;
+
+    const A = (-D12 * tau3 / tau + D22 + D32 * tau1 / tau) / D0;
+    const B = (D12 * (tau3 * tau3 - tau * tau) * tau3 / tau + D32 * (tau * tau - tau1 * tau1) * tau1 / tau) / (6 * D0);
+    const E = dot(R2, L2);
+    const R2sq = dot(R2, R2);
+
+    const roots = distancePolynomialRoots(
+        -(A * A + 2 * A * E + R2sq),
+        -2 * mu * B * (A + E),
+        -mu * mu * B * B
+    );
+
+    const candidates = [];
+    for (const r2 of roots) {
+        const r3 = r2 ** 3;
+
+        let rho1 = ((6 * (D31 * tau1 / tau3 + D21 * tau / tau3) * r3 + mu * D31 * (tau * tau - tau1 * tau1) * tau1 / tau3) /
+            (6 * r3 + mu * (tau * tau - tau3 * tau3)) - D11) / D0;
+        let rho2 = A + mu * B / r3;
+        let rho3 = ((6 * (D13 * tau3 / tau1 - D23 * tau / tau1) * r3 + mu * D13 * (tau * tau - tau3 * tau3) * tau3 / tau1) /
+            (6 * r3 + mu * (tau * tau - tau1 * tau1)) - D33) / D0;
+        if (!(rho1 > 0 && rho2 > 0 && rho3 > 0)) continue;
+
+        // Lagrange coefficients from the series expansion
+        let f1 = 1 - mu * tau1 * tau1 / (2 * r3);
+        let f3 = 1 - mu * tau3 * tau3 / (2 * r3);
+        let g1 = tau1 - mu * tau1 ** 3 / (6 * r3);
+        let g3 = tau3 - mu * tau3 ** 3 / (6 * r3);
+
+        let position = add(R2, scale(L2, rho2));
+        let velocity = scale(subtract(scale(add(R3, scale(L3, rho3)), f1), scale(add(R1, scale(L1, rho1)), f3)), 1 / (f1 * g3 - f3 * g1));
+
+        // A diverging iteration keeps the last good estimate; differential correction refines it
+        for (let k = 0; k < GAUSS_ITERATIONS; k++) {
+            // Emission times of the three observations
+            const t1 = o1.jd - rho1 / SPEED_OF_LIGHT_AU_DAY;
+            const t2 = o2.jd - rho2 / SPEED_OF_LIGHT_AU_DAY;
+            const t3 = o3.jd - rho3 / SPEED_OF_LIGHT_AU_DAY;
+
+            let exact1, exact3;
+            try {
+                const state = toState(position, velocity);
+                exact1 = positionOf(propagate(state, t2, t1));
+                exact3 = positionOf(propagate(state, t2, t3));
+            } catch {
+                break;
+            }
+
+            // Exact f and g: the propagated positions lie in the plane of r2 and v2
+            const rr = dot(position, position);
+            const rv = dot(position, velocity);
+            const vv = dot(velocity, velocity);
+            const det = rr * vv - rv * rv;
+            const lagrange = (r) => ({
+                f: (dot(position, r) * vv - dot(velocity, r) * rv) / det,
+                g: (dot(velocity, r) * rr - dot(position, r) * rv) / det
+            });
+            const c1Exact = lagrange(exact1);
+            const c3Exact = lagrange(exact3);
+
+            const nf1 = (f1 + c1Exact.f) / 2;
+            const ng1 = (g1 + c1Exact.g) / 2;
+            const nf3 = (f3 + c3Exact.f) / 2;
+            const ng3 = (g3 + c3Exact.g) / 2;
+
+            const denominator = nf1 * ng3 - nf3 * ng1;
+            const c1 = ng3 / denominator;
+            const c3 = -ng1 / denominator;
+
+            const next1 = (-D11 + D21 / c1 - D31 * c3 / c1) / D0;
+            const next2 = (-c1 * D12 + D22 - c3 * D32) / D0;
+            const next3 = (-D13 * c1 / c3 + D23 / c3 - D33) / D0;
+
+            const nextVelocity = scale(
+                subtract(scale(add(R3, scale(L3, next3)), nf1), scale(add(R1, scale(L1, next1)), nf3)),
+                1 / denominator
+            );
+            if (!(next1 > 0 && next2 > 0 && next3 > 0) || !Number.isFinite(norm(nextVelocity))) break;
+
+            const change = Math.max(Math.abs(next1 - rho1), Math.abs(next2 - rho2), Math.abs(next3 - rho3));
+            [f1, g1, f3, g3] = [nf1, ng1, nf3, ng3];
+            [rho1, rho2, rho3] = [next1, next2, next3];
+            position = add(R2, scale(L2, rho2));
+            velocity = nextVelocity;
+
+            if (change < 1e-12) break;
+        }
+
+        candidates.push({
+            state: toState(position, velocity),
+            epoch: o2.jd - rho2 / SPEED_OF_LIGHT_AU_DAY
+        });
+    }
+
+    return candidates;
+}
+
+/**
+ * Solve a small dense linear system by Gaussian elimination with partial pivoting
+ */
+function solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const m = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-300) {
+            throw new Error('Normal equations are singular; the observations do not constrain the orbit');
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
+
+/**
+ * Weighted RMS of a set of residuals (arcsec)
+ */
+function weightedRms(residuals, observations) {
+    const sum = residuals.reduce((acc, r, i) => {
+        const w = 1 / observations[i].sigma ** 2;
+        return acc + w * (r.ra ** 2 + r.dec ** 2);
+    }, 0);
+    const weights = observations.reduce((acc, o) => acc + 2 / o.sigma ** 2, 0);
+    return Math.sqrt(sum / weights);
+}
+
+/**
+ * Least-squares differential correction of a heliocentric state
+ * Partials of the predicted RA·cos(Dec) and Dec with respect to the six
+ * state components are taken by central differences; steps that do not
+ * lower the residuals are halved.
+ *
+ * @param {Object} initialState - Equatorial state at the epoch
+ * @param {number} epoch - Epoch (TDB)
+ * @param {Array} observations - Prepared observations
+ * @returns {Object} {state, rms (arcsec), residuals, iterations, converged}
+ */
+function differentialCorrection(initialState, epoch, observations) {
+    let state = { ...initialState };
+    let residuals = observations.map(obs => residual(state, epoch, obs));
+    let rms = weightedRms(residuals, observations);
+    let converged = false;
+    let iterations = 0;
+
+    while (iterations < MAX_CORRECTION_ITERATIONS && !converged) {
+        iterations++;
+
+        // Parameters are scaled by |r| and |v| to keep the normal matrix well conditioned
+        const scales = [0, 1, 2].map(() => norm(positionOf(state)))
+            .concat([0, 1, 2].map(() => norm(velocityOf(state))));
+
+        const columns = STATE_KEYS.map((key, j) => {
+            const h = DIFFERENCE_STEP * scales[j];
+            const plus = observations.map(obs => residual({ ...state, [key]: state[key] + h }, epoch, obs));
+            const minus = observations.map(obs => residual({ ...state, [key]: state[key] - h }, epoch, obs));
+
+            // ∂(computed)/∂p = −∂(O−C)/∂p, per unit of the scaled parameter
+            return observations.flatMap((obs, i) => [
+                -(plus[i].ra - minus[i].ra) / (2 * DIFFERENCE_STEP) / obs.sigma,
+                -(plus[i].dec - minus[i].dec) / (2 * DIFFERENCE_STEP) / obs.sigma
+            ]);
+        });
+        const weighted = observations.flatMap((obs, i) => [residuals[i].ra / obs.sigma, residuals[i].dec / obs.sigma]);
+
+        const normal = columns.map(a => columns.map(b => a.reduce((sum, v, k) => sum + v * b[k], 0)));
+        const rhs = columns.map(a => a.reduce((sum, v, k) => sum + v * weighted[k], 0));
+        const scaledStep = solveLinearSystem(normal, rhs);
+        const step = scaledStep.map((du, j) => du * scales[j]);
+
+        // Linearized χ² reduction of the full Gauss-Newton step
+        const chiSquare = weighted.reduce((sum, w) => sum + w * w, 0);
+        const predictedDecrease = scaledStep.reduce((sum, du, j) => sum + du * rhs[j], 0);
+
+        let accepted = false;
+        for (let factor = 1; factor > 1e-3; factor /= 2) {
+            const trial = {};
+            STATE_KEYS.forEach((key, j) => { trial[key] = state[key] + factor * step[j]; });
+
+            let trialResiduals;
+            try {
+                trialResiduals = observations.map(obs => residual(trial, epoch, obs));
+            } catch {
+                continue;
+            }
+            const trialRms = weightedRms(trialResiduals, observations);
+
+            if (Number.isFinite(trialRms) && trialRms <= rms * (1 + 1e-9)) {
+                // Converged once the state stops moving, or the step can no longer lower χ² appreciably
+                const change = Math.max(...step.map((s, j) => Math.abs(factor * s) / scales[j]));
+                converged = change < CONVERGENCE_TOLERANCE || predictedDecrease < CHI_SQUARE_TOLERANCE * chiSquare;
+                state = trial;
+                residuals = trialResiduals;
+                rms = trialRms;
+                accepted = true;
+                break;
+            }
+        }
+
+        // No step improves the fit: the state is at the least-squares minimum
+        if (!accepted) {
+            converged = true;
+        }
+    }
+
+    return { state, rms, residuals, iterations, converged };
+}
+
+/**
+ * Absolute magnitude from the reported magnitudes of a fitted orbit
+ */
+function estimateAbsoluteMagnitude(state, epoch, observations) {
+    const estimates = observations
+        .filter(obs => obs.magnitude !== null)
+        .map(obs => {
+            const { rho, position } = observedGeometry(state, epoch, obs);
+            const phase = angleBetween(scale(position, -1), scale(rho, -1));
+            return obs.magnitude - apparentMagnitude(0, null, norm(position), norm(rho), phase);
+        })
+        .filter(Number.isFinite);
+
+    if (estimates.length === 0) return null;
+    return estimates.reduce((sum, h) => sum + h, 0) / estimates.length;
+}
+
+/**
+ * Determine a heliocentric orbit from astrometric observations
+ *
+ * @param {Array} observations - [{time | julianDate (UTC), ra, dec (deg, J2000), observatory
+ *        (MPC code or {latitude, longitude, elevation}), sigma (arcsec), magnitude}]
+ * @returns {Object} {method, orbitalElements, absoluteMagnitude, fit, residuals}
+ */
+function determineOrbit(observations) {
+    const prepared = prepareObservations(observations);
+    const first = prepared[0];
+    const last = prepared[prepared.length - 1];
+    const midTime = (first.jd + last.jd) / 2;
+
+    // Gauss's truncated f and g series fail over long arcs of close objects,
+    // so fall back to ever shorter leading sub-arcs until it yields an orbit
+    let candidates = [];
+    let subArc = prepared;
+    for (let span = last.jd - first.jd; candidates.length === 0; span /= 2) {
+        subArc = prepared.filter(obs => obs.jd - first.jd <= span);
+        if (subArc.length < MIN_OBSERVATIONS) break;
+
+        // Middle observation: the one closest to the centre of the sub-arc
+        const end = subArc[subArc.length - 1];
+        const centre = (first.jd + end.jd) / 2;
+        const middle = subArc.slice(1, -1).reduce(
+            (best, obs) => (Math.abs(obs.jd - centre) < Math.abs(best.jd - centre) ? obs : best),
+            subArc[1]
+        );
+        candidates = gaussInitialOrbits(first, middle, end);
+    }
+    if (candidates.length === 0) {
+        throw new Error("Gauss's method found no preliminary orbit for these observations");
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+        let solution;
+        try {
+            // Settle the orbit on the sub-arc first, then extend it to every observation
+            const preliminary = subArc.length < prepared.length
+                ? differentialCorrection(candidate.state, candidate.epoch, subArc).state
+                : candidate.state;
+            solution = differentialCorrection(preliminary, candidate.epoch, prepared);
+        } catch {
+            continue;
+        }
+        if (!Number.isFinite(solution.rms)) continue;
+        if (!best || solution.rms < best.solution.rms) {
+            best = { candidate, solution };
+        }
+    }
+    if (!best) {
+        throw new Error('Differential correction failed for every preliminary orbit');
+    }
+
+    const { candidate, solution } = best;
+
+    // Report at the 0h TDB epoch nearest the middle of the arc
+    const epoch = Math.round(midTime - 0.5) + 0.5;
+    const equatorial = propagate(solution.state, candidate.epoch, epoch);
+    const ecliptic = {
+        ...equatorialToEcliptic(positionOf(equatorial)),
+        ...equatorialToEcliptic({ vx: equatorial.vx, vy: equatorial.vy, vz: equatorial.vz })
+    };
+
+    return {
+        method: 'gauss',
+        orbitalElements: stateVectorToElements(ecliptic, epoch),
+        absoluteMagnitude: estimateAbsoluteMagnitude(solution.state, candidate.epoch, prepared),
+        fit: {
+            rms: solution.rms,
+            iterations: solution.iterations,
+            converged: solution.converged,
+            observationCount: prepared.length,
+            arcDays: last.jd - first.jd,
+            preliminaryOrbits: candidates.length
+        },
+        residuals: prepared.map((obs, i) => ({
+            index: obs.index,
+            julianDate: obs.julianDate,
+            observatory: obs.observatory,
+            ra: obs.ra,
+            dec: obs.dec,
+            residualRa: solution.residuals[i].ra,
+            residualDec: solution.residuals[i].dec
+        }))
+    };
+}
+
+module.exports = {
+    determineOrbit,
+    gaussInitialOrbits,
+    differentialCorrection,
+    prepareObservations,
+    MIN_OBSERVATIONS
+};
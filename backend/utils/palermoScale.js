@@ -0,0 +1,118 @@
+/**
+ * Palermo Scale Calculator
+ *
+ * Palermo Technical Impact Hazard Scale (Chesley et al. 2002): the impact
+ * probability of a potential impact compared with the background risk of
+ * an impact at least as energetic before that date.
+ *
+ *   PS = log10(R),  R = p / (fB · T)
+ *
+ * p is the impact probability, T the years until the potential impact and
+ * fB = 0.03 E^(-4/5) the annual background frequency of impacts with energy
+ * E (megatons TNT) or more. The cumulative value sums R over every
+ * potential impact of an object; the maximum is the largest single PS.
+ * Unlike the Torino scale it is continuous, so objects can be ranked on it.
+ */
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+const MIN_YEARS_TO_IMPACT = 1 / 365.25;  // T below one day is taken as one day
+
+// Interpretation bands used by the CNEOS Sentry risk table
+const PALERMO_BANDS = [
+    { min: 0, zone: 'Merits Concern', description: 'The potential impact is more likely than the background hazard over the same interval.' },
+    { min: -2, zone: 'Merits Monitoring', description: 'Careful monitoring is warranted until further observations resolve the potential impact.' },
+    { min: -Infinity, zone: 'No Likely Consequence', description: 'The potential impact is far less likely than the background hazard.' }
+];
+
+/**
+ * Annual frequency of impacts at least as energetic as E
+ *
+ * @param {number} energyMT - Impact energy in megatons TNT
+ * @returns {number} Impacts per year
+ */
+function backgroundImpactFrequency(energyMT) {
+    if (!(energyMT > 0)) {
+        throw new Error('Energy must be positive');
+    }
+    return 0.03 * Math.pow(energyMT, -0.8);
+}
+
+/**
+ * Palermo scale value of a single potential impact
+ *
+ * @param {number} impactProbability - Probability of impact (0-1)
+ * @param {number} energyMT - Impact energy in megatons TNT
+ * @param {number} yearsToImpact - Time until the potential impact (years)
+ * @returns {Object} {value, riskRatio, backgroundFrequency, yearsToImpact}; value is null when p = 0
+ */
+function calculatePalermoScale(impactProbability, energyMT, yearsToImpact) {
+    if (impactProbability < 0 || impactProbability > 1) {
+        throw new Error('Impact probability must be between 0 and 1');
+    }
+
+    const years = Math.max(yearsToImpact, MIN_YEARS_TO_IMPACT);
+    const backgroundFrequency = backgroundImpactFrequency(energyMT);
+    const riskRatio = impactProbability / (backgroundFrequency * years);
+
+    return {
+        value: riskRatio > 0 ? Math.log10(riskRatio) : null,
+        riskRatio,
+        backgroundFrequency,
+        yearsToImpact: years
+    };
+}
+
+/**
+ * Cumulative and maximum Palermo scale over an object's potential impacts
+ *
+ * @param {Array<Object>} impacts - [{probability, energyMT, date}]
+ * @param {Date} referenceDate - Date the times to impact are measured from (default now)
+ * @returns {Object} {cumulative, maximum, zone, description, impacts}; values are null without a potential impact
+ */
+function calculateCumulativePalermo(impacts, referenceDate = new Date()) {
+    const rated = impacts
+        .filter(impact => impact.probability > 0)
+        .map(impact => {
+            const date = new Date(impact.date);
+            const yearsToImpact = (date.getTime() - referenceDate.getTime()) / MS_PER_YEAR;
+            return {
+                date: date.toISOString(),
+                probability: impact.probability,
+                energyMT: impact.energyMT,
+                ...calculatePalermoScale(impact.probability, impact.energyMT, yearsToImpact)
+            };
+        });
+
+    const totalRatio = rated.reduce((sum, impact) => sum + impact.riskRatio, 0);
+    const cumulative = totalRatio > 0 ? Math.log10(totalRatio) : null;
+    const maximum = rated.length > 0 ? Math.max(...rated.map(impact => impact.value)) : null;
+
+    return {
+        cumulative,
+        maximum,
+        ...interpretPalermo(cumulative),
+        impacts: rated
+    };
+}
+
+/**
+ * Interpretation band of a Palermo scale value
+ *
+ * @param {number|null} value - Palermo scale value
+ * @returns {Object} {zone, description}
+ */
+function interpretPalermo(value) {
+    if (value === null || value === undefined) {
+        return { zone: 'No Potential Impacts', description: 'No potential impacts were found.' };
+    }
+    const { zone, description } = PALERMO_BANDS.find(band => value >= band.min);
+    return { zone, description };
+}
+
+module.exports = {
+    backgroundImpactFrequency,
+    calculatePalermoScale,
+    calculateCumulativePalermo,
+    interpretPalermo,
+    PALERMO_BANDS
+};
@@ -0,0 +1,245 @@
+/**
+ * Planetary Ephemeris - Approximate Positions of the Major Planets
+ *
+ * Time-varying Keplerian elements for Mercury through Neptune from
+ * E.M. Standish, "Keplerian Elements for Approximate Positions of the
+ * Major Planets" (JPL, Table 1 - valid 1800 AD to 2050 AD).
+ * Elements are referenced to the mean ecliptic and equinox of J2000.
+ */
+
+const {
+    keplerToCartesian,
+    calculateVelocity,
+    getMoonPosition,
+    EARTH_MASS_RATIO,
+    MOON_MASS_RATIO,
+    JUPITER_MASS_RATIO
+} = require('./keplerianElements');
+
+const J2000 = 2451545.0;
+const DAYS_PER_CENTURY = 36525;
+
+/**
+ * Elements at J2000 and their rates per Julian century
+ * a (AU), e, I (deg), L - mean longitude (deg),
+ * varpi - longitude of perihelion (deg), node - longitude of ascending node (deg)
+ *
+ * Earth's entry describes the Earth-Moon barycenter.
+ */
+const PLANETS = {
+    mercury: {
+        elements: { a: 0.38709927, e: 0.20563593, I: 7.00497902, L: 252.25032350, varpi: 77.45779628, node: 48.33076593 },
+        rates: { a: 0.00000037, e: 0.00001906, I: -0.00594749, L: 149472.67411175, varpi: 0.16047689, node: -0.12534081 },
+        massRatio: 1.66011416e-7,
+        radiusKm: 2439.7
+    },
+    venus: {
+        elements: { a: 0.72333566, e: 0.00677672, I: 3.39467605, L: 181.97909950, varpi: 131.60246718, node: 76.67984255 },
+        rates: { a: 0.00000390, e: -0.00004107, I: -0.00078890, L: 58517.81538729, varpi: 0.00268329, node: -0.27769418 },
+        massRatio: 2.44783833e-6,
+        radiusKm: 6051.8
+    },
+    earth: {
+        elements: { a: 1.00000261, e: 0.01671123, I: -0.00001531, L: 100.46457166, varpi: 102.93768193, node: 0.0 },
+        rates: { a: 0.00000562, e: -0.00004392, I: -0.01294668, L: 35999.37244981, varpi: 0.32327364, node: 0.0 },
+        massRatio: EARTH_MASS_RATIO,
+        radiusKm: 6371.0
+    },
+    mars: {
+        elements: { a: 1.52371034, e: 0.09339410, I: 1.84969142, L: -4.55343205, varpi: -23.94362959, node: 49.55953891 },
+        rates: { a: 0.00001847, e: 0.00007882, I: -0.00813131, L: 19140.30268499, varpi: 0.44441088, node: -0.29257343 },
+        massRatio: 3.22715144e-7,
+        radiusKm: 3389.5
+    },
+    jupiter: {
+        elements: { a: 5.20288700, e: 0.04838624, I: 1.30439695, L: 34.39644051, varpi: 14.72847983, node: 100.47390909 },
+        rates: { a: -0.00011607, e: -0.00013253, I: -0.00183714, L: 3034.74612775, varpi: 0.21252668, node: 0.20469106 },
+        massRatio: JUPITER_MASS_RATIO,
+        radiusKm: 69911
+    },
+    saturn: {
+        elements: { a: 9.53667594, e: 0.05386179, I: 2.48599187, L: 49.95424423, varpi: 92.59887831, node: 113.66242448 },
+        rates: { a: -0.00125060, e: -0.00050991, I: 0.00193609, L: 1222.49362201, varpi: -0.41897216, node: -0.28867794 },
+        massRatio: 2.85885980e-4,
+        radiusKm: 58232
+    },
+    uranus: {
+        elements: { a: 19.18916464, e: 0.04725744, I: 0.77263783, L: 313.23810451, varpi: 170.95427630, node: 74.01692503 },
+        rates: { a: -0.00196176, e: -0.00004397, I: -0.00242939, L: 428.48202785, varpi: 0.40805281, node: 0.04240589 },
+        massRatio: 4.36624404e-5,
+        radiusKm: 25362
+    },
+    neptune: {
+        elements: { a: 30.06992276, e: 0.00859048, I: 1.77004347, L: -55.12002969, varpi: 44.96476227, node: 131.78422574 },
+        rates: { a: 0.00026291, e: 0.00005105, I: 0.00035372, L: 218.45945325, varpi: -0.32241464, node: -0.00508664 },
+        massRatio: 5.15138902e-5,
+        radiusKm: 24622
+    }
+};
+
+const PLANET_NAMES = Object.keys(PLANETS);
+
+// Fraction of the Earth-Moon barycenter offset carried by Earth
+const EARTH_MOON_MASS_FRACTION = MOON_MASS_RATIO / (EARTH_MASS_RATIO + MOON_MASS_RATIO);
+
+/**
+ * Normalize an angle to [0, 360) degrees
+ */
+function normalizeDegrees(angle) {
+    const result = angle % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+/**
+ * Look up a planet definition by name
+ */
+function getPlanet(name) {
+    const planet = PLANETS[String(name).toLowerCase()];
+    if (!planet) {
+        throw new Error(`Unknown planet: ${name}`);
+    }
+    return planet;
+}
+
+/**
+ * Get osculating orbital elements of a planet at a given date
+ * Returned in the same structure used for asteroids, with the epoch
+ * set to the requested date.
+ *
+ * @param {string} name - Planet name (mercury ... neptune)
+ * @param {number} jd - Julian Date
+ * @returns {Object} Orbital elements
+ */
+function getPlanetElements(name, jd) {
+    const { elements, rates } = getPlanet(name);
+    const T = (jd - J2000) / DAYS_PER_CENTURY;
+
+    const a = elements.a + rates.a * T;
+    const e = elements.e + rates.e * T;
+    const I = elements.I + rates.I * T;
+    const L = elements.L + rates.L * T;
+    const varpi = elements.varpi + rates.varpi * T;
+    const node = elements.node + rates.node * T;
+
+    return {
+        semiMajorAxis: a,
+        eccentricity: e,
+        inclination: I,
+        longitudeAscNode: normalizeDegrees(node),
+        argPerihelion: normalizeDegrees(varpi - node),
+        meanAnomaly: normalizeDegrees(L - varpi),
+        epoch: jd
+    };
+}
+
+/**
+ * Get heliocentric ecliptic position of a planet
+ * Earth is corrected from the Earth-Moon barycenter using the lunar position.
+ *
+ * @param {string} name - Planet name
+ * @param {number} jd - Julian Date
+ * @returns {Object} Position {x, y, z} in AU
+ */
+function getPlanetPosition(name, jd) {
+    const pos = keplerToCartesian(getPlanetElements(name, jd), jd);
+
+    if (String(name).toLowerCase() !== 'earth') {
+        return pos;
+    }
+
+    const moon = getMoonPosition(jd);
+    return {
+        x: pos.x - moon.x * EARTH_MOON_MASS_FRACTION,
+        y: pos.y - moon.y * EARTH_MOON_MASS_FRACTION,
+        z: pos.z - moon.z * EARTH_MOON_MASS_FRACTION
+    };
+}
+
+/**
+ * Get heliocentric ecliptic velocity of a planet
+ *
+ * @param {string} name - Planet name
+ * @param {number} jd - Julian Date
+ * @returns {Object} Velocity {vx, vy, vz} in AU/day
+ */
+function getPlanetVelocity(name, jd) {
+    const vel = calculateVelocity(getPlanetElements(name, jd), jd);
+
+    if (String(name).toLowerCase() !== 'earth') {
+        return vel;
+    }
+
+    // Lunar reflex velocity from a central difference of the Moon's offset
+    const h = 0.01; // days
+    const before = getMoonPosition(jd - h);
+    const after = getMoonPosition(jd + h);
+    return {
+        vx: vel.vx - (after.x - before.x) / (2 * h) * EARTH_MOON_MASS_FRACTION,
+        vy: vel.vy - (after.y - before.y) / (2 * h) * EARTH_MOON_MASS_FRACTION,
+        vz: vel.vz - (after.z - before.z) / (2 * h) * EARTH_MOON_MASS_FRACTION
+    };
+}
+
+/**
+ * Get heliocentric ecliptic positions of all eight planets
+ *
+ * @param {number} jd - Julian Date
+ * @returns {Object} Map of planet name to position {x, y, z} in AU
+ */
+function getAllPlanetPositions(jd) {
+    const positions = {};
+    for (const name of PLANET_NAMES) {
+        positions[name] = getPlanetPosition(name, jd);
+    }
+    return positions;
+}
+
+/**
+ * Get the heliocentric ecliptic state of the solar-system barycenter
+ * The Earth and Moon enter as their barycenter with their combined mass.
+ *
+ * @param {number} jd - Julian Date
+ * @returns {Object} State {x, y, z, vx, vy, vz} in AU and AU/day
+ */
+function getBarycenterState(jd) {
+    const state = { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0 };
+    let totalMass = 1;
+
+    for (const name of PLANET_NAMES) {
+        const elements = getPlanetElements(name, jd);
+        const pos = keplerToCartesian(elements, jd);
+        const vel = calculateVelocity(elements, jd);
+        const mass = name === 'earth' ? EARTH_MASS_RATIO + MOON_MASS_RATIO : getPlanetMassRatio(name);
+
+        state.x += mass * pos.x;
+        state.y += mass * pos.y;
+        state.z += mass * pos.z;
+        state.vx += mass * vel.vx;
+        state.vy += mass * vel.vy;
+        state.vz += mass * vel.vz;
+        totalMass += mass;
+    }
+
+    for (const key of Object.keys(state)) {
+        state[key] /= totalMass;
+    }
+    return state;
+}
+
+/**
+ * Get the mass ratio (relative to the Sun) of a planet
+ */
+function getPlanetMassRatio(name) {
+    return getPlanet(name).massRatio;
+}
+
+module.exports = {
+    getPlanetElements,
+    getPlanetPosition,
+    getPlanetVelocity,
+    getAllPlanetPositions,
+    getPlanetMassRatio,
+    getBarycenterState,
+    PLANETS,
+    PLANET_NAMES
+};
@@ -0,0 +1,112 @@
+/**
+ * Seedable Random Numbers
+ *
+ * xoshiro128** generator seeded through SplitMix32, for simulations that
+ * have to be rerun with identical results. A (seed, stream) pair always
+ * yields the same sequence, so work split into numbered chunks draws the
+ * same numbers whichever thread, and in whichever order, runs each chunk.
+ */
+
+const crypto = require('crypto');
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * SplitMix32 step, used to expand a seed into generator state
+ */
+function splitMix32(state) {
+    let z = (state + 0x9E3779B9) >>> 0;
+    const next = z;
+    z = Math.imul(z ^ (z >>> 16), 0x85EBCA6B);
+    z = Math.imul(z ^ (z >>> 13), 0xC2B2AE35);
+    return { next, value: (z ^ (z >>> 16)) >>> 0 };
+}
+
+/**
+ * Create a generator
+ *
+ * @param {number} seed - Unsigned 32-bit integer
+ * @param {number} stream - Independent stream number, e.g. a chunk index (default 0)
+ * @returns {Object} {seed, stream, nextUint32(), uniform(), normal(mean, stdDev)}
+ */
+function createRandom(seed, stream = 0) {
+    if (!isValidSeed(seed)) {
+        throw new Error(`Seed must be an integer from 0 to ${MAX_SEED}`);
+    }
+
+    // Mix the stream number into the seed before expanding it
+    let state = (seed ^ Math.imul(stream + 1, 0x27D4EB2F)) >>> 0;
+    const s = new Uint32Array(4);
+    for (let k = 0; k < 4; k++) {
+        const step = splitMix32(state);
+        state = step.next;
+        s[k] = step.value;
+    }
+
+    function nextUint32() {
+        const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = rotl(s[3], 11);
+
+        return result;
+    }
+
+    // Uniform on [0, 1) with 53 random bits
+    function uniform() {
+        const high = nextUint32() >>> 5;
+        const low = nextUint32() >>> 6;
+        return (high * 67108864 + low) / 9007199254740992;
+    }
+
+    // Normal deviate (Box-Muller); 1 - u keeps the logarithm finite
+    function normal(mean = 0, stdDev = 1) {
+        const u1 = 1 - uniform();
+        const u2 = uniform();
+        const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        return mean + z * stdDev;
+    }
+
+    return { seed, stream, nextUint32, uniform, normal };
+}
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * New random seed for a run that did not ask for one
+ */
+function randomSeed() {
+    return crypto.randomInt(0, MAX_SEED + 1);
+}
+
+/**
+ * Seed for one item of a seeded set of runs, e.g. one asteroid of a batch
+ * Depends only on the set's seed and the item's number, so an item gets the
+ * same seed however the set is split or resumed.
+ *
+ * @param {number} seed - Seed of the set
+ * @param {number} index - Item number
+ * @returns {number} Item seed
+ */
+function deriveSeed(seed, index) {
+    return createRandom(seed, index).nextUint32();
+}
+
+function isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+module.exports = {
+    createRandom,
+    randomSeed,
+    deriveSeed,
+    isValidSeed,
+    MAX_SEED
+};
@@ -1,12 +1,18 @@
 /**
  * Risk Engine - Advanced Impact Risk Assessment
  * 
- * Integrates Monte Carlo probability simulations, Torino Scale calculations,
- * and multi-factor risk scoring for comprehensive asteroid threat assessment.
+ * Integrates Monte Carlo probability simulations, Torino and Palermo Scale
+ * calculations, and multi-factor risk scoring for comprehensive asteroid
+ * threat assessment.
  */
 
-const { runSimulation, runExtendedSimulation, estimateImpactEnergy } = require('./monteCarloSimulator');
+const { runExtendedSimulation, estimateImpactEnergy } = require('./monteCarloSimulator');
+const { runSimulationInPool, runLineOfVariationsInPool } = require('./simulationPool');
 const { calculateTorinoScale, calculateFromParameters, getScaleColor } = require('./torinoScale');
+const { calculateCumulativePalermo } = require('./palermoScale');
+const { deriveSeed } = require('./random');
+
+const EARTH_ESCAPE_VELOCITY_KMS = 11.186;
 
 // Risk score weights
 const WEIGHTS = {
@@ -74,12 +80,26 @@ function calculateProximityScore(distanceKm) {
  * Comprehensive risk assessment with Monte Carlo simulation
  * 
  * @param {Object} options - Assessment options
- * @param {Object} options.asteroid - Asteroid data with orbital elements
+ * @param {Object} options.asteroid - Asteroid data with orbital elements (and covariance, if known)
  * @param {Date} options.encounterDate - Close approach date
  * @param {number} options.numSimulations - Monte Carlo iterations (default 5000)
+ * @param {string} options.samplingMode - 'monte-carlo' (default) or 'lov' (line of variations)
+ * @param {Object} options.lovOptions - {numPoints, sigmaMax} for the LOV mode
+ * @param {number} options.seed - Monte Carlo seed, to rerun an earlier assessment (optional)
+ * @param {Function} options.onProgress - Called with the fraction of the simulation done (optional)
+ * @param {AbortSignal} options.signal - Cancels the simulation (optional)
  * @returns {Object} Complete risk assessment
  */
-async function assessRisk({ asteroid, encounterDate, numSimulations = 5000 }) {
+async function assessRisk({
+  asteroid,
+  encounterDate,
+  numSimulations = 5000,
+  samplingMode = 'monte-carlo',
+  lovOptions = {},
+  seed,
+  onProgress,
+  signal
+}) {
   const startTime = Date.now();
 
   // Extract data
@@ -89,6 +109,7 @@ async function assessRisk({ asteroid, encounterDate, numSimulations = 5000 }) {
     diameter,
     absoluteMagnitude,
     orbitalElements,
+    covariance,
     missDistanceKm,
     relativeVelocity = 15 // Default relative velocity km/s
   } = asteroid;
@@ -103,15 +124,30 @@ async function assessRisk({ asteroid, encounterDate, numSimulations = 5000 }) {
   let monteCarloResult = null;
   if (orbitalElements && encounterDate) {
     try {
-      monteCarloResult = runSimulation({
-        orbitalElements,
-        encounterDate,
-        numSimulations
-      });
+      monteCarloResult = samplingMode === 'lov'
+        ? await runLineOfVariationsInPool({
+          orbitalElements,
+          encounterDate,
+          covariance,
+          ...lovOptions,
+          onProgress,
+          signal
+        })
+        : await runSimulationInPool({
+          orbitalElements,
+          encounterDate,
+          numSimulations,
+          covariance,
+          seed,
+          onProgress,
+          signal
+        });
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('Monte Carlo simulation failed:', error.message);
     }
   }
+  onProgress?.(1);
 
   // Impact energy estimation
   const energyEstimate = estimateImpactEnergy(
@@ -127,6 +163,20 @@ async function assessRisk({ asteroid, encounterDate, numSimulations = 5000 }) {
     velocity: relativeVelocity
   });
 
+  // Palermo Scale over the potential impacts: the virtual impactors of a
+  // LOV search (each at its own date and speed) or the Monte Carlo encounter
+  const potentialImpacts = samplingMode === 'lov'
+    ? (monteCarloResult?.virtualImpactors ?? []).map(vi => ({
+      probability: vi.probability,
+      energyMT: estimateImpactEnergy(
+        estimatedDiameter,
+        Math.hypot(vi.vInfinityKmS, EARTH_ESCAPE_VELOCITY_KMS)
+      ).energyMegatons,
+      date: vi.date
+    }))
+    : [{ probability: impactProbability, energyMT: energyEstimate.energyMegatons, date: encounterDate }];
+  const palermoResult = calculateCumulativePalermo(potentialImpacts);
+
   // Calculate comprehensive risk score
   const comprehensiveScore = calculateComprehensiveScore({
     isPHA: isHazardous || isPHA,
@@ -156,13 +206,25 @@ async function assessRisk({ asteroid, encounterDate, numSimulations = 5000 }) {
       recommendation: torinoResult.recommendation
     },
 
+    // Palermo Scale
+    palermoScale: palermoResult,
+
     // Monte Carlo Results
     monteCarlo: monteCarloResult ? {
+      mode: samplingMode,
       impactProbability: monteCarloResult.impactProbability,
       closeApproachProbability: monteCarloResult.closeApproachProbability,
       statistics: monteCarloResult.statistics,
-      simulations: numSimulations,
-      simulationTime: monteCarloResult.simulationTime
+      simulations: samplingMode === 'lov' ? monteCarloResult.lov.points : monteCarloResult.sampleCount,
+      seed: monteCarloResult.seed ?? null,
+      engineVersion: monteCarloResult.engineVersion,
+      uncertaintyModel: monteCarloResult.uncertaintyModel,
+      covarianceEpoch: monteCarloResult.covarianceEpoch,
+      simulationTime: monteCarloResult.simulationTime,
+      ...(samplingMode === 'lov' && {
+        virtualImpactors: monteCarloResult.virtualImpactors,
+        lov: monteCarloResult.lov
+      })
     } : null,
 
     // Energy Estimate
@@ -227,28 +289,43 @@ function estimateDiameter(absoluteMagnitude) {
 /**
  * Batch risk assessment for multiple asteroids
  * @param {Array} asteroids - Array of asteroid objects
+ * @param {Object} options - {seed, indices, signal, onResult(assessment, index)}; all optional.
+ *        Each asteroid's seed is derived from seed and its index in indices (default its
+ *        position), so a resumed batch passes the original positions of the remaining items
  * @returns {Array} Risk assessments sorted by score
  */
-async function batchAssessRisk(asteroids) {
+async function batchAssessRisk(asteroids, { seed, indices, signal, onResult } = {}) {
   const assessments = await Promise.all(
-    asteroids.map(async (asteroid) => {
+    asteroids.map(async (asteroid, index) => {
+      let assessment;
       try {
-        return await assessRisk({
+        assessment = await assessRisk({
           asteroid,
           encounterDate: asteroid.closeApproachDate ? new Date(asteroid.closeApproachDate) : new Date(),
-          numSimulations: 1000 // Lower for batch
+          numSimulations: 1000, // Lower for batch
+          seed: seed === undefined ? undefined : deriveSeed(seed, indices?.[index] ?? index),
+          signal
         });
       } catch (error) {
-        return {
+        if (signal?.aborted) throw error;
+        assessment = {
           asteroidName: asteroid.name,
           error: error.message,
           basicScore: calculateRiskScore(asteroid.isHazardous, asteroid.diameter * 1000, asteroid.missDistanceKm)
         };
       }
+      onResult?.(assessment, index);
+      return assessment;
     })
   );
 
-  // Sort by comprehensive score (highest first)
+  return rankAssessments(assessments);
+}
+
+/**
+ * Sort assessments by comprehensive score (highest first)
+ */
+function rankAssessments(assessments) {
   return assessments.sort((a, b) => (b.comprehensiveScore || b.basicScore) - (a.comprehensiveScore || a.basicScore));
 }
 
@@ -259,6 +336,7 @@ module.exports = {
   // Advanced
   assessRisk,
   batchAssessRisk,
+  rankAssessments,
 
   // Utilities
   calculateProximityScore,
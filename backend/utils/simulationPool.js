@@ -0,0 +1,219 @@
+/**
+ * Simulation Worker Pool
+ *
+ * Runs Monte Carlo chunks on worker threads so that large simulations do
+ * not block the event loop. A run is split exactly as runSimulation splits
+ * it, so a seed gives the same numbers here as on the main thread, however
+ * many workers there are.
+ *
+ * Other long analyses hand their independent pieces to the same workers as
+ * typed tasks (see simulationWorker.js) through runTasks.
+ *
+ * Pool size: SIMULATION_WORKERS, or one less than the available cores (max 4).
+ */
+
+const { Worker } = require('worker_threads');
+const os = require('os');
+const path = require('path');
+const {
+    simulationChunks,
+    summarizeSimulation,
+    prepareLineOfVariations,
+    summarizeLineOfVariations,
+    DEFAULT_SIMULATIONS,
+    LOV_CHUNK_SIZE
+} = require('./monteCarloSimulator');
+const { randomSeed, isValidSeed, MAX_SEED } = require('./random');
+
+const WORKER_SCRIPT = path.join(__dirname, 'simulationWorker.js');
+const POOL_SIZE = parseInt(process.env.SIMULATION_WORKERS) ||
+    Math.max(1, Math.min(os.availableParallelism() - 1, 4));
+
+const idle = [];           // Workers waiting for a task
+const queue = [];          // Tasks waiting for a worker
+const running = new Map(); // Worker -> task
+let workerCount = 0;
+
+/**
+ * Start a worker thread
+ * Idle workers are unref'd so they never keep the process alive.
+ */
+function startWorker() {
+    const worker = new Worker(WORKER_SCRIPT);
+    workerCount++;
+
+    worker.on('message', ({ result, error }) => {
+        const task = running.get(worker);
+        running.delete(worker);
+        if (error) {
+            task.reject(new Error(error));
+        } else {
+            task.resolve(result);
+        }
+        worker.unref();
+        idle.push(worker);
+        dispatch();
+    });
+
+    worker.on('error', (error) => {
+        running.get(worker)?.reject(error);
+        running.delete(worker);
+    });
+
+    worker.on('exit', (code) => {
+        workerCount--;
+        const task = running.get(worker);
+        if (task) {
+            task.reject(new Error(`Simulation worker exited with code ${code}`));
+            running.delete(worker);
+        }
+        const position = idle.indexOf(worker);
+        if (position >= 0) idle.splice(position, 1);
+        dispatch();
+    });
+
+    return worker;
+}
+
+/**
+ * Hand queued tasks to idle workers, starting workers up to the pool size
+ */
+function dispatch() {
+    while (queue.length > 0) {
+        const worker = idle.pop() ?? (workerCount < POOL_SIZE ? startWorker() : null);
+        if (!worker) return;
+
+        const task = queue.shift();
+        running.set(worker, task);
+        worker.ref();
+        worker.postMessage(task.message);
+    }
+}
+
+// Mongoose documents and arrays cannot be posted to a worker
+const plain = (value) => (value === undefined || value === null ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Run a set of tasks on the worker pool
+ *
+ * @param {string} type - Task type handled by simulationWorker.js
+ * @param {Array<Object>} payloads - One message payload per task; must survive structured cloning
+ * @param {Object} options - {onProgress, signal}
+ * @param {Function} options.onProgress - Called with the fraction of tasks done (optional)
+ * @param {AbortSignal} options.signal - Cancels the tasks not yet started (optional)
+ * @returns {Promise<Array>} Task results, in the order of the payloads
+ */
+async function runTasks(type, payloads, { onProgress, signal } = {}) {
+    signal?.throwIfAborted();
+
+    const tasks = payloads.map(payload => ({ message: { type, ...payload } }));
+    let done = 0;
+    const results = tasks.map(task => new Promise((resolve, reject) => {
+        Object.assign(task, { resolve, reject });
+    }).then(result => {
+        onProgress?.(++done / tasks.length);
+        return result;
+    }));
+
+    // On abort, queued tasks are withdrawn; tasks already running finish unobserved
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => {
+            for (const task of tasks) {
+                const position = queue.indexOf(task);
+                if (position >= 0) queue.splice(position, 1);
+            }
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    queue.push(...tasks);
+    dispatch();
+
+    try {
+        return await Promise.race([Promise.all(results), aborted]);
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Run a Monte Carlo simulation on the worker pool
+ * Takes the same options and returns the same result as runSimulation.
+ *
+ * @param {Object} options - Simulation options (see runSimulation)
+ * @param {Function} options.onProgress - Called with the fraction of chunks done (optional)
+ * @param {AbortSignal} options.signal - Cancels the chunks not yet started (optional)
+ * @returns {Promise<Object>} Simulation results, with seed, sampleCount and engineVersion
+ */
+async function runSimulationInPool({
+    numSimulations = DEFAULT_SIMULATIONS,
+    seed = randomSeed(),
+    orbitalElements,
+    encounterDate,
+    uncertainties,
+    covariance = null,
+    returnSamples = false,
+    mapEncounters = null,
+    onProgress,
+    signal
+}) {
+    if (!isValidSeed(seed)) {
+        throw new Error(`Seed must be an integer from 0 to ${MAX_SEED}`);
+    }
+
+    const run = {
+        orbitalElements: plain(orbitalElements),
+        encounterDate,
+        uncertainties: plain(uncertainties),
+        covariance: plain(covariance),
+        seed,
+        returnSamples,
+        mapEncounters,
+        startTime: Date.now()
+    };
+
+    console.log(`Running Monte Carlo simulation with ${numSimulations} samples on ${POOL_SIZE} workers (${covariance ? 'covariance' : 'default uncertainties'}, seed ${seed})...`);
+
+    const chunkResults = await runTasks(
+        'simulate',
+        simulationChunks(numSimulations).map(chunk => ({ run, chunk })),
+        { onProgress, signal }
+    );
+    return summarizeSimulation(run, chunkResults);
+}
+
+/**
+ * Search the line of variations on the worker pool
+ * Takes the same options and returns the same result as runLineOfVariations.
+ *
+ * @param {Object} options - Search options (see runLineOfVariations)
+ * @param {Function} options.onProgress - Called with the fraction of chunks done (optional)
+ * @param {AbortSignal} options.signal - Cancels the chunks not yet started (optional)
+ * @returns {Promise<Object>} Impact probability, virtual impactors and LOV statistics
+ */
+async function runLineOfVariationsInPool({ onProgress, signal, ...options }) {
+    const run = prepareLineOfVariations({
+        ...options,
+        orbitalElements: plain(options.orbitalElements),
+        covariance: plain(options.covariance),
+        uncertainties: plain(options.uncertainties)
+    });
+
+    console.log(`Running line-of-variations search with ${run.numPoints} orbits on ${POOL_SIZE} workers (${run.covariance ? 'covariance' : 'default uncertainties'})...`);
+
+    const chunkResults = await runTasks(
+        'lov',
+        simulationChunks(run.numPoints, LOV_CHUNK_SIZE).map(chunk => ({ run, chunk })),
+        { onProgress, signal }
+    );
+    return summarizeLineOfVariations(run, chunkResults);
+}
+
+module.exports = {
+    runTasks,
+    runSimulationInPool,
+    runLineOfVariationsInPool,
+    POOL_SIZE
+};
@@ -0,0 +1,41 @@
+/**
+ * Simulation Worker
+ *
+ * Worker thread entry point for simulationPool: runs one task per message
+ * and posts its result back.
+ *
+ * Task types:
+ *   simulate   one Monte Carlo chunk (monteCarloSimulator.simulateChunk)
+ *   lov        one chunk of line-of-variations orbits (monteCarloSimulator.mapLineOfVariationsChunk)
+ *   keyholes   the keyhole scan of one follow-on year (keyholeAnalysis.scanKeyholeYear)
+ *   closestApproach   an Earth close-approach search (ephemeris.service.findClosestApproach)
+ */
+
+const { parentPort } = require('worker_threads');
+const { simulateChunk, mapLineOfVariationsChunk } = require('./monteCarloSimulator');
+const { scanKeyholeYear } = require('./keyholeAnalysis');
+
+const TASKS = {
+    simulate: ({ run, chunk }) => {
+        const result = simulateChunk(run, chunk);
+        return { result, transfer: [result.distances.buffer] };
+    },
+    lov: ({ run, chunk }) => ({ result: mapLineOfVariationsChunk(run, chunk) }),
+    keyholes: ({ scan, years }) => ({ result: scanKeyholeYear(scan, years) }),
+    // Loaded on first use, so the other tasks do not bring in the service
+    closestApproach: ({ orbitalElements, startDate, endDate, options }) => ({
+        result: require('../services/ephemeris.service').findClosestApproach(orbitalElements, startDate, endDate, options)
+    })
+};
+
+parentPort.on('message', ({ type, ...payload }) => {
+    try {
+        const task = TASKS[type];
+        if (!task) throw new Error(`Unknown task type: ${type}`);
+
+        const { result, transfer = [] } = task(payload);
+        parentPort.postMessage({ result }, transfer);
+    } catch (error) {
+        parentPort.postMessage({ error: error.message });
+    }
+});
@@ -11,6 +11,7 @@ import Register from "./pages/register";
 import Login from "./pages/login";
 import Chat from "./pages/chat";
 import ControlCenter from "./pages/ControlCenter";
+import Planner from "./pages/planner";
 
 function App() {
   const location = useLocation();
@@ -36,6 +37,7 @@ function App() {
           <Route path="/login" element={<Login />} />
           <Route path="/chat" element={<Chat />} />
           <Route path="/control-center" element={<ControlCenter />} />
+          <Route path="/planner" element={<Planner />} />
         </Routes>
       </main>
 
@@ -0,0 +1,125 @@
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer
+} from "recharts";
+
+const MAX_POINTS = 2000;
+
+// Closed polyline approximating a circle of the given radius
+function circle(radius, segments = 96) {
+  return Array.from({ length: segments + 1 }, (_, i) => {
+    const angle = (2 * Math.PI * i) / segments;
+    return { xi: radius * Math.cos(angle), zeta: radius * Math.sin(angle) };
+  });
+}
+
+const hidden = () => <g />;
+
+const nominalMarker = ({ cx, cy }) => (
+  <path
+    d={`M${cx - 6},${cy} L${cx + 6},${cy} M${cx},${cy - 6} L${cx},${cy + 6}`}
+    stroke="#FFFFFF"
+    strokeWidth={2}
+  />
+);
+
+/*
+  B-plane scatter of the Monte Carlo cloud.
+  Coordinates are plotted in Earth radii with equal scales on both axes,
+  so the Earth disc and the focused capture disc appear as true circles.
+  Keyholes, when given, are marked as lines of constant ζ.
+*/
+export function BPlaneChart({ bPlane, keyholes = [] }) {
+  if (!bPlane?.samples?.length) {
+    return (
+      <div className="h-[420px] flex items-center justify-center text-white/40">
+        No b-plane data
+      </div>
+    );
+  }
+
+  const earthRadius = bPlane.earthRadiusKm;
+  const toRadii = (p) => ({ xi: p.xi / earthRadius, zeta: p.zeta / earthRadius });
+
+  const stride = Math.ceil(bPlane.samples.length / MAX_POINTS);
+  const points = bPlane.samples.filter((_, i) => i % stride === 0);
+  const misses = points.filter(p => !p.impact).map(toRadii);
+  const impacts = points.filter(p => p.impact).map(toRadii);
+  const nominal = [toRadii(bPlane.nominal)];
+  const focused = bPlane.focusedRadiusKm / earthRadius;
+
+  const extent = 1.1 * Math.max(
+    focused,
+    ...points.map(p => Math.abs(p.xi) / earthRadius),
+    ...points.map(p => Math.abs(p.zeta) / earthRadius),
+    Math.abs(nominal[0].xi),
+    Math.abs(nominal[0].zeta)
+  );
+  const domain = [-extent, extent];
+  const tick = (v) => (Math.abs(v) >= 100 ? v.toFixed(0) : v.toFixed(1));
+
+  return (
+    <ResponsiveContainer width="100%" aspect={1}>
+      <ScatterChart margin={{ top: 10, right: 10, bottom: 20, left: 10 }}>
+        <XAxis
+          type="number"
+          dataKey="xi"
+          domain={domain}
+          tickFormatter={tick}
+          stroke="#9CA3AF"
+          allowDataOverflow
+          label={{ value: "ξ (R⊕)", position: "insideBottom", offset: -10, fill: "#9CA3AF" }}
+        />
+        <YAxis
+          type="number"
+          dataKey="zeta"
+          domain={domain}
+          tickFormatter={tick}
+          stroke="#9CA3AF"
+          allowDataOverflow
+          label={{ value: "ζ (R⊕)", angle: -90, position: "insideLeft", fill: "#9CA3AF" }}
+        />
+        <ZAxis range={[12, 12]} />
+        <ReferenceLine x={0} stroke="rgba(255,255,255,0.15)" />
+        <ReferenceLine y={0} stroke="rgba(255,255,255,0.15)" />
+        {keyholes.map(k => (
+          <ReferenceLine
+            key={`${k.resonance}-${k.zeta}`}
+            y={k.zeta / earthRadius}
+            stroke="#ff4d4d"
+            strokeDasharray="2 4"
+            label={{ value: k.resonance, position: "right", fill: "#ff4d4d", fontSize: 10 }}
+          />
+        ))}
+
+        <Tooltip
+          cursor={false}
+          contentStyle={{
+            background: "#0B0B0B",
+            border: "1px solid rgba(255,255,255,0.15)",
+            borderRadius: 8
+          }}
+          formatter={(value, name) => [`${value.toFixed(2)} R⊕`, name]}
+        />
+
+        <Scatter name="Earth" data={circle(1)} line={{ stroke: "#38bdf8", strokeWidth: 2 }} shape={hidden} isAnimationActive={false} />
+        <Scatter
+          name="Capture cross-section"
+          data={circle(focused)}
+          line={{ stroke: "#38bdf8", strokeWidth: 1, strokeDasharray: "4 4" }}
+          shape={hidden}
+          isAnimationActive={false}
+        />
+        <Scatter name="Miss" data={misses} fill="#FFB089" fillOpacity={0.6} isAnimationActive={false} />
+        <Scatter name="Impact" data={impacts} fill="#ff4d4d" isAnimationActive={false} />
+        <Scatter name="Nominal" data={nominal} shape={nominalMarker} isAnimationActive={false} />
+      </ScatterChart>
+    </ResponsiveContainer>
+  );
+}
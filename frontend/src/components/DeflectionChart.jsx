@@ -0,0 +1,66 @@
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from "recharts";
+
+const HOURS = 3600 * 1000;
+
+/*
+  Earth distance of the nominal and deflected orbits through the encounter.
+  Time is in hours from the nominal closest approach and distance in Earth
+  radii, so the Earth's surface is the line at 1.
+*/
+export function DeflectionChart({ plan }) {
+  const earthRadius = plan.encounter.earthRadiusKm;
+  const encounterTime = new Date(plan.encounter.nominal.date).getTime();
+
+  const data = plan.trajectory.map(point => ({
+    hours: (new Date(point.date).getTime() - encounterTime) / HOURS,
+    nominal: point.nominalDistanceKm / earthRadius,
+    deflected: point.deflectedDistanceKm / earthRadius,
+  }));
+
+  return (
+    <ResponsiveContainer width="100%" height={320}>
+      <LineChart data={data} margin={{ top: 10, right: 10, bottom: 20, left: 10 }}>
+        <XAxis
+          type="number"
+          dataKey="hours"
+          domain={["dataMin", "dataMax"]}
+          tickFormatter={(v) => v.toFixed(0)}
+          stroke="#9CA3AF"
+          label={{ value: "Hours from nominal closest approach", position: "insideBottom", offset: -10, fill: "#9CA3AF" }}
+        />
+        <YAxis
+          scale="log"
+          domain={["auto", "auto"]}
+          allowDataOverflow
+          tickFormatter={(v) => (v >= 10 ? v.toFixed(0) : v.toFixed(1))}
+          stroke="#9CA3AF"
+          label={{ value: "Distance (R⊕)", angle: -90, position: "insideLeft", fill: "#9CA3AF" }}
+        />
+        <ReferenceLine y={1} stroke="#38bdf8" strokeDasharray="4 4" />
+
+        <Tooltip
+          contentStyle={{
+            background: "#0B0B0B",
+            border: "1px solid rgba(255,255,255,0.15)",
+            borderRadius: 8
+          }}
+          labelFormatter={(v) => `${v.toFixed(1)} h`}
+          formatter={(value, name) => [`${value.toFixed(2)} R⊕`, name]}
+        />
+        <Legend verticalAlign="top" />
+
+        <Line name="Nominal" dataKey="nominal" stroke="#ff4d4d" dot={false} isAnimationActive={false} />
+        <Line name="Deflected" dataKey="deflected" stroke="#4ade80" dot={false} isAnimationActive={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
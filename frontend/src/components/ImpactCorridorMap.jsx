@@ -0,0 +1,155 @@
+import { useState } from "react";
+import { feature } from "topojson-client";
+import land110m from "world-atlas/land-110m.json";
+
+const GRATICULE_STEP = 30;
+const MIN_ZOOM_WIDTH = 40; // degrees of longitude
+
+// Equirectangular projection: x = longitude, y = -latitude, in degrees
+const ringPath = (ring) =>
+  ring.map(([lon, lat], i) => `${i === 0 ? "M" : "L"}${lon},${-lat}`).join("") + "Z";
+
+/*
+  world-atlas joins polygons across the antimeridian, which would streak
+  across a flat map. Each ring is unwrapped to continuous longitudes and,
+  where it runs past ±180°, drawn again a full turn over; a ring that
+  circles the pole (Antarctica) is closed along the map's bottom edge.
+*/
+function landRingPath(ring) {
+  const unwrapped = [ring[0]];
+  for (const [lon, lat] of ring.slice(1)) {
+    const previous = unwrapped[unwrapped.length - 1][0];
+    unwrapped.push([lon + 360 * Math.round((previous - lon) / 360), lat]);
+  }
+
+  const first = unwrapped[0][0];
+  const last = unwrapped[unwrapped.length - 1][0];
+  if (Math.abs(last - first) > 180) {
+    const pole = unwrapped.reduce((sum, [, lat]) => sum + lat, 0) < 0 ? -90 : 90;
+    unwrapped.push([last, pole], [first, pole]);
+  }
+
+  const lons = unwrapped.map(([lon]) => lon);
+  const offsets = [0];
+  if (Math.max(...lons) > 180) offsets.push(-360);
+  if (Math.min(...lons) < -180) offsets.push(360);
+
+  return offsets.map(offset => ringPath(unwrapped.map(([lon, lat]) => [lon + offset, lat]))).join("");
+}
+
+const LAND_PATH = feature(land110m, land110m.objects.land).features
+  .flatMap(f => f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates)
+  .flatMap(polygon => polygon.map(landRingPath))
+  .join("");
+
+const GRATICULE = [
+  ...Array.from({ length: 360 / GRATICULE_STEP - 1 }, (_, i) => `M${-180 + GRATICULE_STEP * (i + 1)},-90V90`),
+  ...Array.from({ length: 180 / GRATICULE_STEP - 1 }, (_, i) => `M-180,${-90 + GRATICULE_STEP * (i + 1)}H180`),
+].join("");
+
+// Smallest 2:1 view around the impact points, with a margin
+function corridorView(points) {
+  const lons = points.map(p => p[0]);
+  const lats = points.map(p => p[1]);
+  const width = Math.min(360, Math.max(
+    MIN_ZOOM_WIDTH,
+    1.4 * (Math.max(...lons) - Math.min(...lons)),
+    2.8 * (Math.max(...lats) - Math.min(...lats))
+  ));
+  const height = width / 2;
+  const centerLon = (Math.max(...lons) + Math.min(...lons)) / 2;
+  const centerLat = (Math.max(...lats) + Math.min(...lats)) / 2;
+
+  return {
+    x: Math.min(Math.max(centerLon - width / 2, -180), 180 - width),
+    y: Math.min(Math.max(-centerLat - height / 2, -90), 90 - height),
+    width,
+    height,
+  };
+}
+
+const WORLD_VIEW = { x: -180, y: -90, width: 360, height: 180 };
+
+/*
+  Impact corridor on an offline world map.
+  Plate carrée projection drawn in SVG; the land outlines are Natural Earth's
+  public-domain 1:110m land (via the world-atlas package), bundled with the
+  app, so no map tiles are fetched. Each virtual impactor is a dot, and the corridor
+  line joins them in order of arrival time.
+*/
+export function ImpactCorridorMap({ corridor }) {
+  const [zoomed, setZoomed] = useState(true);
+
+  const impactors = corridor?.features.filter(f => f.properties.kind === "virtual-impactor") ?? [];
+  const line = corridor?.features.find(f => f.properties.kind === "corridor");
+
+  const view = zoomed && impactors.length > 0
+    ? corridorView(impactors.map(f => f.geometry.coordinates))
+    : WORLD_VIEW;
+  const dotRadius = view.width / 250;
+
+  return (
+    <div className="relative">
+      <svg
+        viewBox={`${view.x} ${view.y} ${view.width} ${view.height}`}
+        className="w-full rounded-xl border border-white/10 bg-[#0A1226]"
+        preserveAspectRatio="xMidYMid meet"
+      >
+        <path d={GRATICULE} stroke="#FFFFFF" strokeOpacity={0.08} fill="none" vectorEffect="non-scaling-stroke" />
+        <path
+          d={LAND_PATH}
+          fill="#1F2937"
+          fillRule="evenodd"
+          stroke="#4B5563"
+          strokeWidth={0.75}
+          vectorEffect="non-scaling-stroke"
+        />
+
+        {line?.geometry.coordinates.map((segment, i) => (
+          <polyline
+            key={i}
+            points={segment.map(([lon, lat]) => `${lon},${-lat}`).join(" ")}
+            fill="none"
+            stroke="#FF6A2A"
+            strokeOpacity={0.6}
+            strokeWidth={2}
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+
+        {impactors.map((f, i) => (
+          <circle
+            key={i}
+            cx={f.geometry.coordinates[0]}
+            cy={-f.geometry.coordinates[1]}
+            r={dotRadius}
+            fill="#FF6A2A"
+          >
+            <title>
+              {`${f.geometry.coordinates[1].toFixed(2)}°, ${f.geometry.coordinates[0].toFixed(2)}° — ` +
+                `${new Date(f.properties.time).toUTCString()}, ${f.properties.velocityKmS.toFixed(1)} km/s at ` +
+                `${f.properties.entryAngle.toFixed(0)}°`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+
+      {impactors.length === 0 && (
+        <div className="absolute inset-0 flex items-center justify-center text-white/50 text-sm">
+          No virtual impactors among the samples
+        </div>
+      )}
+
+      <p className="mt-2 text-xs text-white/40">Made with Natural Earth.</p>
+
+      {impactors.length > 0 && (
+        <button
+          onClick={() => setZoomed(z => !z)}
+          className="absolute top-3 right-3 px-3 py-1 rounded-lg bg-black/70 border border-white/20 text-xs text-white hover:border-[#FF6A2A]"
+        >
+          {zoomed ? "World" : "Corridor"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useState } from "react";
+
+const WIDTH = 640;
+const HEIGHT = 420;
+const MARGIN = { top: 10, right: 10, bottom: 40, left: 64 };
+const LEVELS = 10;
+
+const METRICS = {
+  c3: { label: "Launch C3", unit: "km²/s²", max: 60, optimum: "minimumC3" },
+  vInfinityArrival: { label: "Arrival v∞", unit: "km/s", max: 15, optimum: "minimumTotal" },
+};
+
+// Cheap (teal) to expensive (red)
+const PALETTE = ["#14b8a6", "#22c55e", "#84cc16", "#eab308", "#f97316", "#ef4444"];
+
+function levelColor(level) {
+  const t = (level / (LEVELS - 1)) * (PALETTE.length - 1);
+  const i = Math.min(Math.floor(t), PALETTE.length - 2);
+  const mix = (a, b) => Math.round(a + (b - a) * (t - i));
+  const [from, to] = [PALETTE[i], PALETTE[i + 1]].map(hex => [1, 3, 5].map(k => parseInt(hex.slice(k, k + 2), 16)));
+  return `rgb(${from.map((c, k) => mix(c, to[k])).join(",")})`;
+}
+
+const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+function dateTicks(dates, count) {
+  const step = Math.max(1, Math.round((dates.length - 1) / (count - 1)));
+  return dates.map((date, i) => ({ i, date })).filter(({ i }) => i % step === 0);
+}
+
+/*
+  Porkchop plot of Earth-to-object transfers.
+  Departure date runs along x and arrival date up y; each cell is coloured
+  by launch C3 or arrival v∞ in banded levels, so the band edges read as
+  contours. Cells above the colour scale or with no transfer stay empty.
+*/
+export function PorkchopChart({ porkchop }) {
+  const [metric, setMetric] = useState("c3");
+  const { label, unit, max, optimum } = METRICS[metric];
+
+  const grid = porkchop[metric];
+  const columns = porkchop.departureDates.length;
+  const rows = porkchop.arrivalDates.length;
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const cellWidth = plotWidth / columns;
+  const cellHeight = plotHeight / rows;
+
+  const x = (i) => MARGIN.left + i * cellWidth;
+  const y = (j) => MARGIN.top + plotHeight - (j + 1) * cellHeight;
+
+  const best = porkchop.optimum[optimum];
+  const bestDeparture = best ? porkchop.departureDates.indexOf(best.departureDate) : -1;
+  const bestArrival = best ? porkchop.arrivalDates.indexOf(best.arrivalDate) : -1;
+
+  return (
+    <div className="relative">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full rounded-xl border border-white/10 bg-[#0A1226]">
+        {grid.map((row, i) => row.map((value, j) => {
+          if (value === null || value > max) return null;
+          const level = Math.min(Math.floor((value / max) * LEVELS), LEVELS - 1);
+          return (
+            <rect
+              key={`${i}-${j}`}
+              x={x(i)}
+              y={y(j)}
+              width={cellWidth + 0.5}
+              height={cellHeight + 0.5}
+              fill={levelColor(level)}
+            >
+              <title>
+                {`Depart ${day(porkchop.departureDates[i])}, arrive ${day(porkchop.arrivalDates[j])}: ` +
+                  `${label} ${value.toFixed(2)} ${unit}`}
+              </title>
+            </rect>
+          );
+        }))}
+
+        {bestDeparture >= 0 && bestArrival >= 0 && (
+          <circle
+            cx={x(bestDeparture) + cellWidth / 2}
+            cy={y(bestArrival) + cellHeight / 2}
+            r={6}
+            fill="none"
+            stroke="#FFFFFF"
+            strokeWidth={2}
+          />
+        )}
+
+        {dateTicks(porkchop.departureDates, 6).map(({ i, date }) => (
+          <text
+            key={`d${i}`}
+            x={x(i) + cellWidth / 2}
+            y={HEIGHT - MARGIN.bottom + 16}
+            textAnchor="middle"
+            fontSize={11}
+            fill="#9CA3AF"
+          >
+            {day(date).slice(0, 7)}
+          </text>
+        ))}
+        {dateTicks(porkchop.arrivalDates, 6).map(({ i, date }) => (
+          <text
+            key={`a${i}`}
+            x={MARGIN.left - 6}
+            y={y(i) + cellHeight / 2 + 4}
+            textAnchor="end"
+            fontSize={11}
+            fill="#9CA3AF"
+          >
+            {day(date).slice(0, 7)}
+          </text>
+        ))}
+        <text x={MARGIN.left + plotWidth / 2} y={HEIGHT - 6} textAnchor="middle" fontSize={12} fill="#9CA3AF">
+          Departure from Earth
+        </text>
+        <text
+          transform={`translate(14 ${MARGIN.top + plotHeight / 2}) rotate(-90)`}
+          textAnchor="middle"
+          fontSize={12}
+          fill="#9CA3AF"
+        >
+          Arrival
+        </text>
+      </svg>
+
+      <div className="absolute top-3 right-3 flex gap-2">
+        {Object.entries(METRICS).map(([key, m]) => (
+          <button
+            key={key}
+            onClick={() => setMetric(key)}
+            className={`px-3 py-1 rounded-lg bg-black/70 border text-xs text-white ${
+              metric === key ? "border-[#FF6A2A]" : "border-white/20 hover:border-[#FF6A2A]"
+            }`}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="mt-3 flex items-center gap-3 text-xs text-white/50">
+        <span>0</span>
+        <div className="flex flex-1 h-2 rounded overflow-hidden">
+          {Array.from({ length: LEVELS }, (_, level) => (
+            <div key={level} className="flex-1" style={{ background: levelColor(level) }} />
+          ))}
+        </div>
+        <span>{max} {unit}</span>
+      </div>
+    </div>
+  );
+}
@@ -85,6 +85,7 @@ const Navbar = () => {
           <NavItem label="Search" onClick={() => navigate("/notifications")} />
           <NavItem label="Global Chat" onClick={() => navigate("/chat")} />
           <NavItem label="3D View" onClick={() => navigate("/control-center")} />
+          <NavItem label="Planner" onClick={() => navigate("/planner")} />
 
           <Divider />
 
@@ -136,6 +137,7 @@ const Navbar = () => {
             <MobileItem onClick={() => navigate("/threat")}>Threat Score</MobileItem>
             <MobileItem onClick={() => navigate("/notifications")}>Notifications</MobileItem>
             <MobileItem onClick={() => navigate("/chat")}>Global Chat</MobileItem>
+            <MobileItem onClick={() => navigate("/planner")}>Planner</MobileItem>
 
             <div className="mt-6">
               {isLoggedIn ? (
@@ -0,0 +1,128 @@
+/**
+ * Deflection Panel - Kinetic Impactor What-If
+ *
+ * Strikes the object with a DART-style impactor before an encounter and
+ * compares the encounter and its impact probability before and after.
+ */
+
+import { useState } from "react";
+import { fetchDeflection } from "@/services/riskService";
+import { DeflectionChart } from "@/components/DeflectionChart";
+import Stat from "./Stat";
+
+const DEFLECTION_DIRECTIONS = ["retrograde", "prograde", "radial-out", "radial-in", "normal", "anti-normal"];
+
+// DART at Dimorphos, the default what-if
+const DART_SCENARIO = {
+  impactorMass: 580,
+  impactorVelocity: 6.14,
+  beta: 3.61,
+  direction: "retrograde",
+};
+
+function ScenarioInput({ label, type = "number", value, onChange }) {
+  return (
+    <label className="block">
+      <span className="text-xs uppercase tracking-wide text-white/40">{label}</span>
+      <input
+        type={type}
+        value={value}
+        onChange={onChange}
+        className="mt-1 w-full bg-black border border-white/20 rounded-xl px-3 py-2 text-white outline-none focus:border-[#FF6A2A]"
+      />
+    </label>
+  );
+}
+
+export default function DeflectionPanel({ designation, encounterDate }) {
+  const [scenario, setScenario] = useState({
+    ...DART_SCENARIO,
+    deflectionDate: new Date().toISOString().slice(0, 10),
+  });
+  const [deflection, setDeflection] = useState(null);
+  const [deflecting, setDeflecting] = useState(false);
+  const [error, setError] = useState("");
+
+  const updateScenario = (key) => (e) => setScenario(s => ({ ...s, [key]: e.target.value }));
+
+  const runDeflection = async () => {
+    try {
+      setDeflecting(true);
+      setError("");
+      const data = await fetchDeflection(designation, { ...scenario, encounterDate });
+      setDeflection(data.plan);
+    } catch (err) {
+      setDeflection(null);
+      setError(err.response?.data?.error || "Deflection simulation failed");
+    } finally {
+      setDeflecting(false);
+    }
+  };
+
+  return (
+    <div className="mt-10 border-t border-white/10 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Deflection What-If</h3>
+          <p className="text-sm text-white/50">
+            Strike the asteroid with a DART-style kinetic impactor and see how this encounter changes.
+          </p>
+        </div>
+        <button
+          onClick={runDeflection}
+          className="px-5 py-2 rounded-xl border border-[#FF6A2A] text-[#FF6A2A] font-semibold hover:bg-[#FF6A2A]/10"
+        >
+          {deflecting ? "Simulating…" : "Simulate deflection"}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6 text-sm">
+        <ScenarioInput label="Impact date" type="date" value={scenario.deflectionDate} onChange={updateScenario("deflectionDate")} />
+        <ScenarioInput label="Impactor mass (kg)" value={scenario.impactorMass} onChange={updateScenario("impactorMass")} />
+        <ScenarioInput label="Impact speed (km/s)" value={scenario.impactorVelocity} onChange={updateScenario("impactorVelocity")} />
+        <ScenarioInput label="β" value={scenario.beta} onChange={updateScenario("beta")} />
+        <label className="block">
+          <span className="text-xs uppercase tracking-wide text-white/40">Push</span>
+          <select
+            value={scenario.direction}
+            onChange={updateScenario("direction")}
+            className="mt-1 w-full bg-black border border-white/20 rounded-xl px-3 py-2 text-white outline-none focus:border-[#FF6A2A]"
+          >
+            {DEFLECTION_DIRECTIONS.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {deflection && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+          <div className="md:col-span-2">
+            <DeflectionChart plan={deflection} />
+          </div>
+          <div className="space-y-4 text-sm">
+            <Stat label="Δv" value={`${(deflection.deflection.deltaVMs * 1000).toPrecision(3)} mm/s`} />
+            <Stat label="Lead time" value={`${(deflection.deflection.leadTimeDays / 365.25).toFixed(1)} years`} />
+            <Stat
+              label="Miss distance"
+              value={`${Math.round(deflection.encounter.nominal.distanceKm).toLocaleString()} → ${Math.round(deflection.encounter.deflected.distanceKm).toLocaleString()} km`}
+              danger={deflection.encounter.deflected.impact}
+            />
+            <Stat label="Arrival shift" value={`${Math.round(deflection.encounter.timeShiftSeconds).toLocaleString()} s`} />
+            <Stat
+              label="Impact probability"
+              value={`${deflection.impactProbability.before.toExponential(2)} → ${deflection.impactProbability.after.toExponential(2)}`}
+              danger={deflection.impactProbability.after > 0}
+            />
+            {deflection.deflection.asteroidMassEstimated && (
+              <p className="text-xs text-white/40">
+                Mass estimated at {deflection.deflection.asteroidMassKg.toExponential(2)} kg
+                from a {Math.round(deflection.deflection.asteroidDiameterKm * 1000).toLocaleString()} m diameter.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
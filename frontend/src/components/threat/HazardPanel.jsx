@@ -0,0 +1,151 @@
+/**
+ * Hazard Panel - Palermo Scale of an Encounter
+ *
+ * Searches the line of variations of the encounter for virtual impactors as
+ * a background risk job, started when the panel mounts and cancelled if it
+ * unmounts first. Once the assessment is in, the impact effects panel for
+ * the assessed size follows.
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { createRiskJob, fetchRiskJob, cancelRiskJob, watchRiskJob } from "@/services/riskService";
+import ImpactEffectsPanel from "./ImpactEffectsPanel";
+import Stat from "./Stat";
+
+function formatPalermo(value) {
+  if (value === null || value === undefined) return "—";
+  return value.toFixed(2);
+}
+
+export default function HazardPanel({ designation, encounterDate, vInfinityKmS }) {
+  const [assessment, setAssessment] = useState(null);
+  const [assessing, setAssessing] = useState(true);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState("");
+  // Cancels the running job; set while there is one
+  const cancelJob = useRef(null);
+
+  useEffect(() => {
+    let active = true; // Until the job ends, is cancelled or the panel unmounts
+    let job = null;    // {jobId, stop}
+
+    // Stop following the job, cancelling it on the server if asked
+    const stopJob = (cancel) => {
+      active = false;
+      cancelJob.current = null;
+      if (!job) return;
+      job.stop();
+      if (cancel) cancelRiskJob(job.jobId).catch(() => {});
+    };
+
+    const finish = async (status, jobError) => {
+      if (!active) return;
+      stopJob(false);
+      setAssessing(false);
+
+      if (status === "cancelled") {
+        setError("Assessment cancelled");
+        return;
+      }
+      if (status === "failed") {
+        setError(jobError || "Risk assessment failed");
+        return;
+      }
+
+      try {
+        const data = await fetchRiskJob(job.jobId);
+        setAssessment(data.job.result.assessment);
+      } catch (err) {
+        setError(err.response?.data?.error || "Risk assessment failed");
+      }
+    };
+
+    const start = async () => {
+      let created;
+      try {
+        ({ job: created } = await createRiskJob({ type: "assess", designation, mode: "lov", encounterDate }));
+      } catch (err) {
+        if (!active) return;
+        stopJob(false);
+        setAssessing(false);
+        setError(err.response?.data?.error || "Risk assessment failed");
+        return;
+      }
+
+      if (!active) {
+        cancelRiskJob(created.jobId).catch(() => {});
+        return;
+      }
+
+      job = {
+        jobId: created.jobId,
+        stop: watchRiskJob(created.jobId, {
+          onProgress: ({ status, progress }) => {
+            setProgress(progress);
+            // A job that ended before we subscribed only reports its final status
+            if (!["queued", "running"].includes(status)) finish(status);
+          },
+          onDone: ({ status, error }) => finish(status, error),
+        }),
+      };
+    };
+
+    // A job cancelled while being created is cancelled once it exists
+    cancelJob.current = () => {
+      stopJob(true);
+      setAssessing(false);
+      setError("Assessment cancelled");
+    };
+    start();
+    return () => {
+      if (active) stopJob(true);
+    };
+  }, [designation, encounterDate]);
+
+  return (
+    <>
+      <div className="mt-10 border-t border-white/10 pt-6">
+        <h3 className="text-lg font-semibold text-white">Impact Hazard</h3>
+        <p className="text-sm text-white/50 mb-4">
+          Palermo scale of the virtual impactors found along the line of variations at this encounter.
+        </p>
+
+        {assessing && (
+          <div className="flex items-center gap-4 text-sm text-white/50">
+            <span>Searching the line of variations… {Math.round(progress)}%</span>
+            <button
+              onClick={() => cancelJob.current?.()}
+              className="px-3 py-1 rounded-lg border border-white/20 text-white hover:border-[#FF6A2A]"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        {assessment && (
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-6 text-sm">
+            <Stat
+              label="Palermo (cumulative)"
+              value={formatPalermo(assessment.palermoScale.cumulative)}
+              danger={assessment.palermoScale.cumulative > -2}
+            />
+            <Stat
+              label="Palermo (maximum)"
+              value={formatPalermo(assessment.palermoScale.maximum)}
+              danger={assessment.palermoScale.maximum > -2}
+            />
+            <Stat label="Torino" value={assessment.torinoScale.level} danger={assessment.torinoScale.level > 0} />
+            <Stat
+              label="Impact probability"
+              value={assessment.monteCarlo ? assessment.monteCarlo.impactProbability.toExponential(2) : "—"}
+            />
+            <Stat label="Assessment" value={assessment.palermoScale.zone} />
+          </div>
+        )}
+      </div>
+
+      {assessment && <ImpactEffectsPanel assessment={assessment} vInfinityKmS={vInfinityKmS} />}
+    </>
+  );
+}
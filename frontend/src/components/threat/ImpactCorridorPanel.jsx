@@ -0,0 +1,83 @@
+/**
+ * Impact Corridor Panel
+ *
+ * Maps where the impacting samples of an encounter would reach the ground,
+ * with a GeoJSON download of the same run.
+ */
+
+import { useState } from "react";
+import { fetchImpactCorridor, impactCorridorDownloadUrl } from "@/services/riskService";
+import { ImpactCorridorMap } from "@/components/ImpactCorridorMap";
+import Stat from "./Stat";
+
+export default function ImpactCorridorPanel({ designation, encounterDate }) {
+  const [corridor, setCorridor] = useState(null);
+  const [mapping, setMapping] = useState(false);
+  const [error, setError] = useState("");
+
+  const runCorridor = async () => {
+    try {
+      setMapping(true);
+      setError("");
+      const data = await fetchImpactCorridor(designation, { encounterDate });
+      setCorridor(data.corridor);
+    } catch (err) {
+      setCorridor(null);
+      setError(err.response?.data?.error || "Impact corridor failed");
+    } finally {
+      setMapping(false);
+    }
+  };
+
+  return (
+    <div className="mt-10 border-t border-white/10 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Impact Corridor</h3>
+          <p className="text-sm text-white/50">
+            Where the impacting samples of this encounter would reach the ground.
+          </p>
+        </div>
+        <div className="flex gap-3">
+          {corridor && (
+            <a
+              href={impactCorridorDownloadUrl(designation, {
+                encounterDate,
+                simulations: corridor.properties.samples,
+                seed: corridor.properties.seed,
+              })}
+              className="px-5 py-2 rounded-xl border border-white/20 text-white/80 font-semibold hover:border-[#FF6A2A]"
+            >
+              GeoJSON
+            </a>
+          )}
+          <button
+            onClick={runCorridor}
+            className="px-5 py-2 rounded-xl border border-[#FF6A2A] text-[#FF6A2A] font-semibold hover:bg-[#FF6A2A]/10"
+          >
+            {mapping ? "Mapping…" : "Map corridor"}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {corridor && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+          <div className="md:col-span-2">
+            <ImpactCorridorMap corridor={corridor} />
+          </div>
+          <div className="space-y-4 text-sm">
+            <Stat
+              label="Virtual impactors"
+              value={`${corridor.properties.virtualImpactors} of ${corridor.properties.samples}`}
+              danger={corridor.properties.virtualImpactors > 0}
+            />
+            <Stat label="Impact probability" value={corridor.properties.impactProbability.toExponential(2)} />
+            <Stat label="Seed" value={corridor.properties.seed} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
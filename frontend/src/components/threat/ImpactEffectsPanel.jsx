@@ -0,0 +1,106 @@
+/**
+ * Impact Effects Panel
+ *
+ * Blast, thermal, crater and seismic effects of an impact at the encounter
+ * speed plus Earth's escape speed, for the assessed size of the object.
+ */
+
+import { useState } from "react";
+import { fetchImpactEffects } from "@/services/riskService";
+import Stat from "./Stat";
+
+const EARTH_ESCAPE_VELOCITY_KMS = 11.186;
+const TARGETS = ["sedimentary", "crystalline", "water"];
+
+function formatKm(km) {
+  if (km === 0) return "—";
+  return km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`;
+}
+
+function formatMegatons(megatons) {
+  return megatons < 1 ? `${(megatons * 1000).toFixed(1)} kt` : `${megatons.toPrecision(3)} Mt`;
+}
+
+export default function ImpactEffectsPanel({ assessment, vInfinityKmS }) {
+  const [effects, setEffects] = useState(null);
+  const [target, setTarget] = useState("sedimentary");
+  const [modelling, setModelling] = useState(false);
+  const [error, setError] = useState("");
+
+  const velocity = Math.hypot(vInfinityKmS, EARTH_ESCAPE_VELOCITY_KMS);
+
+  const runImpactEffects = async () => {
+    try {
+      setModelling(true);
+      setError("");
+      const data = await fetchImpactEffects({
+        diameter: assessment.estimatedDiameter * 1000,
+        velocity,
+        target,
+      });
+      setEffects(data.effects);
+    } catch (err) {
+      setEffects(null);
+      setError(err.response?.data?.error || "Impact effects model failed");
+    } finally {
+      setModelling(false);
+    }
+  };
+
+  return (
+    <div className="mt-10 border-t border-white/10 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Impact Effects</h3>
+          <p className="text-sm text-white/50">
+            What an impact would do: a {Math.round(assessment.estimatedDiameter * 1000).toLocaleString()} m body
+            at {velocity.toFixed(1)} km/s, 45° entry.
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <select
+            value={target}
+            onChange={(e) => setTarget(e.target.value)}
+            className="bg-black border border-white/20 rounded-xl px-3 py-2 text-white outline-none focus:border-[#FF6A2A]"
+          >
+            {TARGETS.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <button
+            onClick={runImpactEffects}
+            className="px-5 py-2 rounded-xl border border-[#FF6A2A] text-[#FF6A2A] font-semibold hover:bg-[#FF6A2A]/10"
+          >
+            {modelling ? "Modelling…" : "Model impact"}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {effects && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-6 text-sm">
+          <Stat label="Outcome" value={effects.outcome} danger />
+          <Stat label="Energy" value={formatMegatons(effects.energy.megatons)} />
+          <Stat
+            label="Once every"
+            value={`${Math.round(effects.energy.recurrenceIntervalYears).toLocaleString()} years`}
+          />
+          {effects.atmosphericEntry.airburstAltitudeKm !== null ? (
+            <Stat label="Airburst altitude" value={`${effects.atmosphericEntry.airburstAltitudeKm.toFixed(1)} km`} />
+          ) : (
+            <Stat
+              label="Crater"
+              value={effects.crater ? `${formatKm(effects.crater.finalDiameterKm)} wide, ${formatKm(effects.crater.depthKm)} deep` : "None on the seafloor"}
+            />
+          )}
+          <Stat label="Buildings collapse (5 psi)" value={formatKm(effects.blast.radiiKm.residentialCollapse)} />
+          <Stat label="Windows shatter (1 psi)" value={formatKm(effects.blast.radiiKm.windowBreakage)} />
+          <Stat
+            label="3rd-degree burns"
+            value={effects.thermal ? formatKm(effects.thermal.radiiKm.thirdDegreeBurns) : "No fireball"}
+          />
+          <Stat label="Seismic magnitude" value={effects.seismic ? effects.seismic.magnitude.toFixed(1) : "—"} />
+        </div>
+      )}
+    </div>
+  );
+}
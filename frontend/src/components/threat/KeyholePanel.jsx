@@ -0,0 +1,86 @@
+/**
+ * Keyhole Panel
+ *
+ * Scans the b-plane of an encounter for keyholes leading to an impact in
+ * the following years. The report is also handed to onScanned, so the
+ * b-plane chart can mark the keyholes.
+ */
+
+import { useState } from "react";
+import { fetchKeyholes } from "@/services/riskService";
+
+export default function KeyholePanel({ designation, encounterDate, onScanned }) {
+  const [report, setReport] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState("");
+
+  const runKeyholeScan = async () => {
+    try {
+      setScanning(true);
+      setError("");
+      const data = await fetchKeyholes(designation, { encounterDate });
+      setReport(data.report);
+      onScanned?.(data.report);
+    } catch (err) {
+      setReport(null);
+      setError(err.response?.data?.error || "Keyhole scan failed");
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  return (
+    <div className="mt-10 border-t border-white/10 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Keyholes</h3>
+          <p className="text-sm text-white/50">
+            Resonant returns leading to an impact in the years after this encounter.
+          </p>
+        </div>
+        <button
+          onClick={runKeyholeScan}
+          className="px-5 py-2 rounded-xl border border-[#FF6A2A] text-[#FF6A2A] font-semibold hover:bg-[#FF6A2A]/10"
+        >
+          {scanning ? "Scanning…" : "Scan keyholes"}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {report && (
+        report.keyholes.length === 0 ? (
+          <p className="text-sm text-white/50">
+            No keyholes within ζ {Math.round(report.scan.zetaMin).toLocaleString()} to {Math.round(report.scan.zetaMax).toLocaleString()} km
+            over the next {report.scan.years} years.
+          </p>
+        ) : (
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs uppercase tracking-wide text-white/40">
+              <tr>
+                <th className="py-2">Resonance</th>
+                <th className="py-2">ζ (km)</th>
+                <th className="py-2">Width (m)</th>
+                <th className="py-2">Follow-on impact</th>
+                <th className="py-2">Probability</th>
+              </tr>
+            </thead>
+            <tbody className="text-white">
+              {report.keyholes.map(k => (
+                <tr key={`${k.resonance}-${k.zeta}`} className="border-t border-white/10">
+                  <td className="py-2">{k.resonance}</td>
+                  <td className="py-2">{Math.round(k.zeta).toLocaleString()}</td>
+                  <td className="py-2">{Math.round(k.widthMeters).toLocaleString()}</td>
+                  <td className="py-2">{new Date(k.followOn.date).toISOString().slice(0, 10)}</td>
+                  <td className={`py-2 ${k.probability > 1e-6 ? "text-red-400" : ""}`}>
+                    {k.probability.toExponential(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+}
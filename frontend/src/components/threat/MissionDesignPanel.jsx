@@ -0,0 +1,83 @@
+/**
+ * Mission Design Panel
+ *
+ * Porkchop plot of ballistic transfers from Earth to the object over the
+ * next two years, with the lowest-C3 and best rendezvous transfers.
+ */
+
+import { useState } from "react";
+import { fetchPorkchop } from "@/services/ephemerisService";
+import { PorkchopChart } from "@/components/PorkchopChart";
+import Stat from "./Stat";
+
+export default function MissionDesignPanel({ designation }) {
+  const [porkchop, setPorkchop] = useState(null);
+  const [designing, setDesigning] = useState(false);
+  const [error, setError] = useState("");
+
+  const runPorkchop = async () => {
+    try {
+      setDesigning(true);
+      setError("");
+      const data = await fetchPorkchop(designation);
+      setPorkchop(data);
+    } catch (err) {
+      setPorkchop(null);
+      setError(err.response?.data?.error || "Porkchop scan failed");
+    } finally {
+      setDesigning(false);
+    }
+  };
+
+  return (
+    <div className="mt-10 border-t border-white/10 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Mission Design</h3>
+          <p className="text-sm text-white/50">
+            Ballistic transfers from Earth over the next two years, one Lambert arc per pair of dates.
+          </p>
+        </div>
+        <button
+          onClick={runPorkchop}
+          className="px-5 py-2 rounded-xl border border-[#FF6A2A] text-[#FF6A2A] font-semibold hover:bg-[#FF6A2A]/10"
+        >
+          {designing ? "Scanning…" : "Porkchop plot"}
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-400 mb-4">{error}</p>}
+
+      {porkchop && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+          <div className="md:col-span-2">
+            <PorkchopChart porkchop={porkchop} />
+          </div>
+          <div className="space-y-6 text-sm">
+            {[
+              ["Lowest C3", porkchop.optimum.minimumC3],
+              ["Best rendezvous", porkchop.optimum.minimumTotal],
+            ].map(([title, transfer]) => (
+              <div key={title} className="space-y-3">
+                <p className="text-white font-semibold">{title}</p>
+                {transfer ? (
+                  <>
+                    <Stat
+                      label="Launch → arrival"
+                      value={`${transfer.departureDate.slice(0, 10)} → ${transfer.arrivalDate.slice(0, 10)}`}
+                    />
+                    <Stat label="Flight time" value={`${Math.round(transfer.timeOfFlightDays)} days`} />
+                    <Stat label="C3" value={`${transfer.c3.toFixed(1)} km²/s²`} />
+                    <Stat label="Arrival v∞" value={`${transfer.vInfinityArrivalKmS.toFixed(2)} km/s`} />
+                  </>
+                ) : (
+                  <p className="text-white/50">No transfer in this window</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,9 @@
+// Labelled figure used by the threat analysis panels
+export default function Stat({ label, value, danger }) {
+  return (
+    <div>
+      <p className="text-xs uppercase tracking-wide text-white/40">{label}</p>
+      <p className={`mt-1 ${danger ? "text-red-400" : "text-white"}`}>{value}</p>
+    </div>
+  );
+}
@@ -0,0 +1,13 @@
+/**
+ * Threat Analysis Components - Index Export
+ *
+ * Panels of the encounter analysis on the threat page; each keeps its own state
+ */
+
+export { default as HazardPanel } from './HazardPanel';
+export { default as ImpactEffectsPanel } from './ImpactEffectsPanel';
+export { default as ImpactCorridorPanel } from './ImpactCorridorPanel';
+export { default as KeyholePanel } from './KeyholePanel';
+export { default as DeflectionPanel } from './DeflectionPanel';
+export { default as MissionDesignPanel } from './MissionDesignPanel';
+export { default as Stat } from './Stat';
@@ -194,8 +194,8 @@ export default function AsteroidInfoPanel({
                                     value={`${asteroid.orbitalElements.meanAnomaly?.toFixed(2)}°`}
                                 />
 
-                                {/* Orbital Period */}
-                                {asteroid.orbitalElements.semiMajorAxis && (
+                                {/* Orbital Period (bound orbits only) */}
+                                {asteroid.orbitalElements.semiMajorAxis > 0 && asteroid.orbitalElements.eccentricity < 1 && (
                                     <DataRow
                                         label="Orbital Period"
                                         value={`${(Math.pow(asteroid.orbitalElements.semiMajorAxis, 1.5)).toFixed(2)} years`}
@@ -203,17 +203,18 @@ export default function AsteroidInfoPanel({
                                 )}
 
                                 {/* Perihelion/Aphelion */}
-                                {asteroid.orbitalElements.semiMajorAxis && asteroid.orbitalElements.eccentricity && (
-                                    <>
-                                        <DataRow
-                                            label="Perihelion"
-                                            value={`${(asteroid.orbitalElements.semiMajorAxis * (1 - asteroid.orbitalElements.eccentricity)).toFixed(4)} AU`}
-                                        />
-                                        <DataRow
-                                            label="Aphelion"
-                                            value={`${(asteroid.orbitalElements.semiMajorAxis * (1 + asteroid.orbitalElements.eccentricity)).toFixed(4)} AU`}
-                                        />
-                                    </>
+                                {(asteroid.orbitalElements.perihelionDistance || asteroid.orbitalElements.semiMajorAxis) && (
+                                    <DataRow
+                                        label="Perihelion"
+                                        value={`${(asteroid.orbitalElements.perihelionDistance ??
+                                            asteroid.orbitalElements.semiMajorAxis * (1 - asteroid.orbitalElements.eccentricity)).toFixed(4)} AU`}
+                                    />
+                                )}
+                                {asteroid.orbitalElements.semiMajorAxis > 0 && asteroid.orbitalElements.eccentricity < 1 && (
+                                    <DataRow
+                                        label="Aphelion"
+                                        value={`${(asteroid.orbitalElements.semiMajorAxis * (1 + asteroid.orbitalElements.eccentricity)).toFixed(4)} AU`}
+                                    />
                                 )}
                             </>
                         ) : (
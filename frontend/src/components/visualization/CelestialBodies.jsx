@@ -1,5 +1,5 @@
 /**
- * Celestial Bodies - Earth, Moon, Sun Visualization
+ * Celestial Bodies - Sun, Planets and Moon Visualization
  *
  * Accurate relative positions from ephemeris data with 
  * visual scaling for effective display.
@@ -14,7 +14,21 @@ import * as THREE from "three";
 const VISUAL_SCALES = {
     sun: 0.5,      // Visual sun radius in scene units
     earth: 0.1,   // Visual earth radius
-    moon: 0.025   // Visual moon radius
+    moon: 0.025,  // Visual moon radius
+    moonOrbit: 50 // Exaggeration of the lunar orbit so the Moon clears Earth's sphere
+};
+
+// Display properties for the planets (Earth is rendered by its own component)
+// a/period/meanLongitude drive the circular-orbit fallback when no ephemeris data is loaded
+const PLANET_VISUALS = {
+    mercury: { radius: 0.04, color: "#A8A29E", a: 0.387, e: 0.206, period: 87.969, meanLongitude: 252.25 },
+    venus: { radius: 0.09, color: "#E8C77A", a: 0.723, e: 0.007, period: 224.701, meanLongitude: 181.98 },
+    earth: { radius: VISUAL_SCALES.earth, color: "#4A90D9", a: 1.0, e: 0.0167, period: 365.256, meanLongitude: 100.46 },
+    mars: { radius: 0.06, color: "#C1440E", a: 1.524, e: 0.093, period: 686.98, meanLongitude: -4.55 },
+    jupiter: { radius: 0.3, color: "#D8A86A", a: 5.203, e: 0.048, period: 4332.59, meanLongitude: 34.40 },
+    saturn: { radius: 0.25, color: "#E3CF8F", a: 9.537, e: 0.054, period: 10759.22, meanLongitude: 49.95, ring: true },
+    uranus: { radius: 0.18, color: "#9AD9E0", a: 19.19, e: 0.047, period: 30688.5, meanLongitude: 313.24 },
+    neptune: { radius: 0.18, color: "#4B70DD", a: 30.07, e: 0.009, period: 60182, meanLongitude: -55.12 }
 };
 
 // Actual ratios for reference
@@ -129,11 +143,11 @@ function Earth({ position, scaleFactor }) {
 function Moon({ earthPosition, moonOffset, scaleFactor }) {
     const meshRef = useRef();
 
-    // Calculate absolute moon position
+    // Calculate absolute moon position (true direction, exaggerated distance)
     const moonPosition = useMemo(() => ({
-        x: (earthPosition.x + moonOffset.x) * scaleFactor,
-        y: (earthPosition.y + moonOffset.y) * scaleFactor,
-        z: (earthPosition.z + moonOffset.z) * scaleFactor
+        x: (earthPosition.x + moonOffset.x * VISUAL_SCALES.moonOrbit) * scaleFactor,
+        y: (earthPosition.y + moonOffset.y * VISUAL_SCALES.moonOrbit) * scaleFactor,
+        z: (earthPosition.z + moonOffset.z * VISUAL_SCALES.moonOrbit) * scaleFactor
     }), [earthPosition, moonOffset, scaleFactor]);
 
     // Slow rotation (tidally locked, but we show some rotation for visual interest)
@@ -156,14 +170,42 @@ function Moon({ earthPosition, moonOffset, scaleFactor }) {
 }
 
 /**
- * Earth Orbit Path - Visual reference
+ * Planet Component - Generic planet sphere
+ */
+function Planet({ position, visual, scaleFactor }) {
+    return (
+        <group position={[position.x * scaleFactor, position.y * scaleFactor, position.z * scaleFactor]}>
+            <mesh>
+                <sphereGeometry args={[visual.radius, 32, 32]} />
+                <meshStandardMaterial
+                    color={visual.color}
+                    roughness={0.9}
+                    metalness={0.0}
+                />
+            </mesh>
+
+            {/* Saturn's rings */}
+            {visual.ring && (
+                <Ring
+                    args={[visual.radius * 1.4, visual.radius * 2.2, 64]}
+                    rotation={[Math.PI / 2.3, 0, 0]}
+                >
+                    <meshBasicMaterial color={visual.color} transparent opacity={0.5} side={THREE.DoubleSide} />
+                </Ring>
+            )}
+        </group>
+    );
+}
+
+/**
+ * Orbit Path - Visual reference ellipse for a planet
  */
-function EarthOrbitPath({ scaleFactor }) {
+function OrbitPath({ semiMajorAxis, eccentricity, scaleFactor }) {
     const points = useMemo(() => {
         const pts = [];
         const segments = 128;
-        const a = 1.0; // 1 AU semi-major axis
-        const e = 0.0167; // Earth's eccentricity
+        const a = semiMajorAxis;
+        const e = eccentricity;
 
         for (let i = 0; i <= segments; i++) {
             const angle = (i / segments) * Math.PI * 2;
@@ -176,7 +218,7 @@ function EarthOrbitPath({ scaleFactor }) {
         }
 
         return pts;
-    }, [scaleFactor]);
+    }, [semiMajorAxis, eccentricity, scaleFactor]);
 
     const geometry = useMemo(() => {
         return new THREE.BufferGeometry().setFromPoints(points);
@@ -194,6 +236,44 @@ function EarthOrbitPath({ scaleFactor }) {
     );
 }
 
+/**
+ * Convert heliocentric ecliptic coordinates (z = north) to scene coordinates (y = up)
+ */
+function eclipticToScene(pos) {
+    return { x: pos.x, y: pos.z, z: pos.y };
+}
+
+/**
+ * Approximate geocentric Moon position from the leading lunar series terms
+ * (the backend evaluates the full series; this is only the offline fallback)
+ *
+ * @param {number} d - Days since J2000.0
+ * @returns {Object} Ecliptic position {x, y, z} in AU
+ */
+function approximateMoonPosition(d) {
+    const DEG = Math.PI / 180;
+    const L = (218.316 + 13.176396 * d) * DEG;  // Mean longitude
+    const D = (297.850 + 12.190749 * d) * DEG;  // Mean elongation
+    const M = (357.529 + 0.985600 * d) * DEG;   // Sun's mean anomaly
+    const Mp = (134.963 + 13.064993 * d) * DEG; // Moon's mean anomaly
+    const F = (93.272 + 13.229350 * d) * DEG;   // Argument of latitude
+
+    const lon = L + DEG * (6.289 * Math.sin(Mp) + 1.274 * Math.sin(2 * D - Mp) +
+        0.658 * Math.sin(2 * D) + 0.214 * Math.sin(2 * Mp) -
+        0.186 * Math.sin(M) - 0.114 * Math.sin(2 * F));
+    const lat = DEG * (5.128 * Math.sin(F) + 0.281 * Math.sin(Mp + F) +
+        0.278 * Math.sin(Mp - F) + 0.173 * Math.sin(2 * D - F));
+    const distKm = 385001 - 20905 * Math.cos(Mp) - 3699 * Math.cos(2 * D - Mp) -
+        2956 * Math.cos(2 * D) - 570 * Math.cos(2 * Mp);
+
+    const dist = distKm / 149597870.7;
+    return {
+        x: dist * Math.cos(lat) * Math.cos(lon),
+        y: dist * Math.cos(lat) * Math.sin(lon),
+        z: dist * Math.sin(lat)
+    };
+}
+
 /**
  * Main CelestialBodies Component
  */
@@ -206,8 +286,18 @@ export default function CelestialBodies({
     // Default positions if no ephemeris data provided
     // In production, these come from the ephemeris API
     const positions = useMemo(() => {
-        if (celestialData) {
-            return celestialData;
+        if (celestialData?.planets) {
+            const planets = {};
+            for (const [name, pos] of Object.entries(celestialData.planets)) {
+                planets[name] = eclipticToScene(pos);
+            }
+
+            return {
+                planets,
+                earth: eclipticToScene(celestialData.earth),
+                moon: eclipticToScene(celestialData.moon.geocentric),
+                sun: { x: 0, y: 0, z: 0 }
+            };
         }
 
         // Simplified fallback calculation
@@ -215,25 +305,24 @@ export default function CelestialBodies({
         const j2000 = new Date("2000-01-01T12:00:00Z");
         const daysSinceJ2000 = (currentDate - j2000) / (1000 * 60 * 60 * 24);
 
-        // Earth's approximate position (simplified circular orbit)
-        const earthAngle = (daysSinceJ2000 / 365.25) * 2 * Math.PI;
-        const earthPos = {
-            x: Math.cos(earthAngle),
-            y: 0,
-            z: Math.sin(earthAngle)
-        };
+        // Planets on circular orbits at their mean longitude
+        const planets = {};
+        for (const [name, visual] of Object.entries(PLANET_VISUALS)) {
+            const angle = (visual.meanLongitude * Math.PI) / 180 +
+                (daysSinceJ2000 / visual.period) * 2 * Math.PI;
+            planets[name] = {
+                x: visual.a * Math.cos(angle),
+                y: 0,
+                z: visual.a * Math.sin(angle)
+            };
+        }
 
         // Moon's approximate position relative to Earth
-        const moonAngle = (daysSinceJ2000 / 27.3) * 2 * Math.PI;
-        const moonOrbitRadius = 0.00257; // AU
-        const moonOffset = {
-            x: Math.cos(moonAngle) * moonOrbitRadius,
-            y: Math.sin(moonAngle * 0.1) * moonOrbitRadius * 0.2, // slight inclination
-            z: Math.sin(moonAngle) * moonOrbitRadius
-        };
+        const moonOffset = eclipticToScene(approximateMoonPosition(daysSinceJ2000));
 
         return {
-            earth: earthPos,
+            planets,
+            earth: planets.earth,
             moon: moonOffset,
             sun: { x: 0, y: 0, z: 0 }
         };
@@ -254,8 +343,27 @@ export default function CelestialBodies({
                 scaleFactor={scaleFactor}
             />
 
-            {/* Earth's orbit path */}
-            {showOrbits && <EarthOrbitPath scaleFactor={scaleFactor} />}
+            {/* Other planets */}
+            {Object.entries(positions.planets)
+                .filter(([name]) => name !== "earth")
+                .map(([name, pos]) => (
+                    <Planet
+                        key={name}
+                        position={pos}
+                        visual={PLANET_VISUALS[name]}
+                        scaleFactor={scaleFactor}
+                    />
+                ))}
+
+            {/* Planetary orbit paths */}
+            {showOrbits && Object.entries(PLANET_VISUALS).map(([name, visual]) => (
+                <OrbitPath
+                    key={name}
+                    semiMajorAxis={visual.a}
+                    eccentricity={visual.e}
+                    scaleFactor={scaleFactor}
+                />
+            ))}
         </group>
     );
 }
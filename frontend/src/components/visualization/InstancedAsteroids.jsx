@@ -2,7 +2,7 @@
  * Instanced Asteroids - GPU-Accelerated Batch Rendering
  *
  * Renders 30,000+ asteroids at 60 FPS using THREE.InstancedMesh.
- * Features dynamic LOD, hazard color coding, and hover/selection.
+ * Features dynamic LOD, hazard color coding, comet styling and hover/selection.
  */
 
 import { useRef, useMemo, useEffect, useState } from "react";
@@ -14,6 +14,7 @@ const HAZARD_COLORS = {
     critical: new THREE.Color("#FF3333"),    // Red - Potentially Hazardous
     warning: new THREE.Color("#FFAA00"),     // Orange - Close approach
     safe: new THREE.Color("#88AACC"),        // Blue-gray - Normal NEO
+    comet: new THREE.Color("#66E0FF"),       // Cyan - Comet
     selected: new THREE.Color("#00FF88")     // Green - Selected
 };
 
@@ -31,10 +32,12 @@ const asteroidShaderMaterial = new THREE.ShaderMaterial({
     attribute vec3 instanceColor;
     attribute float instanceSize;
     attribute float isHazardous;
+    attribute float isComet;
     
     varying vec3 vColor;
     varying float vAlpha;
     varying float vHazardous;
+    varying float vComet;
     
     uniform float time;
     uniform float cameraDistance;
@@ -42,6 +45,7 @@ const asteroidShaderMaterial = new THREE.ShaderMaterial({
     void main() {
       vColor = instanceColor;
       vHazardous = isHazardous;
+      vComet = isComet;
       
       // Calculate distance to camera for LOD
       vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
@@ -67,6 +71,7 @@ const asteroidShaderMaterial = new THREE.ShaderMaterial({
     varying vec3 vColor;
     varying float vAlpha;
     varying float vHazardous;
+    varying float vComet;
     
     void main() {
       // Circular point with soft edge
@@ -75,6 +80,14 @@ const asteroidShaderMaterial = new THREE.ShaderMaterial({
       
       if (dist > 0.5) discard;
       
+      // Comets: bright nucleus inside a diffuse coma
+      if (vComet > 0.5) {
+        float nucleus = 1.0 - smoothstep(0.0, 0.12, dist);
+        float coma = (1.0 - smoothstep(0.05, 0.5, dist)) * 0.6;
+        gl_FragColor = vec4(vColor + nucleus * vec3(0.4), vAlpha * max(nucleus, coma));
+        return;
+      }
+      
       // Soft glow for hazardous
       float glow = vHazardous > 0.5 ? 0.3 : 0.0;
       float alpha = vAlpha * (1.0 - smoothstep(0.3, 0.5, dist) + glow);
@@ -105,13 +118,14 @@ export default function InstancedAsteroids({
     const [hoveredIndex, setHoveredIndex] = useState(-1);
 
     // Pre-calculate instance attributes
-    const { positions, colors, sizes, hazardous } = useMemo(() => {
+    const { positions, colors, sizes, hazardous, comets } = useMemo(() => {
         const count = asteroids.length;
 
         const positions = new Float32Array(count * 3);
         const colors = new Float32Array(count * 3);
         const sizes = new Float32Array(count);
         const hazardous = new Float32Array(count);
+        const comets = new Float32Array(count);
 
         asteroids.forEach((asteroid, i) => {
             // Position from geocentric coordinates (already computed by ephemeris)
@@ -126,6 +140,8 @@ export default function InstancedAsteroids({
                 color = HAZARD_COLORS.selected;
             } else if (asteroid.isPHA) {
                 color = HAZARD_COLORS.critical;
+            } else if (asteroid.kind === "comet") {
+                color = HAZARD_COLORS.comet;
             } else if (asteroid.missDistanceKm && asteroid.missDistanceKm < 1000000) {
                 color = HAZARD_COLORS.warning;
             } else {
@@ -137,14 +153,21 @@ export default function InstancedAsteroids({
             colors[i * 3 + 2] = color.b;
 
             // Size based on absolute magnitude (brighter = larger)
-            const H = asteroid.absoluteMagnitude || 25;
-            sizes[i] = Math.max(0.5, 30 - H) * 0.15;
+            // Comets use their total magnitude and are drawn larger to show the coma
+            if (asteroid.kind === "comet") {
+                const M1 = asteroid.cometMagnitude?.M1 ?? 15;
+                sizes[i] = Math.max(2, 25 - M1) * 0.3;
+            } else {
+                const H = asteroid.absoluteMagnitude || 25;
+                sizes[i] = Math.max(0.5, 30 - H) * 0.15;
+            }
 
-            // Hazardous flag for shader
+            // Hazardous and comet flags for shader
             hazardous[i] = asteroid.isPHA ? 1.0 : 0.0;
+            comets[i] = asteroid.kind === "comet" ? 1.0 : 0.0;
         });
 
-        return { positions, colors, sizes, hazardous };
+        return { positions, colors, sizes, hazardous, comets };
     }, [asteroids, scaleFactor, selectedId]);
 
     // Create instanced buffer geometry
@@ -155,9 +178,10 @@ export default function InstancedAsteroids({
         geo.setAttribute("instanceColor", new THREE.BufferAttribute(colors, 3));
         geo.setAttribute("instanceSize", new THREE.BufferAttribute(sizes, 1));
         geo.setAttribute("isHazardous", new THREE.BufferAttribute(hazardous, 1));
+        geo.setAttribute("isComet", new THREE.BufferAttribute(comets, 1));
 
         return geo;
-    }, [positions, colors, sizes, hazardous]);
+    }, [positions, colors, sizes, hazardous, comets]);
 
     // Animation and interaction
     useFrame((state) => {
@@ -267,6 +291,8 @@ export function InstancedAsteroidMeshes({
                 tempColor.copy(HAZARD_COLORS.selected);
             } else if (asteroid.isPHA) {
                 tempColor.copy(HAZARD_COLORS.critical);
+            } else if (asteroid.kind === "comet") {
+                tempColor.copy(HAZARD_COLORS.comet);
             } else {
                 tempColor.copy(HAZARD_COLORS.safe);
             }
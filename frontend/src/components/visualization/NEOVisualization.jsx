@@ -39,7 +39,8 @@ export default function NEOVisualization({
     currentDate = new Date(),
     showOrbits = true,
     showLabels = false,
-    cameraTarget = null
+    cameraTarget = null,
+    celestialData = null
 }) {
     const controlsRef = useRef();
     const [isLoading, setIsLoading] = useState(true);
@@ -124,10 +125,11 @@ export default function NEOVisualization({
                         speed={0.5}
                     />
 
-                    {/* Celestial bodies (Sun, Earth, Moon) */}
+                    {/* Celestial bodies (Sun, planets, Moon) */}
                     <CelestialBodies
                         currentDate={currentDate}
                         scaleFactor={SCALE_FACTOR}
+                        celestialData={celestialData}
                     />
 
                     {/* Instanced asteroid rendering */}
@@ -0,0 +1,147 @@
+/**
+ * Orbit Fit Panel - Preliminary Orbit Determination
+ *
+ * Accepts astrometry as CSV lines (time, ra, dec[, observatory[, magnitude]]),
+ * fits an orbit on the server and hands the resulting hypothetical object
+ * back to the Control Center.
+ */
+
+import { useState } from "react";
+import { IconX, IconUpload } from "@tabler/icons-react";
+import { determineOrbit } from "../../services/orbitService";
+
+const PLACEHOLDER = `# time (UTC ISO or JD), RA (deg), Dec (deg), MPC code, mag
+2025-03-01T04:12:00Z, 187.2314, -3.5521, G96, 20.1
+2025-03-04T05:01:00Z, 189.0472, -2.9810, G96, 20.0
+2025-03-07T04:47:00Z, 190.9125, -2.4136, G96, 19.9`;
+
+// Parse CSV lines into observations for /api/orbits/determine
+function parseObservations(text) {
+    return text
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith("#"))
+        .map((line, i) => {
+            const [time, ra, dec, observatory, magnitude] = line.split(/\s*,\s*/);
+            if (time === undefined || ra === undefined || dec === undefined) {
+                throw new Error(`Line ${i + 1}: expected time, ra, dec`);
+            }
+
+            const jd = Number(time);
+            return {
+                ...(Number.isFinite(jd) ? { julianDate: jd } : { time }),
+                ra: Number(ra),
+                dec: Number(dec),
+                observatory: observatory || "500",
+                magnitude: magnitude ? Number(magnitude) : null
+            };
+        });
+}
+
+export default function OrbitFitPanel({ onFitted, onClose }) {
+    const [text, setText] = useState("");
+    const [name, setName] = useState("");
+    const [fitting, setFitting] = useState(false);
+    const [error, setError] = useState(null);
+    const [result, setResult] = useState(null);
+
+    const loadFile = async (e) => {
+        const file = e.target.files?.[0];
+        if (file) setText(await file.text());
+    };
+
+    const runFit = async () => {
+        setFitting(true);
+        setError(null);
+        setResult(null);
+        try {
+            const observations = parseObservations(text);
+            const data = await determineOrbit(observations, name);
+            setResult(data);
+            onFitted?.(data.object);
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setFitting(false);
+        }
+    };
+
+    const elements = result?.object.orbitalElements;
+    const fit = result?.object.fit;
+
+    return (
+        <div className="fixed top-4 left-4 w-[90vw] md:w-[28rem] max-h-[85vh] bg-gray-900/95 border border-white/20 rounded-lg shadow-2xl overflow-hidden z-30 backdrop-blur-sm flex flex-col">
+            {/* Header */}
+            <div className="px-4 py-3 border-b bg-cyan-900/50 border-cyan-500/30 flex items-start justify-between">
+                <div>
+                    <h3 className="font-semibold text-white text-lg">Orbit Determination</h3>
+                    <p className="text-white/60 text-sm">Gauss + least-squares fit to astrometry</p>
+                </div>
+                <button onClick={onClose} className="text-white/60 hover:text-white p-1">
+                    <IconX size={20} />
+                </button>
+            </div>
+
+            <div className="p-4 space-y-3 overflow-y-auto">
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="Object name (optional)"
+                    className="w-full bg-black/40 border border-white/20 rounded px-3 py-2 text-sm text-white placeholder-white/30"
+                />
+
+                <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder={PLACEHOLDER}
+                    rows={8}
+                    spellCheck={false}
+                    className="w-full bg-black/40 border border-white/20 rounded px-3 py-2 text-xs font-mono text-white placeholder-white/30"
+                />
+
+                <div className="flex gap-2">
+                    <label className="flex items-center gap-1.5 text-sm py-2 px-3 bg-white/10 text-white/80 rounded hover:bg-white/20 transition-colors cursor-pointer">
+                        <IconUpload size={16} />
+                        Load CSV
+                        <input type="file" accept=".csv,.txt" onChange={loadFile} className="hidden" />
+                    </label>
+                    <button
+                        onClick={runFit}
+                        disabled={fitting || !text.trim()}
+                        className="flex-1 text-sm py-2 px-3 bg-cyan-500/20 text-cyan-400 rounded hover:bg-cyan-500/30 transition-colors disabled:opacity-40"
+                    >
+                        {fitting ? "Fitting..." : "Fit orbit"}
+                    </button>
+                </div>
+
+                {error && (
+                    <div className="bg-red-500/20 text-red-300 text-sm px-3 py-2 rounded">{error}</div>
+                )}
+
+                {result && (
+                    <div className="space-y-2 text-sm">
+                        <div className="p-3 rounded-lg bg-white/5">
+                            <div className="text-white font-semibold">{result.object.name}</div>
+                            <div className="text-white/60 text-xs font-mono">{result.object.designation}</div>
+                            <div className={`mt-1 ${fit.converged ? "text-green-400" : "text-yellow-400"}`}>
+                                RMS {fit.rms.toFixed(2)}″ over {fit.observationCount} obs, {fit.arcDays.toFixed(1)} d arc
+                                {!fit.converged && " (not converged)"}
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-2 gap-x-4 gap-y-1 font-mono text-white/80">
+                            <span className="text-white/50">a</span><span>{elements.semiMajorAxis?.toFixed(4)} AU</span>
+                            <span className="text-white/50">e</span><span>{elements.eccentricity.toFixed(4)}</span>
+                            <span className="text-white/50">i</span><span>{elements.inclination.toFixed(3)}°</span>
+                            <span className="text-white/50">Ω</span><span>{elements.longitudeAscNode.toFixed(3)}°</span>
+                            <span className="text-white/50">ω</span><span>{elements.argPerihelion.toFixed(3)}°</span>
+                            <span className="text-white/50">H</span><span>{result.object.absoluteMagnitude?.toFixed(1) ?? "N/A"}</span>
+                            <span className="text-white/50">MOID</span><span>{result.object.moid != null ? `${result.object.moid.toFixed(4)} AU` : "N/A"}</span>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -17,8 +17,16 @@ const TRAJECTORY_COLORS = {
     aphelion: new THREE.Color("#4488FF")
 };
 
+// Parabolic and hyperbolic paths are drawn out to this heliocentric distance
+const MAX_OPEN_ORBIT_RADIUS_AU = 30;
+
 /**
  * Calculate orbit points from Keplerian elements
+ * Closed orbits start at perihelion and go once around. Open (e >= 1)
+ * orbits are drawn from inbound to outbound out to MAX_OPEN_ORBIT_RADIUS_AU,
+ * with perihelion in the middle. Accepts a or the perihelion distance q.
+ *
+ * @returns {Object} {points, perihelionIndex, aphelionIndex} - aphelionIndex is null for open orbits
  */
 function calculateOrbitPoints(elements, scaleFactor, segments = 360) {
     const {
@@ -26,7 +34,8 @@ function calculateOrbitPoints(elements, scaleFactor, segments = 360) {
         eccentricity: e,
         inclination: i,
         longitudeAscNode: omega,
-        argPerihelion: w
+        argPerihelion: w,
+        perihelionDistance
     } = elements;
 
     const DEG_TO_RAD = Math.PI / 180;
@@ -34,34 +43,46 @@ function calculateOrbitPoints(elements, scaleFactor, segments = 360) {
     const omegaRad = (omega || 0) * DEG_TO_RAD;
     const wRad = (w || 0) * DEG_TO_RAD;
 
+    // Semi-latus rectum works for every conic: p = q(1 + e)
+    const q = perihelionDistance ?? a * (1 - e);
+    const p = q * (1 + e);
+    const isOpen = e >= 1;
+
+    // Largest true anomaly to draw for open orbits (limited by the asymptote)
+    const maxAnomaly = isOpen
+        ? Math.acos(Math.max(-1, Math.min(1, (p / Math.max(MAX_OPEN_ORBIT_RADIUS_AU, q * 2) - 1) / e)))
+        : Math.PI;
+
+    // Rotation to ecliptic coordinates
+    const cosOmega = Math.cos(omegaRad);
+    const sinOmega = Math.sin(omegaRad);
+    const cosI = Math.cos(iRad);
+    const sinI = Math.sin(iRad);
+    const cosW = Math.cos(wRad);
+    const sinW = Math.sin(wRad);
+
+    const Px = cosOmega * cosW - sinOmega * sinW * cosI;
+    const Py = sinOmega * cosW + cosOmega * sinW * cosI;
+    const Pz = sinW * sinI;
+
+    const Qx = -cosOmega * sinW - sinOmega * cosW * cosI;
+    const Qy = -sinOmega * sinW + cosOmega * cosW * cosI;
+    const Qz = cosW * sinI;
+
     const points = [];
 
     for (let j = 0; j <= segments; j++) {
-        const trueAnomaly = (j / segments) * 2 * Math.PI;
+        const trueAnomaly = isOpen
+            ? -maxAnomaly + (j / segments) * 2 * maxAnomaly
+            : (j / segments) * 2 * Math.PI;
 
         // Calculate radius at this true anomaly
-        const r = (a * (1 - e * e)) / (1 + e * Math.cos(trueAnomaly));
+        const r = p / (1 + e * Math.cos(trueAnomaly));
 
         // Position in orbital plane
         const xOrbital = r * Math.cos(trueAnomaly);
         const yOrbital = r * Math.sin(trueAnomaly);
 
-        // Rotation to ecliptic coordinates
-        const cosOmega = Math.cos(omegaRad);
-        const sinOmega = Math.sin(omegaRad);
-        const cosI = Math.cos(iRad);
-        const sinI = Math.sin(iRad);
-        const cosW = Math.cos(wRad);
-        const sinW = Math.sin(wRad);
-
-        const Px = cosOmega * cosW - sinOmega * sinW * cosI;
-        const Py = sinOmega * cosW + cosOmega * sinW * cosI;
-        const Pz = sinW * sinI;
-
-        const Qx = -cosOmega * sinW - sinOmega * cosW * cosI;
-        const Qy = -sinOmega * sinW + cosOmega * cosW * cosI;
-        const Qz = cosW * sinI;
-
         const x = (xOrbital * Px + yOrbital * Qx) * scaleFactor;
         const y = (xOrbital * Pz + yOrbital * Qz) * scaleFactor;
         const z = (xOrbital * Py + yOrbital * Qy) * scaleFactor;
@@ -69,7 +90,11 @@ function calculateOrbitPoints(elements, scaleFactor, segments = 360) {
         points.push(new THREE.Vector3(x, y, z));
     }
 
-    return points;
+    return {
+        points,
+        perihelionIndex: isOpen ? segments / 2 : 0,
+        aphelionIndex: isOpen ? null : segments / 2
+    };
 }
 
 /**
@@ -92,7 +117,7 @@ export default function OrbitLines({
     // Line geometry
     const orbitGeometry = useMemo(() => {
         if (!orbitPath) return null;
-        return new THREE.BufferGeometry().setFromPoints(orbitPath);
+        return new THREE.BufferGeometry().setFromPoints(orbitPath.points);
     }, [orbitPath]);
 
     // Trajectory line (from API data)
@@ -125,7 +150,7 @@ export default function OrbitLines({
 
     return (
         <group>
-            {/* Full orbital ellipse */}
+            {/* Full orbital ellipse (or open arc for e >= 1) */}
             {showFullOrbit && orbitGeometry && (
                 <line geometry={orbitGeometry}>
                     <lineBasicMaterial
@@ -172,16 +197,16 @@ export default function OrbitLines({
             )}
 
             {/* Perihelion marker (closest to sun) */}
-            {orbitPath && orbitPath.length > 0 && (
-                <mesh position={orbitPath[0]}>
+            {orbitPath && orbitPath.points.length > 0 && (
+                <mesh position={orbitPath.points[orbitPath.perihelionIndex]}>
                     <sphereGeometry args={[0.03, 8, 8]} />
                     <meshBasicMaterial color={TRAJECTORY_COLORS.perihelion} />
                 </mesh>
             )}
 
-            {/* Aphelion marker (farthest from sun) */}
-            {orbitPath && orbitPath.length > 180 && (
-                <mesh position={orbitPath[180]}>
+            {/* Aphelion marker (farthest from sun, closed orbits only) */}
+            {orbitPath && orbitPath.aphelionIndex !== null && (
+                <mesh position={orbitPath.points[orbitPath.aphelionIndex]}>
                     <sphereGeometry args={[0.03, 8, 8]} />
                     <meshBasicMaterial color={TRAJECTORY_COLORS.aphelion} />
                 </mesh>
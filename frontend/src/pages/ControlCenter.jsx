@@ -15,6 +15,8 @@ import TimelineScrubber from "../components/visualization/TimelineScrubber";
 import CommandLine from "../components/visualization/CommandLine";
 import DataOverlays from "../components/visualization/DataOverlays";
 import AsteroidInfoPanel from "../components/visualization/AsteroidInfoPanel";
+import OrbitFitPanel from "../components/visualization/OrbitFitPanel";
+import { fetchHypotheticalObjects } from "../services/orbitService";
 
 // API base URL
 const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
@@ -31,6 +33,7 @@ export default function ControlCenter() {
     const [playbackSpeed, setPlaybackSpeed] = useState(1);
     const [celestialData, setCelestialData] = useState(null);
     const [cameraTarget, setCameraTarget] = useState(null);
+    const [showOrbitFit, setShowOrbitFit] = useState(false);
 
     // Settings
     const [showOrbits, setShowOrbits] = useState(true);
@@ -69,12 +72,16 @@ export default function ControlCenter() {
     const loadNEOCatalog = async () => {
         setIsLoading(true);
         try {
-            const response = await axios.get(`${API_URL}/api/ephemeris/neo-catalog`, {
-                params: { limit: 2000 }
-            });
+            const [response, hypothetical] = await Promise.all([
+                axios.get(`${API_URL}/api/ephemeris/neo-catalog`, {
+                    params: { limit: 2000, kind: "all" }
+                }),
+                // Objects fitted from submitted astrometry
+                fetchHypotheticalObjects().catch(() => [])
+            ]);
 
             // Calculate initial positions
-            const catalog = response.data.asteroids || [];
+            const catalog = [...hypothetical, ...(response.data.asteroids || [])];
             setAsteroids(catalog);
             updatePositions(catalog);
             setError(null);
@@ -111,6 +118,17 @@ export default function ControlCenter() {
         }
     };
 
+    // Add a freshly fitted object to the scene and focus it
+    const handleOrbitFitted = (object) => {
+        const fitted = {
+            ...object,
+            position: calculatePosition(object.orbitalElements, currentDate)
+        };
+        setAsteroids(prev => [fitted, ...prev.filter(a => a.designation !== fitted.designation)]);
+        setSelectedAsteroid(fitted);
+        setCameraTarget(fitted);
+    };
+
     // CLI Command handlers
     const handleCommand = useCallback(async (command) => {
         const parts = command.toLowerCase().trim().split(/\s+/);
@@ -139,6 +157,10 @@ export default function ControlCenter() {
             case "search":
                 return handleSearchCommand(args.join(" "));
 
+            case "fit":
+                setShowOrbitFit(prev => !prev);
+                return { success: "Toggled orbit determination panel" };
+
             case "help":
                 return getHelpText();
 
@@ -229,15 +251,28 @@ export default function ControlCenter() {
         }
 
         const a = selectedAsteroid;
+        const isComet = a.kind === 'comet';
         const lines = [
             `=== ${a.name || a.designation} ===`,
             `SPK-ID: ${a.spkId || 'N/A'}`,
-            `Class: ${a.orbitClass || 'NEO'}`,
+            `Class: ${a.orbitClass || (isComet ? 'Comet' : 'NEO')}`,
             `PHA: ${a.isPHA ? 'YES ⚠️' : 'No'}`,
-            `Abs. Magnitude: ${a.absoluteMagnitude?.toFixed(1) || 'N/A'}`,
+            `Earth MOID: ${a.moid != null ? `${a.moid.toFixed(4)} AU` : 'N/A'}`,
+            isComet
+                ? `Total Magnitude: M1 ${a.cometMagnitude?.M1?.toFixed(1) ?? 'N/A'}, K1 ${a.cometMagnitude?.K1?.toFixed(1) ?? 'N/A'}`
+                : `Abs. Magnitude: ${a.absoluteMagnitude?.toFixed(1) || 'N/A'}`,
+            isComet && a.nonGravitational
+                ? `Non-grav: A1 ${a.nonGravitational.A1?.toExponential(2)}, A2 ${a.nonGravitational.A2?.toExponential(2)} AU/d²`
+                : '',
             `Diameter: ${a.diameter ? `${a.diameter.toFixed(1)} km` : 'Unknown'}`,
+            a.isHypothetical && a.fit
+                ? `Orbit fit: RMS ${a.fit.rms?.toFixed(2)}″, ${a.fit.observationCount} obs over ${a.fit.arcDays?.toFixed(1)} d`
+                : '',
             a.orbitalElements ? [
-                `Semi-major axis: ${a.orbitalElements.semiMajorAxis?.toFixed(3)} AU`,
+                isComet || !a.orbitalElements.semiMajorAxis
+                    ? `Perihelion distance: ${(a.orbitalElements.perihelionDistance ??
+                        a.orbitalElements.semiMajorAxis * (1 - a.orbitalElements.eccentricity))?.toFixed(3)} AU`
+                    : `Semi-major axis: ${a.orbitalElements.semiMajorAxis?.toFixed(3)} AU`,
                 `Eccentricity: ${a.orbitalElements.eccentricity?.toFixed(4)}`,
                 `Inclination: ${a.orbitalElements.inclination?.toFixed(2)}°`
             ].join('\n') : ''
@@ -246,7 +281,7 @@ export default function ControlCenter() {
         return { info: lines.join('\n') };
     };
 
-    // Command: list [hazardous|close|all]
+    // Command: list [hazardous|comets|hypothetical|moid|close|all]
     const handleListCommand = (args) => {
         const filter = args[0] || 'close';
         let filtered = [];
@@ -256,6 +291,20 @@ export default function ControlCenter() {
             case 'pha':
                 filtered = asteroids.filter(a => a.isPHA).slice(0, 20);
                 break;
+            case 'comets':
+            case 'comet':
+                filtered = asteroids.filter(a => a.kind === 'comet').slice(0, 20);
+                break;
+            case 'hypothetical':
+            case 'fitted':
+                filtered = asteroids.filter(a => a.isHypothetical).slice(0, 20);
+                break;
+            case 'moid':
+                filtered = asteroids
+                    .filter(a => a.moid != null)
+                    .sort((a, b) => a.moid - b.moid)
+                    .slice(0, 20);
+                break;
             case 'close':
                 filtered = asteroids
                     .filter(a => a.position)
@@ -271,10 +320,13 @@ export default function ControlCenter() {
         }
 
         const lines = filtered.map((a, i) =>
-            `${i + 1}. ${a.name || a.designation}${a.isPHA ? ' ⚠️' : ''}`
+            `${i + 1}. ${a.name || a.designation}${a.kind === 'comet' ? ' ☄' : ''}${a.isPHA ? ' ⚠️' : ''}` +
+            (filter === 'moid' ? ` (${a.moid.toFixed(4)} AU)` : '')
         );
 
-        return { info: `=== ${filter.toUpperCase()} Asteroids ===\n${lines.join('\n')}` };
+        const title = filter.startsWith('comet') ? 'COMETS'
+            : filter === 'moid' ? 'LOWEST EARTH MOID' : `${filter.toUpperCase()} Objects`;
+        return { info: `=== ${title} ===\n${lines.join('\n')}` };
     };
 
     // Command: search <query>
@@ -292,7 +344,7 @@ export default function ControlCenter() {
             return { error: `No asteroids found matching "${query}"` };
         }
 
-        const lines = matches.map(a => `• ${a.name || a.designation}${a.isPHA ? ' ⚠️' : ''}`);
+        const lines = matches.map(a => `• ${a.name || a.designation}${a.kind === 'comet' ? ' ☄' : ''}${a.isPHA ? ' ⚠️' : ''}`);
         return { info: `Found ${matches.length} matches:\n${lines.join('\n')}` };
     };
 
@@ -304,8 +356,9 @@ goto <date>      - Jump to date (YYYY-MM-DD or 'now')
 track <name>     - Follow asteroid with camera
 distance         - Show distance to Earth
 info             - Show selected asteroid details
-list [filter]    - List asteroids (hazardous|close|all)
-search <query>   - Search asteroid names
+list [filter]    - List objects (hazardous|comets|hypothetical|moid|close|all)
+search <query>   - Search asteroid and comet names
+fit              - Fit an orbit to astrometric observations
 help             - Show this help
 clear            - Clear console`
     });
@@ -334,6 +387,7 @@ clear            - Clear console`
                 showOrbits={showOrbits}
                 showLabels={showLabels}
                 cameraTarget={cameraTarget}
+                celestialData={celestialData}
             />
 
             {/* Timeline Scrubber */}
@@ -364,6 +418,14 @@ clear            - Clear console`
                 />
             )}
 
+            {/* Orbit Determination Panel */}
+            {showOrbitFit && (
+                <OrbitFitPanel
+                    onFitted={handleOrbitFitted}
+                    onClose={() => setShowOrbitFit(false)}
+                />
+            )}
+
             {/* Command Line Interface */}
             <CommandLine
                 isOpen={showCLI}
@@ -396,40 +458,76 @@ clear            - Clear console`
 }
 
 // Simple position calculation (client-side fallback)
+// Handles elliptic, parabolic and hyperbolic orbits given a/M or q/Tp
 function calculatePosition(elements, date) {
-    if (!elements || !elements.semiMajorAxis) return { x: 0, y: 0, z: 0 };
+    if (!elements) return { x: 0, y: 0, z: 0 };
 
     const { semiMajorAxis: a, eccentricity: e, inclination: i,
-        longitudeAscNode: omega, argPerihelion: w, meanAnomaly: M0, epoch } = elements;
+        longitudeAscNode: omega, argPerihelion: w, meanAnomaly: M0, epoch,
+        perihelionDistance, timeOfPerihelion } = elements;
 
     const DEG_TO_RAD = Math.PI / 180;
+    const K = 0.01720209895; // Gaussian gravitational constant (rad/day)
 
-    // Days since epoch
+    // Days since J2000
     const j2000 = new Date("2000-01-01T12:00:00Z");
     const jd = 2451545.0 + (date - j2000) / (1000 * 60 * 60 * 24);
-    const dt = jd - epoch;
 
-    // Mean motion (radians per day)
-    const n = 0.0172 / Math.pow(a, 1.5);
-
-    // Current mean anomaly
-    let M = ((M0 || 0) * DEG_TO_RAD + n * dt) % (2 * Math.PI);
-    if (M < 0) M += 2 * Math.PI;
+    const q = perihelionDistance ?? (a ? a * (1 - e) : null);
+    if (!q || q <= 0) return { x: 0, y: 0, z: 0 };
+
+    // Time since perihelion, from Tp or from the mean anomaly at epoch
+    const useMeanAnomaly = a && (e < 1 ? a > 0 : a < 0) && M0 !== undefined && epoch;
+    const tp = useMeanAnomaly
+        ? epoch - (M0 * DEG_TO_RAD) / (K / Math.pow(Math.abs(a), 1.5))
+        : timeOfPerihelion;
+    if (tp === undefined || tp === null) return { x: 0, y: 0, z: 0 };
+    const dt = jd - tp;
+
+    let nu;
+    let r;
+
+    if (e < 1) {
+        // Ellipse: Kepler's equation by Newton-Raphson
+        const semiMajor = q / (1 - e);
+        let M = (K / Math.pow(semiMajor, 1.5) * dt) % (2 * Math.PI);
+        if (M < 0) M += 2 * Math.PI;
+
+        let E = e < 0.8 ? M : Math.PI;
+        for (let j = 0; j < 30; j++) {
+            const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+            E -= dE;
+            if (Math.abs(dE) < 1e-10) break;
+        }
 
-    // Solve Kepler's equation (simplified)
-    let E = M;
-    for (let j = 0; j < 10; j++) {
-        E = M + e * Math.sin(E);
-    }
+        nu = 2 * Math.atan2(
+            Math.sqrt(1 + e) * Math.sin(E / 2),
+            Math.sqrt(1 - e) * Math.cos(E / 2)
+        );
+        r = semiMajor * (1 - e * Math.cos(E));
+    } else if (e > 1) {
+        // Hyperbola: e·sinh(F) − F = M
+        const semiMajor = q / (e - 1);
+        const M = K / Math.pow(semiMajor, 1.5) * dt;
+
+        let F = Math.asinh(M / e);
+        for (let j = 0; j < 50; j++) {
+            const dF = (e * Math.sinh(F) - F - M) / (e * Math.cosh(F) - 1);
+            F -= dF;
+            if (Math.abs(dF) < 1e-10) break;
+        }
 
-    // True anomaly
-    const nu = 2 * Math.atan2(
-        Math.sqrt(1 + e) * Math.sin(E / 2),
-        Math.sqrt(1 - e) * Math.cos(E / 2)
-    );
+        nu = 2 * Math.atan(Math.sqrt((e + 1) / (e - 1)) * Math.tanh(F / 2));
+        r = semiMajor * (e * Math.cosh(F) - 1);
+    } else {
+        // Parabola: Barker's equation s³ + 3s = W, s = tan(ν/2)
+        const W = 3 * K * dt / Math.sqrt(2 * q * q * q);
+        const Y = Math.cbrt(W / 2 + Math.sqrt(W * W / 4 + 1));
+        const s = Y - 1 / Y;
 
-    // Radius
-    const r = a * (1 - e * Math.cos(E));
+        nu = 2 * Math.atan(s);
+        r = q * (1 + s * s);
+    }
 
     // Position in orbital plane
     const xOrbital = r * Math.cos(nu);
@@ -72,7 +72,7 @@ export default function AsteroidSearch() {
               outline-none
               focus:border-[#FF6A2A]
             "
-            placeholder="Search asteroid by name (e.g. Apollo)"
+            placeholder="Search asteroid or comet by name (e.g. Apollo, 1P)"
             value={query}
             onChange={(e) => setQuery(e.target.value)}
             onKeyDown={(e) => e.key === "Enter" && searchAsteroid()}
@@ -108,6 +108,11 @@ export default function AsteroidSearch() {
           >
             <h2 className="text-2xl font-semibold mb-6 flex items-center gap-3">
               {asteroid.name}
+              {asteroid.kind === "comet" && (
+                <span className="text-xs px-2 py-1 rounded-full bg-cyan-500/20 text-cyan-300">
+                  Comet
+                </span>
+              )}
               {isPastEvent(asteroid.closeApproachDate) && (
                 <span className="text-xs px-2 py-1 rounded-full bg-gray-500/20 text-gray-400">
                   Past Event
@@ -145,6 +150,13 @@ export default function AsteroidSearch() {
                 }
                 danger={asteroid.hazardous}
               />
+              {asteroid.moidAU != null && (
+                <Data
+                  label="Earth MOID"
+                  value={`${asteroid.moidAU.toFixed(4)} AU (${Math.round(asteroid.moidAU * 149597870.7).toLocaleString()} km)`}
+                  danger={asteroid.moidAU <= 0.05}
+                />
+              )}
               {asteroid.orbitClass && (
                 <Data
                   label="Orbit Class"
@@ -157,6 +169,18 @@ export default function AsteroidSearch() {
                   value={`~${asteroid.diameterKm.toFixed(2)} km`}
                 />
               )}
+              {asteroid.cometMagnitude?.M1 != null && (
+                <Data
+                  label="Total Magnitude (M1 / K1)"
+                  value={`${asteroid.cometMagnitude.M1.toFixed(1)} / ${asteroid.cometMagnitude.K1?.toFixed(1) ?? "—"}`}
+                />
+              )}
+              {asteroid.nonGravitational && (
+                <Data
+                  label="Non-Grav. A1 / A2 (AU/d²)"
+                  value={`${asteroid.nonGravitational.A1.toExponential(2)} / ${asteroid.nonGravitational.A2.toExponential(2)}`}
+                />
+              )}
             </div>
 
             {/* ACTION / INFO */}
@@ -0,0 +1,222 @@
+import { useState } from "react";
+import { fetchWatchlistObservability } from "@/services/observabilityService";
+
+/* ---------- HELPERS ---------- */
+function formatTime(date) {
+  return new Date(date).toLocaleString("en-GB", {
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+}
+
+function formatHours(hours) {
+  const h = Math.floor(hours);
+  const m = Math.round((hours - h) * 60);
+  return `${h}h ${String(m).padStart(2, "0")}m`;
+}
+
+const DEFAULT_FORM = {
+  lat: "",
+  lon: "",
+  elevation: "0",
+  minAltitude: "30",
+  maxSunAltitude: "-18",
+  minMoonSeparation: "30",
+  magnitudeLimit: "20"
+};
+
+/* ---------- MAIN ---------- */
+export default function Planner() {
+  const [form, setForm] = useState(DEFAULT_FORM);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  const update = (key) => (e) => setForm({ ...form, [key]: e.target.value });
+
+  const useMyLocation = () => {
+    if (!navigator.geolocation) {
+      setStatus("Geolocation is not available in this browser.");
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setForm(f => ({
+        ...f,
+        lat: coords.latitude.toFixed(4),
+        lon: coords.longitude.toFixed(4),
+        elevation: String(Math.round(coords.altitude || 0))
+      })),
+      () => setStatus("Could not read your location.")
+    );
+  };
+
+  const plan = async () => {
+    if (!localStorage.getItem("token")) {
+      setStatus("Log in to plan observations for your watchlist.");
+      return;
+    }
+    if (form.lat === "" || form.lon === "") {
+      setStatus("Enter your latitude and longitude.");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setStatus("");
+      const data = await fetchWatchlistObservability(form);
+      setResult(data);
+      if (data.count === 0) {
+        setStatus("Your watchlist is empty.");
+      }
+    } catch (err) {
+      setStatus(err.response?.data?.error || "Failed to compute observability.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const asteroids = result?.asteroids || [];
+  const tonight = asteroids.filter(a => a.tonight?.observable);
+  const thisWeek = asteroids.filter(a => !a.tonight?.observable && a.week?.observable);
+  const notObservable = asteroids.filter(a => !a.error && !a.week?.observable);
+  const failed = asteroids.filter(a => a.error);
+
+  return (
+    <div className="min-h-screen bg-black text-white px-6 pt-28 pb-20">
+      {/* HEADER */}
+      <div className="max-w-5xl mx-auto mb-10">
+        <h1 className="text-4xl font-semibold bg-gradient-to-r from-[#EDEDED] via-[#FFB089] to-[#FF6A2A] bg-clip-text text-transparent">
+          Observation Planner
+        </h1>
+        <p className="text-white/60 mt-2">
+          Which of your watched asteroids can you see tonight and this week?
+        </p>
+      </div>
+
+      {/* SITE & CONSTRAINTS */}
+      <div className="max-w-5xl mx-auto mb-10">
+        <Panel title="Observing Site" subtitle="Longitude is east-positive">
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+            <Field label="Latitude (°)" value={form.lat} onChange={update("lat")} />
+            <Field label="Longitude (°)" value={form.lon} onChange={update("lon")} />
+            <Field label="Elevation (m)" value={form.elevation} onChange={update("elevation")} />
+            <Field label="Min altitude (°)" value={form.minAltitude} onChange={update("minAltitude")} />
+            <Field label="Max Sun altitude (°)" value={form.maxSunAltitude} onChange={update("maxSunAltitude")} />
+            <Field label="Min Moon separation (°)" value={form.minMoonSeparation} onChange={update("minMoonSeparation")} />
+            <Field label="Magnitude limit (V)" value={form.magnitudeLimit} onChange={update("magnitudeLimit")} />
+          </div>
+
+          <div className="flex gap-3 mt-6">
+            <button
+              onClick={useMyLocation}
+              className="px-5 py-3 rounded-xl bg-white/10 border border-white/20 text-sm hover:bg-white/20"
+            >
+              Use my location
+            </button>
+            <button
+              onClick={plan}
+              className="px-6 py-3 rounded-xl bg-[#FF6A2A] text-black font-semibold hover:opacity-90"
+            >
+              {loading ? "Computing…" : "Plan"}
+            </button>
+          </div>
+
+          {status && <p className="text-sm text-white/60 mt-4">{status}</p>}
+        </Panel>
+      </div>
+
+      {result && (
+        <div className="max-w-5xl mx-auto">
+          <Panel title="Observable Tonight" subtitle={`${tonight.length} of ${asteroids.length} watched objects`}>
+            {tonight.length === 0 ? (
+              <p className="text-white/40">Nothing on your watchlist is observable tonight</p>
+            ) : (
+              tonight.map(a => (
+                <AsteroidPlan key={a.watchlistId} asteroid={a} windows={a.tonight.windows} hours={a.tonight.totalHours} />
+              ))
+            )}
+          </Panel>
+
+          <Panel title="Later This Week" subtitle="Observable on at least one of the next nights">
+            {thisWeek.length === 0 ? (
+              <p className="text-white/40">No additional objects this week</p>
+            ) : (
+              thisWeek.map(a => (
+                <AsteroidPlan key={a.watchlistId} asteroid={a} windows={a.week.windows} hours={a.week.totalHours} />
+              ))
+            )}
+          </Panel>
+
+          {(notObservable.length > 0 || failed.length > 0) && (
+            <Panel title="Not Observable" subtitle="Outside the constraints for the whole week">
+              {notObservable.map(a => (
+                <p key={a.watchlistId} className="text-sm text-white/50 mb-1">{a.name}</p>
+              ))}
+              {failed.map(a => (
+                <p key={a.watchlistId} className="text-sm text-red-400/80 mb-1">
+                  {a.name}: {a.error}
+                </p>
+              ))}
+            </Panel>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------- COMPONENTS ---------- */
+function Panel({ title, subtitle, children }) {
+  return (
+    <div className="rounded-3xl bg-gradient-to-b from-white/10 to-white/5 border border-white/15 p-6 shadow-[0_0_40px_rgba(255,255,255,0.04)] mb-10">
+      <h2 className="text-xl font-semibold">{title}</h2>
+      <p className="text-sm text-white/50 mb-6">{subtitle}</p>
+      {children}
+    </div>
+  );
+}
+
+function Field({ label, value, onChange }) {
+  return (
+    <label className="text-sm">
+      <span className="text-white/50">{label}</span>
+      <input
+        type="number"
+        step="any"
+        value={value}
+        onChange={onChange}
+        className="mt-1 w-full bg-black border border-white/20 rounded-xl px-4 py-2 outline-none focus:border-[#FF6A2A]"
+      />
+    </label>
+  );
+}
+
+function AsteroidPlan({ asteroid, windows, hours }) {
+  return (
+    <div className="p-4 mb-3 rounded-xl border bg-white/5 border-white/20">
+      <div className="flex justify-between items-baseline mb-3">
+        <p className="font-semibold">{asteroid.name}</p>
+        <p className="text-xs text-white/50">
+          {formatHours(hours)} total
+          {asteroid.week?.nightsObservable ? ` · ${asteroid.week.nightsObservable} night(s) this week` : ""}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {windows.map(w => (
+          <div key={w.start} className="text-xs text-white/70 bg-black/40 rounded-lg px-3 py-2">
+            <p>
+              {formatTime(w.start)} → {formatTime(w.end)}
+            </p>
+            <p className="text-white/50">
+              Peak {w.peak.altitude.toFixed(0)}° at {formatTime(w.peak.date)}
+              {w.brightestMagnitude !== null && ` · V ${w.brightestMagnitude.toFixed(1)}`}
+              {` · Moon ${w.minMoonSeparation.toFixed(0)}°`}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
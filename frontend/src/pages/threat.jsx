@@ -1,12 +1,29 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { fetchAsteroids } from "@/services/neoService";
 import ThreatBlock from "@/components/ThreatBlock";
+import { BPlaneChart } from "@/components/BPlaneChart";
+import {
+  HazardPanel,
+  ImpactCorridorPanel,
+  KeyholePanel,
+  DeflectionPanel,
+  MissionDesignPanel,
+  Stat,
+} from "@/components/threat";
+import { fetchBPlane } from "@/services/riskService";
 
 
 export default function Threat() {
   const [asteroids, setAsteroids] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [designation, setDesignation] = useState("");
+  const [bPlane, setBPlane] = useState(null);
+  const [analysing, setAnalysing] = useState(false);
+  const [analysisError, setAnalysisError] = useState("");
+  const [keyholes, setKeyholes] = useState(null);
+  // Object being analysed, so late results for an earlier pick are dropped
+  const selected = useRef("");
 
   useEffect(() => {
     let isMounted = true;
@@ -46,6 +63,39 @@ export default function Threat() {
     return "LOW";
   };
 
+  // A new analysis clears the b-plane, so the panels below start afresh
+  // (and the hazard panel cancels its job)
+  const runAnalysis = async (target = designation) => {
+    if (!target?.trim()) return;
+    target = target.trim();
+    selected.current = target;
+
+    try {
+      setAnalysing(true);
+      setAnalysisError("");
+      setBPlane(null);
+      setKeyholes(null);
+      const data = await fetchBPlane(target);
+      if (selected.current !== target) return;
+      setBPlane(data);
+    } catch (err) {
+      if (selected.current !== target) return;
+      setAnalysisError(err.response?.data?.error || "B-plane analysis failed");
+    } finally {
+      if (selected.current === target) setAnalysing(false);
+    }
+  };
+
+  // Keyholes for the b-plane chart, if still for the object on show
+  const showKeyholes = (target) => (report) => {
+    if (selected.current === target) setKeyholes(report);
+  };
+
+  const selectAsteroid = (id) => {
+    setDesignation(id);
+    runAnalysis(id);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-black flex items-center justify-center text-gray-400">
@@ -70,9 +120,83 @@ export default function Threat() {
 
       <div className="grid grid-cols-1 md:grid-cols-3 gap-12">
         {asteroids.map(a => (
-          <ThreatBlock key={a.id} {...a} />
+          <div key={a.id} onClick={() => selectAsteroid(a.id)} className="cursor-pointer">
+            <ThreatBlock {...a} />
+          </div>
         ))}
       </div>
+
+      {/* ENCOUNTER ANALYSIS */}
+      <div className="max-w-5xl mx-auto my-20 rounded-3xl bg-gradient-to-b from-white/10 to-white/5 border border-white/15 p-6">
+        <h2 className="text-xl font-semibold text-white">Encounter B-Plane</h2>
+        <p className="text-sm text-white/50 mb-6">
+          Where the Monte Carlo orbit cloud crosses the target plane of the next Earth encounter.
+          Select an object above or enter a designation.
+        </p>
+
+        <div className="flex gap-3 mb-6">
+          <input
+            value={designation}
+            onChange={(e) => setDesignation(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && runAnalysis()}
+            placeholder="e.g. 99942 or Apophis"
+            className="flex-1 bg-black border border-white/20 rounded-xl px-4 py-3 text-white outline-none focus:border-[#FF6A2A]"
+          />
+          <button
+            onClick={() => runAnalysis()}
+            className="px-6 py-3 rounded-xl bg-[#FF6A2A] text-black font-semibold hover:opacity-90"
+          >
+            {analysing ? "Analysing…" : "Analyse"}
+          </button>
+        </div>
+
+        {analysisError && <p className="text-sm text-red-400 mb-4">{analysisError}</p>}
+
+        {bPlane && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+            <div className="md:col-span-2">
+              <BPlaneChart bPlane={bPlane.bPlane} keyholes={keyholes?.keyholes} />
+            </div>
+            <div className="space-y-4 text-sm">
+              <p className="text-white font-semibold">{bPlane.name}</p>
+              <Stat label="Encounter" value={new Date(bPlane.bPlane.encounter.date).toUTCString()} />
+              <Stat label="Nominal b" value={`${Math.round(bPlane.bPlane.nominal.b).toLocaleString()} km`} />
+              <Stat label="v∞" value={`${bPlane.bPlane.encounter.vInfinityKmS.toFixed(2)} km/s`} />
+              <Stat
+                label="Capture radius"
+                value={`${Math.round(bPlane.bPlane.focusedRadiusKm).toLocaleString()} km (×${bPlane.bPlane.focusingFactor.toFixed(2)})`}
+              />
+              <Stat
+                label="σξ / σζ"
+                value={`${Math.round(bPlane.bPlane.statistics.sigmaXi).toLocaleString()} / ${Math.round(bPlane.bPlane.statistics.sigmaZeta).toLocaleString()} km`}
+              />
+              <Stat
+                label="Impacting samples"
+                value={`${bPlane.bPlane.statistics.impacts} of ${bPlane.bPlane.statistics.count}`}
+                danger={bPlane.bPlane.statistics.impacts > 0}
+              />
+            </div>
+          </div>
+        )}
+
+        {bPlane && (
+          <>
+            <HazardPanel
+              designation={bPlane.designation}
+              encounterDate={bPlane.bPlane.encounter.date}
+              vInfinityKmS={bPlane.bPlane.encounter.vInfinityKmS}
+            />
+            <ImpactCorridorPanel designation={bPlane.designation} encounterDate={bPlane.bPlane.encounter.date} />
+            <KeyholePanel
+              designation={bPlane.designation}
+              encounterDate={bPlane.bPlane.encounter.date}
+              onScanned={showKeyholes(bPlane.designation)}
+            />
+            <DeflectionPanel designation={bPlane.designation} encounterDate={bPlane.bPlane.encounter.date} />
+            <MissionDesignPanel designation={bPlane.designation} />
+          </>
+        )}
+      </div>
     </div>
   );
-}
\ No newline at end of file
+}
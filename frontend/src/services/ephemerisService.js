@@ -0,0 +1,11 @@
+import axios from "axios";
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+export async function fetchPorkchop(designation, params) {
+  const res = await axios.get(
+    `${API_URL}/api/ephemeris/porkchop/${encodeURIComponent(designation)}`,
+    { params }
+  );
+  return res.data;
+}
@@ -0,0 +1,6 @@
+import api from "@/utils/api";
+
+export async function fetchWatchlistObservability(params) {
+  const res = await api.get("/api/observability/watchlist", { params });
+  return res.data;
+}
@@ -0,0 +1,23 @@
+import axios from "axios";
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+export async function fetchHypotheticalObjects() {
+  const res = await axios.get(`${API_URL}/api/orbits`);
+  return res.data.objects;
+}
+
+export async function determineOrbit(observations, name) {
+  const res = await axios.post(`${API_URL}/api/orbits/determine`, {
+    observations,
+    name,
+  });
+  return res.data;
+}
+
+export async function deleteHypotheticalObject(designation) {
+  const res = await axios.delete(
+    `${API_URL}/api/orbits/${encodeURIComponent(designation)}`
+  );
+  return res.data;
+}
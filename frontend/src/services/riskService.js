@@ -0,0 +1,101 @@
+import axios from "axios";
+import io from "socket.io-client";
+
+const API_URL = import.meta.env.VITE_API_URL || "http://localhost:5000";
+
+export async function fetchBPlane(designation, params) {
+  const res = await axios.get(
+    `${API_URL}/api/risk/b-plane/${encodeURIComponent(designation)}`,
+    { params }
+  );
+  return res.data;
+}
+
+export async function fetchImpactEffects(params) {
+  const res = await axios.get(`${API_URL}/api/risk/impact-effects`, { params });
+  return res.data;
+}
+
+export async function fetchImpactCorridor(designation, params) {
+  const res = await axios.get(
+    `${API_URL}/api/risk/impact-corridor/${encodeURIComponent(designation)}`,
+    { params }
+  );
+  return res.data;
+}
+
+// Link to the corridor as a .geojson file, for use outside the app
+export function impactCorridorDownloadUrl(designation, params) {
+  const query = new URLSearchParams({ ...params, download: "1" });
+  return `${API_URL}/api/risk/impact-corridor/${encodeURIComponent(designation)}?${query}`;
+}
+
+export async function fetchDeflection(designation, params) {
+  const res = await axios.get(
+    `${API_URL}/api/risk/deflection/${encodeURIComponent(designation)}`,
+    { params }
+  );
+  return res.data;
+}
+
+export async function fetchKeyholes(designation, params) {
+  const res = await axios.get(
+    `${API_URL}/api/risk/keyholes/${encodeURIComponent(designation)}`,
+    { params }
+  );
+  return res.data;
+}
+
+export async function createRiskJob(body) {
+  const res = await axios.post(`${API_URL}/api/risk/jobs`, body);
+  return res.data;
+}
+
+export async function fetchRiskJob(jobId) {
+  const res = await axios.get(`${API_URL}/api/risk/jobs/${jobId}`);
+  return res.data;
+}
+
+export async function cancelRiskJob(jobId) {
+  const res = await axios.post(`${API_URL}/api/risk/jobs/${jobId}/cancel`);
+  return res.data;
+}
+
+let jobSocket = null;
+
+// One connection shared by every watched job, opened on first use
+function getJobSocket() {
+  if (!jobSocket) {
+    jobSocket = io(API_URL, { transports: ["websocket"], withCredentials: true });
+  }
+  return jobSocket;
+}
+
+/**
+ * Follow a risk job's progress events; returns a function that stops watching.
+ * handlers: onProgress({status, progress, completed, total}),
+ *           onResult({index, assessment}), onDone({status, error})
+ */
+export function watchRiskJob(jobId, { onProgress, onResult, onDone } = {}) {
+  const socket = getJobSocket();
+  const forJob = (handler) => (event) => {
+    if (event.jobId === jobId) handler?.(event);
+  };
+  const listeners = {
+    "risk_job:progress": forJob(onProgress),
+    "risk_job:result": forJob(onResult),
+    "risk_job:done": forJob(onDone),
+  };
+  // Rooms are lost on reconnect, so subscribe again each time
+  const subscribe = () => socket.emit("risk_job:subscribe", jobId);
+
+  Object.entries(listeners).forEach(([event, listener]) => socket.on(event, listener));
+  socket.on("connect", subscribe);
+  if (socket.connected) subscribe();
+
+  return () => {
+    socket.emit("risk_job:unsubscribe", jobId);
+    Object.entries(listeners).forEach(([event, listener]) => socket.off(event, listener));
+    socket.off("connect", subscribe);
+  };
+}